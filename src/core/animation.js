@@ -0,0 +1,195 @@
+/**
+ * DiagView Animation Planning
+ * Turns a sequence of camera stops into timed frames for the animated export:
+ * option clamping, easing, camera interpolation, and the part of the diagram
+ * each frame shows. Pure: rendering and encoding live in
+ * features/lazy/animation-export.
+ * @module core/animation
+ */
+
+import { ANIMATION } from "./constants.js";
+
+/**
+ * @typedef {object} Camera
+ * @property {number} x - Centre, in SVG user units
+ * @property {number} y - Centre, in SVG user units
+ * @property {number} zoom - 1 fits the whole diagram into the frame
+ * @property {number} rotation - Degrees clockwise
+ */
+
+/**
+ * @typedef {object} AnimationFrame
+ * @property {Camera} camera - View to render
+ * @property {string} caption - Caption of the last step reached ("" for none)
+ * @property {number} duration - Time on screen in ms
+ */
+
+/**
+ * @typedef {object} AnimationTiming
+ * @property {number} fps - Frames per second during moves
+ * @property {number} duration - ms per move between two steps
+ * @property {number} hold - ms on each step
+ * @property {(t: number) => number} easing - Maps move progress (0–1) to camera progress
+ */
+
+/**
+ * Built-in easing curves
+ * @type {Record<string, (t: number) => number>}
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t * t,
+  "ease-out": (t) => 1 - Math.pow(1 - t, 3),
+  "ease-in-out": (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/**
+ * Clamp a number, falling back when it is not finite
+ * @private
+ */
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Timing options with defaults, clamped to safe ranges. easing is a name from
+ * EASINGS or a function of progress (0–1); unknown names fall back to the default.
+ * @param {{fps?: number, duration?: number, hold?: number,
+ *   easing?: string|((t: number) => number)}} [options={}] - Raw options
+ * @returns {AnimationTiming} Timing
+ */
+export function normalizeAnimationTiming(options = {}) {
+  let easing = EASINGS[ANIMATION.EASING_DEFAULT];
+  if (typeof options.easing === "function") {
+    const fn = options.easing;
+    // Keep the camera on its path whatever the curve returns
+    easing = (t) => {
+      const v = Number(fn(t));
+      return Number.isFinite(v) ? v : t;
+    };
+  } else if (options.easing !== undefined) {
+    if (EASINGS[options.easing]) easing = EASINGS[options.easing];
+    else {
+      console.warn(
+        `DiagView: easing must be one of ${Object.keys(EASINGS).join(", ")} or a function, using "${ANIMATION.EASING_DEFAULT}"`,
+      );
+    }
+  }
+
+  return {
+    fps: clampNumber(options.fps, ANIMATION.FPS_MIN, ANIMATION.FPS_MAX, ANIMATION.FPS_DEFAULT),
+    duration: clampNumber(options.duration, 0, ANIMATION.TIME_MAX, ANIMATION.DURATION_DEFAULT),
+    hold: clampNumber(options.hold, 0, ANIMATION.TIME_MAX, ANIMATION.HOLD_DEFAULT),
+    easing,
+  };
+}
+
+/**
+ * Camera part way between two stops: zoom changes geometrically (steady
+ * perceived speed), the centre linearly, rotation the short way round
+ * @param {Camera} a - Start
+ * @param {Camera} b - End
+ * @param {number} t - Progress, 0 (a) to 1 (b)
+ * @returns {Camera} The camera at t
+ */
+export function interpolateCamera(a, b, t) {
+  const turn = ((((b.rotation - a.rotation) % 360) + 540) % 360) - 180;
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    zoom: a.zoom * Math.pow(b.zoom / a.zoom, t),
+    rotation: a.rotation + turn * t,
+  };
+}
+
+/**
+ * Frames for a sequence of stops: each stop is held, and each move between
+ * two stops is sampled at the frame rate. A held stop is a single frame with a
+ * long duration.
+ * @param {Array<{camera: Camera, caption?: string}>} stops - Camera stops in order
+ * @param {AnimationTiming} timing - Normalised timing
+ * @returns {AnimationFrame[]} Frames in order
+ */
+export function planAnimation(stops, timing) {
+  if (!stops.length) return [];
+  const frameTime = 1000 / timing.fps;
+  const frames = [
+    {
+      camera: stops[0].camera,
+      caption: stops[0].caption || "",
+      duration: timing.hold || frameTime,
+    },
+  ];
+
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    const count = Math.max(1, Math.round((timing.duration / 1000) * timing.fps));
+    for (let f = 1; f <= count; f++) {
+      const last = f === count;
+      frames.push({
+        camera: last
+          ? to.camera
+          : interpolateCamera(from.camera, to.camera, timing.easing(f / count)),
+        caption: last ? to.caption || "" : from.caption || "",
+        duration: timing.duration / count + (last ? timing.hold : 0),
+      });
+    }
+  }
+  return frames;
+}
+
+/**
+ * Part of the diagram a frame shows. The frame is rotated about its centre, so
+ * the region is the axis-aligned box around the rotated frame.
+ * @param {Camera} camera - View
+ * @param {{x: number, y: number, width: number, height: number}} box - Whole-diagram
+ *   export box, in SVG user units
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {{region: {x: number, y: number, width: number, height: number},
+ *   scale: number, angle: number}} Region in SVG units, pixels per SVG unit, and the
+ *   rotation in radians
+ */
+export function getFrameView(camera, box, width, height) {
+  const angle = (camera.rotation * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const fit = Math.min(
+    width / (box.width * cos + box.height * sin),
+    height / (box.width * sin + box.height * cos),
+  );
+  const scale = fit * camera.zoom;
+  const w = (width * cos + height * sin) / scale;
+  const h = (width * sin + height * cos) / scale;
+  return {
+    region: { x: camera.x - w / 2, y: camera.y - h / 2, width: w, height: h },
+    scale,
+    angle,
+  };
+}
+
+/**
+ * Frame size: the requested width and/or height, else ANIMATION.WIDTH_DEFAULT,
+ * with the missing side following the diagram's shape (as seen at the given
+ * rotation). Sides are even, which video encoders prefer.
+ * @param {{width: number, height: number}} box - Whole-diagram export box
+ * @param {{width?: number, height?: number}} [options={}] - Requested size in pixels
+ * @param {number} [rotation=0] - Rotation of the first frame, in degrees
+ * @returns {{width: number, height: number}} Frame size in pixels
+ */
+export function getAnimationSize(box, options = {}, rotation = 0) {
+  const sideways = Math.abs(rotation % 180) === 90;
+  const ratio = sideways ? box.width / box.height : box.height / box.width;
+  let width = Number(options.width) > 0 ? Number(options.width) : 0;
+  let height = Number(options.height) > 0 ? Number(options.height) : 0;
+  if (!width && !height) width = ANIMATION.WIDTH_DEFAULT;
+  if (!width) width = height / ratio;
+  if (!height) height = width * ratio;
+
+  const side = (n) =>
+    Math.round(Math.min(Math.max(n, ANIMATION.SIZE_MIN), ANIMATION.SIZE_MAX) / 2) * 2;
+  return { width: side(width), height: side(height) };
+}
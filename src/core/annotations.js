@@ -0,0 +1,348 @@
+/**
+ * DiagView Annotations
+ * Shape storage, JSON (de)serialization and SVG rendering for the annotation
+ * layer. Shapes live in the diagram's own SVG coordinates, so they stay
+ * attached to the content through zoom, pan, rotation and export.
+ * The drawing UI lives in features/lazy/annotate.
+ * @module core/annotations
+ */
+
+import { state } from "./config.js";
+import { ANNOTATION } from "./constants.js";
+import { isSafeColor } from "./utils.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * @typedef {object} Annotation
+ * @property {string} id - Unique within the diagram
+ * @property {"pen"|"highlighter"|"arrow"|"rect"|"text"} type - Shape kind
+ * @property {string} color - CSS color
+ * @property {number[][]} points - [x, y] pairs in SVG coordinates: the stroke for
+ *   pen/highlighter, start and end for arrow, two corners for rect, anchor for text
+ * @property {number} [width] - Stroke width in SVG units (all but text)
+ * @property {string} [text] - Note text (text only)
+ * @property {number} [size] - Font size in SVG units (text only)
+ */
+
+/**
+ * Annotations per diagram container.
+ * WeakMap so removed diagrams are garbage-collected with their shapes.
+ * @type {WeakMap<HTMLElement, Annotation[]>}
+ */
+const store = new WeakMap();
+
+let idCounter = 0;
+
+/**
+ * Create an annotation ID
+ * @returns {string} ID such as "a-lq2w3e-4"
+ */
+export function createAnnotationId() {
+  idCounter += 1;
+  return `a-${Date.now().toString(36)}-${idCounter}`;
+}
+
+/**
+ * Round to two decimals — plenty for SVG units and keeps JSON small
+ * @private
+ */
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate and clean one shape.
+ * @param {*} raw - Untrusted shape (e.g. from JSON)
+ * @returns {Annotation|null} Cleaned shape, or null if it is unusable
+ */
+export function normalizeAnnotation(raw) {
+  if (!raw || typeof raw !== "object" || !ANNOTATION.TYPES.includes(raw.type)) return null;
+  if (!Array.isArray(raw.points)) return null;
+
+  const points = raw.points
+    .filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+    .map(([x, y]) => [round(x), round(y)]);
+
+  const minPoints = raw.type === "text" ? 1 : 2;
+  if (points.length < minPoints) return null;
+
+  const color = isSafeColor(raw.color);
+  const shape = {
+    id: typeof raw.id === "string" && raw.id ? raw.id : createAnnotationId(),
+    type: raw.type,
+    color: color ? raw.color.trim() : ANNOTATION.COLORS[0],
+    points: raw.type === "arrow" || raw.type === "rect" ? points.slice(0, 2) : points,
+  };
+
+  if (raw.type === "text") {
+    const text = typeof raw.text === "string" ? raw.text.trim() : "";
+    if (!text) return null;
+    shape.points = points.slice(0, 1);
+    shape.text = text;
+    shape.size = raw.size > 0 ? round(raw.size) : ANNOTATION.NOTE_FONT_SIZE;
+  } else {
+    const fallback =
+      raw.type === "highlighter" ? ANNOTATION.HIGHLIGHTER_WIDTH : ANNOTATION.PEN_WIDTH;
+    shape.width = raw.width > 0 ? round(raw.width) : fallback;
+  }
+
+  return shape;
+}
+
+/**
+ * Annotations stored for a diagram
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Annotation[]} Shapes in drawing order (empty if none)
+ */
+export function getAnnotations(element) {
+  return (element && store.get(element)) || [];
+}
+
+/**
+ * Replace a diagram's annotations. Invalid shapes are dropped.
+ * @param {HTMLElement} element - Diagram container
+ * @param {Array<object>} annotations - Shapes to store
+ * @returns {Annotation[]} The stored shapes
+ */
+export function setAnnotations(element, annotations) {
+  const list = (annotations || []).map(normalizeAnnotation).filter(Boolean);
+  if (list.length) {
+    store.set(element, list);
+    state.annotatedDiagrams.add(element);
+  } else {
+    store.delete(element);
+    state.annotatedDiagrams.delete(element);
+  }
+  return list;
+}
+
+/**
+ * Whether a diagram has any annotations
+ * @param {HTMLElement} element - Diagram container
+ * @returns {boolean} True if at least one shape is stored
+ */
+export function hasAnnotations(element) {
+  return getAnnotations(element).length > 0;
+}
+
+/**
+ * Serialize a diagram's annotations
+ * @param {HTMLElement} element - Diagram container
+ * @returns {string} JSON document: { version, annotations }
+ */
+export function serializeAnnotations(element) {
+  return JSON.stringify({
+    version: ANNOTATION.FORMAT_VERSION,
+    annotations: getAnnotations(element),
+  });
+}
+
+/**
+ * Parse a JSON document produced by serializeAnnotations (or a bare array of shapes)
+ * @param {string|object|Array<object>} data - JSON string or parsed value
+ * @returns {Annotation[]|null} Valid shapes, or null if the document is malformed
+ */
+export function parseAnnotations(data) {
+  let value = data;
+  if (typeof data === "string") {
+    try {
+      value = JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const list = Array.isArray(value) ? value : value?.annotations;
+  if (!Array.isArray(list)) return null;
+  if (!Array.isArray(value) && value.version > ANNOTATION.FORMAT_VERSION) {
+    console.warn(`DiagView: Annotation format v${value.version} is newer than supported`);
+  }
+
+  return list.map(normalizeAnnotation).filter(Boolean);
+}
+
+/**
+ * Bounding box of a set of shapes, including stroke width and note size
+ * @param {Annotation[]} annotations - Shapes
+ * @returns {{x: number, y: number, w: number, h: number}|null} Box, or null if empty
+ */
+export function getAnnotationBounds(annotations) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  annotations.forEach((shape) => {
+    const box = shape.type === "text" ? noteBox(shape) : null;
+    const pad = box ? 0 : shape.width * (shape.type === "arrow" ? ANNOTATION.ARROW_HEAD_RATIO : 1);
+    const corners = box
+      ? [
+          [box.x, box.y],
+          [box.x + box.w, box.y + box.h],
+        ]
+      : shape.points;
+
+    corners.forEach(([x, y]) => {
+      minX = Math.min(minX, x - pad);
+      minY = Math.min(minY, y - pad);
+      maxX = Math.max(maxX, x + pad);
+      maxY = Math.max(maxY, y + pad);
+    });
+  });
+
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/**
+ * Estimated sticky-note rectangle (text is not measured so this works detached)
+ * @private
+ */
+function noteBox(shape) {
+  const lines = shape.text.split("\n");
+  const pad = shape.size * ANNOTATION.NOTE_PADDING;
+  const longest = Math.max(...lines.map((line) => line.length));
+  const [x, y] = shape.points[0];
+  return {
+    x,
+    y,
+    w: longest * shape.size * 0.6 + pad * 2,
+    h: lines.length * shape.size * 1.25 + pad * 2,
+    pad,
+  };
+}
+
+/**
+ * Create an SVG element with attributes
+ * @private
+ */
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+  return el;
+}
+
+/**
+ * Freehand path data from points
+ * @private
+ */
+function pathData(points) {
+  return points.map(([x, y], i) => `${i ? "L" : "M"}${x} ${y}`).join(" ");
+}
+
+/**
+ * Render one shape as SVG
+ * @param {Annotation} shape - Shape to draw
+ * @returns {SVGElement} Element tagged with class dv-annotation and data-annotation-id
+ */
+export function renderAnnotation(shape) {
+  const stroke = {
+    fill: "none",
+    stroke: shape.color,
+    "stroke-width": shape.width,
+    "stroke-linecap": "round",
+    "stroke-linejoin": "round",
+  };
+  let el;
+
+  switch (shape.type) {
+    case "pen":
+      el = svgEl("path", { d: pathData(shape.points), ...stroke });
+      break;
+
+    case "highlighter":
+      el = svgEl("path", {
+        d: pathData(shape.points),
+        ...stroke,
+        "stroke-opacity": ANNOTATION.HIGHLIGHTER_OPACITY,
+      });
+      break;
+
+    case "arrow": {
+      // Arrowhead drawn as a polygon — markers would need document-unique IDs
+      const [[x1, y1], [x2, y2]] = shape.points;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = shape.width * ANNOTATION.ARROW_HEAD_RATIO;
+      const wing = (side) => [
+        round(x2 - head * Math.cos(angle + (side * Math.PI) / 7)),
+        round(y2 - head * Math.sin(angle + (side * Math.PI) / 7)),
+      ];
+      el = svgEl("g", {});
+      el.appendChild(svgEl("line", { x1, y1, x2, y2, ...stroke }));
+      el.appendChild(
+        svgEl("polygon", {
+          points: [[x2, y2], wing(1), wing(-1)].map((p) => p.join(",")).join(" "),
+          fill: shape.color,
+          stroke: shape.color,
+          "stroke-width": shape.width,
+          "stroke-linejoin": "round",
+        }),
+      );
+      break;
+    }
+
+    case "rect": {
+      const [[x1, y1], [x2, y2]] = shape.points;
+      el = svgEl("rect", {
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1),
+        rx: shape.width,
+        ...stroke,
+      });
+      break;
+    }
+
+    case "text": {
+      const box = noteBox(shape);
+      el = svgEl("g", {});
+      el.appendChild(
+        svgEl("rect", {
+          x: box.x,
+          y: box.y,
+          width: round(box.w),
+          height: round(box.h),
+          rx: round(box.pad / 2),
+          fill: ANNOTATION.NOTE_FILL,
+          stroke: shape.color,
+          "stroke-width": round(shape.size / 10),
+        }),
+      );
+      const text = svgEl("text", {
+        x: box.x + box.pad,
+        y: box.y + box.pad,
+        fill: "#1e293b",
+        "font-family": "system-ui, sans-serif",
+        "font-size": shape.size,
+        "dominant-baseline": "hanging",
+      });
+      shape.text.split("\n").forEach((line, i) => {
+        const tspan = svgEl("tspan", {
+          x: box.x + box.pad,
+          dy: i ? round(shape.size * 1.25) : 0,
+        });
+        tspan.textContent = line;
+        text.appendChild(tspan);
+      });
+      el.appendChild(text);
+      break;
+    }
+  }
+
+  el.classList.add("dv-annotation");
+  el.setAttribute("data-annotation-id", shape.id);
+  return el;
+}
+
+/**
+ * Render shapes into a fresh layer group
+ * @param {Annotation[]} annotations - Shapes in drawing order
+ * @returns {SVGGElement} g.dv-annotations
+ */
+export function renderAnnotationLayer(annotations) {
+  const layer = /** @type {SVGGElement} */ (svgEl("g", { class: "dv-annotations" }));
+  annotations.forEach((shape) => layer.appendChild(renderAnnotation(shape)));
+  return layer;
+}
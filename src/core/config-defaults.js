@@ -1,4 +1,13 @@
-import { TIMING, ZOOM, LAYOUTS, BUTTON_STYLES, SELECTORS, EXPORT } from "./constants.js";
+import {
+  TIMING,
+  ZOOM,
+  LAYOUTS,
+  BUTTON_STYLES,
+  SELECTORS,
+  EXPORT,
+  PDF,
+  PRINT,
+} from "./constants.js";
 import { deepMerge, deepFreeze } from "./state-utils.js";
 
 /**
@@ -18,6 +27,12 @@ export const INITIAL_CONFIG = {
   highResScale: EXPORT.HIGH_RES_SCALE_DEFAULT,
   mobileScale: EXPORT.MOBILE_SCALE_DEFAULT,
   maxPixels: EXPORT.MAX_PIXELS_DEFAULT,
+  // Named settings for the export dialog and exportDiagram(el, format, { preset })
+  // Keys are preset names; set one to null to remove it
+  exportPresets: {
+    "slides-1080p": { label: "Slides 1080p", format: "png", width: 1920, height: 1080 },
+    "print-300dpi": { label: "Print 300dpi", format: "png", dpi: 300 },
+  },
 
   // UI Customization
   ui: {
@@ -26,6 +41,8 @@ export const INITIAL_CONFIG = {
       icons: {
         copy: null,
         download: null,
+        export: null,
+        print: null,
         fullscreen: null,
       },
     },
@@ -41,12 +58,56 @@ export const INITIAL_CONFIG = {
 
   // Feature toggles
   showMinimap: true,
+  showGallery: true,
+  dependencyHighlight: "click", // "click" | "alt-click" | false
   rememberZoom: false,
   animateOpen: true,
   printFriendly: true,
   showBranding: true,
   immersiveMode: false,
 
+  // Node inspector: clicking a node or edge in the fullscreen viewer shows its details.
+  // Opt-in, since a plain click already traces dependencies (dependencyHighlight: "click")
+  inspector: {
+    enabled: false,
+    render: null, // (details, container) => Node | string | Promise | void — extra panel content
+  },
+
+  // Hover tooltips in the fullscreen viewer (long-press on touch): title, description and data
+  tooltips: {
+    enabled: true,
+    delay: 300, // ms the pointer rests on a node before its tooltip shows
+    render: null, // (details) => HTML string (sanitized) | Node | null (built-in) | false (none)
+  },
+
+  // Inline zoom: pan and zoom diagrams in place on the page (Ctrl/⌘ + wheel), escalating to fullscreen
+  inline: {
+    enabled: false,
+    minimap: false, // Overview in the card corner while zoomed in
+    search: false, // Search box in the card's zoom controls
+  },
+
+  // Diagram source blocks (<pre class="mermaid">, <pre class="language-dot">) rendered to SVG
+  // before they are enhanced. Libraries load on first use, pinned with SRI; a changed URL
+  // needs its own integrity hash. Renderers added with registerRenderer() are active either way.
+  renderers: {
+    enabled: false, // Built-in Mermaid and Graphviz renderers
+    viewSource: true, // "View source" toggle in the viewer for rendered diagrams
+    mermaidLibraryUrl: "https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.min.js",
+    mermaidLibraryIntegrity:
+      "sha384-WmdflGW9aGfoBdHc4rRyWzYuAjEmDwMdGdiPNacbwfGKxBW/SO6guzuQ76qjnSlr",
+    graphvizLibraryUrl: "https://cdn.jsdelivr.net/npm/@viz-js/viz@3.4.0/lib/viz-standalone.js",
+    graphvizLibraryIntegrity:
+      "sha384-+7NhVMUCNW/zzY3RgPBZGfXAsItWGQiZjs7Xc9RpOJMfs1IpUqSZ/sIEa3gW6K2K",
+  },
+
+  // Meeting mode pointer
+  laser: {
+    effect: "dot", // "dot" | "trail" | "spotlight" | "ripple"
+    size: 28, // px
+    color: null, // null = red tuned to the light/dark theme
+  },
+
   // Security & Sanitization
   sanitize: "auto", // "auto" | "strict" | "off"
   allowedImageTypes: ["png", "jpeg", "webp", "gif"],
@@ -78,6 +139,39 @@ export const INITIAL_CONFIG = {
   pdfLibraryIntegrity:
     "sha512-qZvrmS2ekKPF2mSznTQsxqPgnpkI4DNTlrdUmTzrDgektczlKNRRhy5X5AAOnx5S09ydFYWWNSfcEqDTTHgtNA==",
 
+  // jsPDF plugin for vector PDFs (pdf.vector), loaded on first use.
+  // WARNING: Like pdfLibraryUrl, a changed URL needs its own svg2pdfLibraryIntegrity.
+  svg2pdfLibraryUrl: "https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js",
+  svg2pdfLibraryIntegrity:
+    "sha384-HoxAKaOOcVifYbcey45SDVl9ja1q3b04qwykef9f6tzQAkkmNNGH3lclNdTquUX9",
+
+  // PDF page layout (lengths in mm)
+  pdf: {
+    // "fit" (one page sized to the diagram) | "a3" | "a4" | "a5" | "letter" | "legal" | "tabloid"
+    pageSize: "fit",
+    orientation: "auto", // "auto" | "portrait" | "landscape"
+    margin: PDF.MARGIN_DEFAULT,
+    tiles: 1, // 1 | "auto" (natural size over several pages) | { columns, rows }
+    overlap: PDF.OVERLAP_DEFAULT, // Content repeated on neighbouring tiles
+    title: true, // Title band on paper sizes: true (diagram title) | false | "Custom text"
+    vector: false, // Embed the SVG (selectable text) instead of a bitmap
+    metadata: null, // { title, subject, author, keywords, creator }
+  },
+
+  // Print layout (DiagView.print and the print button; lengths in mm)
+  print: {
+    pageSize: PRINT.PAGE_SIZE_DEFAULT, // "a3" | "a4" | "a5" | "letter" | "legal" | "tabloid"
+    orientation: "auto", // "auto" | "portrait" | "landscape"
+    margin: PDF.MARGIN_DEFAULT,
+    fit: "page", // "page" (one sheet) | "scale" (fixed scale, tiled as needed) | "poster"
+    scale: 1, // "scale" fit: 1 = natural size (96 dpi)
+    tiles: "auto", // "poster" fit: "auto" (natural size) | { columns, rows }
+    overlap: PDF.OVERLAP_DEFAULT, // Content repeated on neighbouring sheets
+    title: true, // Title band: true (diagram title) | false | "Custom text"
+    caption: null, // Footer caption text
+    url: true, // Footer URL: true (the page URL) | false | "Custom text"
+  },
+
   // Zoom/Pan settings
   maxZoomScale: ZOOM.MAX_SCALE_DEFAULT,
   minZoomScale: ZOOM.MIN_SCALE_DEFAULT,
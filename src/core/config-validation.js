@@ -1,5 +1,15 @@
-import { ZOOM, LAYOUTS, EXPORT } from "./constants.js";
+import {
+  ZOOM,
+  LAYOUTS,
+  EXPORT,
+  DEPENDENCY_HIGHLIGHT,
+  LASER,
+  PDF,
+  PRINT,
+  TOOLTIP,
+} from "./constants.js";
 import { DEFAULT_CONFIG } from "./config-defaults.js";
+import { deepMerge } from "./state-utils.js";
 
 /**
  * Validate entire configuration
@@ -35,6 +45,232 @@ export function validateConfig(config) {
     config["layout"] = defaults["layout"];
   }
 
+  if (
+    ![DEPENDENCY_HIGHLIGHT.CLICK, DEPENDENCY_HIGHLIGHT.ALT_CLICK, false].includes(
+      /** @type {string|boolean} */ (config["dependencyHighlight"]),
+    )
+  ) {
+    console.warn(
+      `DiagView: Invalid dependencyHighlight "${config["dependencyHighlight"]}", using default`,
+    );
+    config["dependencyHighlight"] = defaults["dependencyHighlight"];
+  }
+
+  const inspector = /** @type {Record<string, *>} */ (config["inspector"]);
+  if (inspector && typeof inspector === "object") {
+    if (typeof inspector["enabled"] !== "boolean") {
+      console.warn("DiagView: inspector.enabled must be a boolean, using default");
+      inspector["enabled"] = defaults["inspector"].enabled;
+    }
+    if (inspector["render"] !== null && typeof inspector["render"] !== "function") {
+      console.warn("DiagView: inspector.render must be a function or null");
+      inspector["render"] = null;
+    }
+  } else {
+    console.warn("DiagView: inspector must be an object, using defaults");
+    config["inspector"] = { ...defaults["inspector"] };
+  }
+
+  const tooltips = /** @type {Record<string, *>} */ (config["tooltips"]);
+  if (tooltips && typeof tooltips === "object") {
+    if (typeof tooltips["enabled"] !== "boolean") {
+      console.warn("DiagView: tooltips.enabled must be a boolean, using default");
+      tooltips["enabled"] = defaults["tooltips"].enabled;
+    }
+    if (
+      !Number.isFinite(tooltips["delay"]) ||
+      tooltips["delay"] < 0 ||
+      tooltips["delay"] > TOOLTIP.DELAY_MAX
+    ) {
+      console.warn(`DiagView: tooltips.delay should be between 0 and ${TOOLTIP.DELAY_MAX}`);
+      tooltips["delay"] = defaults["tooltips"].delay;
+    }
+    if (tooltips["render"] !== null && typeof tooltips["render"] !== "function") {
+      console.warn("DiagView: tooltips.render must be a function or null");
+      tooltips["render"] = null;
+    }
+  } else {
+    console.warn("DiagView: tooltips must be an object, using defaults");
+    config["tooltips"] = { ...defaults["tooltips"] };
+  }
+
+  const inline = /** @type {Record<string, *>} */ (config["inline"]);
+  if (inline && typeof inline === "object") {
+    ["enabled", "minimap", "search"].forEach((key) => {
+      if (typeof inline[key] !== "boolean") {
+        console.warn(`DiagView: inline.${key} must be a boolean, using default`);
+        inline[key] = defaults["inline"][key];
+      }
+    });
+  } else {
+    console.warn("DiagView: inline must be an object, using defaults");
+    config["inline"] = { ...defaults["inline"] };
+  }
+
+  const renderers = /** @type {Record<string, *>} */ (config["renderers"]);
+  if (renderers && typeof renderers === "object") {
+    ["enabled", "viewSource"].forEach((key) => {
+      if (typeof renderers[key] !== "boolean") {
+        console.warn(`DiagView: renderers.${key} must be a boolean, using default`);
+        renderers[key] = defaults["renderers"][key];
+      }
+    });
+    ["mermaid", "graphviz"].forEach((lib) => {
+      const urlKey = `${lib}LibraryUrl`;
+      const integrityKey = `${lib}LibraryIntegrity`;
+      // The default URL goes with its pinned SRI hash
+      if (typeof renderers[urlKey] !== "string" || !renderers[urlKey]) {
+        console.warn(`DiagView: renderers.${urlKey} must be a URL, using default`);
+        renderers[urlKey] = defaults["renderers"][urlKey];
+        renderers[integrityKey] = defaults["renderers"][integrityKey];
+      }
+      const integrity = renderers[integrityKey];
+      if (integrity !== null && typeof integrity !== "string") {
+        console.warn(`DiagView: renderers.${integrityKey} must be a string or null`);
+        renderers[integrityKey] =
+          renderers[urlKey] === defaults["renderers"][urlKey]
+            ? defaults["renderers"][integrityKey]
+            : null;
+      }
+    });
+  } else {
+    console.warn("DiagView: renderers must be an object, using defaults");
+    config["renderers"] = { ...defaults["renderers"] };
+  }
+
+  const laser = /** @type {Record<string, *>} */ (config["laser"]);
+  if (laser && typeof laser === "object") {
+    if (!LASER.EFFECTS.includes(laser["effect"])) {
+      console.warn(`DiagView: Invalid laser.effect "${laser["effect"]}", using default`);
+      laser["effect"] = defaults["laser"].effect;
+    }
+    if (
+      !Number.isFinite(laser["size"]) ||
+      laser["size"] < LASER.SIZE_MIN ||
+      laser["size"] > LASER.SIZE_MAX
+    ) {
+      console.warn(
+        `DiagView: laser.size should be between ${LASER.SIZE_MIN} and ${LASER.SIZE_MAX}`,
+      );
+      laser["size"] = defaults["laser"].size;
+    }
+    if (laser["color"] !== null && typeof laser["color"] !== "string") {
+      console.warn("DiagView: laser.color must be a CSS color string or null");
+      laser["color"] = null;
+    }
+  } else {
+    console.warn("DiagView: laser must be an object, using defaults");
+    config["laser"] = { ...defaults["laser"] };
+  }
+
+  const pdf = /** @type {Record<string, *>} */ (config["pdf"]);
+  if (pdf && typeof pdf === "object") {
+    if (pdf["pageSize"] !== PDF.FIT && !(pdf["pageSize"] in PDF.PAPER_SIZES)) {
+      console.warn(`DiagView: Invalid pdf.pageSize "${pdf["pageSize"]}", using default`);
+      pdf["pageSize"] = defaults["pdf"].pageSize;
+    }
+    if (!PDF.ORIENTATIONS.includes(pdf["orientation"])) {
+      console.warn(`DiagView: Invalid pdf.orientation "${pdf["orientation"]}", using default`);
+      pdf["orientation"] = defaults["pdf"].orientation;
+    }
+    [
+      ["margin", PDF.MARGIN_MAX],
+      ["overlap", PDF.OVERLAP_MAX],
+    ].forEach(([key, max]) => {
+      if (!Number.isFinite(pdf[key]) || pdf[key] < 0 || pdf[key] > max) {
+        console.warn(`DiagView: pdf.${key} should be between 0 and ${max} (mm)`);
+        pdf[key] = defaults["pdf"][key];
+      }
+    });
+    const tiles = pdf["tiles"];
+    const isSide = (n) => Number.isInteger(n) && n >= 1 && n <= PDF.MAX_TILES_PER_SIDE;
+    if (
+      tiles !== 1 &&
+      tiles !== "auto" &&
+      !(tiles && typeof tiles === "object" && isSide(tiles.columns) && isSide(tiles.rows))
+    ) {
+      console.warn(
+        `DiagView: pdf.tiles must be 1, "auto" or { columns, rows } up to ${PDF.MAX_TILES_PER_SIDE}`,
+      );
+      pdf["tiles"] = defaults["pdf"].tiles;
+    }
+  } else {
+    console.warn("DiagView: pdf must be an object, using defaults");
+    config["pdf"] = { ...defaults["pdf"] };
+  }
+
+  const print = /** @type {Record<string, *>} */ (config["print"]);
+  if (print && typeof print === "object") {
+    if (!(print["pageSize"] in PDF.PAPER_SIZES)) {
+      console.warn(`DiagView: Invalid print.pageSize "${print["pageSize"]}", using default`);
+      print["pageSize"] = defaults["print"].pageSize;
+    }
+    if (!PDF.ORIENTATIONS.includes(print["orientation"])) {
+      console.warn(`DiagView: Invalid print.orientation "${print["orientation"]}", using default`);
+      print["orientation"] = defaults["print"].orientation;
+    }
+    if (!PRINT.FITS.includes(print["fit"])) {
+      console.warn(`DiagView: print.fit must be one of ${PRINT.FITS.join(", ")}, using default`);
+      print["fit"] = defaults["print"].fit;
+    }
+    [
+      ["margin", PDF.MARGIN_MAX],
+      ["overlap", PDF.OVERLAP_MAX],
+    ].forEach(([key, max]) => {
+      if (!Number.isFinite(print[key]) || print[key] < 0 || print[key] > max) {
+        console.warn(`DiagView: print.${key} should be between 0 and ${max} (mm)`);
+        print[key] = defaults["print"][key];
+      }
+    });
+    if (
+      !Number.isFinite(print["scale"]) ||
+      print["scale"] < PRINT.SCALE_MIN ||
+      print["scale"] > PRINT.SCALE_MAX
+    ) {
+      console.warn(
+        `DiagView: print.scale should be between ${PRINT.SCALE_MIN} and ${PRINT.SCALE_MAX}`,
+      );
+      print["scale"] = defaults["print"].scale;
+    }
+    const tiles = print["tiles"];
+    const isSide = (n) => Number.isInteger(n) && n >= 1 && n <= PDF.MAX_TILES_PER_SIDE;
+    if (
+      tiles !== "auto" &&
+      !(tiles && typeof tiles === "object" && isSide(tiles.columns) && isSide(tiles.rows))
+    ) {
+      console.warn(
+        `DiagView: print.tiles must be "auto" or { columns, rows } up to ${PDF.MAX_TILES_PER_SIDE}`,
+      );
+      print["tiles"] = defaults["print"].tiles;
+    }
+    if (print["caption"] !== null && typeof print["caption"] !== "string") {
+      console.warn("DiagView: print.caption must be a string or null");
+      print["caption"] = null;
+    }
+  } else {
+    console.warn("DiagView: print must be an object, using defaults");
+    config["print"] = { ...defaults["print"] };
+  }
+
+  const presets = /** @type {Record<string, *>} */ (config["exportPresets"]);
+  if (presets && typeof presets === "object") {
+    Object.entries(presets).forEach(([name, preset]) => {
+      if (preset === null) return; // Removed default
+      if (
+        typeof preset !== "object" ||
+        (preset.format !== undefined && !EXPORT.FORMATS.includes(preset.format))
+      ) {
+        console.warn(
+          `DiagView: exportPresets["${name}"] must be an object with a format of ${EXPORT.FORMATS.join(", ")}, ignoring it`,
+        );
+        delete presets[name];
+      }
+    });
+  } else {
+    console.warn("DiagView: exportPresets must be an object, using defaults");
+    config["exportPresets"] = deepMerge({}, defaults["exportPresets"]);
+  }
+
   // Ensure positive values for timings
   [
     "helpTimeout",
@@ -44,9 +44,23 @@ function createInitialState() {
     lastActiveElement: null,
     meetingMode: false,
     laserPointer: null,
+    laserEffect: null,
     minimapSvg: null,
     searchMatches: [],
+    searchActiveIndex: -1,
+    searchOptions: { caseSensitive: false, wholeWord: false, regex: false, fuzzy: false },
     searchRafId: null,
+    dependencyTrace: null,
+    inspectedItem: null,
+    annotating: false,
+    annotatedDiagrams: new WeakSet(),
+    selectingRegion: false,
+    exportDialogOpen: false,
+    comparing: false,
+    tour: null,
+    touredDiagrams: new WeakSet(),
+    syncRole: null,
+    diagramModelsCached: false,
     focusManagementSetup: false,
     activeMeetingHandlers: null,
     // Theme detection state
@@ -127,6 +141,24 @@ export const publicState = new Proxy(state, {
   },
 });
 
+/**
+ * Keep a CDN library's integrity hash in step with its URL: the default URL
+ * always gets the pinned hash, and a custom URL only keeps a hash passed with it
+ * (the default hash would make the browser block the other file)
+ * @param {Record<string, *>} options - Options being applied (modified in place)
+ * @param {Record<string, *>} defaults - Defaults holding the pinned URL and hash
+ * @param {string} name - Key prefix, e.g. "pdfLibrary" for pdfLibraryUrl / pdfLibraryIntegrity
+ */
+function pinLibraryIntegrity(options, defaults, name) {
+  const url = options[`${name}Url`];
+  if (!url) return;
+  if (url === defaults[`${name}Url`]) {
+    options[`${name}Integrity`] = defaults[`${name}Integrity`];
+  } else if (!options[`${name}Integrity`]) {
+    options[`${name}Integrity`] = null;
+  }
+}
+
 /**
  * Update configuration with validation
  * @param {Record<string, *>} options - New configuration options
@@ -144,13 +176,13 @@ export function updateConfig(options = {}) {
     }
   }
 
-  // Security: Prevent overriding PDF URL without integrity unless explicit
-  if (sanitized["pdfLibraryUrl"]) {
-    if (sanitized["pdfLibraryUrl"] === INITIAL_CONFIG.pdfLibraryUrl) {
-      sanitized["pdfLibraryIntegrity"] = INITIAL_CONFIG.pdfLibraryIntegrity;
-    } else if (!sanitized["pdfLibraryIntegrity"]) {
-      sanitized["pdfLibraryIntegrity"] = null;
-    }
+  // Security: Prevent overriding CDN library URLs without integrity unless explicit
+  pinLibraryIntegrity(sanitized, INITIAL_CONFIG, "pdfLibrary");
+  pinLibraryIntegrity(sanitized, INITIAL_CONFIG, "svg2pdfLibrary");
+  if (sanitized["renderers"] && typeof sanitized["renderers"] === "object") {
+    sanitized["renderers"] = { ...sanitized["renderers"] };
+    pinLibraryIntegrity(sanitized["renderers"], INITIAL_CONFIG.renderers, "mermaidLibrary");
+    pinLibraryIntegrity(sanitized["renderers"], INITIAL_CONFIG.renderers, "graphvizLibrary");
   }
 
   // Create a new configuration by cloning current and merging new options
@@ -276,9 +308,23 @@ export { DEFAULT_CONFIG, INITIAL_CONFIG };
  * @property {Element|null} lastActiveElement - Element focused before modal opened
  * @property {boolean} meetingMode - Whether laser pointer is active
  * @property {Function|null} laserPointer - Active mousemove handler for laser (internal)
+ * @property {string|null} laserEffect - Pointer effect picked in the menu (null = config.laser.effect)
  * @property {SVGElement|null} minimapSvg - Minimap SVG clone element
  * @property {Element[]} searchMatches - Current search match elements
+ * @property {number} searchActiveIndex - Match the user stepped to with next/previous (-1 = none)
+ * @property {import('./search-query.js').SearchOptions} searchOptions - Active search modes (kept across modal sessions)
  * @property {number|null} searchRafId - RAF id for search batching
+ * @property {{nodeId: string, depth: number, direction: string}|null} dependencyTrace - Node whose dependencies are highlighted
+ * @property {{kind: string, id: string|null, element: Element}|null} inspectedItem - Node or edge shown in the inspector panel
+ * @property {boolean} annotating - Whether the annotation toolbar is active (drag draws instead of panning)
+ * @property {WeakSet<HTMLElement>} annotatedDiagrams - Diagrams with stored annotations, so the modal and exports only load core/annotations for them
+ * @property {boolean} selectingRegion - Whether the user is dragging out an area to export
+ * @property {boolean} exportDialogOpen - Whether the export dialog is showing
+ * @property {boolean} comparing - Whether a diagram comparison is showing
+ * @property {{element: HTMLElement, steps: import('./tour.js').TourStep[], index: number}|null} tour - Running guided tour
+ * @property {WeakSet<HTMLElement>} touredDiagrams - Diagrams with tour steps set through the API (the menu and G key also offer a tour for a data-diagview-tour attribute)
+ * @property {"presenter"|"follower"|null} syncRole - Role in the active follow-the-presenter session
+ * @property {boolean} diagramModelsCached - Whether core/diagram-adapters holds cached detections or models, so destroy() only loads it to clear them
  * @property {boolean} focusManagementSetup - Focus trap initialised flag
  * @property {object|null} activeMeetingHandlers - Active meeting mode handlers
  * @property {object|null} themeCache - Cached theme detection result
@@ -44,6 +44,71 @@ export const EXPORT = {
   MIN_PIXELS_LIMIT: 1000000, // 1MP floor
   LARGE_FILE_THRESHOLD: 1000000, // 1MB threshold for SVG/Data strings and performance bypass
   CRITICAL_FILE_LIMIT_DEFAULT: 50000000, // 50MB for hard block
+  BATCH_FORMATS: ["png", "jpeg", "webp", "svg"], // Formats exportAll() can put in a ZIP
+  MANIFEST_FILENAME: "manifest.json",
+  REGION_MIN_SIZE: 8, // px — smaller drags don't count as an export selection
+  FORMATS: ["png", "jpeg", "webp", "svg", "pdf", "html"],
+  FORMAT_LABELS: {
+    png: "PNG",
+    jpeg: "JPEG",
+    webp: "WebP",
+    svg: "SVG",
+    pdf: "PDF",
+    html: "Interactive HTML",
+  },
+  // Export settings (presets and the export dialog)
+  DPI_BASE: 96, // CSS pixels per inch: 96 dpi is scale 1
+  DPI_MIN: 72,
+  DPI_MAX: 1200,
+  SCALE_MIN: 0.25,
+  SCALE_MAX: 10,
+  SIZE_MAX: 16384, // px, widest bitmap a preset can ask for
+  PADDING_MAX: 1000, // SVG units
+  QUALITY_MIN: 0.1,
+  WEBP_QUALITY_DEFAULT: 0.95,
+  PREVIEW_DEBOUNCE: 200, // ms between settings changes and the dialog preview refresh
+  // Interactive HTML export
+  HTML_ZOOM_STEP: 1.25, // zoom factor of the page's +/- buttons and keys
+  HTML_MINIMAP_SIZE: 180, // px, longest side of the page's minimap
+};
+
+/**
+ * PDF page layout (lengths in mm)
+ */
+export const PDF = {
+  // Portrait [width, height]
+  PAPER_SIZES: {
+    a5: [148, 210],
+    a4: [210, 297],
+    a3: [297, 420],
+    letter: [215.9, 279.4],
+    legal: [215.9, 355.6],
+    tabloid: [279.4, 431.8],
+  },
+  FIT: "fit", // One page sized to the diagram (no margins, title or tiling)
+  ORIENTATIONS: ["auto", "portrait", "landscape"],
+  PX_TO_MM: 25.4 / 96, // CSS pixels at 96 dpi: the diagram's natural print size
+  MARGIN_DEFAULT: 10,
+  MARGIN_MAX: 50,
+  OVERLAP_DEFAULT: 10,
+  OVERLAP_MAX: 50,
+  MAX_TILES_PER_SIDE: 10,
+  HEADER_HEIGHT: 12,
+  FOOTER_HEIGHT: 8,
+  MARK_LENGTH: 4, // Overlap tick marks drawn into the margin
+  TITLE_FONT_SIZE: 14, // pt
+  FOOTER_FONT_SIZE: 8, // pt
+};
+
+/**
+ * Print layout (lengths in mm, like PDF)
+ */
+export const PRINT = {
+  FITS: ["page", "scale", "poster"], // One sheet, a fixed scale, or tiled across sheets
+  PAGE_SIZE_DEFAULT: "a4",
+  SCALE_MIN: 0.1, // "scale" fit: 1 prints at natural size (96 dpi)
+  SCALE_MAX: 10,
+  FRAME_TIMEOUT: 60000, // ms before the print frame is removed if afterprint never fires
 };
 
 /**
@@ -64,6 +129,208 @@ export const PAN = {
   STEP_FAST: 120,
 };
 
+/**
+ * Pointer gestures in the fullscreen viewer
+ */
+export const POINTER = {
+  CLICK_TOLERANCE: 5, // px a pointer may move between down and up and still count as a click
+};
+
+/**
+ * Gallery navigation (multi-diagram modal)
+ */
+export const GALLERY = {
+  SWIPE_MIN_DISTANCE: 60, // px of horizontal travel before a touch counts as a swipe
+  SWIPE_MAX_DURATION: 500, // ms — slower drags are treated as pans
+  SWIPE_MAX_SCALE: 1.05, // swipes only navigate when the diagram is not zoomed in
+};
+
+/**
+ * Search result navigation
+ */
+export const SEARCH = {
+  FOCUS_MIN_SCALE: 1.5, // zoom in to at least this scale when jumping to a match
+  FOCUS_FIT_RATIO: 0.6, // ...but never so far that the match fills more of the viewport than this
+  FUZZY_MIN_LENGTH: 3, // shorter fuzzy queries only match exactly
+  FUZZY_CHARS_PER_ERROR: 4, // allow one typo per this many query characters...
+  FUZZY_MAX_ERRORS: 2, // ...up to this many
+  // Ranking — Enter visits higher scores first
+  SCORE_EXACT: 1, // whole label
+  SCORE_PREFIX: 0.9, // label starts with the query
+  SCORE_WORD_START: 0.8, // a word inside the label starts with the query
+  SCORE_SUBSTRING: 0.7, // anywhere else
+  SCORE_FUZZY: 0.6, // typo-tolerant match, scaled down by edit distance
+};
+
+/**
+ * Dependency highlighting
+ */
+export const DEPENDENCY_HIGHLIGHT = {
+  CLICK: "click", // plain click on a node traces it
+  ALT_CLICK: "alt-click", // only Alt+click traces (plain clicks stay free for links)
+  // Toolbar presets: hops to follow and which way along the arrows
+  PRESETS: {
+    1: { depth: 1, direction: "both" },
+    2: { depth: 2, direction: "both" },
+    upstream: { depth: Infinity, direction: "upstream" },
+    downstream: { depth: Infinity, direction: "downstream" },
+    all: { depth: Infinity, direction: "both" },
+  },
+};
+
+/**
+ * Hover tooltips in the fullscreen viewer
+ */
+export const TOOLTIP = {
+  DELAY_MAX: 5000, // ms
+  LONG_PRESS: 500, // ms a touch must rest on a node to show its tooltip
+  OFFSET: 14, // px between the pointer (or the node, on touch) and the tooltip
+  EDGE_MARGIN: 8, // px kept free between the tooltip and the window edge
+  MAX_DATA_ROWS: 6,
+  // data-* attributes Mermaid writes for its own use; not worth a tooltip row
+  IGNORED_DATA: ["id", "node", "et", "edge", "look", "points"],
+};
+
+/**
+ * Annotation layer
+ */
+export const ANNOTATION = {
+  FORMAT_VERSION: 1, // bump when the serialized shape format changes
+  TYPES: ["pen", "highlighter", "arrow", "rect", "text"],
+  COLORS: ["#ef4444", "#f59e0b", "#22c55e", "#3b82f6", "#a855f7", "#111827"],
+  // Stroke widths in screen pixels — converted to SVG units at the zoom they were drawn at
+  PEN_WIDTH: 3,
+  HIGHLIGHTER_WIDTH: 16,
+  HIGHLIGHTER_OPACITY: 0.35,
+  ARROW_HEAD_RATIO: 4, // arrowhead length as a multiple of the stroke width
+  NOTE_FONT_SIZE: 14,
+  NOTE_PADDING: 0.5, // padding around sticky-note text, in ems
+  NOTE_FILL: "#fef9c3",
+  MIN_POINT_DISTANCE: 2, // px between freehand samples
+  MIN_SHAPE_SIZE: 4, // px — smaller arrows/boxes are treated as accidental clicks
+};
+
+/**
+ * Data binding (colours, badges and tooltips from host data)
+ */
+export const DATA_BINDING = {
+  MATCH_MODES: ["auto", "id", "label"],
+  // Drawn parts of a node that fill and stroke apply to (labels are left alone)
+  SHAPE_SELECTOR: "rect, polygon, circle, ellipse, path",
+  BADGE_FONT_SIZE: 11,
+  BADGE_PADDING: 4, // horizontal padding inside the pill, in SVG units
+  BADGE_FILL: "#1f2937",
+  BADGE_TEXT: "#ffffff",
+  BADGE_MAX_LENGTH: 24, // longer badge text is truncated with an ellipsis
+};
+
+/**
+ * Follow-the-presenter sync
+ */
+export const SYNC = {
+  ROLES: ["presenter", "follower"],
+  CHANNEL: "diagview-sync", // Default BroadcastChannel name
+  PROTOCOL_VERSION: 1,
+  THROTTLE: 50, // ms between view / laser messages while the presenter moves
+  SETTLE_DELAY: 700, // ms after the last change to resend the view once animations have finished
+  TRANSITION_DURATION: 200, // ms followers animate towards each received view
+};
+
+/**
+ * Guided tours
+ */
+export const TOUR = {
+  ROTATIONS: [0, 90, 180, 270],
+  FIT_RATIO: 0.5, // a target node fills at most this much of the viewport
+  TRANSITION_DURATION: 600, // ms per camera move
+  MAX_CAPTION_LENGTH: 500,
+};
+
+/**
+ * Programmatic view control (DiagView.zoomTo, focusNode, ...)
+ */
+export const VIEW = {
+  TRANSITION_DURATION: 400, // ms per animated move
+  MAX_DURATION: 5000,
+  FIT_PADDING: 40, // px kept free around a focused node or selection
+};
+
+/**
+ * Inline (in-page) zoom and pan
+ */
+export const INLINE = {
+  HINT_DURATION: 1500, // ms the "Ctrl + scroll to zoom" hint stays up
+  MINIMAP_MIN_SCALE: 1.05, // The minimap shows once zoomed in past this
+  MINIMAP_SIZE: 120, // px, longer side of the minimap
+  SEARCH_DEBOUNCE: 150,
+  FOCUS_SCALE: 2, // Zoom a search match is brought to when the view is wider
+};
+
+/**
+ * Side-by-side / overlay comparison of two diagram versions
+ */
+export const COMPARE = {
+  MODES: ["side-by-side", "overlay"],
+  OPACITY_DEFAULT: 0.5, // Opacity of the later version in overlay mode
+  LABELS: ["Before", "After"],
+};
+
+/**
+ * Diagrams loaded from data-diagview-src or DiagView.mount()
+ */
+export const SOURCE = {
+  FETCH_TIMEOUT: 15000, // ms before a diagram download is given up
+};
+
+/**
+ * Diagram source blocks rendered to SVG (Mermaid, Graphviz, registered renderers)
+ */
+export const RENDER = {
+  MERMAID_SELECTOR: "pre.mermaid, pre.language-mermaid",
+  GRAPHVIZ_SELECTOR: "pre.language-dot, pre.language-graphviz",
+  TIMEOUT: 30000, // ms to render one block, including loading its library on first use
+};
+
+/**
+ * Animated GIF / WebM export of a camera sequence
+ */
+export const ANIMATION = {
+  FORMATS: ["gif", "webm"],
+  FPS_DEFAULT: 15,
+  FPS_MIN: 1,
+  FPS_MAX: 50, // GIF delays are in 1/100 s, and browsers slow down anything shorter than 2
+  DURATION_DEFAULT: 1000, // ms per move between two steps
+  HOLD_DEFAULT: 600, // ms on each step
+  TIME_MAX: 60000, // ms, longest move or hold
+  EASING_DEFAULT: "ease-in-out",
+  WIDTH_DEFAULT: 800, // px
+  SIZE_MIN: 16, // px
+  SIZE_MAX: 1920, // px
+  MAX_FRAMES: 500, // keeps GIF memory use reasonable
+  DEFAULT_STEPS: [{ zoom: 1 }, { zoom: 2.5 }, { zoom: 1 }], // when the diagram has no tour
+  WEBM_TYPES: ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"],
+  WEBM_BITRATE: 5000000, // bits per second
+  CAPTION_FONT_RATIO: 0.045, // caption text height relative to the frame height
+};
+
+/**
+ * Meeting mode pointer effects
+ */
+export const LASER = {
+  EFFECTS: ["dot", "trail", "spotlight", "ripple"],
+  EFFECT_LABELS: { dot: "Dot", trail: "Trail", spotlight: "Spotlight", ripple: "Ripple" },
+  SIZE_MIN: 8,
+  SIZE_MAX: 96,
+  // Used when laser.color is null: a lighter red reads better on dark backgrounds
+  COLOR_LIGHT: "#ef4444",
+  COLOR_DARK: "#f87171",
+  TRAIL_DURATION: 450, // ms a trail segment takes to fade out
+  SPOTLIGHT_RATIO: 5, // spotlight radius as a multiple of the pointer size
+  SPOTLIGHT_SHADE_LIGHT: "rgba(15, 23, 42, 0.55)",
+  SPOTLIGHT_SHADE_DARK: "rgba(0, 0, 0, 0.7)",
+  RIPPLE_DURATION: 600, // ms, keep in sync with the dv-laser-ripple animation
+};
+
 /**
  * Default colors
  */
@@ -96,6 +363,28 @@ export const LAYOUTS = {
   OFF: "off",
 };
 
+/**
+ * Public event names (DiagView.on / DiagView.off)
+ */
+export const EVENTS = {
+  OPEN: "open",
+  SWITCH: "switch",
+  CLOSE: "close",
+  ZOOM: "zoom",
+  PAN: "pan",
+  ROTATE: "rotate",
+  SEARCH: "search",
+  EXPORT_START: "export:start",
+  EXPORT_SUCCESS: "export:success",
+  EXPORT_ERROR: "export:error",
+  MEETING_TOGGLE: "meeting:toggle",
+  ANNOTATION_CHANGE: "annotation:change",
+  TOUR_STEP: "tour:step",
+  TOUR_END: "tour:end",
+  DIAGRAM_INIT: "diagram:init",
+  DIAGRAM_DEINIT: "diagram:deinit",
+};
+
 /**
  * Button styles
  */
@@ -0,0 +1,322 @@
+/**
+ * DiagView Data Binding
+ * Colours, badges and tooltips driven by host data: values are matched to
+ * nodes by ID, label or selector and turned into styles by rules. Everything
+ * applied is recorded in the markup (data-dv-* attributes and dv-data-* classes),
+ * so it survives cloneSVGForModal and can be undone on either copy.
+ * @module core/data-binding
+ */
+
+import { DATA_BINDING } from "./constants.js";
+import { isSafeColor } from "./utils.js";
+import { getDiagramModel, findDiagramItem } from "./diagram-adapters.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * @typedef {object} DataBinding
+ * @property {object|Array<object>} data - Values keyed by node ID or label, or
+ *   a list of { id | label | selector, value } entries
+ * @property {DataRules} rules - How a value styles its node
+ * @property {"auto"|"id"|"label"} match - What object keys are matched against
+ */
+
+/**
+ * Each rule is a constant, an object looking the value up (e.g. { down: "red" }),
+ * or a function (value, item) => result. null/undefined leaves the node as drawn.
+ * @typedef {object} DataRules
+ * @property {*} [fill] - Shape fill color
+ * @property {*} [stroke] - Shape stroke color
+ * @property {*} [badge] - Badge text at the node's top-right corner
+ * @property {*} [opacity] - Node opacity (0-1)
+ * @property {*} [tooltip] - Hover text
+ */
+
+const RULE_KEYS = ["fill", "stroke", "badge", "opacity", "tooltip"];
+
+/**
+ * Bindings per diagram container.
+ * WeakMap so removed diagrams are garbage-collected with their data.
+ * @type {WeakMap<HTMLElement, DataBinding>}
+ */
+const store = new WeakMap();
+
+/**
+ * Validate a mapping passed to bindData()
+ * @param {object} mapping - { data, rules, match }
+ * @returns {DataBinding} Cleaned binding
+ */
+export function normalizeDataBinding(mapping) {
+  const source = mapping && typeof mapping === "object" ? mapping : {};
+  const rules = {};
+  if (source.rules && typeof source.rules === "object") {
+    RULE_KEYS.forEach((key) => {
+      if (source.rules[key] !== undefined && source.rules[key] !== null) {
+        rules[key] = source.rules[key];
+      }
+    });
+  }
+  return {
+    data: source.data && typeof source.data === "object" ? source.data : {},
+    rules,
+    match: DATA_BINDING.MATCH_MODES.includes(source.match) ? source.match : "auto",
+  };
+}
+
+/**
+ * The binding stored for a diagram
+ * @param {HTMLElement} element - Diagram container
+ * @returns {DataBinding|null} Binding, or null if none
+ */
+export function getDataBinding(element) {
+  return (element && store.get(element)) || null;
+}
+
+/**
+ * Store (or with null, forget) a diagram's binding
+ * @param {HTMLElement} element - Diagram container
+ * @param {DataBinding|null} binding - Binding from normalizeDataBinding()
+ */
+export function setDataBinding(element, binding) {
+  if (binding) store.set(element, binding);
+  else store.delete(element);
+}
+
+/**
+ * Nodes and clusters whose ID or label equals a key
+ * @private
+ */
+function itemsByKey(model, key, by) {
+  const items = [...model.nodes, ...model.clusters];
+  const wanted = String(key);
+  if (by !== "label") {
+    const byId = items.filter((item) => item.id === wanted);
+    if (byId.length || by === "id") return byId;
+  }
+  const label = wanted.trim().toLowerCase();
+  return items.filter((item) => item.label.toLowerCase() === label);
+}
+
+/**
+ * Resolve the data to { element, item, value } targets in one SVG
+ * @private
+ */
+function resolveTargets(svg, binding) {
+  const model = getDiagramModel(svg);
+  if (!model) return [];
+  const targets = new Map();
+  const add = (element, item, value) => targets.set(element, { element, item, value });
+
+  if (Array.isArray(binding.data)) {
+    binding.data.forEach((entry) => {
+      if (!entry || typeof entry !== "object") return;
+      const value = "value" in entry ? entry.value : entry;
+      if (typeof entry.selector === "string") {
+        let matches = [];
+        try {
+          matches = Array.from(svg.querySelectorAll(entry.selector));
+        } catch {
+          console.warn(`DiagView: Invalid data binding selector "${entry.selector}"`);
+        }
+        matches.forEach((el) => {
+          const item = findDiagramItem(model, el);
+          add(item?.element ?? el, item, value);
+        });
+      } else if (entry.id !== undefined) {
+        itemsByKey(model, entry.id, "id").forEach((item) => add(item.element, item, value));
+      } else if (entry.label !== undefined) {
+        itemsByKey(model, entry.label, "label").forEach((item) => add(item.element, item, value));
+      }
+    });
+  } else {
+    Object.entries(binding.data).forEach(([key, value]) => {
+      itemsByKey(model, key, binding.match).forEach((item) => add(item.element, item, value));
+    });
+  }
+  return Array.from(targets.values());
+}
+
+/**
+ * Run one rule for a value
+ * @private
+ */
+function evaluate(rule, value, info) {
+  if (rule === undefined || rule === null) return null;
+  if (typeof rule === "function") {
+    try {
+      return rule(value, info) ?? null;
+    } catch (e) {
+      console.warn("DiagView: data binding rule failed", e);
+      return null;
+    }
+  }
+  if (typeof rule === "object") {
+    const primitive = typeof value === "string" || typeof value === "number";
+    return primitive ? (rule[value] ?? null) : null;
+  }
+  return rule;
+}
+
+/**
+ * Shapes of a node that fill and stroke apply to (not its label or badge)
+ * @private
+ */
+function shapesOf(element) {
+  if (element.matches(DATA_BINDING.SHAPE_SELECTOR)) return [element];
+  return Array.from(element.querySelectorAll(DATA_BINDING.SHAPE_SELECTOR)).filter((shape) => {
+    const skip = shape.closest(".label, foreignObject, text, marker, .dv-data-badge");
+    return !skip || !element.contains(skip);
+  });
+}
+
+/**
+ * Set an inline style property, remembering what it was for clearDataBindings()
+ * @private
+ */
+function setStyle(el, property, value) {
+  const attr = `data-dv-${property}`;
+  if (!el.hasAttribute(attr)) el.setAttribute(attr, el.style.getPropertyValue(property));
+  el.style.setProperty(property, value, "important");
+}
+
+/**
+ * Put back a style property saved by setStyle()
+ * @private
+ */
+function restoreStyle(el, property) {
+  const attr = `data-dv-${property}`;
+  const saved = el.getAttribute(attr);
+  if (saved) el.style.setProperty(property, saved);
+  else el.style.removeProperty(property);
+  el.removeAttribute(attr);
+  if (!el.getAttribute("style")) el.removeAttribute("style");
+}
+
+/**
+ * <title> tooltip owned by the binding
+ * @private
+ */
+function addTooltip(el, text) {
+  const title = document.createElementNS(SVG_NS, "title");
+  title.setAttribute("class", "dv-data-tooltip");
+  title.textContent = text;
+  el.insertBefore(title, el.firstChild);
+}
+
+/**
+ * Box of an element in its own coordinates (zero-sized where layout is unavailable)
+ * @private
+ */
+function boxOf(el) {
+  try {
+    const box = el.getBBox();
+    if (box) return box;
+  } catch {
+    // Detached or not rendered
+  }
+  return { x: 0, y: 0, width: 0, height: 0 };
+}
+
+/**
+ * Pill with text, centred on the element's top-right corner
+ * @private
+ */
+function addBadge(element, text, tooltip) {
+  const label =
+    text.length > DATA_BINDING.BADGE_MAX_LENGTH
+      ? `${text.slice(0, DATA_BINDING.BADGE_MAX_LENGTH - 1)}…`
+      : text;
+  const box = boxOf(element);
+  const size = DATA_BINDING.BADGE_FONT_SIZE;
+  const height = size + DATA_BINDING.BADGE_PADDING;
+  const width = Math.max(height, label.length * size * 0.6 + 2 * DATA_BINDING.BADGE_PADDING);
+
+  const badge = document.createElementNS(SVG_NS, "g");
+  badge.setAttribute("class", "dv-data-badge");
+  badge.setAttribute("transform", `translate(${box.x + box.width}, ${box.y})`);
+
+  const pill = document.createElementNS(SVG_NS, "rect");
+  pill.setAttribute("x", String(-width / 2));
+  pill.setAttribute("y", String(-height / 2));
+  pill.setAttribute("width", String(width));
+  pill.setAttribute("height", String(height));
+  pill.setAttribute("rx", String(height / 2));
+  pill.setAttribute("fill", DATA_BINDING.BADGE_FILL);
+  pill.setAttribute("stroke", DATA_BINDING.BADGE_TEXT);
+
+  const caption = document.createElementNS(SVG_NS, "text");
+  caption.setAttribute("text-anchor", "middle");
+  caption.setAttribute("dominant-baseline", "central");
+  caption.setAttribute("font-size", String(size));
+  caption.setAttribute("font-family", "system-ui, sans-serif");
+  caption.setAttribute("fill", DATA_BINDING.BADGE_TEXT);
+  caption.textContent = label;
+
+  badge.append(pill, caption);
+  if (tooltip) addTooltip(badge, tooltip);
+
+  // A bare shape can't hold children; the badge goes next to it instead
+  if (element.tagName.toLowerCase() === "g") element.appendChild(badge);
+  else element.after(badge);
+}
+
+/**
+ * Apply rule results to one target
+ * @private
+ */
+function applyTarget({ element, item, value }, rules) {
+  const info = {
+    kind: item?.kind ?? null,
+    id: item?.id ?? null,
+    label: item?.label ?? "",
+    element,
+  };
+  const fill = evaluate(rules.fill, value, info);
+  const stroke = evaluate(rules.stroke, value, info);
+  const badge = evaluate(rules.badge, value, info);
+  const opacity = evaluate(rules.opacity, value, info);
+  const tooltip = evaluate(rules.tooltip, value, info);
+  const tip = typeof tooltip === "string" || typeof tooltip === "number" ? String(tooltip) : "";
+
+  element.classList.add("dv-data-bound");
+  const shapes = shapesOf(element);
+  shapes.forEach((shape) => {
+    if (isSafeColor(fill)) setStyle(shape, "fill", fill.trim());
+    if (isSafeColor(stroke)) setStyle(shape, "stroke", stroke.trim());
+    if (tip) addTooltip(shape, tip);
+  });
+  if (typeof opacity === "number" && Number.isFinite(opacity)) {
+    setStyle(element, "opacity", String(Math.min(1, Math.max(0, opacity))));
+  }
+  if ((typeof badge === "string" && badge.trim()) || typeof badge === "number") {
+    addBadge(element, String(badge).trim(), tip);
+  }
+}
+
+/**
+ * Undo everything applyDataBinding() did to an SVG
+ * @param {SVGSVGElement} svg - Page diagram or modal clone
+ */
+export function clearDataBindings(svg) {
+  if (!svg) return;
+  svg.querySelectorAll(".dv-data-badge, title.dv-data-tooltip").forEach((el) => el.remove());
+  ["fill", "stroke", "opacity"].forEach((property) => {
+    svg.querySelectorAll(`[data-dv-${property}]`).forEach((el) => restoreStyle(el, property));
+  });
+  svg.querySelectorAll(".dv-data-bound").forEach((el) => el.classList.remove("dv-data-bound"));
+}
+
+/**
+ * Style an SVG from a binding, replacing what a previous binding applied
+ * @param {SVGSVGElement} svg - Page diagram or modal clone
+ * @param {DataBinding} binding - Binding from normalizeDataBinding()
+ * @returns {number} Number of elements bound
+ */
+export function applyDataBinding(svg, binding) {
+  if (!svg) return 0;
+  clearDataBindings(svg);
+  if (!binding) return 0;
+  const targets = resolveTargets(svg, binding);
+  targets.forEach((target) => applyTarget(target, binding.rules));
+  return targets.length;
+}
@@ -0,0 +1,692 @@
+/**
+ * DiagView Diagram Adapters
+ * Detect which tool generated an SVG (Mermaid, Graphviz, PlantUML, draw.io)
+ * and extract a normalized model of its nodes, edges and clusters.
+ *
+ * Node-level features (search, highlighting, ...) work on the model instead of
+ * hardcoding one generator's class names. Custom adapters can be registered
+ * for other generators and are tried before the built-ins.
+ *
+ * @module core/diagram-adapters
+ */
+
+import { state } from "./config.js";
+import { SELECTORS } from "./constants.js";
+
+/**
+ * @typedef {object} DiagramItem
+ * @property {"node"|"edge"|"cluster"} kind - Item type
+ * @property {string|null} id - Generator's identifier (clone ID prefixes removed)
+ * @property {string} label - Visible text, whitespace-collapsed
+ * @property {Element} element - Element that draws the item
+ * @property {string|null} [source] - Edge source node id, when known
+ * @property {string|null} [target] - Edge target node id, when known
+ */
+
+/**
+ * @typedef {object} DiagramModel
+ * @property {string} type - Adapter name, e.g. "mermaid" or "graphviz"
+ * @property {DiagramItem[]} nodes - Nodes in document order
+ * @property {DiagramItem[]} edges - Edges in document order
+ * @property {DiagramItem[]} clusters - Groups / subgraphs in document order
+ */
+
+/**
+ * @typedef {object} DiagramAdapter
+ * @property {string} name - Unique adapter name
+ * @property {(svg: SVGSVGElement) => boolean} detect - True if this adapter understands the SVG
+ * @property {(svg: SVGSVGElement) => {nodes?: object[], edges?: object[], clusters?: object[]}} extract
+ *   Raw items; missing fields are filled in (label from text, id from the element)
+ * @property {string} [searchSelector] - Elements search scans; defaults to every model element
+ */
+
+/**
+ * IDs inside modal clones are prefixed by fixIds() with generateUniqueId() output
+ */
+const CLONE_ID_PREFIX = /^dv-[a-z0-9]+-[a-z0-9]{1,5}-/;
+
+/**
+ * Generator-neutral ID of an element (clone prefix removed)
+ * @private
+ */
+function rawId(el) {
+  const id = el?.getAttribute?.("id");
+  return id ? id.replace(CLONE_ID_PREFIX, "") : null;
+}
+
+/**
+ * Collapse whitespace left by SVG text layout
+ * @private
+ */
+function normalizeText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Visible label of an element: its <text> and HTML label content.
+ * <title>/<desc> tooltips (Graphviz puts node IDs there) and data binding
+ * badges are skipped.
+ * @private
+ */
+function labelOf(el) {
+  const parts = Array.from(el.querySelectorAll("text, foreignObject"))
+    .filter((t) => !t.closest(".dv-data-badge"))
+    .map((t) => t.textContent);
+  if (parts.length) return normalizeText(parts.join(" "));
+  return el.matches("text") ? normalizeText(el.textContent) : "";
+}
+
+/**
+ * Split an edge ID like "A_B" into two known node IDs.
+ * Node IDs may themselves contain the separator, so try every split point.
+ * @private
+ */
+function splitEdgeId(body, nodeIds) {
+  for (let i = 1; i < body.length - 1; i++) {
+    if (body[i] !== "_" && body[i] !== "-") continue;
+    const source = body.slice(0, i);
+    const target = body.slice(i + 1);
+    if (nodeIds.has(source) && nodeIds.has(target)) return [source, target];
+  }
+  return [null, null];
+}
+
+/**
+ * First direct child with one of the given tag names
+ * @private
+ */
+function childByTag(el, ...tags) {
+  return Array.from(el.children).find((child) => tags.includes(child.tagName.toLowerCase()));
+}
+
+/**
+ * querySelectorAll as an array
+ * @private
+ */
+function all(root, selector) {
+  return Array.from(root.querySelectorAll(selector));
+}
+
+// ── Mermaid ──────────────────────────────────────────────────────────────────
+
+/**
+ * Mermaid node ID from data-id (v11) or the element ID ("flowchart-A-3", "classId-A-0")
+ * @private
+ */
+function mermaidNodeId(el) {
+  const dataId = el.getAttribute("data-id");
+  if (dataId) return dataId;
+  const id = rawId(el);
+  const match = id && /^(?:flowchart|classId|state|entity)-(.+)-\d+$/.exec(id);
+  return match ? match[1] : id;
+}
+
+/**
+ * Mermaid edge endpoints: "LS-A LE-B" classes (v10) or the edge ID ("L_A_B_0", "id_A_B_1")
+ * @private
+ */
+function mermaidEdgeEnds(el, nodeIds) {
+  const classes = Array.from(el.classList);
+  const ls = classes.find((c) => c.startsWith("LS-"));
+  const le = classes.find((c) => c.startsWith("LE-"));
+  if (ls && le) return [ls.slice(3), le.slice(3)];
+
+  const id = el.getAttribute("data-id") || rawId(el);
+  if (!id) return [null, null];
+  return splitEdgeId(id.replace(/^(?:L|id)[-_]/, "").replace(/[-_]\d+$/, ""), nodeIds);
+}
+
+/**
+ * Extract nodes, edges and clusters from Mermaid-style markup.
+ * Also serves as the generic fallback — `.node` / `.cluster` / `.edgePath`
+ * are the de-facto class names for many generators.
+ * @private
+ */
+function extractMermaid(svg) {
+  const nodes = all(svg, "g.node").map((element) => ({
+    element,
+    id: mermaidNodeId(element),
+  }));
+  const nodeIds = new Set(nodes.map((n) => n.id).filter(Boolean));
+
+  // v11 links an edge to its label via a shared data-id
+  const edgeLabels = new Map();
+  all(svg, ".edgeLabel [data-id]").forEach((el) => {
+    edgeLabels.set(el.getAttribute("data-id"), normalizeText(el.textContent));
+  });
+
+  const edges = all(svg, "path.flowchart-link, g.edgePath, path.relation, path.transition").map(
+    (element) => {
+      const [source, target] = mermaidEdgeEnds(element, nodeIds);
+      const id = element.getAttribute("data-id") || rawId(element);
+      return { element, id, source, target, label: edgeLabels.get(id) ?? labelOf(element) };
+    },
+  );
+
+  const clusters = all(svg, "g.cluster").map((element) => ({
+    element,
+    id: element.getAttribute("data-id") || rawId(element),
+  }));
+
+  return { nodes, edges, clusters };
+}
+
+// ── Graphviz ─────────────────────────────────────────────────────────────────
+
+/**
+ * Graphviz keeps identifiers in <title>: "A", "A->B" / "A--B", "cluster_x".
+ * Ports ("A:p1") are dropped so edges point at node IDs.
+ * @private
+ */
+function graphvizTitle(el) {
+  const title = childByTag(el, "title");
+  return title ? title.textContent.trim() : null;
+}
+
+function extractGraphviz(svg) {
+  const stripPort = (id) => id.replace(/:[^:]*$/, "");
+
+  const nodes = all(svg, "g.node").map((element) => ({ element, id: graphvizTitle(element) }));
+  const nodeIds = new Set(nodes.map((n) => n.id).filter(Boolean));
+
+  const edges = all(svg, "g.edge").map((element) => {
+    const id = graphvizTitle(element);
+    const parts = id ? id.split(/->|--/) : [];
+    let [source, target] = parts.length === 2 ? parts.map((p) => p.trim()) : [null, null];
+    if (source && !nodeIds.has(source)) source = stripPort(source);
+    if (target && !nodeIds.has(target)) target = stripPort(target);
+    return { element, id, source, target };
+  });
+
+  const clusters = all(svg, "g.cluster").map((element) => ({
+    element,
+    id: graphvizTitle(element),
+  }));
+
+  return { nodes, edges, clusters };
+}
+
+// ── PlantUML ─────────────────────────────────────────────────────────────────
+
+/**
+ * Newer PlantUML tags elements with data-* attributes (entity/link/cluster);
+ * older releases only use ID conventions ("elem_A", "link_A_B", "cluster_P").
+ * @private
+ */
+function extractPlantUML(svg) {
+  const legacyId = (el, prefix) => {
+    const id = rawId(el);
+    return id && id.startsWith(prefix) ? id.slice(prefix.length) : id;
+  };
+
+  const nodes = all(svg, "g.entity, g.participant-head, g[id^='elem_'], g[id*='-elem_']").map(
+    (element) => ({
+      element,
+      id: element.hasAttribute("data-entity-uid")
+        ? element.getAttribute("data-entity-uid")
+        : element.hasAttribute("data-entity")
+          ? rawId(element)
+          : legacyId(element, "elem_"),
+      label:
+        element.getAttribute("data-qualified-name") ||
+        element.getAttribute("data-entity") ||
+        undefined,
+    }),
+  );
+  const nodeIds = new Set(nodes.map((n) => n.id).filter(Boolean));
+
+  const edges = all(svg, "g.link, g.message, g[id^='link_'], g[id*='-link_']").map((element) => {
+    if (element.hasAttribute("data-entity-1")) {
+      return {
+        element,
+        id: rawId(element),
+        source: element.getAttribute("data-entity-1"),
+        target: element.getAttribute("data-entity-2"),
+      };
+    }
+    const body = legacyId(element, "link_");
+    const [source, target] = body ? splitEdgeId(body, nodeIds) : [null, null];
+    return { element, id: body, source, target };
+  });
+
+  const clusters = all(svg, "g.cluster, g[id^='cluster_'], g[id*='-cluster_']").map((element) => ({
+    element,
+    id: element.hasAttribute("data-entity") ? rawId(element) : legacyId(element, "cluster_"),
+    label: element.getAttribute("data-qualified-name") || undefined,
+  }));
+
+  return { nodes, edges, clusters };
+}
+
+// ── draw.io ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the uncompressed mxGraphModel that draw.io embeds in the SVG
+ * `content` attribute. Compressed diagrams return null.
+ * @private
+ */
+function parseDrawioCells(svg) {
+  const content = svg.getAttribute("content");
+  if (!content || !content.includes("<mxCell")) return null;
+
+  try {
+    const doc = new DOMParser().parseFromString(content, "text/xml");
+    if (doc.querySelector("parsererror")) return null;
+    const cells = new Map();
+    doc.querySelectorAll("mxCell").forEach((cell) => {
+      cells.set(cell.getAttribute("id"), {
+        vertex: cell.getAttribute("vertex") === "1",
+        edge: cell.getAttribute("edge") === "1",
+        parent: cell.getAttribute("parent"),
+        source: cell.getAttribute("source"),
+        target: cell.getAttribute("target"),
+        style: cell.getAttribute("style") || "",
+        // Labels may be HTML — keep the text only
+        value: normalizeText(
+          new DOMParser().parseFromString(cell.getAttribute("value") || "", "text/html").body
+            .textContent,
+        ),
+      });
+    });
+    return cells;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * draw.io wraps each cell in <g data-cell-id>. Cell metadata comes from the
+ * embedded model when available, otherwise from the drawing itself: an unfilled
+ * path is an edge, a cell containing other cells is a container.
+ * @private
+ */
+function extractDrawio(svg) {
+  const cells = parseDrawioCells(svg);
+  const parents = new Set(cells ? Array.from(cells.values(), (c) => c.parent) : []);
+  const result = { nodes: [], edges: [], clusters: [] };
+
+  all(svg, "g[data-cell-id]").forEach((element) => {
+    const id = element.getAttribute("data-cell-id");
+    const cell = cells?.get(id);
+
+    if (cell) {
+      if (cell.edge) {
+        result.edges.push({
+          element,
+          id,
+          source: cell.source,
+          target: cell.target,
+          label: cell.value || undefined,
+        });
+      } else if (cell.vertex) {
+        const isGroup =
+          parents.has(id) || /(^|;)(swimlane|group)(;|$)|container=1/.test(cell.style);
+        result[isGroup ? "clusters" : "nodes"].push({
+          element,
+          id,
+          label: cell.value || undefined,
+        });
+      }
+      // Anything else is a root or layer cell
+      return;
+    }
+
+    if (cells) return;
+
+    // No embedded model: skip root/layer wrappers that only hold other cells
+    const shape = childByTag(element, "path", "rect", "ellipse");
+    if (!shape) return;
+    if (shape.tagName.toLowerCase() === "path" && shape.getAttribute("fill") === "none") {
+      result.edges.push({ element, id, source: null, target: null });
+    } else {
+      result[element.querySelector("g[data-cell-id]") ? "clusters" : "nodes"].push({
+        element,
+        id,
+      });
+    }
+  });
+
+  return result;
+}
+
+// ── Registry ─────────────────────────────────────────────────────────────────
+
+/**
+ * Built-in adapters, most specific first. "generic" always matches.
+ * @type {DiagramAdapter[]}
+ */
+const BUILT_IN_ADAPTERS = [
+  {
+    name: "drawio",
+    detect: (svg) =>
+      /mxfile|mxGraphModel/.test(svg.getAttribute("content") || "") ||
+      !!svg.querySelector("g[data-cell-id]"),
+    extract: extractDrawio,
+    searchSelector: "g[data-cell-id], text, foreignObject",
+  },
+  {
+    name: "plantuml",
+    detect: (svg) =>
+      svg.hasAttribute("data-diagram-type") ||
+      !!svg.querySelector("g.entity[data-entity], g.link[data-entity-1], g[id^='elem_']") ||
+      !!svg.querySelector("g[id*='-elem_'], g[id*='-link_']"),
+    extract: extractPlantUML,
+    searchSelector:
+      "g.entity, g.participant-head, g.link, g.message, g.cluster, g[id*='elem_'], g[id*='cluster_'], text",
+  },
+  {
+    name: "graphviz",
+    detect: (svg) => !!svg.querySelector("g.graph > title, g.node > title, g.edge > title"),
+    extract: extractGraphviz,
+    searchSelector: "g.node, g.edge, g.cluster, text",
+  },
+  {
+    name: "mermaid",
+    detect: (svg) =>
+      svg.hasAttribute("aria-roledescription") || /(^|-)mermaid/.test(svg.getAttribute("id") || ""),
+    extract: extractMermaid,
+    searchSelector: SELECTORS.SEARCH_NODES,
+  },
+  {
+    name: "generic",
+    detect: () => true,
+    extract: extractMermaid,
+    searchSelector: SELECTORS.SEARCH_NODES,
+  },
+];
+
+/**
+ * Adapters registered at runtime, checked before the built-ins (newest first)
+ * @type {DiagramAdapter[]}
+ */
+let customAdapters = [];
+
+/**
+ * Per-SVG detection and model caches; replaced when adapters change
+ */
+let adapterCache = new WeakMap();
+let modelCache = new WeakMap();
+
+/**
+ * Register an adapter for another diagram generator.
+ * Registering a name that already exists replaces the earlier custom adapter.
+ * @param {DiagramAdapter} adapter - Adapter definition
+ * @returns {boolean} True if the adapter was registered
+ */
+export function registerDiagramAdapter(adapter) {
+  if (
+    !adapter ||
+    typeof adapter.name !== "string" ||
+    typeof adapter.detect !== "function" ||
+    typeof adapter.extract !== "function"
+  ) {
+    console.warn("DiagView: Diagram adapters need a name, detect() and extract()");
+    return false;
+  }
+
+  customAdapters = [adapter, ...customAdapters.filter((a) => a.name !== adapter.name)];
+  clearDiagramModelCache();
+  return true;
+}
+
+/**
+ * Remove a custom adapter (built-ins cannot be removed)
+ * @param {string} name - Adapter name
+ */
+export function unregisterDiagramAdapter(name) {
+  customAdapters = customAdapters.filter((a) => a.name !== name);
+  clearDiagramModelCache();
+}
+
+/**
+ * Forget cached detections and models (e.g. after a diagram re-renders in place)
+ */
+export function clearDiagramModelCache() {
+  adapterCache = new WeakMap();
+  modelCache = new WeakMap();
+  state.diagramModelsCached = false;
+}
+
+/**
+ * Resolve a diagram container or SVG to its SVG element
+ * @private
+ */
+function toSvg(target) {
+  if (!target) return null;
+  if (target.tagName?.toLowerCase() === "svg") return target;
+  return target.querySelector?.("svg") || null;
+}
+
+/**
+ * Find the adapter that understands an SVG
+ * @param {SVGSVGElement} svg - Diagram SVG
+ * @returns {DiagramAdapter} Matching adapter ("generic" if nothing more specific matches)
+ */
+export function detectDiagramAdapter(svg) {
+  const cached = adapterCache.get(svg);
+  if (cached) return cached;
+
+  let match = BUILT_IN_ADAPTERS[BUILT_IN_ADAPTERS.length - 1];
+  for (const adapter of [...customAdapters, ...BUILT_IN_ADAPTERS]) {
+    try {
+      if (adapter.detect(svg)) {
+        match = adapter;
+        break;
+      }
+    } catch (e) {
+      console.warn(`DiagView: Adapter "${adapter.name}" detect() failed`, e);
+    }
+  }
+
+  adapterCache.set(svg, match);
+  state.diagramModelsCached = true;
+  return match;
+}
+
+/**
+ * Fill in defaults for a raw adapter item
+ * @private
+ */
+function normalizeItem(raw, kind) {
+  const element = raw.element;
+  const item = {
+    kind,
+    id: raw.id ?? rawId(element),
+    label: raw.label !== undefined ? normalizeText(raw.label) : labelOf(element),
+    element,
+  };
+  if (kind === "edge") {
+    item.source = raw.source ?? null;
+    item.target = raw.target ?? null;
+  }
+  return item;
+}
+
+/**
+ * Build (or return the cached) normalized model of a diagram.
+ * Works on page diagrams and modal clones alike — clone ID prefixes are removed.
+ * @param {Element} target - Diagram container or its SVG
+ * @returns {DiagramModel|null} Model, or null if there is no SVG
+ */
+export function getDiagramModel(target) {
+  const svg = toSvg(target);
+  if (!svg) return null;
+
+  const cached = modelCache.get(svg);
+  if (cached) return cached;
+
+  const adapter = detectDiagramAdapter(svg);
+  let parts = {};
+  try {
+    parts = adapter.extract(svg) || {};
+  } catch (e) {
+    console.warn(`DiagView: Adapter "${adapter.name}" extract() failed`, e);
+  }
+
+  const valid = (raw) => raw && raw.element instanceof Element;
+  const model = {
+    type: adapter.name,
+    nodes: (parts.nodes || []).filter(valid).map((raw) => normalizeItem(raw, "node")),
+    edges: (parts.edges || []).filter(valid).map((raw) => normalizeItem(raw, "edge")),
+    clusters: (parts.clusters || []).filter(valid).map((raw) => normalizeItem(raw, "cluster")),
+  };
+
+  modelCache.set(svg, model);
+  state.diagramModelsCached = true;
+  return model;
+}
+
+/**
+ * Find the model item drawn by an element or one of its ancestors
+ * (e.g. the node a click on its label belongs to).
+ * @param {DiagramModel} model - Diagram model
+ * @param {Element} element - Element inside the diagram
+ * @returns {DiagramItem|null} Closest item, or null
+ */
+export function findDiagramItem(model, element) {
+  if (!model || !element) return null;
+  const items = new Map();
+  [...model.nodes, ...model.edges, ...model.clusters].forEach((item) => {
+    items.set(item.element, item);
+  });
+
+  for (let el = element; el && el.tagName?.toLowerCase() !== "svg"; el = el.parentElement) {
+    const item = items.get(el);
+    if (item) return item;
+  }
+  return null;
+}
+
+/**
+ * Walk edges out from a node.
+ * Upstream and downstream are walked separately — "2 hops" means two steps
+ * along the arrows in one direction, never sideways to a sibling.
+ * @param {DiagramModel} model - Diagram model
+ * @param {string} nodeId - Starting node ID
+ * @param {{depth?: number, direction?: "both"|"upstream"|"downstream"}} [options={}]
+ *   Hops to follow (Infinity = all) and which way
+ * @returns {{ nodes: DiagramItem[], edges: DiagramItem[] }} Reached nodes (including the start) and the edges walked
+ */
+export function getConnectedItems(model, nodeId, options = {}) {
+  const { depth = 1, direction = "both" } = options;
+  const nodesById = new Map(model.nodes.filter((n) => n.id).map((n) => [n.id, n]));
+  const reachedNodes = new Set([nodeId]);
+  const reachedEdges = new Set();
+
+  const walk = (from, to) => {
+    let frontier = new Set([nodeId]);
+    const seen = new Set(frontier);
+    for (let hop = 0; hop < depth && frontier.size; hop++) {
+      const next = new Set();
+      for (const edge of model.edges) {
+        if (!frontier.has(edge[from]) || !edge[to]) continue;
+        reachedEdges.add(edge);
+        if (!seen.has(edge[to])) {
+          seen.add(edge[to]);
+          next.add(edge[to]);
+        }
+      }
+      next.forEach((id) => reachedNodes.add(id));
+      frontier = next;
+    }
+  };
+
+  if (direction !== "upstream") walk("source", "target");
+  if (direction !== "downstream") walk("target", "source");
+
+  return {
+    nodes: [...reachedNodes].map((id) => nodesById.get(id)).filter(Boolean),
+    edges: [...reachedEdges],
+  };
+}
+
+/**
+ * @typedef {object} DiagramItemDetails
+ * @property {"node"|"edge"|"cluster"} kind - Item type
+ * @property {string|null} id - Generator's identifier
+ * @property {string|null} elementId - The element's own id, without the clone prefix
+ * @property {string} label - Visible text
+ * @property {string} type - Adapter name of the diagram
+ * @property {string[]} classes - Class names (DiagView's own dv-* classes left out)
+ * @property {Record<string, string>} data - data-* attributes, keyed without the "data-" prefix
+ * @property {string} title - Text of the item's <title> ("" if none)
+ * @property {string} description - Text of the item's <desc> ("" if none)
+ * @property {string[]} links - Link targets on or inside the item, in document order
+ * @property {DiagramItem[]|null} incoming - Node: edges ending at it (null if the format
+ *   has no edge endpoints)
+ * @property {DiagramItem[]|null} outgoing - Node: edges starting at it (same)
+ * @property {DiagramItem|null} source - Edge: its source node, when known
+ * @property {DiagramItem|null} target - Edge: its target node, when known
+ * @property {Element} element - Element that draws the item
+ */
+
+/**
+ * Link target of an <a>, SVG 2 href or legacy xlink:href
+ * @private
+ */
+function linkOf(a) {
+  return a.getAttribute("href") || a.getAttribute("xlink:href") || "";
+}
+
+/**
+ * Everything the markup says about a diagram item: IDs, classes, data
+ * attributes, tooltip text, links and, where the format exposes them, its edges.
+ * @param {DiagramModel} model - Diagram model
+ * @param {DiagramItem} item - Item from the model
+ * @returns {DiagramItemDetails} Item details
+ */
+export function describeDiagramItem(model, item) {
+  const { element } = item;
+  const data = {};
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    // data-dv-* attributes are DiagView's own bookkeeping
+    if (name.startsWith("data-") && !name.startsWith("data-dv-")) data[name.slice(5)] = value;
+  });
+  const links = [element.closest("a"), ...all(element, "a")]
+    .filter(Boolean)
+    .map(linkOf)
+    .filter((href, i, hrefs) => href && hrefs.indexOf(href) === i);
+
+  const hasEnds = model.edges.some((edge) => edge.source && edge.target);
+  const isNode = item.kind === "node" && hasEnds && item.id;
+  const nodeById = (id) => (id ? (model.nodes.find((node) => node.id === id) ?? null) : null);
+
+  return {
+    kind: item.kind,
+    id: item.id,
+    elementId: rawId(element),
+    label: item.label,
+    type: model.type,
+    classes: Array.from(element.classList).filter((c) => !/^(dv|diagview)-/.test(c)),
+    data,
+    title: normalizeText(childByTag(element, "title")?.textContent),
+    description: normalizeText(childByTag(element, "desc")?.textContent),
+    links,
+    incoming: isNode ? model.edges.filter((edge) => edge.target === item.id) : null,
+    outgoing: isNode ? model.edges.filter((edge) => edge.source === item.id) : null,
+    source: item.kind === "edge" ? nodeById(item.source) : null,
+    target: item.kind === "edge" ? nodeById(item.target) : null,
+    element,
+  };
+}
+
+/**
+ * Elements search should scan, and the label to match for each
+ * @param {SVGSVGElement} svg - Diagram SVG (usually the modal clone)
+ * @returns {{ element: Element, text: string }[]} Search candidates in document order
+ */
+export function getSearchableElements(svg) {
+  const adapter = detectDiagramAdapter(svg);
+  const model = getDiagramModel(svg);
+  const items = [...model.nodes, ...model.edges, ...model.clusters];
+  const labels = new Map(items.map((item) => [item.element, item.label]));
+
+  const elements = (
+    adapter.searchSelector ? all(svg, adapter.searchSelector) : items.map((item) => item.element)
+  ).filter((element) => !element.closest(".dv-annotations, .dv-data-badge"));
+
+  return elements.map((element) => ({
+    element,
+    text: labels.has(element) ? labels.get(element) : normalizeText(element.textContent),
+  }));
+}
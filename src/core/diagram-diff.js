@@ -0,0 +1,144 @@
+/**
+ * DiagView Diagram Diff
+ * Structural comparison of two versions of a diagram: which nodes and edges
+ * were added, removed or relabelled. Items are paired by generator ID first
+ * (clone prefixes are already removed by the model), then by visible label,
+ * so a diagram re-rendered with new IDs still lines up.
+ * @module core/diagram-diff
+ */
+
+import { getDiagramModel } from "./diagram-adapters.js";
+
+/**
+ * @typedef {import("./diagram-adapters.js").DiagramItem} DiagramItem
+ */
+
+/**
+ * @typedef {object} DiffPair
+ * @property {DiagramItem} before - Item in the earlier diagram
+ * @property {DiagramItem} after - Matching item in the later diagram
+ */
+
+/**
+ * @typedef {object} ItemDiff
+ * @property {DiagramItem[]} added - Only in the later diagram
+ * @property {DiagramItem[]} removed - Only in the earlier diagram
+ * @property {DiffPair[]} relabelled - In both, with different labels
+ * @property {DiffPair[]} unchanged - In both, with the same label
+ */
+
+/**
+ * @typedef {object} DiagramDiff
+ * @property {ItemDiff} nodes - Node changes
+ * @property {ItemDiff} edges - Edge changes
+ */
+
+/**
+ * Group items by a key, skipping empty keys
+ * @private
+ * @returns {Map<string, DiagramItem[]>} Items per key, in document order
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+/**
+ * Pair unmatched items that share a key, first come first served
+ * @private
+ */
+function pairBy(before, after, keyOf, matched, pairs) {
+  const candidates = groupBy(
+    after.filter((item) => !matched.has(item)),
+    keyOf,
+  );
+  before.forEach((item) => {
+    if (matched.has(item)) return;
+    const match = candidates.get(keyOf(item))?.shift();
+    if (!match) return;
+    matched.add(item);
+    matched.add(match);
+    pairs.push({ before: item, after: match });
+  });
+}
+
+/**
+ * Sort pairs and leftovers into an ItemDiff
+ * @private
+ * @returns {ItemDiff} Changes
+ */
+function summarize(before, after, pairs, matched) {
+  return {
+    added: after.filter((item) => !matched.has(item)),
+    removed: before.filter((item) => !matched.has(item)),
+    relabelled: pairs.filter((p) => p.before.label !== p.after.label),
+    unchanged: pairs.filter((p) => p.before.label === p.after.label),
+  };
+}
+
+/**
+ * Label of the node an edge end points at, falling back to the raw ID
+ * @private
+ */
+function endLabel(model, id) {
+  if (!id) return "";
+  return model.nodes.find((node) => node.id === id)?.label || id;
+}
+
+/**
+ * Compare the nodes and edges of two diagrams.
+ *
+ * Nodes pair by ID, then by label. Edges pair by ID, then by their label and
+ * the labels of the nodes at both ends, and finally by their ends alone — an
+ * edge whose text changed between the same two nodes counts as relabelled.
+ *
+ * @param {Element} before - Earlier diagram: container or SVG
+ * @param {Element} after - Later diagram: container or SVG
+ * @returns {DiagramDiff|null} Changes, or null if either side has no SVG
+ */
+export function diffDiagrams(before, after) {
+  const a = getDiagramModel(before);
+  const b = getDiagramModel(after);
+  if (!a || !b) return null;
+
+  const matched = new Set();
+  const nodePairs = [];
+  pairBy(a.nodes, b.nodes, (node) => node.id, matched, nodePairs);
+  pairBy(a.nodes, b.nodes, (node) => node.label, matched, nodePairs);
+
+  // Edge ends by label, so edges between renamed-ID nodes still line up
+  const models = new Map();
+  a.edges.forEach((edge) => models.set(edge, a));
+  b.edges.forEach((edge) => models.set(edge, b));
+  const ends = (edge) => {
+    const model = models.get(edge);
+    const source = endLabel(model, edge.source);
+    const target = endLabel(model, edge.target);
+    return source || target ? `${source}\u0000${target}` : "";
+  };
+
+  const edgePairs = [];
+  pairBy(a.edges, b.edges, (edge) => edge.id, matched, edgePairs);
+  pairBy(
+    a.edges,
+    b.edges,
+    (edge) => {
+      const key = ends(edge);
+      return key ? `${key}\u0000${edge.label}` : "";
+    },
+    matched,
+    edgePairs,
+  );
+  pairBy(a.edges, b.edges, ends, matched, edgePairs);
+
+  return {
+    nodes: summarize(a.nodes, b.nodes, nodePairs, matched),
+    edges: summarize(a.edges, b.edges, edgePairs, matched),
+  };
+}
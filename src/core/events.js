@@ -1,6 +1,7 @@
 /**
- * Internal Event Bus for DiagView
+ * Event Bus for DiagView
  * Lightweight pub/sub to decouple modules and avoid circular dependencies.
+ * Also carries the public events exposed through DiagView.on / DiagView.off.
  */
 
 /**
@@ -30,6 +31,10 @@ export function EventEmitter() {
         if (index !== -1) callbacks.splice(index, 1);
       }
     },
+    has(event) {
+      const callbacks = events.get(event);
+      return !!callbacks && callbacks.length > 0;
+    },
     emit(event, data) {
       const callbacks = events.get(event);
       if (callbacks) {
@@ -48,3 +53,44 @@ export function EventEmitter() {
     },
   };
 }
+
+/**
+ * Emit a public diagram event with the standard payload.
+ * Takes state explicitly (like registerTimeout) so this module stays import-free.
+ *
+ * @param {import('./config.js').DiagViewState} state - Instance state
+ * @param {string} type - Event name from EVENTS
+ * @param {HTMLElement|null} element - Diagram container the event relates to
+ * @param {object} [detail={}] - Event-specific fields merged into the payload
+ */
+export function emitDiagramEvent(state, type, element, detail = {}) {
+  // Skip payload work on hot paths (zoom/pan) when nobody is listening
+  if (!state.events.has(type)) return;
+
+  const index = parseInt(element?.dataset?.diagviewIndex ?? "-1", 10);
+  const isActive = !!element && element === state.activeSourceElement;
+
+  state.events.emit(type, {
+    type,
+    element,
+    index: Number.isNaN(index) ? -1 : index,
+    view: isActive ? captureViewState(state) : null,
+    ...detail,
+  });
+}
+
+/**
+ * Snapshot the modal's current view (null when no diagram is mounted)
+ * @param {import('./config.js').DiagViewState} state - Instance state
+ * @returns {{scale: number, pan: {x: number, y: number}, rotation: number}|null} View snapshot
+ */
+export function captureViewState(state) {
+  const panzoom = state.activePanzoom;
+  if (!panzoom) return null;
+
+  return {
+    scale: panzoom.getScale(),
+    pan: { ...panzoom.getPan() },
+    rotation: state.rotationAngle || 0,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * DiagView Export Settings
+ * Output settings shared by every export format — resolution, background,
+ * padding, watermark and quality — and the named presets from config that
+ * bundle them ("Slides 1080p", "Print 300dpi"). Pure: callers pass in config.
+ * @module core/export-settings
+ */
+
+import { EXPORT } from "./constants.js";
+
+/**
+ * @typedef {object} ExportSettings
+ * @property {"png"|"jpeg"|"webp"|"svg"|"pdf"|"html"} [format] - Output format (presets only)
+ * @property {string} [label] - Name shown in the export dialog (presets only)
+ * @property {number} [scale] - Bitmap scale (default: highResScale / mobileScale)
+ * @property {number} [dpi] - Bitmap resolution; 96 dpi is scale 1 (overrides scale)
+ * @property {number} [width] - Fit the bitmap into this many pixels wide (overrides scale and dpi)
+ * @property {number} [height] - Fit the bitmap into this many pixels tall (overrides scale and dpi)
+ * @property {string} [background] - Background colour (default: the theme background)
+ * @property {boolean} [transparent] - Skip the background (PNG/WebP/SVG)
+ * @property {number} [padding] - Space around the diagram in SVG units (default: automatic)
+ * @property {Record<string, *>|false} [watermark] - Overrides for config.watermark, or false for none
+ * @property {number} [quality] - JPEG/WebP quality from 0 to 1
+ * @property {boolean} [annotations] - Include the diagram's annotations
+ * @property {object} [pdf] - PDF layout overrides (see core/pdf-layout)
+ */
+
+/**
+ * Clamp a number, or undefined when it is not finite
+ * @private
+ */
+function clampOptional(value, min, max) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : undefined;
+}
+
+/**
+ * Keep only known settings, clamped to safe ranges. Unset values stay unset so
+ * they fall back to config.
+ * @param {Record<string, *>} [settings={}] - Raw settings (a preset or export options)
+ * @returns {ExportSettings} Normalised settings
+ */
+export function normalizeExportSettings(settings = {}) {
+  /** @type {Record<string, *>} */
+  const out = {};
+  const format = typeof settings.format === "string" ? settings.format.toLowerCase() : null;
+  if (format) out.format = format === "jpg" ? "jpeg" : format;
+  if (!EXPORT.FORMATS.includes(out.format)) delete out.format;
+  if (typeof settings.label === "string" && settings.label.trim()) {
+    out.label = settings.label.trim();
+  }
+
+  const numbers = {
+    scale: [EXPORT.SCALE_MIN, EXPORT.SCALE_MAX],
+    dpi: [EXPORT.DPI_MIN, EXPORT.DPI_MAX],
+    width: [1, EXPORT.SIZE_MAX],
+    height: [1, EXPORT.SIZE_MAX],
+    padding: [0, EXPORT.PADDING_MAX],
+    quality: [EXPORT.QUALITY_MIN, 1],
+  };
+  Object.entries(numbers).forEach(([key, [min, max]]) => {
+    const n = clampOptional(settings[key], min, max);
+    if (n !== undefined) out[key] = key === "width" || key === "height" ? Math.round(n) : n;
+  });
+
+  if (typeof settings.background === "string" && settings.background.trim()) {
+    out.background = settings.background.trim();
+  }
+  ["transparent", "annotations"].forEach((key) => {
+    if (typeof settings[key] === "boolean") out[key] = settings[key];
+  });
+  if (settings.watermark === false) out.watermark = false;
+  else if (settings.watermark && typeof settings.watermark === "object") {
+    out.watermark = { ...settings.watermark };
+  }
+  if (settings.pdf && typeof settings.pdf === "object") out.pdf = { ...settings.pdf };
+  return out;
+}
+
+/**
+ * Presets defined in config, in order, without the ones switched off with null
+ * @param {Record<string, *>} config - Effective configuration
+ * @returns {Array<ExportSettings & {name: string, label: string}>} Normalised presets
+ */
+export function getExportPresets(config) {
+  const presets = config.exportPresets;
+  if (!presets || typeof presets !== "object") return [];
+  return Object.entries(presets)
+    .filter(([, preset]) => preset && typeof preset === "object")
+    .map(([name, preset]) => ({ label: name, ...normalizeExportSettings(preset), name }));
+}
+
+/**
+ * Settings for one export: a preset (when options.preset names one) with the
+ * explicit options on top
+ * @param {Record<string, *>} config - Effective configuration
+ * @param {Record<string, *>} [options={}] - Export options
+ * @returns {ExportSettings} Normalised settings
+ */
+export function resolveExportSettings(config, options = {}) {
+  let preset = {};
+  if (options.preset) {
+    preset = getExportPresets(config).find((p) => p.name === options.preset) || {};
+    if (!preset.name) console.warn(`DiagView: Unknown export preset "${options.preset}"`);
+  }
+  const merged = { ...preset, ...normalizeExportSettings(options) };
+  delete merged.name;
+  delete merged.label;
+  // An explicit scale or dpi replaces a preset's pixel box, and dpi replaces scale
+  if (options.scale !== undefined || options.dpi !== undefined) {
+    if (options.width === undefined) delete merged.width;
+    if (options.height === undefined) delete merged.height;
+  }
+  if (options.scale !== undefined && options.dpi === undefined) delete merged.dpi;
+  return merged;
+}
+
+/**
+ * Bitmap scale for a diagram of the given size: a pixel box wins over dpi,
+ * dpi over scale, and everything over the fallback. The result is reduced to
+ * stay within maxPixels.
+ * @param {number} width - Export width in SVG units
+ * @param {number} height - Export height in SVG units
+ * @param {ExportSettings} settings - Export settings
+ * @param {number} fallback - Scale when the settings have none
+ * @param {number} maxPixels - Pixel budget
+ * @returns {{scale: number, capped: boolean}} The scale, and whether maxPixels reduced it
+ */
+export function resolveExportScale(width, height, settings, fallback, maxPixels) {
+  let scale = fallback;
+  if (settings.width || settings.height) {
+    const sx = settings.width ? settings.width / width : Infinity;
+    const sy = settings.height ? settings.height / height : Infinity;
+    scale = Math.min(sx, sy);
+  } else if (settings.dpi) {
+    scale = settings.dpi / EXPORT.DPI_BASE;
+  } else if (settings.scale > 0) {
+    scale = settings.scale;
+  }
+
+  if (width * scale * (height * scale) > maxPixels) {
+    return { scale: Math.sqrt(maxPixels / (width * height)), capped: true };
+  }
+  return { scale, capped: false };
+}
@@ -0,0 +1,210 @@
+/**
+ * DiagView GIF Writer
+ * Encodes animated GIFs in the browser without third-party code. Frames share
+ * one global palette of up to 256 colours, picked by popularity from a
+ * reference frame — diagrams are mostly flat colours, so this keeps fills
+ * exact and only approximates antialiased edges. No dithering, no transparency.
+ * @module core/gif
+ */
+
+/**
+ * @typedef {object} GifFrame
+ * @property {Uint8Array} indices - One palette index per pixel, row by row
+ * @property {number} delay - Time the frame stays on screen, in hundredths of a second
+ */
+
+const MAX_CODE = 4096; // LZW codes are at most 12 bits
+const RGB15 = 32768; // 5 bits per channel
+
+/**
+ * 15-bit colour bucket of an RGBA pixel
+ * @private
+ */
+function bucketOf(rgba, i) {
+  return ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+}
+
+/**
+ * Palette for an image: the most common colours, each the average of the
+ * pixels in its 15-bit bucket
+ * @param {Uint8ClampedArray|Uint8Array} rgba - RGBA pixels (alpha is ignored)
+ * @param {number} [maxColors=256] - Palette size limit (2–256)
+ * @returns {Uint8Array} RGB triples, padded to a power of two with at least 4 entries
+ */
+export function buildPalette(rgba, maxColors = 256) {
+  const counts = new Uint32Array(RGB15);
+  const sums = new Float64Array(RGB15 * 3);
+  for (let i = 0; i < rgba.length; i += 4) {
+    const bucket = bucketOf(rgba, i);
+    counts[bucket]++;
+    sums[bucket * 3] += rgba[i];
+    sums[bucket * 3 + 1] += rgba[i + 1];
+    sums[bucket * 3 + 2] += rgba[i + 2];
+  }
+
+  const used = [];
+  for (let b = 0; b < RGB15; b++) if (counts[b]) used.push(b);
+  used.sort((a, b) => counts[b] - counts[a]);
+  const picked = used.slice(0, Math.max(2, Math.min(maxColors, 256)));
+
+  let size = 4;
+  while (size < picked.length) size *= 2;
+  const palette = new Uint8Array(size * 3);
+  picked.forEach((b, n) => {
+    for (let c = 0; c < 3; c++) palette[n * 3 + c] = Math.round(sums[b * 3 + c] / counts[b]);
+  });
+  return palette;
+}
+
+/**
+ * Map an image onto a palette (nearest colour, remembered per 15-bit bucket)
+ * @param {Uint8ClampedArray|Uint8Array} rgba - RGBA pixels (alpha is ignored)
+ * @param {Uint8Array} palette - RGB triples from buildPalette()
+ * @param {Int16Array} [cache] - Bucket → index cache to share between frames
+ *   (32768 entries, filled with -1)
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function indexPixels(rgba, palette, cache = new Int16Array(RGB15).fill(-1)) {
+  const out = new Uint8Array(rgba.length / 4);
+  const colors = palette.length / 3;
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    const bucket = bucketOf(rgba, i);
+    let index = cache[bucket];
+    if (index < 0) {
+      let best = Infinity;
+      for (let n = 0; n < colors; n++) {
+        const dr = palette[n * 3] - rgba[i];
+        const dg = palette[n * 3 + 1] - rgba[i + 1];
+        const db = palette[n * 3 + 2] - rgba[i + 2];
+        // Weighted towards green, like the eye
+        const d = 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+        if (d < best) {
+          best = d;
+          index = n;
+        }
+      }
+      cache[bucket] = index;
+    }
+    out[p] = index;
+  }
+  return out;
+}
+
+/**
+ * Compress palette indices with GIF's variable-width LZW
+ * @private
+ * @returns {number[]} Compressed bytes
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bits = 0;
+  let shift = 0;
+
+  const emit = (code) => {
+    bits |= code << shift;
+    shift += codeSize;
+    while (shift >= 8) {
+      out.push(bits & 0xff);
+      bits >>>= 8;
+      shift -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (shift > 0) out.push(bits & 0xff);
+  return out;
+}
+
+/**
+ * Write an animated GIF
+ * @param {object} gif - Image description
+ * @param {number} gif.width - Width in pixels
+ * @param {number} gif.height - Height in pixels
+ * @param {Uint8Array} gif.palette - Global palette from buildPalette()
+ * @param {GifFrame[]} gif.frames - Frames in order, each covering the whole image
+ * @param {boolean|number} [gif.loop=true] - true repeats forever, false plays once,
+ *   a number repeats that many extra times
+ * @returns {Uint8Array} The GIF file
+ */
+export function encodeGif({ width, height, palette, frames, loop = true }) {
+  const bytes = [];
+  const u16 = (n) => bytes.push(n & 0xff, (n >> 8) & 0xff);
+  const ascii = (s) => {
+    for (let i = 0; i < s.length; i++) bytes.push(s.charCodeAt(i));
+  };
+
+  const tableBits = Math.max(1, Math.log2(palette.length / 3));
+  const minCodeSize = Math.max(2, tableBits);
+
+  // Header and logical screen with the global colour table
+  ascii("GIF89a");
+  u16(width);
+  u16(height);
+  bytes.push(0x80 | (7 << 4) | (tableBits - 1), 0, 0);
+  palette.forEach((c) => bytes.push(c));
+
+  // NETSCAPE2.0 application extension: loop count (0 = forever)
+  if (loop !== false) {
+    bytes.push(0x21, 0xff, 0x0b);
+    ascii("NETSCAPE2.0");
+    bytes.push(0x03, 0x01);
+    u16(loop === true ? 0 : Math.max(0, Math.round(loop)));
+    bytes.push(0x00);
+  }
+
+  frames.forEach(({ indices, delay }) => {
+    // Graphic control extension: delay, no transparency
+    bytes.push(0x21, 0xf9, 0x04, 0x00);
+    u16(Math.max(0, Math.round(delay)));
+    bytes.push(0x00, 0x00);
+
+    // Image descriptor: full frame, global palette
+    bytes.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    bytes.push(0x00);
+
+    // Image data in sub-blocks of at most 255 bytes
+    bytes.push(minCodeSize);
+    const data = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      bytes.push(block.length, ...block);
+    }
+    bytes.push(0x00);
+  });
+
+  bytes.push(0x3b);
+  return Uint8Array.from(bytes);
+}
@@ -7,6 +7,7 @@
 import { state } from "./config.js";
 import { TIMING } from "./constants.js";
 import { debounce, safeQuerySelectorAll, stripDiagViewParams } from "./utils.js";
+import { findRenderer, getDiagramSelector } from "./renderers.js";
 import { initializeDiagram } from "../features/diagram-init.js";
 import { createModal, openFullscreen } from "../ui/modal.js";
 import { restoreViewFromURL } from "../features/lazy/share.js";
@@ -27,7 +28,7 @@ function checkShareLink() {
     return;
   }
 
-  const selector = state.config.diagramSelector;
+  const selector = getDiagramSelector();
   const allDiagrams = safeQuerySelectorAll(selector, document);
 
   if (allDiagrams.length === 0) return;
@@ -55,6 +56,25 @@ function checkShareLink() {
   }
 }
 
+/**
+ * Fetch a data-diagview-src diagram, or render a source block with its
+ * renderer; it is enhanced once its SVG is in
+ * @private
+ */
+function loadDiagramSource(diagram) {
+  const url = diagram.dataset.diagviewSrc;
+  const renderer = url ? null : findRenderer(diagram);
+  if (!url && !renderer) {
+    // Its renderer was unregistered while it waited
+    delete diagram.dataset.diagviewSrcState;
+    return;
+  }
+
+  import("../features/lazy/mount.js")
+    .then((m) => (url ? m.mountDiagram(diagram, url) : m.renderDiagram(diagram, renderer)))
+    .catch((e) => console.warn("DiagView: Failed to load diagram source", e));
+}
+
 /**
  * Get or create the global IntersectionObserver for lazy initialization.
  * OPT-2: Defers initialization until diagrams are near the viewport.
@@ -71,7 +91,8 @@ function getLazyObserver() {
         if (entry.isIntersecting) {
           const diagram = entry.target;
           const index = parseInt(diagram.dataset.diagviewIndex ?? "-1", 10);
-          initializeDiagram(diagram, index);
+          if (diagram.dataset.diagviewSrcState === "pending") loadDiagramSource(diagram);
+          else initializeDiagram(diagram, index);
           state.lazyObserver?.unobserve(diagram);
         }
       });
@@ -93,7 +114,7 @@ export function processDiagrams(root = document) {
     createModal();
   }
 
-  const selector = state.config.diagramSelector;
+  const selector = getDiagramSelector();
   const diagrams = [];
 
   // If root itself matches, add it
@@ -121,10 +142,20 @@ export function processDiagrams(root = document) {
     const index = indexMap.get(diagram) ?? -1;
     diagram.dataset.diagviewIndex = String(index);
 
-    if (hasSvg && !isInitialized) {
+    // Diagrams hosted as separate files, and source blocks with a renderer,
+    // are fetched or rendered once near the viewport, too
+    const needsSource =
+      !hasSvg &&
+      !diagram.dataset.diagviewSrcState &&
+      !!(diagram.dataset.diagviewSrc || findRenderer(diagram));
+    if (needsSource) diagram.dataset.diagviewSrcState = "pending";
+
+    if ((hasSvg && !isInitialized) || needsSource) {
       const observer = getLazyObserver();
       if (observer) {
         observer.observe(diagram);
+      } else if (needsSource) {
+        loadDiagramSource(diagram);
       } else {
         // Fallback for environments without IntersectionObserver support
         initializeDiagram(diagram, index);
@@ -0,0 +1,247 @@
+/**
+ * DiagView PDF Page Layout
+ * Pure geometry for PDF export: paper size and orientation, margins, the title
+ * and footer bands, and how the diagram is split into overlapping tiles when
+ * it is printed across several pages. Lengths are in mm, except for "fit"
+ * layouts, which keep the diagram's pixel size.
+ * @module core/pdf-layout
+ */
+
+import { PDF } from "./constants.js";
+
+/**
+ * @typedef {object} PdfOptions
+ * @property {string} pageSize - "fit" or a key of PDF.PAPER_SIZES
+ * @property {"auto"|"portrait"|"landscape"} orientation - "auto" follows the diagram's aspect
+ * @property {number} margin - Page margin (mm)
+ * @property {"auto"|{columns: number, rows: number}} tiles - "auto" prints at natural
+ *   size across as many pages as needed; a grid scales the diagram to span it
+ * @property {number} overlap - Content repeated on neighbouring tiles (mm)
+ * @property {boolean|string} title - Title band: true for the diagram's title, or custom text
+ * @property {boolean} vector - Embed the SVG as vector graphics instead of a bitmap
+ * @property {Record<string, string>|null} metadata - Document properties (title, subject,
+ *   author, keywords, creator)
+ * @property {boolean} [footer] - Keep the footer band on untiled pages too (print captions)
+ */
+
+/**
+ * @typedef {object} PdfPage
+ * @property {number} row - Tile row (0-based)
+ * @property {number} column - Tile column (0-based)
+ * @property {number} x - Where the whole diagram's left edge is drawn on this page
+ * @property {number} y - Where the whole diagram's top edge is drawn on this page
+ * @property {Array<[number, number, number, number]>} marks - Overlap tick marks (x1, y1, x2, y2)
+ */
+
+/**
+ * @typedef {object} PdfLayout
+ * @property {"mm"|"px"} unit - Unit of every length below
+ * @property {[number, number]} format - Page [width, height], already oriented
+ * @property {"portrait"|"landscape"} orientation - Page orientation
+ * @property {number} margin - Page margin
+ * @property {number} header - Height of the title band (0 without a title)
+ * @property {number} footer - Height of the footer band (0 without tiling or options.footer)
+ * @property {{x: number, y: number, width: number, height: number}} content - Area the
+ *   diagram is clipped to on every page
+ * @property {{width: number, height: number}} image - Size the whole diagram is drawn at
+ * @property {number} columns - Tile columns
+ * @property {number} rows - Tile rows
+ * @property {number} overlap - Overlap between neighbouring tiles (0 without tiling)
+ * @property {PdfPage[]} pages - Pages, row by row
+ */
+
+/**
+ * Clamp a number, falling back when it is not finite
+ * @private
+ */
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Tile setting: "auto", or a grid of 1..MAX_TILES_PER_SIDE columns and rows
+ * @private
+ */
+function normalizeTiles(tiles) {
+  if (tiles === "auto") return "auto";
+  const grid = typeof tiles === "object" && tiles ? tiles : { columns: 1, rows: 1 };
+  const side = (n) => Math.round(clampNumber(n, 1, PDF.MAX_TILES_PER_SIDE, 1));
+  return { columns: side(grid.columns), rows: side(grid.rows) };
+}
+
+/**
+ * Fill in and clamp PDF options. Unknown page sizes and orientations fall back
+ * to "fit" and "auto".
+ * @param {Partial<PdfOptions>} [options={}] - Raw options
+ * @returns {PdfOptions} Normalised options
+ */
+export function normalizePdfOptions(options = {}) {
+  const pageSize = String(options.pageSize ?? PDF.FIT).toLowerCase();
+  const metadata =
+    options.metadata && typeof options.metadata === "object"
+      ? Object.fromEntries(
+          Object.entries(options.metadata).filter(([, value]) => typeof value === "string"),
+        )
+      : null;
+
+  return {
+    pageSize: pageSize in PDF.PAPER_SIZES ? pageSize : PDF.FIT,
+    orientation: PDF.ORIENTATIONS.includes(options.orientation) ? options.orientation : "auto",
+    margin: clampNumber(options.margin, 0, PDF.MARGIN_MAX, PDF.MARGIN_DEFAULT),
+    tiles: normalizeTiles(options.tiles),
+    overlap: clampNumber(options.overlap, 0, PDF.OVERLAP_MAX, PDF.OVERLAP_DEFAULT),
+    title: typeof options.title === "string" ? options.title.trim() : options.title !== false,
+    vector: !!options.vector,
+    metadata,
+  };
+}
+
+/**
+ * Number of tiles of a given size needed to cover a length, each repeating
+ * `overlap` of its neighbour
+ * @private
+ */
+function tilesFor(length, size, overlap) {
+  return Math.max(1, Math.ceil((length - overlap) / (size - overlap) - 1e-9));
+}
+
+/**
+ * Length covered by n overlapping tiles
+ * @private
+ */
+function span(n, size, overlap) {
+  return n * (size - overlap) + overlap;
+}
+
+/**
+ * Tick marks in the margin where the overlap with each neighbouring tile begins
+ * @private
+ */
+function overlapMarks(content, length, overlap, { row, column, rows, columns }) {
+  if (length <= 0) return [];
+  const { x, y, width, height } = content;
+  const right = x + width;
+  const bottom = y + height;
+
+  /** @type {Array<[number, number, number, number]>} */
+  const marks = [];
+  const vertical = (mx) => marks.push([mx, y - length, mx, y], [mx, bottom, mx, bottom + length]);
+  const horizontal = (my) => marks.push([x - length, my, x, my], [right, my, right + length, my]);
+
+  if (column > 0) vertical(x + overlap);
+  if (column < columns - 1) vertical(right - overlap);
+  if (row > 0) horizontal(y + overlap);
+  if (row < rows - 1) horizontal(bottom - overlap);
+  return marks;
+}
+
+/**
+ * Lay a diagram out on PDF pages
+ * @param {number} width - Diagram width (px)
+ * @param {number} height - Diagram height (px)
+ * @param {PdfOptions} options - Normalised options (see normalizePdfOptions)
+ * @returns {PdfLayout} Page format, content area and tiles
+ */
+export function computePdfLayout(width, height, options) {
+  const landscape =
+    options.orientation === "auto" ? width > height : options.orientation === "landscape";
+  const orientation = landscape ? "landscape" : "portrait";
+
+  if (options.pageSize === PDF.FIT) {
+    return {
+      unit: "px",
+      format: [width, height],
+      orientation: width > height ? "landscape" : "portrait",
+      margin: 0,
+      header: 0,
+      footer: 0,
+      content: { x: 0, y: 0, width, height },
+      image: { width, height },
+      columns: 1,
+      rows: 1,
+      overlap: 0,
+      pages: [{ row: 0, column: 0, x: 0, y: 0, marks: [] }],
+    };
+  }
+
+  const [short, long] = PDF.PAPER_SIZES[options.pageSize];
+  const format = /** @type {[number, number]} */ (landscape ? [long, short] : [short, long]);
+  const tiles = options.tiles;
+  const tiled = tiles === "auto" || tiles.columns * tiles.rows > 1;
+
+  // Keep at least half of each dimension for the diagram
+  const margin = Math.min(options.margin, format[0] / 4, format[1] / 4);
+  const header = options.title ? PDF.HEADER_HEIGHT : 0;
+  const footer = tiled || options.footer ? PDF.FOOTER_HEIGHT : 0;
+  const content = {
+    x: margin,
+    y: margin + header,
+    width: format[0] - margin * 2,
+    height: format[1] - margin * 2 - header - footer,
+  };
+  const cw = content.width;
+  const ch = content.height;
+  const overlap = tiled ? Math.min(options.overlap, cw / 2, ch / 2) : 0;
+
+  let scale;
+  let columns;
+  let rows;
+  if (tiles === "auto") {
+    // Natural size, shrunk only if it would need more than MAX_TILES_PER_SIDE pages a side
+    const max = PDF.MAX_TILES_PER_SIDE;
+    scale = Math.min(PDF.PX_TO_MM, span(max, cw, overlap) / width, span(max, ch, overlap) / height);
+    columns = tilesFor(width * scale, cw, overlap);
+    rows = tilesFor(height * scale, ch, overlap);
+  } else {
+    ({ columns, rows } = tiles);
+    scale = Math.min(span(columns, cw, overlap) / width, span(rows, ch, overlap) / height);
+  }
+
+  const image = { width: width * scale, height: height * scale };
+  // Centre the diagram on the sheet the tiles form
+  const offsetX = (span(columns, cw, overlap) - image.width) / 2;
+  const offsetY = (span(rows, ch, overlap) - image.height) / 2;
+  const markLength = Math.min(PDF.MARK_LENGTH, margin);
+
+  /** @type {PdfPage[]} */
+  const pages = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      pages.push({
+        row,
+        column,
+        x: content.x + offsetX - column * (cw - overlap),
+        y: content.y + offsetY - row * (ch - overlap),
+        marks: overlapMarks(content, markLength, overlap, { row, column, rows, columns }),
+      });
+    }
+  }
+
+  return {
+    unit: "mm",
+    format,
+    orientation,
+    margin,
+    header,
+    footer,
+    content,
+    image,
+    columns,
+    rows,
+    overlap,
+    pages,
+  };
+}
+
+/**
+ * Footer label of a tiled page, "" when the layout has a single page
+ * @param {PdfLayout} layout - Page layout
+ * @param {PdfPage} page - The page
+ * @param {number} index - Its index in layout.pages
+ * @returns {string} e.g. "Page 2 of 4 · Row 1, Column 2"
+ */
+export function getPageLabel(layout, page, index) {
+  if (layout.pages.length < 2) return "";
+  return `Page ${index + 1} of ${layout.pages.length} · Row ${page.row + 1}, Column ${page.column + 1}`;
+}
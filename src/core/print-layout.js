@@ -0,0 +1,81 @@
+/**
+ * DiagView Print Layout
+ * Print options and where a diagram goes on the printed sheets: fitted to one
+ * page, at a fixed scale over as many pages as it needs, or as a poster tiled
+ * across several sheets. Built on the PDF page geometry, so a print and a PDF
+ * of the same settings match. Pure: the print frame lives in features/lazy/print.
+ * @module core/print-layout
+ */
+
+import { PDF, PRINT } from "./constants.js";
+import { normalizePdfOptions, computePdfLayout } from "./pdf-layout.js";
+
+/**
+ * @typedef {object} PrintOptions
+ * @property {string} pageSize - A key of PDF.PAPER_SIZES
+ * @property {"auto"|"portrait"|"landscape"} orientation - "auto" follows the diagram's aspect
+ * @property {number} margin - Page margin (mm)
+ * @property {"page"|"scale"|"poster"} fit - One sheet, a fixed scale, or tiled across sheets
+ * @property {number} scale - "scale" fit: 1 prints at natural size (96 dpi)
+ * @property {"auto"|{columns: number, rows: number}} tiles - "poster" fit: "auto" prints at
+ *   natural size, a grid scales the diagram to span it
+ * @property {number} overlap - Content repeated on neighbouring sheets (mm)
+ * @property {boolean|string} title - Title band: true for the diagram's title, or custom text
+ * @property {string} caption - Footer caption ("" for none)
+ * @property {boolean|string} url - Footer URL: true for the page's URL, or custom text
+ */
+
+/**
+ * Fill in and clamp print options. Unknown page sizes fall back to A4 and
+ * unknown fits to "page".
+ * @param {Partial<PrintOptions>} [options={}] - Raw options
+ * @returns {PrintOptions} Normalised options
+ */
+export function normalizePrintOptions(options = {}) {
+  const pdf = normalizePdfOptions({
+    ...options,
+    tiles: options.tiles ?? "auto",
+  });
+  const scale = Number(options.scale);
+
+  return {
+    pageSize: pdf.pageSize === PDF.FIT ? PRINT.PAGE_SIZE_DEFAULT : pdf.pageSize,
+    orientation: pdf.orientation,
+    margin: pdf.margin,
+    fit: PRINT.FITS.includes(options.fit) ? options.fit : "page",
+    scale: Number.isFinite(scale) ? Math.min(Math.max(scale, PRINT.SCALE_MIN), PRINT.SCALE_MAX) : 1,
+    tiles: pdf.tiles,
+    overlap: pdf.overlap,
+    title: pdf.title,
+    caption: typeof options.caption === "string" ? options.caption.trim() : "",
+    url: typeof options.url === "string" ? options.url.trim() : options.url !== false,
+  };
+}
+
+/**
+ * Lay a diagram out on printed sheets
+ * @param {number} width - Diagram width (px)
+ * @param {number} height - Diagram height (px)
+ * @param {PrintOptions} options - Normalised options (see normalizePrintOptions)
+ * @returns {import('./pdf-layout.js').PdfLayout} Sheet format, content area and tiles (mm)
+ */
+export function computePrintLayout(width, height, options) {
+  const page = {
+    pageSize: options.pageSize,
+    orientation: options.orientation,
+    margin: options.margin,
+    overlap: options.overlap,
+    title: options.title,
+    vector: true,
+    metadata: null,
+    footer: !!(options.caption || options.url),
+  };
+
+  if (options.fit === "scale") {
+    // Natural size of the scaled diagram, over as many sheets as it needs
+    const { scale } = options;
+    return computePdfLayout(width * scale, height * scale, { ...page, tiles: "auto" });
+  }
+  const tiles = options.fit === "poster" ? options.tiles : { columns: 1, rows: 1 };
+  return computePdfLayout(width, height, { ...page, tiles });
+}
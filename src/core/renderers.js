@@ -0,0 +1,163 @@
+/**
+ * DiagView Diagram Renderers
+ * Turn diagram source blocks (`<pre class="mermaid">`, `<pre class="language-dot">`)
+ * into SVG before they are enhanced. A renderer declares the blocks it handles
+ * with a selector and renders their text to SVG.
+ *
+ * The built-in Mermaid and Graphviz renderers are active when
+ * config.renderers.enabled is set and load their library on first use.
+ * Registered renderers are always active and are tried before the built-ins.
+ *
+ * @module core/renderers
+ */
+
+import { state } from "./config.js";
+import { RENDER } from "./constants.js";
+import { loadScript, generateUniqueId } from "./utils.js";
+
+/**
+ * @typedef {object} DiagramRenderer
+ * @property {string} name - Unique renderer name, e.g. "mermaid"
+ * @property {string} selector - Source blocks it renders, e.g. "pre.language-plantuml"
+ * @property {(source: string, element: HTMLElement) => Promise<string|SVGSVGElement>} render
+ *   SVG markup or element for a block's source text
+ */
+
+/**
+ * @typedef {object} DiagramSource
+ * @property {string} renderer - Name of the renderer that drew the diagram
+ * @property {string} source - The block's original text
+ */
+
+/**
+ * Render Mermaid source with mermaid.js, loaded from config.renderers on first use
+ * @private
+ */
+async function renderMermaid(source) {
+  if (!window.mermaid) {
+    const { mermaidLibraryUrl, mermaidLibraryIntegrity } = state.config.renderers;
+    await loadScript(mermaidLibraryUrl, mermaidLibraryIntegrity);
+    // Loaded by us, so nothing else renders the page's blocks
+    window.mermaid?.initialize({ startOnLoad: false, securityLevel: "strict" });
+  }
+  if (!window.mermaid) throw new Error("The Mermaid library is unavailable.");
+
+  const { svg } = await window.mermaid.render(generateUniqueId(), source);
+  return svg;
+}
+
+/**
+ * Render Graphviz DOT source with Viz.js, loaded from config.renderers on first use
+ * @private
+ */
+async function renderGraphviz(source) {
+  if (!window.Viz) {
+    const { graphvizLibraryUrl, graphvizLibraryIntegrity } = state.config.renderers;
+    await loadScript(graphvizLibraryUrl, graphvizLibraryIntegrity);
+  }
+  if (!window.Viz) throw new Error("The Graphviz library is unavailable.");
+
+  const viz = await window.Viz.instance();
+  return viz.renderString(source, { format: "svg" });
+}
+
+/** @type {DiagramRenderer[]} */
+const BUILT_IN_RENDERERS = [
+  { name: "mermaid", selector: RENDER.MERMAID_SELECTOR, render: renderMermaid },
+  { name: "graphviz", selector: RENDER.GRAPHVIZ_SELECTOR, render: renderGraphviz },
+];
+
+/**
+ * Renderers registered at runtime, checked before the built-ins (newest first)
+ * @type {DiagramRenderer[]}
+ */
+let customRenderers = [];
+
+/**
+ * Source text of rendered diagrams, for the viewer's "View source" toggle
+ * @type {WeakMap<HTMLElement, DiagramSource>}
+ */
+const sources = new WeakMap();
+
+/**
+ * Register a renderer for diagram source blocks.
+ * Registering a name that already exists replaces the earlier custom renderer.
+ * @param {DiagramRenderer} renderer - Renderer definition
+ * @returns {boolean} True if the renderer was registered
+ */
+export function registerRenderer(renderer) {
+  if (
+    !renderer ||
+    typeof renderer.name !== "string" ||
+    typeof renderer.selector !== "string" ||
+    typeof renderer.render !== "function"
+  ) {
+    console.warn("DiagView: Renderers need a name, a selector and render()");
+    return false;
+  }
+  try {
+    document.createDocumentFragment().querySelector(renderer.selector);
+  } catch (e) {
+    console.warn(`DiagView: Invalid renderer selector "${renderer.selector}"`);
+    return false;
+  }
+
+  customRenderers = [renderer, ...customRenderers.filter((r) => r.name !== renderer.name)];
+  return true;
+}
+
+/**
+ * Remove a custom renderer (built-ins are turned off with config.renderers.enabled)
+ * @param {string} name - Renderer name
+ */
+export function unregisterRenderer(name) {
+  customRenderers = customRenderers.filter((r) => r.name !== name);
+}
+
+/**
+ * Renderers in the order they are tried
+ * @returns {DiagramRenderer[]} Registered renderers, then the built-ins if enabled
+ */
+export function getActiveRenderers() {
+  return state.config.renderers?.enabled
+    ? [...customRenderers, ...BUILT_IN_RENDERERS]
+    : customRenderers;
+}
+
+/**
+ * Find the renderer for a source block
+ * @param {Element} element - Diagram container
+ * @returns {DiagramRenderer|null} First active renderer whose selector matches
+ */
+export function findRenderer(element) {
+  return getActiveRenderers().find((r) => element.matches?.(r.selector)) ?? null;
+}
+
+/**
+ * Selector for everything DiagView treats as a diagram: config.diagramSelector
+ * plus the source blocks of the active renderers
+ * @returns {string} CSS selector
+ */
+export function getDiagramSelector() {
+  return [state.config.diagramSelector, ...getActiveRenderers().map((r) => r.selector)]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Remember the source a diagram was rendered from
+ * @param {HTMLElement} element - Diagram container
+ * @param {DiagramSource} source - Renderer name and source text
+ */
+export function setDiagramSource(element, source) {
+  sources.set(element, source);
+}
+
+/**
+ * Source a diagram was rendered from
+ * @param {HTMLElement} element - Diagram container
+ * @returns {DiagramSource|null} Renderer name and source text, or null if not rendered by DiagView
+ */
+export function getDiagramSource(element) {
+  return sources.get(element) ?? null;
+}
@@ -0,0 +1,183 @@
+/**
+ * DiagView Search Query Matching
+ * Turns a query plus search modes (case-sensitive, whole-word, regex, fuzzy)
+ * into a matcher that scores node text. Pure functions — no DOM access — so the
+ * same rules apply to search, share links and tests.
+ * @module core/search-query
+ */
+
+import { SEARCH } from "./constants.js";
+
+/**
+ * @typedef {object} SearchOptions
+ * @property {boolean} caseSensitive - Match letter case exactly
+ * @property {boolean} wholeWord - Only match complete words
+ * @property {boolean} regex - Treat the query as a regular expression
+ * @property {boolean} fuzzy - Tolerate typos (ignored when regex is on)
+ */
+
+/**
+ * Single-letter share-link flags for each mode, in serialization order
+ */
+const MODE_FLAGS = {
+  caseSensitive: "c",
+  wholeWord: "w",
+  regex: "r",
+  fuzzy: "f",
+};
+
+/**
+ * Letters, digits and underscore in any script count as word characters
+ */
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Build a complete options object.
+ * Regex and fuzzy are mutually exclusive; regex wins when both are set.
+ * @param {Partial<SearchOptions>} [options={}] - Modes to enable
+ * @returns {SearchOptions} Normalized options
+ */
+export function normalizeSearchOptions(options = {}) {
+  const regex = !!options.regex;
+  return {
+    caseSensitive: !!options.caseSensitive,
+    wholeWord: !!options.wholeWord,
+    regex,
+    fuzzy: !regex && !!options.fuzzy,
+  };
+}
+
+/**
+ * Serialize enabled modes as a compact flag string (e.g. "cw")
+ * @param {Partial<SearchOptions>} options - Search modes
+ * @returns {string} Flag string, empty when every mode is off
+ */
+export function encodeSearchOptions(options) {
+  const normalized = normalizeSearchOptions(options);
+  return Object.entries(MODE_FLAGS)
+    .filter(([mode]) => normalized[mode])
+    .map(([, flag]) => flag)
+    .join("");
+}
+
+/**
+ * Parse a flag string produced by encodeSearchOptions. Unknown letters are ignored.
+ * @param {string|null} flags - Flag string from a share link
+ * @returns {SearchOptions} Normalized options
+ */
+export function parseSearchOptions(flags) {
+  const value = String(flags || "");
+  const options = {};
+  for (const [mode, flag] of Object.entries(MODE_FLAGS)) {
+    options[mode] = value.includes(flag);
+  }
+  return normalizeSearchOptions(options);
+}
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Rank a match by where it sits in the text:
+ * whole text > prefix > start of a word > anywhere
+ * @private
+ */
+function rankPosition(text, index, length) {
+  if (index === 0 && length === text.length) return SEARCH.SCORE_EXACT;
+  if (index === 0) return SEARCH.SCORE_PREFIX;
+  if (!WORD_CHAR.test(text[index - 1])) return SEARCH.SCORE_WORD_START;
+  return SEARCH.SCORE_SUBSTRING;
+}
+
+/**
+ * Smallest edit distance between the pattern and any substring of the text
+ * (Sellers' algorithm with adjacent transpositions counted as one edit).
+ * Stops early once the distance cannot beat maxErrors.
+ * @private
+ */
+function approximateDistance(pattern, text, maxErrors) {
+  const m = pattern.length;
+  let before = null;
+  let prev = Array.from({ length: m + 1 }, (_, i) => i);
+  let best = prev[m];
+
+  for (let j = 1; j <= text.length && best > 0; j++) {
+    const cur = [0];
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      cur[i] = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + cost);
+      if (before && i > 1 && pattern[i - 1] === text[j - 2] && pattern[i - 2] === text[j - 1]) {
+        cur[i] = Math.min(cur[i], before[i - 2] + 1);
+      }
+    }
+    best = Math.min(best, cur[m]);
+    before = prev;
+    prev = cur;
+  }
+
+  return best <= maxErrors ? best : Infinity;
+}
+
+/**
+ * Compile a query into a matcher.
+ *
+ * `score(text)` returns 0 for no match, otherwise a rank in (0, 1] — exact
+ * label matches score highest, typo-tolerant fuzzy matches lowest.
+ * An invalid regex yields a matcher that matches nothing and reports `error`.
+ *
+ * @param {string} query - Raw search query
+ * @param {Partial<SearchOptions>} [options={}] - Search modes
+ * @returns {{ score: (text: string) => number, error: string|null, options: SearchOptions }} Matcher
+ */
+export function createSearchMatcher(query, options = {}) {
+  const opts = normalizeSearchOptions(options);
+  const q = String(query || "").trim();
+  const none = { score: () => 0, error: null, options: opts };
+  if (!q) return none;
+
+  let source = opts.regex ? q : escapeRegExp(q);
+  if (opts.wholeWord && !opts.fuzzy) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, opts.caseSensitive ? "u" : "iu");
+  } catch (e) {
+    return { ...none, error: "Invalid regular expression" };
+  }
+
+  const exactScore = (text) => {
+    const match = pattern.exec(text);
+    // Zero-length regex matches (e.g. /x*/) would match every node
+    if (!match || match[0] === "") return 0;
+    return rankPosition(text, match.index, match[0].length);
+  };
+
+  if (!opts.fuzzy || q.length < SEARCH.FUZZY_MIN_LENGTH) {
+    return { score: exactScore, error: null, options: opts };
+  }
+
+  const needle = opts.caseSensitive ? q : q.toLowerCase();
+  const maxErrors = Math.min(
+    SEARCH.FUZZY_MAX_ERRORS,
+    Math.floor(needle.length / SEARCH.FUZZY_CHARS_PER_ERROR),
+  );
+
+  const fuzzyScore = (text) => {
+    const exact = exactScore(text);
+    if (exact || maxErrors === 0) return exact;
+
+    const haystack = opts.caseSensitive ? text : text.toLowerCase();
+    const distance = approximateDistance(needle, haystack, maxErrors);
+    if (distance === Infinity) return 0;
+    return SEARCH.SCORE_FUZZY * (1 - distance / (needle.length + 1));
+  };
+
+  return { score: fuzzyScore, error: null, options: opts };
+}
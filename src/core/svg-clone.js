@@ -1,5 +1,6 @@
 import { state } from "./config.js";
 import { sanitizeSVG, fixIds, generateUniqueId } from "./utils.js";
+import { getDiagramSelector } from "./renderers.js";
 import { showErrorToast, showInfoToast } from "../ui/toast.js";
 
 /**
@@ -309,7 +310,7 @@ export function cloneSVGForModal(svg) {
   // without "Double Prefixing".
 
   // Determine security mode (per-element override > global config)
-  const container = svg.closest(state.config.diagramSelector || ".diagram, .mermaid, .chart");
+  const container = svg.closest(getDiagramSelector() || ".diagram, .mermaid, .chart");
   const localMode = container?.dataset?.diagviewSanitize;
   const securityMode = localMode || state.config.security.mode || "strict";
 
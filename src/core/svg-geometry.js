@@ -0,0 +1,251 @@
+/**
+ * DiagView SVG Geometry
+ * Screen <-> SVG coordinate mapping for the modal diagram.
+ *
+ * We bypass manual trigonometry by using the browser's native geometry engine.
+ * The SVG Current Transformation Matrix (CTM) and its inverse already include
+ * Panzoom's scale/translate, the viewBox and the rotation group, so mapping
+ * through them is exact regardless of zoom, rotation, or layout shifts.
+ *
+ * @module core/svg-geometry
+ */
+
+/**
+ * Creates a standard SVG Point object used for matrix transformation math.
+ * @param {SVGSVGElement} svg - The context SVG element.
+ * @param {number} x - Target X coordinate.
+ * @param {number} y - Target Y coordinate.
+ * @returns {SVGPoint} A new SVG point at the specified coordinates.
+ * @private
+ */
+function makeSVGPoint(svg, x, y) {
+  const pt = svg.createSVGPoint();
+  pt.x = x;
+  pt.y = y;
+  return pt;
+}
+
+/**
+ * INVERSE MAPPING: Screen -> SVG Internal
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @param {number} screenX - Client X coordinate in pixels.
+ * @param {number} screenY - Client Y coordinate in pixels.
+ * @returns {{ x: number, y: number } | null} Internal SVG coordinates, or null if mapping fails.
+ */
+export function getScreenPointInSVGCoords(svg, screenX, screenY) {
+  try {
+    // Force a layout flush to ensure the CTM is up-to-date
+    svg.getBoundingClientRect();
+
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return null;
+
+    const svgPt = makeSVGPoint(svg, screenX, screenY).matrixTransform(ctm.inverse());
+    return { x: svgPt.x, y: svgPt.y };
+  } catch (e) {
+    console.error("DiagView: Geometry mapping failed", e);
+    return null;
+  }
+}
+
+/**
+ * INVERSE MAPPING: Screen -> local coordinates of any element inside the SVG.
+ * Unlike getScreenPointInSVGCoords this includes the element's own ancestors'
+ * transforms (e.g. the rotation group), so the result can be used directly
+ * for shapes appended to that element.
+ * @param {SVGGraphicsElement} element - Element whose coordinate system to map into.
+ * @param {number} screenX - Client X coordinate in pixels.
+ * @param {number} screenY - Client Y coordinate in pixels.
+ * @returns {{ x: number, y: number } | null} Local coordinates, or null if mapping fails.
+ */
+export function getScreenPointInElementCoords(element, screenX, screenY) {
+  try {
+    const svg = element.ownerSVGElement || /** @type {SVGSVGElement} */ (element);
+    const ctm = element.getScreenCTM();
+    if (!ctm) return null;
+
+    const pt = makeSVGPoint(svg, screenX, screenY).matrixTransform(ctm.inverse());
+    return { x: pt.x, y: pt.y };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Screen pixels per local unit of an element under the current zoom.
+ * Rotation-independent, so it can convert a pixel size into SVG units.
+ * @param {SVGGraphicsElement} element - Element inside the SVG.
+ * @returns {number} Pixels per unit (1 if the CTM is unavailable).
+ */
+export function getScreenScale(element) {
+  try {
+    const ctm = element.getScreenCTM();
+    const scale = ctm ? Math.hypot(ctm.a, ctm.b) : 0;
+    return scale > 0 ? scale : 1;
+  } catch (e) {
+    return 1;
+  }
+}
+
+/**
+ * Identifies exactly which internal SVG coordinate is currently at the center
+ * of the user's viewport.
+ *
+ * @param {HTMLElement} viewport - The modal container.
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @returns {{ x: number, y: number } | null} The internal SVG coordinates at the viewport center, or null if mapping fails.
+ */
+export function getViewportCenterInSVGCoords(viewport, svg) {
+  const vRect = viewport.getBoundingClientRect();
+  return getScreenPointInSVGCoords(svg, vRect.left + vRect.width / 2, vRect.top + vRect.height / 2);
+}
+
+/**
+ * INVERSE MAPPING: Screen rectangle -> SVG Internal
+ * Maps all four corners, so the result is the axis-aligned box in SVG units
+ * that covers the rectangle under any zoom or transform.
+ *
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @param {{left: number, top: number, width: number, height: number}} rect - Screen rectangle in pixels (e.g. a DOMRect).
+ * @returns {{ x: number, y: number, width: number, height: number } | null} The covered box in SVG units, or null if mapping fails.
+ */
+export function getScreenRectInSVGCoords(svg, rect) {
+  const corners = [
+    [rect.left, rect.top],
+    [rect.left + rect.width, rect.top],
+    [rect.left, rect.top + rect.height],
+    [rect.left + rect.width, rect.top + rect.height],
+  ].map(([x, y]) => getScreenPointInSVGCoords(svg, x, y));
+  if (corners.some((pt) => !pt)) return null;
+
+  const xs = corners.map((pt) => pt.x);
+  const ys = corners.map((pt) => pt.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * The part of the diagram currently visible in the viewport, in SVG units.
+ *
+ * @param {HTMLElement} viewport - The modal container.
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @returns {{ x: number, y: number, width: number, height: number } | null} The visible box, or null if mapping fails.
+ */
+export function getViewportRectInSVGCoords(viewport, svg) {
+  return getScreenRectInSVGCoords(svg, viewport.getBoundingClientRect());
+}
+
+/**
+ * FORWARD MAPPING: SVG Internal -> Screen
+ * Calculates where a specific internal coordinate appears on the user's
+ * screen under the current zoom/rotation.
+ *
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @param {number} svgX - Internal SVG X coordinate.
+ * @param {number} svgY - Internal SVG Y coordinate.
+ * @returns {{ x: number, y: number } | null} The screen-pixel coordinates of the internal point, or null if mapping fails.
+ */
+export function getSVGPointInScreenCoords(svg, svgX, svgY) {
+  try {
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return null;
+
+    const screenPt = makeSVGPoint(svg, svgX, svgY).matrixTransform(ctm);
+    return { x: screenPt.x, y: screenPt.y };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Pan so that an internal SVG coordinate lands in the center of the viewport.
+ * Measures against the live CTM, so call it after any zoom change has been laid out.
+ *
+ * Rotation needs no correction here: it lives on an inner <g>, so Panzoom's
+ * pan axes always match the screen axes.
+ *
+ * @param {HTMLElement} viewport - The modal container.
+ * @param {SVGSVGElement} svg - The active SVG diagram.
+ * @param {object} panzoom - Active Panzoom instance.
+ * @param {number} svgX - Internal SVG X coordinate.
+ * @param {number} svgY - Internal SVG Y coordinate.
+ * @param {{animate?: boolean}} [options={}] - Pan options
+ * @returns {boolean} False if the point could not be mapped to the screen
+ */
+export function panSVGPointToCenter(viewport, svg, panzoom, svgX, svgY, options = {}) {
+  const screenPt = getSVGPointInScreenCoords(svg, svgX, svgY);
+  if (!screenPt) return false;
+
+  const vRect = viewport.getBoundingClientRect();
+  const screenDX = vRect.left + vRect.width / 2 - screenPt.x;
+  const screenDY = vRect.top + vRect.height / 2 - screenPt.y;
+
+  // Panzoom translates in unscaled units
+  const scale = panzoom.getScale();
+  panzoom.pan(screenDX / scale, screenDY / scale, {
+    relative: true,
+    animate: !!options.animate,
+  });
+  return true;
+}
+
+/**
+ * FORWARD MAPPING: local coordinates of any element inside the SVG -> Screen.
+ * The counterpart of getScreenPointInElementCoords.
+ * @param {SVGGraphicsElement} element - Element whose coordinate system the point is in.
+ * @param {number} x - Local X coordinate.
+ * @param {number} y - Local Y coordinate.
+ * @returns {{ x: number, y: number } | null} Screen-pixel coordinates, or null if mapping fails.
+ */
+export function getElementPointInScreenCoords(element, x, y) {
+  try {
+    const svg = element.ownerSVGElement || /** @type {SVGSVGElement} */ (element);
+    const ctm = element.getScreenCTM();
+    if (!ctm) return null;
+
+    const pt = makeSVGPoint(svg, x, y).matrixTransform(ctm);
+    return { x: pt.x, y: pt.y };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Panzoom pan that puts a screen point in the viewport centre once the scale
+ * changes to toScale, so zoom and pan can be animated together.
+ *
+ * Panzoom renders the modal SVG as `scale(s) translate(x, y)` around the
+ * element's centre, so a point's screen offset from the element's untransformed
+ * centre O is s * (q + pan), where q is its unscaled offset. O itself does not
+ * move with zoom or pan, so one measurement under the current transform is enough.
+ *
+ * @param {HTMLElement} viewport - The modal container.
+ * @param {SVGSVGElement} svg - The active SVG diagram (the Panzoom element).
+ * @param {object} panzoom - Active Panzoom instance.
+ * @param {number} screenX - Current screen X of the point.
+ * @param {number} screenY - Current screen Y of the point.
+ * @param {number} toScale - Scale the pan is computed for.
+ * @returns {{ x: number, y: number }} Absolute Panzoom pan.
+ */
+export function getCenteringPan(viewport, svg, panzoom, screenX, screenY, toScale) {
+  const scale = panzoom.getScale();
+  const pan = panzoom.getPan();
+  const rect = svg.getBoundingClientRect();
+  const vRect = viewport.getBoundingClientRect();
+
+  // Box centre = O + s * pan
+  const rectX = rect.left + rect.width / 2;
+  const rectY = rect.top + rect.height / 2;
+  const originX = rectX - scale * pan.x;
+  const originY = rectY - scale * pan.y;
+
+  // Unscaled offset of the point from O
+  const qx = (screenX - rectX) / scale;
+  const qy = (screenY - rectY) / scale;
+
+  return {
+    x: (vRect.left + vRect.width / 2 - originX) / toScale - qx,
+    y: (vRect.top + vRect.height / 2 - originY) / toScale - qy,
+  };
+}
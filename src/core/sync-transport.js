@@ -0,0 +1,55 @@
+/**
+ * DiagView Sync Transports
+ * Message carriers for follow-the-presenter sync. A transport only moves plain
+ * JSON-safe objects between peers; the session logic lives in features/lazy/sync.
+ * BroadcastChannel (same-browser tabs) is built in; anything else — a WebSocket,
+ * WebRTC data channel or postMessage bridge — plugs in as an object with
+ * send() and subscribe().
+ * @module core/sync-transport
+ */
+
+import { SYNC } from "./constants.js";
+
+/**
+ * @typedef {object} SyncTransport
+ * @property {(message: object) => void} send - Deliver a message to every other peer
+ * @property {(handler: (message: object) => void) => Function} subscribe - Receive messages
+ *   from other peers; returns an unsubscribe function
+ * @property {() => void} [close] - Release the connection (called by stopSync() for built-in transports)
+ */
+
+/**
+ * Whether an object implements the transport interface
+ * @param {*} transport - Candidate transport
+ * @returns {boolean} True if it has send() and subscribe()
+ */
+export function isSyncTransport(transport) {
+  return (
+    !!transport && typeof transport.send === "function" && typeof transport.subscribe === "function"
+  );
+}
+
+/**
+ * Transport over a BroadcastChannel: syncs tabs and windows of the same
+ * origin in one browser. Messages are not echoed back to the sender.
+ * @param {string} [name="diagview-sync"] - Channel name; peers must use the same one
+ * @returns {SyncTransport|null} The transport, or null where BroadcastChannel is unavailable
+ */
+export function createBroadcastChannelTransport(name = SYNC.CHANNEL) {
+  if (typeof BroadcastChannel === "undefined") return null;
+
+  const channel = new BroadcastChannel(name);
+  return {
+    send(message) {
+      channel.postMessage(message);
+    },
+    subscribe(handler) {
+      const listener = (e) => handler(e.data);
+      channel.addEventListener("message", listener);
+      return () => channel.removeEventListener("message", listener);
+    },
+    close() {
+      channel.close();
+    },
+  };
+}
@@ -218,19 +218,25 @@ function detectBackground(isDark) {
   return bg;
 }
 
+/**
+ * The default light theme, whatever the page uses (print, server-side)
+ * @returns {{isDark: boolean, bg: string, text: string, accent: string}} Theme object
+ */
+export function getLightTheme() {
+  return {
+    isDark: false,
+    bg: COLORS.BG_LIGHT,
+    text: COLORS.TEXT_LIGHT,
+    accent: COLORS.ACCENT_LIGHT,
+  };
+}
+
 /**
  * Enhanced theme detection with caching and robust fallbacks
  * @returns {object} Theme object with isDark, bg, text, accent
  */
 export function detectTheme() {
-  if (typeof window === "undefined") {
-    return {
-      isDark: false,
-      bg: COLORS.BG_LIGHT,
-      text: COLORS.TEXT_LIGHT,
-      accent: COLORS.ACCENT_LIGHT,
-    };
-  }
+  if (typeof window === "undefined") return getLightTheme();
 
   // Return cached theme if fresh
   const now = Date.now();
@@ -0,0 +1,128 @@
+/**
+ * DiagView Tours
+ * Validation and storage of guided-tour steps. A tour is an ordered list of
+ * camera stops for one diagram, set through the API or read from the
+ * diagram's data-diagview-tour attribute. Playback lives in features/lazy/tour.
+ * @module core/tour
+ */
+
+import { state } from "./config.js";
+import { TOUR, ZOOM } from "./constants.js";
+
+/**
+ * @typedef {object} TourStep
+ * @property {number} [zoom] - Scale to zoom to (default: fit the target, else 1)
+ * @property {{x: number, y: number}} [center] - Point to centre, in diagram (SVG) coordinates
+ * @property {string} [target] - Node to centre: a node ID from getDiagramModel() or a CSS selector
+ * @property {number} rotation - 0, 90, 180 or 270
+ * @property {string} caption - Text shown under the diagram ("" for none)
+ */
+
+/**
+ * Steps set through the API, per diagram container (take precedence over the attribute)
+ * @type {WeakMap<HTMLElement, TourStep[]>}
+ */
+const store = new WeakMap();
+
+/**
+ * Validate and clean one step
+ * @param {*} raw - Untrusted step (e.g. from JSON)
+ * @returns {TourStep|null} Cleaned step, or null if it is not an object
+ */
+export function normalizeTourStep(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const rotation = (((Math.round(Number(raw.rotation) / 90) * 90) % 360) + 360) % 360;
+  /** @type {TourStep} */
+  const step = {
+    rotation: TOUR.ROTATIONS.includes(rotation) ? rotation : 0,
+    caption:
+      typeof raw.caption === "string" ? raw.caption.trim().slice(0, TOUR.MAX_CAPTION_LENGTH) : "",
+  };
+
+  const zoom = Number(raw.zoom);
+  if (raw.zoom != null && Number.isFinite(zoom) && zoom > 0) {
+    step.zoom = Math.min(Math.max(zoom, ZOOM.MIN_SCALE_LIMIT), ZOOM.MAX_SCALE_LIMIT);
+  }
+
+  // Accept { x, y } or [x, y]
+  const center = Array.isArray(raw.center) ? { x: raw.center[0], y: raw.center[1] } : raw.center;
+  if (center && Number.isFinite(center.x) && Number.isFinite(center.y)) {
+    step.center = { x: center.x, y: center.y };
+  }
+
+  if (typeof raw.target === "string" && raw.target.trim()) {
+    step.target = raw.target.trim();
+  }
+
+  return step;
+}
+
+/**
+ * Parse a tour: an array of steps, { steps: [...] }, or a JSON string of either
+ * @param {string|object|Array<object>} data - Tour definition
+ * @returns {TourStep[]|null} Valid steps, or null if the definition is malformed
+ */
+export function parseTour(data) {
+  let value = data;
+  if (typeof data === "string") {
+    try {
+      value = JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const list = Array.isArray(value) ? value : value?.steps;
+  if (!Array.isArray(list)) return null;
+  return list.map(normalizeTourStep).filter(Boolean);
+}
+
+/**
+ * Replace a diagram's tour. An empty list falls back to the data-diagview-tour attribute.
+ * @param {HTMLElement} element - Diagram container
+ * @param {Array<object>} steps - Steps to store
+ * @returns {TourStep[]} The stored steps
+ */
+export function setTour(element, steps) {
+  const list = (steps || []).map(normalizeTourStep).filter(Boolean);
+  if (list.length) {
+    store.set(element, list);
+    state.touredDiagrams.add(element);
+  } else {
+    store.delete(element);
+    state.touredDiagrams.delete(element);
+  }
+  return list;
+}
+
+/**
+ * Steps of a diagram's tour: those set through the API, else the ones in its
+ * data-diagview-tour attribute
+ * @param {HTMLElement} element - Diagram container
+ * @returns {TourStep[]} Steps in order (empty if the diagram has no tour)
+ */
+export function getTour(element) {
+  if (!element) return [];
+  const stored = store.get(element);
+  if (stored) return stored;
+
+  const attr = element.dataset?.diagviewTour;
+  if (!attr) return [];
+
+  const steps = parseTour(attr);
+  if (!steps) {
+    console.warn("DiagView: Ignoring malformed data-diagview-tour JSON");
+    return [];
+  }
+  return steps;
+}
+
+/**
+ * Whether a diagram has a tour
+ * @param {HTMLElement} element - Diagram container
+ * @returns {boolean} True if at least one step is defined
+ */
+export function hasTour(element) {
+  return getTour(element).length > 0;
+}
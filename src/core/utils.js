@@ -1,4 +1,4 @@
-import { TIMING } from "./constants.js";
+import { TIMING, POINTER } from "./constants.js";
 /**
  * DiagView Utility Functions
  * Framework-agnostic helper functions
@@ -717,6 +717,22 @@ export function setSVGContent(el, svgContent, mode = "replace") {
   }
 }
 
+/**
+ * Parse standalone SVG markup into an element of the current document.
+ * Parsed as HTML, so markup without an xmlns still yields SVG elements; the
+ * parsing document has no browsing context, so nothing in it runs. This does
+ * not sanitize — pass the markup through sanitizeSVG() first.
+ *
+ * @param {string} markup - SVG markup, optionally after an XML prolog or doctype
+ * @returns {SVGSVGElement|null} The <svg> root, or null if the markup isn't an SVG
+ */
+export function parseSVGMarkup(markup) {
+  if (typeof markup !== "string" || !markup.trim()) return null;
+  const root = new DOMParser().parseFromString(markup, "text/html").body.firstElementChild;
+  if (!(root instanceof SVGSVGElement)) return null;
+  return /** @type {SVGSVGElement} */ (document.importNode(root, true));
+}
+
 /**
  * Generate a unique ID for diagram instances
  * @returns {string} Unique generated ID
@@ -724,6 +740,77 @@ export function setSVGContent(el, svgContent, mode = "replace") {
 export function generateUniqueId() {
   return `dv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
 }
+/**
+ * Extract diagram title
+ * @param {HTMLElement} element - Diagram container
+ * @returns {string} Upper-cased display title
+ */
+export function extractDiagramTitle(element) {
+  // Try to find title in data attribute
+  const dataTitle = element.getAttribute("data-title");
+  if (dataTitle) return dataTitle.toUpperCase();
+
+  // Try to find title in SVG
+  const svg = element.querySelector("svg");
+  if (svg) {
+    const titleEl = svg.querySelector("title");
+    if (titleEl && titleEl.textContent.trim()) {
+      return titleEl.textContent.trim().toUpperCase();
+    }
+  }
+
+  return "DIAGRAM";
+}
+
+/**
+ * Colors are written into SVG attributes, so only accept plain color syntax
+ * (no url() references to arbitrary paint servers)
+ */
+const SAFE_COLOR = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/-]+\))$/i;
+
+/**
+ * Whether a value is plain CSS color syntax, safe to write into SVG
+ * @param {*} value - Candidate color
+ * @returns {boolean} True for hex, named, rgb(a) and hsl(a) colors
+ */
+export function isSafeColor(value) {
+  return typeof value === "string" && SAFE_COLOR.test(value.trim());
+}
+
+/**
+ * Whether the pointer has moved too far from where a press started to still count as a click
+ * @param {{x: number, y: number}|null} start - Where the press started
+ * @param {{clientX: number, clientY: number}} e - Current pointer event
+ * @returns {boolean} False when there was no press
+ */
+export function movedPastClick(start, e) {
+  return !!start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > POINTER.CLICK_TOLERANCE;
+}
+
+/**
+ * Tell clicks from pans: press() records where a pointer went down, isClick()
+ * checks the click that follows and forgets the press
+ * @returns {{press: (e: PointerEvent) => void, isClick: (e: MouseEvent) => boolean, reset: () => void}}
+ *   Tracker for one click handler
+ */
+export function createClickTracker() {
+  /** @type {{x: number, y: number}|null} */
+  let start = null;
+  return {
+    press(e) {
+      start = { x: e.clientX, y: e.clientY };
+    },
+    isClick(e) {
+      const moved = movedPastClick(start, e);
+      start = null;
+      return !moved;
+    },
+    reset() {
+      start = null;
+    },
+  };
+}
+
 /**
  * Robust dimension calculator
  * Prioritizes BBox to ensure we capture the actual visible content area,
@@ -0,0 +1,159 @@
+/**
+ * DiagView ZIP Writer
+ * Builds ZIP archives in the browser without third-party code. Entries are
+ * deflated with the native CompressionStream where the browser has one and it
+ * makes them smaller, otherwise stored as-is (PNG/JPEG/WebP are already
+ * compressed). No ZIP64: archives are limited to 4 GB and 65,535 entries.
+ * @module core/zip
+ */
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name - Path inside the archive (forward slashes)
+ * @property {Blob|Uint8Array|ArrayBuffer|string} data - File contents (strings are UTF-8 encoded)
+ * @property {Date} [date] - Modification time (default: now)
+ */
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800; // File names are UTF-8
+const VERSION = 20; // 2.0: deflate and folders
+
+/**
+ * CRC-32 lookup table (IEEE polynomial), built on first use
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read any supported entry payload as bytes
+ * @private
+ * @returns {Promise<Uint8Array>} The payload's bytes
+ */
+async function toBytes(data) {
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof data.arrayBuffer === "function") return new Uint8Array(await data.arrayBuffer());
+  // Older engines: Blob without arrayBuffer()
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(/** @type {ArrayBuffer} */ (reader.result)));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(data);
+  });
+}
+
+/**
+ * Raw-deflate bytes with the native CompressionStream, or null where unsupported
+ * @private
+ * @returns {Promise<Uint8Array|null>} Deflated bytes
+ */
+async function deflate(bytes) {
+  if (typeof CompressionStream === "undefined" || typeof Response === "undefined") return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    return null; // "deflate-raw" unsupported: store instead
+  }
+}
+
+/**
+ * MS-DOS time and date fields
+ * @private
+ */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day =
+    (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {ZipEntry[]} entries - Files to add, in order
+ * @param {{compress?: boolean}} [options={}] - Set compress: false to store every entry
+ * @returns {Promise<Blob>} The archive (application/zip)
+ */
+export async function createZip(entries, options = {}) {
+  const compress = options.compress !== false;
+  const encoder = new TextEncoder();
+  /** @type {BlobPart[]} */
+  const parts = [];
+  /** @type {Uint8Array[]} */
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name.replace(/\\/g, "/").replace(/^\/+/, ""));
+    const raw = await toBytes(entry.data);
+    const deflated = compress && raw.length ? await deflate(raw) : null;
+    const useDeflate = !!deflated && deflated.length < raw.length;
+    const body = useDeflate ? deflated : raw;
+    const crc = crc32(raw);
+    const { time, day } = dosDateTime(entry.date || new Date());
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, useDeflate ? METHOD_DEFLATE : METHOD_STORE, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46 + name.length));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, VERSION, true); // Made by
+    central.setUint16(6, VERSION, true); // Needed to extract
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, useDeflate ? METHOD_DEFLATE : METHOD_STORE, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra, comment, disk number, attributes: all zero
+    central.setUint32(42, offset, true);
+    new Uint8Array(central.buffer).set(name, 46);
+
+    parts.push(local.buffer, name, body);
+    directory.push(new Uint8Array(central.buffer));
+    offset += 30 + name.length + body.length;
+  }
+
+  const directorySize = directory.reduce((sum, d) => sum + d.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true); // Entries on this disk
+  end.setUint16(10, entries.length, true); // Total entries
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true); // Central directory offset
+
+  return new Blob([...parts, ...directory, end.buffer], { type: "application/zip" });
+}
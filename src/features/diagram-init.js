@@ -7,9 +7,11 @@
 import { openFullscreen } from "../ui/modal.js";
 import { exportDiagram } from "./export.js";
 import { state } from "../core/config.js";
-import { generateUniqueId, setSVGContent } from "../core/utils.js";
+import { generateUniqueId, setSVGContent, extractDiagramTitle } from "../core/utils.js";
 import { ICONS } from "../ui/icons.js";
-import { LAYOUTS, BUTTON_STYLES } from "../core/constants.js";
+import { LAYOUTS, BUTTON_STYLES, EVENTS } from "../core/constants.js";
+import { emitDiagramEvent } from "../core/events.js";
+import { getDiagramSelector } from "../core/renderers.js";
 import { createButtonGroup } from "../ui/button-factory.js";
 
 // Map to store per-diagram cleanup functions (for SPA-safe teardown)
@@ -79,8 +81,12 @@ function isValidSvg(svg) {
 
 /**
  * Show error boundary UI for broken diagrams
+ * @param {HTMLElement} element - Diagram container
+ * @param {SVGSVGElement|null} svg - The broken SVG, if any
+ * @param {{title: string, message: string}|null} [reason=null] - Explain a known failure
+ *   (e.g. a download error) instead of guessing it from the SVG
  */
-function showErrorBoundary(element, svg) {
+export function showErrorBoundary(element, svg, reason = null) {
   // Mark as error state
   element.dataset.diagviewError = "1";
 
@@ -92,7 +98,10 @@ function showErrorBoundary(element, svg) {
   let errorTitle = "Diagram Error";
   let errorMessage = "This diagram could not be rendered properly.";
 
-  if (!svg) {
+  if (reason) {
+    errorTitle = reason.title;
+    errorMessage = reason.message;
+  } else if (!svg) {
     errorTitle = "No Diagram Found";
     errorMessage = "No SVG content was found in this container.";
   } else {
@@ -143,26 +152,6 @@ function showErrorBoundary(element, svg) {
   }
 }
 
-/**
- * Extract diagram title
- */
-function extractDiagramTitle(element) {
-  // Try to find title in data attribute
-  const dataTitle = element.getAttribute("data-title");
-  if (dataTitle) return dataTitle.toUpperCase();
-
-  // Try to find title in SVG
-  const svg = element.querySelector("svg");
-  if (svg) {
-    const titleEl = svg.querySelector("title");
-    if (titleEl && titleEl.textContent.trim()) {
-      return titleEl.textContent.trim().toUpperCase();
-    }
-  }
-
-  return "DIAGRAM";
-}
-
 /**
  * Get button style class from config
  */
@@ -181,7 +170,8 @@ function getIcon(key, defaultIcon) {
 
 /**
  * Read per-element data-diagview-* overrides and merge over global config.
- * Supports: data-diagview-layout, data-diagview-accent, data-diagview-scale
+ * Supports: data-diagview-layout, data-diagview-accent, data-diagview-scale,
+ * data-diagview-inline
  *
  * @param {HTMLElement} element - Diagram container element
  * @returns {object} A local config snapshot for this element only
@@ -246,6 +236,20 @@ function readElementOverrides(element) {
     cfg.security = { ...cfg.security, allowRemoteResources: v };
   }
 
+  // data-diagview-inline="true|false" (+ -inline-minimap / -inline-search)
+  [
+    ["diagviewInline", "enabled"],
+    ["diagviewInlineMinimap", "minimap"],
+    ["diagviewInlineSearch", "search"],
+  ].forEach(([key, option]) => {
+    const v = dataset[key]?.toLowerCase();
+    if (v === "true" || v === "false") {
+      cfg.inline = { ...cfg.inline, [option]: v === "true" };
+    } else if (v !== undefined) {
+      console.warn(`DiagView: data-diagview-inline value "${v}" must be "true" or "false".`);
+    }
+  });
+
   // --- Watermark Overrides ---
   // data-diagview-watermark="true|false"
   if (dataset.diagviewWatermark) {
@@ -315,7 +319,7 @@ export function initializeDiagram(element, precalculatedIndex = -1) {
   if (precalculatedIndex >= 0) {
     element.dataset.diagviewIndex = precalculatedIndex;
   } else {
-    const allDiagrams = document.querySelectorAll(state.config.diagramSelector);
+    const allDiagrams = document.querySelectorAll(getDiagramSelector());
     element.dataset.diagviewIndex = Array.prototype.indexOf.call(allDiagrams, element);
   }
 
@@ -344,12 +348,20 @@ export function initializeDiagram(element, precalculatedIndex = -1) {
       svg.style.transition = "filter 0.3s ease";
       svg.classList.add("dv-svg-content");
     }
+
+    emitDiagramEvent(state, EVENTS.DIAGRAM_INIT, element, { layout });
     return;
   }
 
   const displayTitle = extractDiagramTitle(element);
   const styleClass = getButtonStyleClass();
 
+  // Inline zoom makes the card itself zoomable; fullscreen carries its view over
+  const isInline = !!elementConfig.inline?.enabled;
+  const inlineModule = () => import("./lazy/inline-zoom.js");
+  const openModal = () =>
+    isInline ? inlineModule().then((m) => m.expandInline(element)) : openFullscreen(element);
+
   // Create wrapper structure
   const wrapper = document.createElement("div");
   wrapper.className = "diagview-wrapper";
@@ -383,12 +395,26 @@ export function initializeDiagram(element, precalculatedIndex = -1) {
       feedback: true,
       onClick: () => exportDiagram(element, "download"),
     },
+    {
+      action: "export",
+      title: "Export options…",
+      icon: getIcon("export", ICONS.sliders),
+      styleClass: styleClass,
+      onClick: () => import("./lazy/export-dialog.js").then((m) => m.openExportDialog(element)),
+    },
+    {
+      action: "print",
+      title: "Print…",
+      icon: getIcon("print", ICONS.printer),
+      styleClass: styleClass,
+      onClick: () => import("./lazy/print.js").then((m) => m.printDiagram(element)),
+    },
     {
       action: "fullscreen",
       title: "Open fullscreen",
       icon: getIcon("fullscreen", ICONS.fs),
       styleClass: styleClass,
-      onClick: () => openFullscreen(element),
+      onClick: openModal,
     },
   ];
 
@@ -419,19 +445,39 @@ export function initializeDiagram(element, precalculatedIndex = -1) {
 
   viewport.appendChild(element);
 
-  // Click viewport to open fullscreen
-  const viewportHandler = (e) => {
-    if (!e.target.closest(".diagview-controls")) {
-      openFullscreen(element);
-    }
-  };
-  viewport.addEventListener("click", viewportHandler);
+  if (isInline) {
+    // Clicks and drags belong to panning; fullscreen is the toolbar button
+    wrapper.classList.add("diagview-inline");
+    let inlineCleanup = null;
+    let removed = false;
+    inlineModule()
+      .then((m) => {
+        if (!removed) inlineCleanup = m.setupInlineZoom(element, viewport, elementConfig.inline);
+      })
+      .catch((err) => console.warn("DiagView: Failed to load inline zoom", err));
 
-  // Store cleanup function and wrapper reference for this specific element
-  cleanupMap.set(element, {
-    fn: () => viewport.removeEventListener("click", viewportHandler),
-    wrapper: wrapper,
-  });
+    cleanupMap.set(element, {
+      fn: () => {
+        removed = true;
+        if (inlineCleanup) inlineCleanup();
+      },
+      wrapper: wrapper,
+    });
+  } else {
+    // Click viewport to open fullscreen
+    const viewportHandler = (e) => {
+      if (!e.target.closest(".diagview-controls")) {
+        openFullscreen(element);
+      }
+    };
+    viewport.addEventListener("click", viewportHandler);
+
+    // Store cleanup function and wrapper reference for this specific element
+    cleanupMap.set(element, {
+      fn: () => viewport.removeEventListener("click", viewportHandler),
+      wrapper: wrapper,
+    });
+  }
 
   // Apply SVG theme
   if (svg) {
@@ -439,6 +485,8 @@ export function initializeDiagram(element, precalculatedIndex = -1) {
     svg.classList.add("dv-svg-content");
     svg.style.color = "inherit";
   }
+
+  emitDiagramEvent(state, EVENTS.DIAGRAM_INIT, element, { layout });
 }
 
 /**
@@ -462,6 +510,11 @@ export function deinitializeDiagram(element) {
     cleanupMap.delete(element);
   }
 
+  // Error-boundary diagrams never announced diagram:init, so don't announce their removal
+  if (element.dataset.diagviewId) {
+    emitDiagramEvent(state, EVENTS.DIAGRAM_DEINIT, element);
+  }
+
   delete element.dataset.diagviewInit;
   delete element.dataset.diagviewId;
 }
@@ -5,8 +5,9 @@
  */
 
 import { state } from "../core/config.js";
-import { EXPORT, COLORS, TIMING } from "../core/constants.js";
-import { detectTheme } from "../core/theme.js";
+import { EXPORT, PDF, COLORS, TIMING, EVENTS } from "../core/constants.js";
+import { emitDiagramEvent } from "../core/events.js";
+import { detectTheme, getLightTheme } from "../core/theme.js";
 import {
   downloadFile,
   sanitizeFilename,
@@ -15,10 +16,27 @@ import {
   isClipboardAvailable,
   loadScript,
   getRobustDimensions,
+  extractDiagramTitle,
 } from "../core/utils.js";
+import { getViewportRectInSVGCoords } from "../core/svg-geometry.js";
 import { cloneSVGForExportAsync } from "../core/svg-clone.js";
 import { showSuccessToast, showErrorToast, showInfoToast, showWarningToast } from "../ui/toast.js";
 
+/**
+ * Part of a diagram to export, in the coordinates of the SVG being exported
+ * (the modal clone when exporting from the modal)
+ * @typedef {object} ExportRegion
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/**
+ * Output settings plus the area to export
+ * @typedef {import('../core/export-settings.js').ExportSettings & {region?: ExportRegion|null}} RenderOptions
+ */
+
 /**
  * Generate filename
  */
@@ -120,17 +138,20 @@ async function embedDocumentFonts(svgEl) {
 /**
  * Injects a watermark into the SVG for branding during export.
  * Supports "background" (centered/rotated) and "corner" styles.
+ * An export's own watermark settings win over the data-* settings of the
+ * exported diagram (sourceElement, else the one open in the modal) and config's;
+ * false leaves the watermark out.
  * @private
  */
-function injectWatermark(svg, d) {
+function injectWatermark(svg, d, override, theme, sourceElement) {
   if (!(svg instanceof SVGElement)) return;
 
   // 1. Start with global config
   const config = { ...state.config.watermark };
 
   // 2. Apply element-level overrides if available (A1)
-  // We use state.activeSourceElement as it's the original diagram container
-  const el = state.activeSourceElement;
+  // Each exported diagram uses its own container, so batch exports get per-diagram settings
+  const el = sourceElement || state.activeSourceElement;
   if (el && el.dataset) {
     const dataset = el.dataset;
     if (dataset.diagviewWatermark) config.enabled = dataset.diagviewWatermark === "true";
@@ -143,11 +164,16 @@ function injectWatermark(svg, d) {
     }
   }
 
+  if (override === false) return;
+  if (override && typeof override === "object") {
+    // Giving text alone is enough to switch it on
+    Object.assign(config, { enabled: true }, override);
+  }
+
   // Final validation before processing
   if (!config || !config.enabled || !config.text || !d || d.w <= 0 || d.h <= 0) return;
 
-  // Detect theme for contrasting color
-  const theme = detectTheme();
+  // Contrast with the export's theme
   const mainColor = theme.isDark ? "#ffffff" : "#000000";
   const contrastColor = theme.isDark ? "#000000" : "#ffffff";
 
@@ -258,6 +284,71 @@ function injectWatermark(svg, d) {
   }
 }
 
+/**
+ * Replace the modal's live annotation layer with a fresh one rendered from the
+ * stored shapes, or drop it when annotations were not requested.
+ * Shapes go into the rotation group when there is one, matching the modal.
+ * @private
+ */
+function applyAnnotations(exportSvg, annotations, layer) {
+  exportSvg.querySelectorAll("g.dv-annotations").forEach((el) => el.remove());
+  if (!annotations.length) return;
+
+  const root =
+    Array.from(exportSvg.children).find((el) => el.classList.contains("dv-rot-g")) || exportSvg;
+  root.appendChild(layer.renderAnnotationLayer(annotations));
+}
+
+/**
+ * Load core/annotations when the export includes a diagram's shapes.
+ * Diagrams nobody annotated never fetch it.
+ * @private
+ * @returns {Promise<typeof import('../core/annotations.js')|null>} The module, or null
+ */
+async function loadAnnotationLayer(options) {
+  if (!options.annotations || !state.annotatedDiagrams.has(options.sourceElement)) return null;
+  return import("../core/annotations.js");
+}
+
+/**
+ * Diagram bounds and the padded box a full export covers
+ * @private
+ * @returns {{d: {x: number, y: number, w: number, h: number}, annotations: Array<object>,
+ *   box: {x: number, y: number, width: number, height: number}}} Content bounds (annotations
+ *   included), the annotations to draw, and the export box
+ */
+function measureExport(sourceSvg, modalClone, options, layer) {
+  const d = getRobustDimensions(sourceSvg);
+
+  // The modal clone already measures its drawn layer; page SVGs don't have one,
+  // so grow the box to fit shapes drawn outside the diagram
+  const annotations = layer ? layer.getAnnotations(options.sourceElement) : [];
+  const annotationBox = !modalClone && layer?.getAnnotationBounds(annotations);
+  if (annotationBox) {
+    const right = Math.max(d.x + d.w, annotationBox.x + annotationBox.w);
+    const bottom = Math.max(d.y + d.h, annotationBox.y + annotationBox.h);
+    d.x = Math.min(d.x, annotationBox.x);
+    d.y = Math.min(d.y, annotationBox.y);
+    d.w = right - d.x;
+    d.h = bottom - d.y;
+  }
+
+  const zoomCushion = Math.max(d.w, d.h) * 0.05;
+  const padding =
+    options.padding >= 0 ? options.padding : Math.max(EXPORT.SVG_EXPORT_PADDING / 2, zoomCushion);
+
+  return {
+    d,
+    annotations,
+    box: {
+      x: d.x - padding,
+      y: d.y - padding,
+      width: d.w + padding * 2,
+      height: d.h + padding * 2,
+    },
+  };
+}
+
 /**
  * Prepare SVG for export.
  * KEY CHANGES vs original:
@@ -265,9 +356,15 @@ function injectWatermark(svg, d) {
  *  2. Set explicit px dimensions, never "100%" (avoids intrinsic-size=0 in <img>)
  *  3. Wait for fonts → embed them → consistent text metrics
  * @private
+ * @param {SVGSVGElement} svg - Original page SVG
+ * @param {SVGSVGElement|null} modalClone - Modal clone, when exporting from the modal
+ * @param {import('../core/export-settings.js').ExportSettings & {sourceElement?: HTMLElement,
+ *   region?: ExportRegion|null, lightTheme?: boolean}} [options={}] - Include the diagram's
+ *   annotations (stored per source element); crop to a region in the source SVG's coordinates;
+ *   padding, background and watermark overrides; lightTheme ignores the page theme
  */
-async function prepareSvgForExport(svg, modalClone) {
-  const theme = detectTheme();
+async function prepareSvgForExport(svg, modalClone, options = {}) {
+  const theme = options.lightTheme ? getLightTheme() : detectTheme();
 
   // Wait for fonts to load so BBox / computed styles are stable
   if (document.fonts?.ready) {
@@ -276,15 +373,24 @@ async function prepareSvgForExport(svg, modalClone) {
 
   // Use modalClone for dimensions and content if available to ensure fidelity
   const sourceSvg = modalClone || svg;
-  const d = getRobustDimensions(sourceSvg);
-
-  const zoomCushion = Math.max(d.w, d.h) * 0.05;
-  const padding = Math.max(EXPORT.SVG_EXPORT_PADDING / 2, zoomCushion);
-
-  const vx = d.x - padding;
-  const vy = d.y - padding;
-  const vw = d.w + padding * 2;
-  const vh = d.h + padding * 2;
+  const layer = await loadAnnotationLayer(options);
+  const { d, annotations, box } = measureExport(sourceSvg, modalClone, options, layer);
+  let { x: vx, y: vy, width: vw, height: vh } = box;
+
+  // A region crops the viewBox, never reaching past what a full export would show
+  let watermarkBox = d;
+  if (options.region) {
+    const r = options.region;
+    const left = Math.max(r.x, vx);
+    const top = Math.max(r.y, vy);
+    const right = Math.min(r.x + r.width, vx + vw);
+    const bottom = Math.min(r.y + r.height, vy + vh);
+    if (right <= left || bottom <= top) {
+      throw new Error("The selected area does not contain any of the diagram");
+    }
+    [vx, vy, vw, vh] = [left, top, right - left, bottom - top];
+    watermarkBox = { x: vx, y: vy, w: vw, h: vh };
+  }
   const width = vw;
   const height = vh;
 
@@ -296,6 +402,8 @@ async function prepareSvgForExport(svg, modalClone) {
   // Embed fonts so text metrics match the original browser render
   await embedDocumentFonts(exportSvg);
 
+  applyAnnotations(exportSvg, annotations, layer);
+
   // Set explicit dimensions as ATTRIBUTES (not CSS — CSS "100%" breaks img intrinsic size)
   exportSvg.setAttribute("viewBox", `${vx} ${vy} ${vw} ${vh}`);
   exportSvg.setAttribute("width", String(Math.round(width)));
@@ -326,9 +434,9 @@ async function prepareSvgForExport(svg, modalClone) {
   });
 
   // Inject watermark if enabled (Silent Branding)
-  injectWatermark(exportSvg, d);
+  injectWatermark(exportSvg, watermarkBox, options.watermark, theme, options.sourceElement);
 
-  return { width, height, bg: theme.bg, svg: exportSvg };
+  return { width, height, bg: options.background || theme.bg, svg: exportSvg };
 }
 
 /**
@@ -353,8 +461,14 @@ async function serializeSVGAsync(svgEl) {
 /**
  * Render to canvas.
  * CHANGE: always pass null as modalClone — use original SVG only.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {SVGSVGElement|null} modalClone - Modal clone, when exporting from the modal
+ * @param {boolean} [transparent=false] - Skip the background fill
+ * @param {RenderOptions} [options={}] - Include the diagram's annotations; scale, dpi or a pixel box override
+ *   highResScale / mobileScale (still capped by maxPixels); region crops the output;
+ *   background, padding and watermark overrides
  */
-export async function renderToCanvas(sourceElement, modalClone, transparent = false) {
+export async function renderToCanvas(sourceElement, modalClone, transparent = false, options = {}) {
   const originalSvg = sourceElement.querySelector("svg");
   if (!originalSvg) throw new Error("No SVG found");
 
@@ -364,19 +478,22 @@ export async function renderToCanvas(sourceElement, modalClone, transparent = fa
   }
 
   // Use modalClone if available to ensure export matches browser rendering
-  const result = await prepareSvgForExport(originalSvg, modalClone);
+  const result = await prepareSvgForExport(originalSvg, modalClone, { ...options, sourceElement });
   if (!result) throw new Error("SVG preparation failed");
 
   const { width, height, bg, svg: finalSvg } = result;
 
-  const isMobile = isMobileDevice();
-  let scale = isMobile
-    ? state.config.mobileScale || EXPORT.MOBILE_SCALE_DEFAULT
-    : state.config.highResScale || EXPORT.HIGH_RES_SCALE_DEFAULT;
-
-  const targetPixels = width * scale * (height * scale);
-  if (targetPixels > state.config.maxPixels) {
-    scale = Math.sqrt(state.config.maxPixels / (width * height));
+  const { resolveExportScale } = await import("../core/export-settings.js");
+  const { scale, capped } = resolveExportScale(
+    width,
+    height,
+    options,
+    isMobileDevice()
+      ? state.config.mobileScale || EXPORT.MOBILE_SCALE_DEFAULT
+      : state.config.highResScale || EXPORT.HIGH_RES_SCALE_DEFAULT,
+    state.config.maxPixels,
+  );
+  if (capped) {
     console.warn(`DiagView: Auto-scaled to ${scale.toFixed(2)}x for safety`);
   }
 
@@ -429,34 +546,49 @@ export async function renderToCanvas(sourceElement, modalClone, transparent = fa
   return { canvas, scale, width, height };
 }
 
+/**
+ * Serialize the standalone export SVG (sanitized, fonts embedded)
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {RenderOptions & {modalClone?: SVGSVGElement|null, lightTheme?: boolean}} options - Export
+ *   options; lightTheme ignores the page theme (background and watermark colours)
+ * @returns {Promise<{data: string, width: number, height: number}>} SVG markup and size
+ */
+export async function buildSVGExport(sourceElement, options) {
+  const originalSvg = sourceElement.querySelector("svg");
+  const prepared = await prepareSvgForExport(originalSvg, options.modalClone || null, {
+    ...options,
+    sourceElement,
+  });
+  if (!prepared) throw new Error("SVG preparation failed");
+  const { bg, svg, width, height } = prepared;
+
+  // Add bg rect for non-transparent SVG
+  if (!options.transparent) {
+    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    const vb = svg.getAttribute("viewBox");
+    const vbParts = vb ? vb.split(/\s+|,/).map(parseFloat) : [0, 0];
+    rect.setAttribute("x", vbParts[0] || 0);
+    rect.setAttribute("y", vbParts[1] || 0);
+    rect.setAttribute("width", "100%");
+    rect.setAttribute("height", "100%");
+    rect.setAttribute("fill", bg);
+    svg.insertBefore(rect, svg.firstChild);
+  }
+
+  return { data: await serializeSVGAsync(svg), width, height };
+}
+
 /**
  * Export as SVG
  * @param {HTMLElement} sourceElement - Element containing SVG
  * @param {object} [options={}] - Export options
+ * @returns {Promise<boolean>} True if the file was produced
  */
 export async function exportToSVG(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
-  const isTransparent = options.transparent || false;
-  const modalClone = options.modalClone || null;
 
   try {
-    const originalSvg = sourceElement.querySelector("svg");
-    const { bg, svg } = await prepareSvgForExport(originalSvg, modalClone);
-
-    // Add bg rect for non-transparent SVG
-    if (!isTransparent) {
-      const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-      const vb = svg.getAttribute("viewBox");
-      const vbParts = vb ? vb.split(/\s+|,/).map(parseFloat) : [0, 0];
-      rect.setAttribute("x", vbParts[0] || 0);
-      rect.setAttribute("y", vbParts[1] || 0);
-      rect.setAttribute("width", "100%");
-      rect.setAttribute("height", "100%");
-      rect.setAttribute("fill", bg);
-      svg.insertBefore(rect, svg.firstChild);
-    }
-
-    const data = await serializeSVGAsync(svg);
+    const { data } = await buildSVGExport(sourceElement, options);
 
     // Use DataURL for small SVGs to ensure filename compatibility on file://
     const isSmall = data.length < EXPORT.LARGE_FILE_THRESHOLD;
@@ -466,13 +598,30 @@ export async function exportToSVG(sourceElement, options = {}) {
 
     downloadFile(downloadUrl, `${filename}.svg`);
     showSuccessToast("SVG saved");
+    return true;
   } catch (e) {
     showErrorToast("SVG Failed", e.message);
+    return false;
   }
 }
 
+/**
+ * Encode a canvas as PNG, JPEG or WebP
+ * @private
+ * @returns {Promise<Blob>} Encoded image
+ */
+function canvasToBlob(canvas, mime, quality) {
+  if (quality === undefined && mime === "image/webp") quality = EXPORT.WEBP_QUALITY_DEFAULT;
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Encoding failed"))), mime, quality);
+  });
+}
+
 /**
  * Internal Image Export Processor
+ * options carries modalClone, silent, annotations, region and the export settings
+ * (scale, dpi, background, padding, watermark, quality)
+ * @returns {Promise<boolean>} True if the image was downloaded or copied
  */
 async function processImageExport(
   sourceElement,
@@ -480,9 +629,9 @@ async function processImageExport(
   format,
   transparent,
   copy,
-  modalClone,
-  silent = false,
+  options = {},
 ) {
+  const silent = !!options.silent;
   try {
     const isWebP = format === "webp";
     const isJpeg = format === "jpeg" || format === "jpg";
@@ -518,17 +667,15 @@ async function processImageExport(
 
     let canvasRef = null;
     try {
-      const { canvas, scale } = await renderToCanvas(sourceElement, modalClone, transparent);
+      const { canvas, scale } = await renderToCanvas(
+        sourceElement,
+        options.modalClone || null,
+        transparent,
+        { ...options, annotations: !!options.annotations },
+      );
       canvasRef = canvas;
 
-      const quality = isWebP ? 0.95 : undefined;
-      const blob = await new Promise((resolve, reject) => {
-        canvas.toBlob(
-          (b) => (b ? resolve(b) : reject(new Error("Encoding failed"))),
-          mime,
-          quality,
-        );
-      });
+      const blob = await canvasToBlob(canvas, mime, options.quality);
 
       if (copy) {
         // Clipboard (PNG only usually)
@@ -550,6 +697,7 @@ async function processImageExport(
         setTimeout(() => URL.revokeObjectURL(downloadUrl), TIMING.BUTTON_SUCCESS_DURATION);
         showSuccessToast(`${scale.toFixed(1)}x ${label} saved`);
       }
+      return true;
     } finally {
       // DOM-4: Release canvas memory immediately
       if (canvasRef) {
@@ -570,6 +718,7 @@ async function processImageExport(
     } else {
       showErrorToast("Export Failed", e.message);
     }
+    return false;
   }
 }
 
@@ -578,15 +727,7 @@ async function processImageExport(
  */
 export async function exportToPNG(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
-  return processImageExport(
-    sourceElement,
-    filename,
-    "png",
-    !!options.transparent,
-    false,
-    options.modalClone,
-    !!options.silent,
-  );
+  return processImageExport(sourceElement, filename, "png", !!options.transparent, false, options);
 }
 
 /**
@@ -594,15 +735,7 @@ export async function exportToPNG(sourceElement, options = {}) {
  */
 export async function exportToJPEG(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
-  return processImageExport(
-    sourceElement,
-    filename,
-    "jpeg",
-    !!options.transparent,
-    false,
-    options.modalClone,
-    !!options.silent,
-  );
+  return processImageExport(sourceElement, filename, "jpeg", !!options.transparent, false, options);
 }
 
 /**
@@ -610,14 +743,10 @@ export async function exportToJPEG(sourceElement, options = {}) {
  */
 export async function exportToWebP(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
-  return processImageExport(
-    sourceElement,
-    filename,
-    "webp",
-    !!options.transparent,
-    false,
-    options.modalClone,
-  );
+  return processImageExport(sourceElement, filename, "webp", !!options.transparent, false, {
+    ...options,
+    silent: false,
+  });
 }
 
 /**
@@ -625,11 +754,126 @@ export async function exportToWebP(sourceElement, options = {}) {
  */
 export async function copyToClipboard(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
-  return processImageExport(sourceElement, filename, "png", false, true, options.modalClone);
+  return processImageExport(sourceElement, filename, "png", false, true, {
+    ...options,
+    silent: false,
+  });
 }
 
 /**
- * Export as PDF
+ * Render a diagram to a file in memory instead of downloading it (used by
+ * batch export). JPEG with transparency switches to PNG, as in exportToJPEG.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {"png"|"jpeg"|"webp"|"svg"} format - Output format
+ * @param {import('../core/export-settings.js').ExportSettings & {modalClone?: SVGSVGElement|null,
+ *   region?: ExportRegion|null}} [options={}] - Export options
+ * @returns {Promise<{blob: Blob, extension: string, width: number, height: number}>} The file
+ *   and its size (pixels for bitmaps, SVG user units for SVG)
+ */
+export async function exportToBlob(sourceElement, format, options = {}) {
+  if (format === "svg") {
+    const { data, width, height } = await buildSVGExport(sourceElement, options);
+    const blob = new Blob([data], { type: "image/svg+xml;charset=utf-8" });
+    return { blob, extension: "svg", width: Math.round(width), height: Math.round(height) };
+  }
+
+  const transparent = !!options.transparent;
+  let extension = format === "webp" ? "webp" : format === "jpeg" ? "jpeg" : "png";
+  if (extension === "jpeg" && transparent) extension = "png";
+
+  const { canvas } = await renderToCanvas(
+    sourceElement,
+    options.modalClone || null,
+    transparent,
+    options,
+  );
+  try {
+    const blob = await canvasToBlob(canvas, `image/${extension}`, options.quality);
+    return { blob, extension, width: canvas.width, height: canvas.height };
+  } finally {
+    // DOM-4: Release canvas memory immediately
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * Area a full export of the page diagram covers, padding included, in the
+ * SVG's own coordinates. Regions passed to the exporters are clipped to it.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {{padding?: number, annotations?: boolean}} [options={}] - Padding override, and
+ *   whether annotations (which can grow the box) are included
+ * @returns {Promise<ExportRegion>} The export box
+ */
+export async function getExportBounds(sourceElement, options = {}) {
+  const svg = sourceElement.querySelector("svg");
+  if (!svg) throw new Error("No SVG found");
+  const measureOptions = { ...options, sourceElement };
+  const layer = await loadAnnotationLayer(measureOptions);
+  return measureExport(svg, null, measureOptions, layer).box;
+}
+
+/**
+ * Load the svg2pdf.js plugin, which lets jsPDF draw SVG as vector graphics
+ * @private
+ * @returns {Promise<boolean>} True if the plugin is available
+ */
+async function loadSvg2pdf(jsPDF) {
+  if (typeof jsPDF.API?.svg !== "function") {
+    await loadScript(state.config.svg2pdfLibraryUrl, state.config.svg2pdfLibraryIntegrity).catch(
+      () => {
+        // Checked below; the caller falls back to a bitmap
+      },
+    );
+  }
+  return typeof jsPDF.API?.svg === "function";
+}
+
+/**
+ * Title band, tile footer and overlap marks of a PDF page
+ * @private
+ * @param {*} pdf - jsPDF document
+ * @param {import('../core/pdf-layout.js').PdfLayout} layout - Page layout
+ * @param {import('../core/pdf-layout.js').PdfPage} page - Page to decorate
+ * @param {string} title - Title text ("" for none)
+ * @param {string} pageLabel - Footer text ("" for none)
+ */
+function drawPdfPageDecorations(pdf, layout, page, title, pageLabel) {
+  const { margin, content, header, footer } = layout;
+
+  if (header && title) {
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(PDF.TITLE_FONT_SIZE);
+    pdf.setTextColor(33);
+    // One line only: cut titles that are wider than the page
+    const [line] = pdf.splitTextToSize(title, content.width);
+    pdf.text(line, content.x, margin + header / 2, { baseline: "middle" });
+  }
+
+  if (footer && pageLabel) {
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(PDF.FOOTER_FONT_SIZE);
+    pdf.setTextColor(110);
+    pdf.text(pageLabel, content.x + content.width, layout.format[1] - margin - footer / 2, {
+      align: "right",
+      baseline: "middle",
+    });
+  }
+
+  if (page.marks.length) {
+    pdf.setDrawColor(120);
+    pdf.setLineWidth(0.2);
+    page.marks.forEach(([x1, y1, x2, y2]) => pdf.line(x1, y1, x2, y2));
+  }
+}
+
+/**
+ * Export as PDF. Page size, orientation, margins, tiling, the title band,
+ * metadata and vector output come from config.pdf, overridden by options.pdf.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {object} [options={}] - Export options
+ * @param {Partial<import('../core/pdf-layout.js').PdfOptions>} [options.pdf] - PDF layout options
+ * @returns {Promise<boolean>} True if the file was produced
  */
 export async function exportToPDF(sourceElement, options = {}) {
   const filename = options.filename || generateFilename(sourceElement.querySelector("svg"));
@@ -638,6 +882,9 @@ export async function exportToPDF(sourceElement, options = {}) {
 
   try {
     showInfoToast("Generating PDF...");
+    const { normalizePdfOptions, computePdfLayout, getPageLabel } =
+      await import("../core/pdf-layout.js");
+    const settings = normalizePdfOptions({ ...state.config.pdf, ...options.pdf });
     const pdfUrl = state.config.pdfLibraryUrl;
     if (!window.jspdf) {
       await loadScript(pdfUrl, state.config.pdfLibraryIntegrity).catch(() => {
@@ -648,29 +895,142 @@ export async function exportToPDF(sourceElement, options = {}) {
     // Fallback: If no jsPDF, save as PNG
     if (!window.jspdf) {
       showInfoToast("PDF engine unavailable, falling back to PNG...");
-      await exportToPNG(sourceElement, { filename, modalClone, silent: true });
-      return;
+      return exportToPNG(sourceElement, { ...options, filename, transparent: false, silent: true });
     }
 
     if (transparent) {
       showWarningToast("PDF format does not support transparency. Using background color.");
     }
 
-    const { canvas, width, height } = await renderToCanvas(sourceElement, modalClone, false);
-    const imgData = canvas.toDataURL("image/png");
-
     const { jsPDF } = window.jspdf;
-    const pdf = new jsPDF(width > height ? "l" : "p", "px", [width, height]);
-    pdf.addImage(imgData, "PNG", 0, 0, width, height, undefined, "FAST");
+    const vector = settings.vector && (await loadSvg2pdf(jsPDF));
+    if (settings.vector && !vector) {
+      showWarningToast("Vector PDF engine unavailable, embedding an image instead.");
+    }
+
+    let width;
+    let height;
+    let vectorSvg = null;
+    let imgData = null;
+    if (vector) {
+      const prepared = await prepareSvgForExport(sourceElement.querySelector("svg"), modalClone, {
+        ...options,
+        sourceElement,
+      });
+      if (!prepared) throw new Error("SVG preparation failed");
+      ({ width, height, svg: vectorSvg } = prepared);
+
+      // Paint the page background behind the diagram, as the bitmap path does
+      const [vx, vy, vw, vh] = (vectorSvg.getAttribute("viewBox") || "").split(/\s+/);
+      const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+      Object.entries({ x: vx, y: vy, width: vw, height: vh }).forEach(([k, v]) =>
+        bg.setAttribute(k, v),
+      );
+      bg.setAttribute("fill", prepared.bg || COLORS.BG_LIGHT);
+      vectorSvg.insertBefore(bg, vectorSvg.firstChild);
+    } else {
+      const rendered = await renderToCanvas(sourceElement, modalClone, false, options);
+      ({ width, height } = rendered);
+      imgData = rendered.canvas.toDataURL("image/png");
+    }
+
+    const layout = computePdfLayout(width, height, settings);
+    const title = settings.title === true ? extractDiagramTitle(sourceElement) : settings.title;
+    const pdf = new jsPDF({
+      orientation: layout.orientation,
+      unit: layout.unit,
+      format: layout.format,
+    });
+    pdf.setProperties({
+      title: title || extractDiagramTitle(sourceElement),
+      creator: "DiagView",
+      ...settings.metadata,
+    });
+
+    const tiled = layout.pages.length > 1;
+    const { content, image } = layout;
+    for (const [index, page] of layout.pages.entries()) {
+      if (index > 0) pdf.addPage(layout.format, layout.orientation);
+
+      // Each tile shows only its slice of the diagram
+      if (tiled) {
+        pdf.saveGraphicsState();
+        pdf.rect(content.x, content.y, content.width, content.height, null);
+        pdf.clip();
+        pdf.discardPath();
+      }
+      if (vector) {
+        await pdf.svg(vectorSvg, {
+          x: page.x,
+          y: page.y,
+          width: image.width,
+          height: image.height,
+        });
+      } else {
+        // The alias embeds the bitmap once and reuses it on every tile
+        pdf.addImage(imgData, "PNG", page.x, page.y, image.width, image.height, "diagram", "FAST");
+      }
+      if (tiled) pdf.restoreGraphicsState();
+
+      drawPdfPageDecorations(pdf, layout, page, title, getPageLabel(layout, page, index));
+    }
+
     pdf.save(`${filename}.pdf`);
-    showSuccessToast("PDF saved");
+    showSuccessToast(tiled ? `PDF saved (${layout.pages.length} pages)` : "PDF saved");
+    return true;
   } catch (e) {
     showErrorToast("PDF Failed", e.message);
+    return false;
+  }
+}
+
+/**
+ * Turn the region option into SVG coordinates. "visible" and "selection" are
+ * measured on the modal diagram, which then becomes the export source.
+ * @private
+ * @returns {Promise<{region: ExportRegion|null, modalClone: SVGSVGElement|null}|null>} The
+ *   region and source SVG, or null if there is nothing to export
+ */
+async function resolveExportRegion(region, modalClone) {
+  if (!region) return { region: null, modalClone };
+
+  if (region === "visible" || region === "selection") {
+    const viewport = document.getElementById("diagview-modal-viewport");
+    const svg = modalClone || viewport?.querySelector("svg");
+    if (!state.isModalOpen || !viewport || !svg) {
+      showErrorToast("Open the diagram to export part of it");
+      return null;
+    }
+    const rect =
+      region === "visible"
+        ? getViewportRectInSVGCoords(viewport, svg)
+        : await import("./lazy/region-select.js").then((m) => m.selectExportRegion());
+    return rect ? { region: rect, modalClone: svg } : null;
   }
+
+  const valid =
+    typeof region === "object" &&
+    ["x", "y", "width", "height"].every((k) => Number.isFinite(region[k])) &&
+    region.width > 0 &&
+    region.height > 0;
+  if (!valid) {
+    console.warn("DiagView: export region must be {x, y, width, height}, exporting everything");
+    return { region: null, modalClone };
+  }
+  const { x, y, width, height } = region;
+  return { region: { x, y, width, height }, modalClone };
 }
 
 /**
  * Main Export Handler
+ * Emits export:start, then export:success or export:error.
+ * options.region limits the export to "visible" (the modal viewport), "selection"
+ * (a rectangle the user drags in the modal) or an explicit ExportRegion.
+ * options.preset applies a named preset from config.exportPresets; explicit options
+ * win over it, and its format is used when mode is omitted.
+ * "html" writes an interactive standalone page (features/lazy/html-export); "gif" and
+ * "webm" export an animated camera sequence (features/lazy/animation-export).
+ * @returns {Promise<boolean|void>} True if the export succeeded
  */
 export async function exportDiagram(sourceElement, mode, options = {}) {
   // Support legacy signature (element, mode, modalClone)
@@ -678,13 +1038,20 @@ export async function exportDiagram(sourceElement, mode, options = {}) {
     options = { modalClone: options };
   }
 
-  const modalClone = options.modalClone || null;
-  let isTransparent = options.transparent || false;
+  const { resolveExportSettings } = await import("../core/export-settings.js");
+  const { format: presetFormat, ...settings } = resolveExportSettings(state.config, options);
+  let isTransparent = settings.transparent || false;
 
   const svg = sourceElement.querySelector("svg");
   if (!svg) return showErrorToast("No diagram found");
 
-  const filename = generateFilename(svg);
+  // Cancelled selections end here, before any export event
+  const target = await resolveExportRegion(options.region, options.modalClone || null);
+  if (!target) return false;
+  const { region, modalClone } = target;
+
+  const filename = options.filename || generateFilename(svg);
+  mode = mode || presetFormat || "png";
 
   // Parse legacy modes mapping
   if (mode === "png-transparent") {
@@ -699,27 +1066,56 @@ export async function exportDiagram(sourceElement, mode, options = {}) {
     mode = "png";
   }
 
-  switch (mode) {
-    case "svg":
-      await exportToSVG(sourceElement, { filename, transparent: isTransparent, modalClone });
-      break;
-    case "copy":
-      await copyToClipboard(sourceElement, { filename, modalClone });
-      break;
-    case "jpeg":
-      await exportToJPEG(sourceElement, { filename, transparent: isTransparent, modalClone });
-      break;
-    case "png":
-      await exportToPNG(sourceElement, { filename, transparent: isTransparent, modalClone });
-      break;
-    case "webp":
-      await exportToWebP(sourceElement, { filename, transparent: isTransparent, modalClone });
-      break;
-    case "pdf":
-      await exportToPDF(sourceElement, { filename, transparent: isTransparent, modalClone });
-      break;
-    default:
-      await exportToPNG(sourceElement, { filename, modalClone });
+  emitDiagramEvent(state, EVENTS.EXPORT_START, sourceElement, { format: mode, filename });
+
+  const common = {
+    ...settings,
+    filename,
+    transparent: isTransparent,
+    annotations: !!settings.annotations,
+    modalClone,
+    region,
+  };
+
+  let ok;
+  try {
+    switch (mode) {
+      case "svg":
+        ok = await exportToSVG(sourceElement, common);
+        break;
+      case "copy":
+        ok = await copyToClipboard(sourceElement, common);
+        break;
+      case "jpeg":
+        ok = await exportToJPEG(sourceElement, common);
+        break;
+      case "png":
+        ok = await exportToPNG(sourceElement, common);
+        break;
+      case "webp":
+        ok = await exportToWebP(sourceElement, common);
+        break;
+      case "pdf":
+        ok = await exportToPDF(sourceElement, common);
+        break;
+      case "html":
+        ok = await import("./lazy/html-export.js").then((m) =>
+          m.exportToHTML(sourceElement, common),
+        );
+        break;
+      case "gif":
+      case "webm":
+        // Animation options (steps, fps, duration, easing...) aren't export settings
+        ok = await import("./lazy/animation-export.js").then((m) =>
+          m.exportAnimation(sourceElement, mode, { ...options, ...common }),
+        );
+        break;
+      default:
+        ok = await exportToPNG(sourceElement, { ...common, transparent: false });
+    }
+  } catch (error) {
+    emitDiagramEvent(state, EVENTS.EXPORT_ERROR, sourceElement, { format: mode, filename, error });
+    throw error;
   }
 
   // Fire onExport callback after export completes (matches onOpen/onClose pattern)
@@ -730,4 +1126,9 @@ export async function exportDiagram(sourceElement, mode, options = {}) {
       console.error("DiagView: onExport callback error:", e);
     }
   }
+
+  // Exporters report their own failures via toast and resolve to false
+  const outcome = ok ? EVENTS.EXPORT_SUCCESS : EVENTS.EXPORT_ERROR;
+  emitDiagramEvent(state, outcome, sourceElement, { format: mode, filename });
+  return ok;
 }
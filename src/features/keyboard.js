@@ -24,6 +24,62 @@ function handleKeyboardShortcut(e) {
       return;
     }
 
+    // Cancel an export area selection before anything else
+    if (state.selectingRegion) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/region-select.js").then((m) => m.cancelRegionSelection());
+      return;
+    }
+
+    // Close a diagram comparison, leaving the modal (if any) open underneath
+    if (state.comparing) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/compare.js").then((m) => m.closeComparison());
+      return;
+    }
+
+    // Close the export dialog, leaving the modal open underneath
+    if (state.exportDialogOpen) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/export-dialog.js").then((m) => m.closeExportDialog());
+      return;
+    }
+
+    // Leave annotation mode (or the open note) before closing the modal
+    if (state.annotating) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/annotate.js").then((m) => m.exitAnnotationStep());
+      return;
+    }
+
+    // End a running tour before closing the modal
+    if (state.tour) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/tour.js").then((m) => m.endTour());
+      return;
+    }
+
+    // Close the node inspector before closing the modal
+    if (state.inspectedItem) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/inspector.js").then((m) => m.closeInspector());
+      return;
+    }
+
+    // Clear a dependency highlight before closing the modal
+    if (state.dependencyTrace) {
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      import("./lazy/dependencies.js").then((m) => m.clearDependencyTrace());
+      return;
+    }
+
     // Otherwise close the main modal
     closeModal();
     return;
@@ -36,6 +92,11 @@ function handleKeyboardShortcut(e) {
     return;
   }
 
+  // The export dialog's fields and the comparison's own zoom keys take every other key
+  if (state.exportDialogOpen || state.comparing) {
+    return;
+  }
+
   // ? key - show help (works even if input focused)
   if (e.key === "?" && state.isModalOpen) {
     e.preventDefault();
@@ -95,6 +156,15 @@ function handleKeyboardShortcut(e) {
     return;
   }
 
+  // During a tour, left/right step between stops instead of panning
+  if (state.tour && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+    e.preventDefault();
+    import("./lazy/tour.js").then((m) =>
+      e.key === "ArrowLeft" ? m.prevTourStep() : m.nextTourStep(),
+    );
+    return;
+  }
+
   // Handle panning directions based on config
   // Traditional: Up moves diagram Down (+Y)
   // Natural: Up moves diagram Up (-Y)
@@ -137,6 +207,24 @@ function handleKeyboardShortcut(e) {
       import("./lazy/meeting-mode.js").then((m) => m.toggleMeetingMode());
       break;
 
+    case "d":
+    case "D":
+      e.preventDefault();
+      import("./lazy/annotate.js").then((m) => m.toggleAnnotationMode());
+      break;
+
+    case "g":
+    case "G":
+      if (
+        !state.touredDiagrams.has(state.activeSourceElement) &&
+        !state.activeSourceElement?.dataset.diagviewTour
+      ) {
+        break;
+      }
+      e.preventDefault();
+      import("./lazy/tour.js").then((m) => (state.tour ? m.endTour() : m.startTour()));
+      break;
+
     case "l":
     case "L":
       e.preventDefault();
@@ -164,11 +252,25 @@ function handleKeyboardShortcut(e) {
       }
       break;
 
+    case "p":
+    case "P":
+      if (!state.activeSourceElement) break;
+      e.preventDefault();
+      import("./lazy/print.js").then((m) => m.printDiagram(state.activeSourceElement));
+      break;
+
     case "t":
     case "T":
       e.preventDefault();
       state.events.emit("dv:toggle-text-select");
       break;
+
+    case "PageUp":
+    case "PageDown":
+      if (!state.config.showGallery) break;
+      e.preventDefault();
+      import("./lazy/gallery.js").then((m) => m.navigateGallery(e.key === "PageUp" ? -1 : 1));
+      break;
   }
 }
 
@@ -0,0 +1,381 @@
+/**
+ * DiagView Animated Export
+ * Renders a scripted camera sequence — a diagram's tour or steps passed in —
+ * frame by frame through renderToCanvas and encodes it as an animated GIF
+ * (core/gif) or, where MediaRecorder can record a canvas, a WebM video.
+ * Each frame crops the export to the camera's view, so zoomed-in frames stay sharp.
+ * @module features/lazy/animation-export
+ */
+
+import { state } from "../../core/config.js";
+import { ANIMATION, TOUR, ZOOM, TIMING } from "../../core/constants.js";
+import { detectTheme } from "../../core/theme.js";
+import { downloadFile } from "../../core/utils.js";
+import { getTour, parseTour } from "../../core/tour.js";
+import { getDiagramModel } from "../../core/diagram-adapters.js";
+import { getScreenRectInSVGCoords } from "../../core/svg-geometry.js";
+import {
+  normalizeAnimationTiming,
+  planAnimation,
+  getFrameView,
+  getAnimationSize,
+} from "../../core/animation.js";
+import { buildPalette, indexPixels, encodeGif } from "../../core/gif.js";
+import { showInfoToast, showSuccessToast, showErrorToast } from "../../ui/toast.js";
+import { renderToCanvas, getExportBounds, generateFilename } from "../export.js";
+
+/**
+ * Whether an animation is being rendered (one at a time)
+ * @type {boolean}
+ */
+let running = false;
+
+/**
+ * First WebM type MediaRecorder can write, if any
+ * @private
+ */
+function pickWebmType() {
+  if (typeof MediaRecorder === "undefined" || typeof MediaRecorder.isTypeSupported !== "function") {
+    return null;
+  }
+  return ANIMATION.WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Whether this browser can record WebM from a canvas
+ * @returns {boolean} True if MediaRecorder and canvas.captureStream() support WebM
+ */
+export function isWebmSupported() {
+  return (
+    typeof HTMLCanvasElement !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    !!pickWebmType()
+  );
+}
+
+/**
+ * Bounds of a step's target node in SVG coordinates
+ * @private
+ */
+function getTargetBounds(svg, target) {
+  let el = getDiagramModel(svg)?.nodes.find((n) => n.id === target)?.element;
+  if (!el) {
+    try {
+      el = svg.querySelector(target);
+    } catch (e) {
+      el = null; // Not a valid selector
+    }
+  }
+  if (!el) {
+    console.warn(`DiagView: Animation target "${target}" not found`);
+    return null;
+  }
+
+  const rect = getScreenRectInSVGCoords(svg, el.getBoundingClientRect());
+  if (rect && rect.width > 0 && rect.height > 0) return rect;
+  // Hidden diagrams have no layout: fall back to the node's own box
+  try {
+    const b = /** @type {SVGGraphicsElement} */ (el).getBBox();
+    return b.width > 0 && b.height > 0
+      ? { x: b.x, y: b.y, width: b.width, height: b.height }
+      : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Camera for each step: the target node's centre at a zoom that fits it,
+ * else the given centre and zoom, else the whole diagram
+ * @private
+ * @returns {Array<{camera: import('../../core/animation.js').Camera, caption: string}>} Stops
+ */
+function resolveStops(svg, steps, box, size) {
+  const minZoom = state.config.minZoomScale || ZOOM.MIN_SCALE_DEFAULT;
+  const maxZoom = state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT;
+
+  return steps.map((step) => {
+    let x = box.x + box.width / 2;
+    let y = box.y + box.height / 2;
+    let fitZoom = null;
+
+    const target = step.target && getTargetBounds(svg, step.target);
+    if (target) {
+      x = target.x + target.width / 2;
+      y = target.y + target.height / 2;
+      const { scale } = getFrameView(
+        { x, y, zoom: 1, rotation: step.rotation },
+        box,
+        size.width,
+        size.height,
+      );
+      fitZoom =
+        TOUR.FIT_RATIO / (scale * Math.max(target.width / size.width, target.height / size.height));
+    } else if (step.center) {
+      ({ x, y } = step.center);
+    }
+
+    const zoom = Math.min(Math.max(step.zoom ?? fitZoom ?? 1, minZoom), maxZoom);
+    return { camera: { x, y, zoom, rotation: step.rotation }, caption: step.caption };
+  });
+}
+
+/**
+ * Caption band along the bottom of a frame
+ * @private
+ */
+function drawCaption(ctx, text, width, height) {
+  const fontSize = Math.max(12, Math.round(height * ANIMATION.CAPTION_FONT_RATIO));
+  const pad = Math.round(fontSize * 0.6);
+  ctx.font = `600 ${fontSize}px sans-serif`;
+
+  // One line, shortened to fit
+  let line = text;
+  const maxWidth = width - pad * 4;
+  if (ctx.measureText(line).width > maxWidth) {
+    while (line.length > 1 && ctx.measureText(`${line}…`).width > maxWidth) {
+      line = line.slice(0, -1);
+    }
+    line = `${line.trimEnd()}…`;
+  }
+
+  const band = fontSize + pad * 2;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(0, height - band, width, band);
+  ctx.fillStyle = "#ffffff";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(line, width / 2, height - band / 2);
+}
+
+/**
+ * Draw one frame: the part of the diagram the camera sees, rotated about the
+ * frame centre, over the background
+ * @private
+ */
+async function drawFrame(ctx, frame, job) {
+  const { element, box, width, height, background, renderOptions, captions } = job;
+  const view = getFrameView(frame.camera, box, width, height);
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Only the part inside the export box can be rendered
+  const r = view.region;
+  const left = Math.max(r.x, box.x);
+  const top = Math.max(r.y, box.y);
+  const right = Math.min(r.x + r.width, box.x + box.width);
+  const bottom = Math.min(r.y + r.height, box.y + box.height);
+
+  if (right > left && bottom > top) {
+    const { canvas, scale } = await renderToCanvas(element, null, true, {
+      ...renderOptions,
+      region: r,
+      scale: view.scale,
+    });
+    try {
+      ctx.translate(width / 2, height / 2);
+      ctx.rotate(view.angle);
+      ctx.drawImage(
+        canvas,
+        (left - frame.camera.x) * view.scale,
+        (top - frame.camera.y) * view.scale,
+        (right - left) * view.scale,
+        (bottom - top) * view.scale,
+      );
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      if (scale < view.scale) {
+        console.warn("DiagView: Animation frame limited by maxPixels and may look soft");
+      }
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+
+  if (captions && frame.caption) drawCaption(ctx, frame.caption, width, height);
+}
+
+/**
+ * Render the frames into an animated GIF
+ * @private
+ * @returns {Promise<Blob>} The GIF
+ */
+async function recordGif(frames, job) {
+  const canvas = document.createElement("canvas");
+  canvas.width = job.width;
+  canvas.height = job.height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  let palette = null;
+  const cache = new Int16Array(32768).fill(-1);
+  const gifFrames = [];
+  let elapsed = 0;
+  try {
+    for (const frame of frames) {
+      await drawFrame(ctx, frame, job);
+      const { data } = ctx.getImageData(0, 0, job.width, job.height);
+      // The first frame normally shows the whole diagram, so it has every colour
+      if (!palette) palette = buildPalette(data);
+
+      // Delays are in 1/100 s: round the running total so the length stays exact
+      const delay = Math.round((elapsed + frame.duration) / 10) - Math.round(elapsed / 10);
+      elapsed += frame.duration;
+      gifFrames.push({ indices: indexPixels(data, palette, cache), delay });
+    }
+  } finally {
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+
+  const bytes = encodeGif({
+    width: job.width,
+    height: job.height,
+    palette,
+    frames: gifFrames,
+    loop: job.loop,
+  });
+  return new Blob([bytes], { type: "image/gif" });
+}
+
+/**
+ * Play the frames into a WebM recording. Recording pauses while each frame
+ * renders, so the video keeps the planned timing however long rendering takes.
+ * @private
+ * @returns {Promise<Blob>} The video
+ */
+async function recordWebm(frames, job) {
+  const mimeType = pickWebmType();
+  const screen = document.createElement("canvas");
+  screen.width = job.width;
+  screen.height = job.height;
+  const screenCtx = screen.getContext("2d");
+  const work = document.createElement("canvas");
+  work.width = job.width;
+  work.height = job.height;
+  const workCtx = work.getContext("2d");
+
+  const stream = screen.captureStream(job.fps);
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: ANIMATION.WEBM_BITRATE,
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data?.size) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  try {
+    for (const frame of frames) {
+      await drawFrame(workCtx, frame, job);
+      screenCtx.drawImage(work, 0, 0);
+      if (recorder.state === "inactive") recorder.start();
+      else recorder.resume();
+      await new Promise((resolve) => setTimeout(resolve, frame.duration));
+      recorder.pause();
+    }
+    recorder.stop();
+    await stopped;
+  } finally {
+    stream.getTracks().forEach((track) => track.stop());
+    screen.width = work.width = 0;
+    screen.height = work.height = 0;
+  }
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+/**
+ * Export a camera sequence as an animated GIF or a WebM video.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {"gif"|"webm"} format - Output format
+ * @param {object} [options={}] - Animation and export options
+ * @param {Array<object>} [options.steps] - Camera steps, as in tours (default: the
+ *   diagram's tour, else a zoom in and out)
+ * @param {number} [options.fps=15] - Frames per second during moves (1–50)
+ * @param {number} [options.duration=1000] - ms per move between two steps
+ * @param {number} [options.hold=600] - ms on each step
+ * @param {string|((t: number) => number)} [options.easing="ease-in-out"] - "linear",
+ *   "ease-in", "ease-out", "ease-in-out" or a function of progress (0–1)
+ * @param {number} [options.width] - Frame width in px (default: 800)
+ * @param {number} [options.height] - Frame height in px (default: follows the diagram)
+ * @param {boolean|number} [options.loop=true] - GIF: repeat forever, play once (false),
+ *   or repeat this many extra times
+ * @param {boolean} [options.captions=true] - Draw step captions along the bottom
+ * @param {string} [options.background] - Background colour (default: the theme background)
+ * @param {string} [options.filename] - File name without extension
+ * @returns {Promise<boolean>} True if the file was downloaded
+ */
+export async function exportAnimation(sourceElement, format, options = {}) {
+  const svg = sourceElement?.querySelector("svg");
+  if (!svg) {
+    showErrorToast("No diagram found");
+    return false;
+  }
+  if (!ANIMATION.FORMATS.includes(format)) {
+    console.warn(`DiagView: Animation format must be one of ${ANIMATION.FORMATS.join(", ")}`);
+    return false;
+  }
+  if (format === "webm" && !isWebmSupported()) {
+    showErrorToast("WebM recording isn't available in this browser", "Export a GIF instead.");
+    return false;
+  }
+  if (running) {
+    showInfoToast("An animation is already being exported");
+    return false;
+  }
+
+  let steps = options.steps ? parseTour(options.steps) : getTour(sourceElement);
+  if (options.steps && !steps?.length) {
+    console.warn("DiagView: Ignoring invalid animation steps");
+  }
+  if (!steps?.length) steps = parseTour(ANIMATION.DEFAULT_STEPS);
+
+  running = true;
+  try {
+    const renderOptions = {
+      annotations: !!options.annotations,
+      padding: options.padding,
+      watermark: options.watermark,
+    };
+    const box = await getExportBounds(sourceElement, renderOptions);
+    const size = getAnimationSize(box, options, steps[0].rotation);
+    const timing = normalizeAnimationTiming(options);
+    const frames = planAnimation(resolveStops(svg, steps, box, size), timing);
+    if (frames.length > ANIMATION.MAX_FRAMES) {
+      throw new Error(
+        `${frames.length} frames is too many (at most ${ANIMATION.MAX_FRAMES}): lower fps or duration`,
+      );
+    }
+
+    const job = {
+      element: sourceElement,
+      box,
+      ...size,
+      fps: timing.fps,
+      loop: options.loop ?? true,
+      captions: options.captions ?? true,
+      background: options.background || detectTheme().bg,
+      renderOptions,
+    };
+
+    const label = format === "gif" ? "GIF" : "WebM";
+    showInfoToast(`Rendering ${label} (${frames.length} frames)...`);
+    const blob = format === "gif" ? await recordGif(frames, job) : await recordWebm(frames, job);
+
+    const url = URL.createObjectURL(blob);
+    downloadFile(url, `${options.filename || generateFilename(svg)}.${format}`);
+    setTimeout(() => URL.revokeObjectURL(url), TIMING.BUTTON_SUCCESS_DURATION);
+    showSuccessToast(`${label} saved`);
+    return true;
+  } catch (e) {
+    console.error("DiagView Animation Export Error:", e);
+    showErrorToast("Animation export failed", e.message);
+    return false;
+  } finally {
+    running = false;
+  }
+}
@@ -0,0 +1,500 @@
+/**
+ * DiagView Annotation Mode
+ * Drawing toolbar for design reviews: pen, highlighter, arrow, rectangle and
+ * sticky-note text. Shapes are stored in the diagram's SVG coordinates
+ * (core/annotations), so they follow zoom, pan and rotation.
+ * @module features/lazy/annotate
+ */
+
+import { state } from "../../core/config.js";
+import { ANNOTATION, EVENTS } from "../../core/constants.js";
+import { emitDiagramEvent } from "../../core/events.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { getScreenPointInElementCoords, getScreenScale } from "../../core/svg-geometry.js";
+import {
+  getAnnotations,
+  setAnnotations,
+  normalizeAnnotation,
+  createAnnotationId,
+  renderAnnotation,
+  renderAnnotationLayer,
+} from "../../core/annotations.js";
+import { showSuccessToast } from "../../ui/toast.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import annotateStyles from "./annotate.css";
+
+/**
+ * Selected tool and color (kept across modal sessions)
+ */
+let activeTool = "pen";
+let activeColor = ANNOTATION.COLORS[0];
+
+/**
+ * Shape being drawn: its data, its live element and the last sampled pointer position
+ * @type {{shape: object, el: Element, lastX: number, lastY: number, pointerId: number}|null}
+ */
+let draft = null;
+
+/**
+ * Open sticky-note editor
+ * @type {{input: HTMLTextAreaElement, point: {x: number, y: number}, size: number}|null}
+ */
+let noteEditor = null;
+
+/**
+ * Cleanup for the viewport/toolbar listeners (attached once per modal session)
+ * @type {Function|null}
+ */
+let sessionCleanup = null;
+
+/**
+ * Active modal SVG clone
+ * @private
+ */
+function getClone() {
+  return document.getElementById("diagview-modal-viewport")?.querySelector("svg") ?? null;
+}
+
+/**
+ * Group that receives diagram content: the rotation group once the diagram
+ * has been rotated, otherwise the SVG itself
+ * @private
+ */
+function getContentRoot(svg) {
+  return Array.from(svg.children).find((el) => el.classList.contains("dv-rot-g")) || svg;
+}
+
+/**
+ * Find the annotation layer in the modal clone, creating it if needed
+ * @private
+ */
+function getLayer(clone) {
+  const existing = clone.querySelector("g.dv-annotations");
+  if (existing) return existing;
+  const layer = renderAnnotationLayer([]);
+  getContentRoot(clone).appendChild(layer);
+  return layer;
+}
+
+/**
+ * Draw the stored annotations of the diagram shown in the modal.
+ * Called on mount and whenever annotations are replaced through the API.
+ * @param {SVGSVGElement} [clone] - Modal SVG clone (defaults to the active one)
+ */
+export function renderModalAnnotations(clone = getClone()) {
+  if (!clone || !state.activeSourceElement) return;
+  clone.querySelectorAll("g.dv-annotations").forEach((layer) => layer.remove());
+
+  const shapes = getAnnotations(state.activeSourceElement);
+  if (shapes.length || state.annotating) {
+    getContentRoot(clone).appendChild(renderAnnotationLayer(shapes));
+  }
+}
+
+/**
+ * Store the shapes for the active diagram and notify listeners
+ * @private
+ */
+function commit(shapes) {
+  const element = state.activeSourceElement;
+  if (!element) return;
+  const stored = setAnnotations(element, shapes);
+  emitDiagramEvent(state, EVENTS.ANNOTATION_CHANGE, element, { annotations: stored });
+  syncToolbar();
+}
+
+/**
+ * Reflect tool, color and undo availability in the toolbar
+ * @private
+ */
+function syncToolbar() {
+  const bar = document.getElementById("diagview-annotate");
+  if (!bar) return;
+
+  bar.querySelectorAll("[data-tool]").forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.dataset.tool === activeTool));
+  });
+  bar.querySelectorAll("[data-color]").forEach((btn) => {
+    btn.setAttribute("aria-pressed", String(btn.dataset.color === activeColor));
+  });
+
+  const empty = !getAnnotations(state.activeSourceElement).length;
+  ["diagview-annotate-undo", "diagview-annotate-clear"].forEach((id) => {
+    const btn = /** @type {HTMLButtonElement|null} */ (document.getElementById(id));
+    if (btn) btn.disabled = empty;
+  });
+}
+
+/**
+ * Switch the drawing tool
+ * @param {"pen"|"highlighter"|"arrow"|"rect"|"text"} tool - Tool name
+ */
+export function setAnnotationTool(tool) {
+  if (!ANNOTATION.TYPES.includes(tool)) return;
+  finishNote();
+  activeTool = tool;
+  syncToolbar();
+}
+
+/**
+ * Switch the drawing color
+ * @param {string} color - CSS color
+ */
+export function setAnnotationColor(color) {
+  activeColor = color;
+  syncToolbar();
+}
+
+/**
+ * Remove the most recent shape of the active diagram
+ * @returns {boolean} False if there was nothing to undo
+ */
+export function undoAnnotation() {
+  const shapes = getAnnotations(state.activeSourceElement);
+  if (!shapes.length) return false;
+
+  const lastId = shapes[shapes.length - 1].id;
+  const layer = getClone()?.querySelector("g.dv-annotations");
+  if (layer) {
+    Array.from(layer.children)
+      .find((el) => el.getAttribute("data-annotation-id") === lastId)
+      ?.remove();
+  }
+  commit(shapes.slice(0, -1));
+  return true;
+}
+
+/**
+ * Remove every shape of the active diagram
+ */
+export function clearModalAnnotations() {
+  finishNote(false);
+  const layer = getClone()?.querySelector("g.dv-annotations");
+  if (layer) layer.replaceChildren();
+  commit([]);
+}
+
+/**
+ * Enable or disable drawing. While enabled, dragging draws instead of panning
+ * (wheel and pinch zoom keep working).
+ * @param {boolean} [force] - Explicit state
+ * @returns {boolean} Whether annotation mode is now active
+ */
+export function toggleAnnotationMode(force) {
+  const next = typeof force === "boolean" ? force : !state.annotating;
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const clone = getClone();
+  if (next === state.annotating || !viewport || (next && !clone)) return state.annotating;
+
+  if (!next) finishNote();
+  cancelDraft();
+
+  state.annotating = next;
+  viewport.classList.toggle("dv-annotating", next);
+  applyPanLock(viewport);
+
+  document.getElementById("diagview-annotate")?.classList.toggle("show", next);
+  const btn = document.querySelector('[data-action="annotate"], #dv-annotate');
+  if (btn) {
+    btn.classList.toggle("active", next);
+    btn.setAttribute("aria-pressed", String(next));
+  }
+
+  if (next) {
+    injectStyleSheet("diagview-annotate-styles", annotateStyles);
+    // Both toolbars sit at the top of the viewport; drawing wins
+    if (state.dependencyTrace) {
+      import("./dependencies.js").then((m) => m.clearDependencyTrace());
+    }
+    getLayer(clone);
+    setupSessionListeners(viewport);
+    syncToolbar();
+    showSuccessToast("✏️ Annotate ON — drag to draw");
+  } else {
+    showSuccessToast("✏️ Annotate OFF");
+  }
+  return next;
+}
+
+/**
+ * Step out of annotation mode one level (Esc): close the note editor, else stop drawing
+ */
+export function exitAnnotationStep() {
+  if (noteEditor) finishNote(false);
+  else toggleAnnotationMode(false);
+}
+
+/**
+ * Drag pans the diagram only while neither drawing nor selecting text
+ * @private
+ */
+function applyPanLock(viewport) {
+  try {
+    state.activePanzoom?.setOptions({
+      disablePan: state.annotating || viewport.classList.contains("dv-text-select"),
+    });
+  } catch (err) {
+    console.warn("DiagView: Failed to toggle Panzoom state", err);
+  }
+}
+
+/**
+ * Prepare a freshly mounted diagram: draw its annotations and keep drawing
+ * mode across gallery switches
+ * @param {SVGSVGElement} clone - Modal SVG clone
+ */
+export function setupAnnotations(clone) {
+  injectStyleSheet("diagview-annotate-styles", annotateStyles);
+  renderModalAnnotations(clone);
+  if (!state.annotating) return;
+
+  const viewport = document.getElementById("diagview-modal-viewport");
+  if (viewport) applyPanLock(viewport);
+  syncToolbar();
+}
+
+/**
+ * Pointer position in layer coordinates, plus how many screen pixels one unit covers
+ * @private
+ */
+function toLayerPoint(layer, e) {
+  const pt = getScreenPointInElementCoords(layer, e.clientX, e.clientY);
+  return pt ? { ...pt, scale: getScreenScale(layer) } : null;
+}
+
+/**
+ * Start a shape (or place a note) where the pointer went down
+ * @private
+ */
+function handlePointerDown(e) {
+  if (!state.annotating || e.button !== 0 || draft) return;
+  const clone = getClone();
+  if (!clone) return;
+
+  // Keep Panzoom (and the dependency click handler) out of it
+  e.stopPropagation();
+  e.preventDefault();
+
+  const layer = getLayer(clone);
+  const pt = toLayerPoint(layer, e);
+  if (!pt) return;
+
+  if (activeTool === "text") {
+    finishNote();
+    openNote(e.clientX, e.clientY, pt);
+    return;
+  }
+
+  const baseWidth =
+    activeTool === "highlighter" ? ANNOTATION.HIGHLIGHTER_WIDTH : ANNOTATION.PEN_WIDTH;
+  const isFreehand = activeTool === "pen" || activeTool === "highlighter";
+  const shape = {
+    id: createAnnotationId(),
+    type: activeTool,
+    color: activeColor,
+    width: baseWidth / pt.scale,
+    // Arrows and boxes are defined by start and end; freehand grows as the pointer moves
+    points: isFreehand
+      ? [[pt.x, pt.y]]
+      : [
+          [pt.x, pt.y],
+          [pt.x, pt.y],
+        ],
+  };
+  const el = renderAnnotation(shape);
+  layer.appendChild(el);
+  draft = { shape, el, lastX: e.clientX, lastY: e.clientY, pointerId: e.pointerId };
+
+  const target = /** @type {Element} */ (e.currentTarget);
+  target.setPointerCapture?.(e.pointerId);
+}
+
+/**
+ * Extend the shape being drawn
+ * @private
+ */
+function handlePointerMove(e) {
+  if (!draft || e.pointerId !== draft.pointerId) return;
+  e.stopPropagation();
+
+  const { shape } = draft;
+  const isFreehand = shape.type === "pen" || shape.type === "highlighter";
+  if (
+    isFreehand &&
+    Math.hypot(e.clientX - draft.lastX, e.clientY - draft.lastY) < ANNOTATION.MIN_POINT_DISTANCE
+  ) {
+    return;
+  }
+
+  const pt = getScreenPointInElementCoords(draft.el.parentElement, e.clientX, e.clientY);
+  if (!pt) return;
+
+  if (isFreehand) {
+    shape.points.push([pt.x, pt.y]);
+  } else {
+    shape.points[1] = [pt.x, pt.y];
+  }
+  draft.lastX = e.clientX;
+  draft.lastY = e.clientY;
+
+  const el = renderAnnotation(shape);
+  draft.el.replaceWith(el);
+  draft.el = el;
+}
+
+/**
+ * Finish the shape being drawn. Arrows and boxes smaller than a few pixels
+ * are treated as stray clicks and dropped.
+ * @private
+ */
+function handlePointerUp(e) {
+  if (!draft || e.pointerId !== draft.pointerId) return;
+  e.stopPropagation();
+
+  const { shape, el } = draft;
+  draft = null;
+
+  // A click without movement leaves a dot
+  if (shape.points.length === 1) shape.points.push([...shape.points[0]]);
+
+  const [[x1, y1], [x2, y2]] = [shape.points[0], shape.points[shape.points.length - 1]];
+  const sizePx = Math.hypot(x2 - x1, y2 - y1) * getScreenScale(el.parentElement);
+  const isFreehand = shape.type === "pen" || shape.type === "highlighter";
+  const stored = normalizeAnnotation(shape);
+
+  if (!stored || (!isFreehand && sizePx < ANNOTATION.MIN_SHAPE_SIZE)) {
+    el.remove();
+    return;
+  }
+
+  el.replaceWith(renderAnnotation(stored));
+  commit([...getAnnotations(state.activeSourceElement), stored]);
+}
+
+/**
+ * Drop an unfinished shape
+ * @private
+ */
+function cancelDraft() {
+  if (!draft) return;
+  draft.el.remove();
+  draft = null;
+}
+
+/**
+ * Show a text box for a sticky note at the pointer
+ * @private
+ */
+function openNote(clientX, clientY, pt) {
+  const host = document.getElementById("diagview-modal-viewport")?.parentElement;
+  if (!host) return;
+
+  const input = document.createElement("textarea");
+  input.className = "dv-annotate-note-input";
+  input.setAttribute("aria-label", "Note text — Enter to add, Shift+Enter for a new line");
+  input.rows = 2;
+  input.style.left = `${clientX}px`;
+  input.style.top = `${clientY}px`;
+  input.style.borderColor = activeColor;
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      finishNote();
+    }
+  });
+  input.addEventListener("blur", () => finishNote());
+
+  host.appendChild(input);
+  noteEditor = { input, point: pt, size: ANNOTATION.NOTE_FONT_SIZE / pt.scale };
+  input.focus();
+}
+
+/**
+ * Close the note editor, adding the note unless cancelled or empty
+ * @private
+ */
+function finishNote(keep = true) {
+  if (!noteEditor) return;
+  const { input, point, size } = noteEditor;
+  noteEditor = null;
+  input.remove();
+
+  const clone = getClone();
+  const stored =
+    keep &&
+    normalizeAnnotation({
+      type: "text",
+      color: activeColor,
+      text: input.value,
+      size,
+      points: [[point.x, point.y]],
+    });
+  if (!stored || !clone) return;
+
+  getLayer(clone).appendChild(renderAnnotation(stored));
+  commit([...getAnnotations(state.activeSourceElement), stored]);
+}
+
+/**
+ * Toolbar clicks and Ctrl/Cmd+Z
+ * @private
+ */
+function handleToolbarClick(e) {
+  const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+  if (!btn) return;
+
+  if (btn.dataset.tool) setAnnotationTool(btn.dataset.tool);
+  else if (btn.dataset.color) setAnnotationColor(btn.dataset.color);
+  else if (btn.id === "diagview-annotate-undo") undoAnnotation();
+  else if (btn.id === "diagview-annotate-clear") clearModalAnnotations();
+  else if (btn.id === "diagview-annotate-done") toggleAnnotationMode(false);
+}
+
+/**
+ * Attach pointer, toolbar and undo listeners for this modal session
+ * @private
+ */
+function setupSessionListeners(viewport) {
+  if (sessionCleanup) return;
+
+  const cleanups = [
+    // Capture phase so Panzoom never sees drawing gestures
+    addModalListener(viewport, "pointerdown", handlePointerDown, true),
+    addModalListener(viewport, "pointermove", handlePointerMove, true),
+    addModalListener(viewport, "pointerup", handlePointerUp, true),
+    addModalListener(viewport, "pointercancel", handlePointerUp, true),
+    addModalListener(window, "keydown", (e) => {
+      const isUndo = (e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === "z";
+      if (!state.annotating || !isUndo || noteEditor) return;
+      e.preventDefault();
+      undoAnnotation();
+    }),
+  ];
+
+  const bar = document.getElementById("diagview-annotate");
+  if (bar) cleanups.push(addModalListener(bar, "click", handleToolbarClick));
+
+  sessionCleanup = () => {
+    cleanups.forEach((fn) => fn());
+    sessionCleanup = null;
+  };
+}
+
+/**
+ * Leave annotation mode on modal close. Stored annotations are kept.
+ */
+export function cleanupAnnotations() {
+  cancelDraft();
+  finishNote(false);
+  if (sessionCleanup) sessionCleanup();
+
+  state.annotating = false;
+  document.getElementById("diagview-modal-viewport")?.classList.remove("dv-annotating");
+  document.getElementById("diagview-annotate")?.classList.remove("show");
+  const btn = document.querySelector('[data-action="annotate"], #dv-annotate');
+  if (btn) {
+    btn.classList.remove("active");
+    btn.setAttribute("aria-pressed", "false");
+  }
+}
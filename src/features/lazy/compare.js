@@ -0,0 +1,377 @@
+/**
+ * DiagView Diagram Comparison
+ * Two versions of a diagram side by side, or overlaid with an opacity slider,
+ * with zoom and pan locked between them. The structural diff (core/diagram-diff)
+ * marks nodes and edges that were added, removed or relabelled. Inputs are
+ * diagram elements or SVG markup; both are sanitized before they are shown,
+ * and only the copies in the comparison are ever marked.
+ * @module features/lazy/compare
+ */
+
+import { state, addModalCleanupFunction } from "../../core/config.js";
+import { COMPARE, EXPORT, ZOOM, TIMING } from "../../core/constants.js";
+import { detectTheme } from "../../core/theme.js";
+import {
+  sanitizeSVG,
+  parseSVGMarkup,
+  fixIds,
+  generateUniqueId,
+  getRobustDimensions,
+  checkPanzoomDependency,
+  setSVGContent,
+} from "../../core/utils.js";
+import { safeDestroy } from "../../core/lifecycle.js";
+import { cloneSVGForModal } from "../../core/svg-clone.js";
+import { diffDiagrams } from "../../core/diagram-diff.js";
+import { showErrorToast } from "../../ui/toast.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import compareStyles from "./compare.css";
+
+/**
+ * @typedef {object} CompareOptions
+ * @property {"side-by-side"|"overlay"} [mode="side-by-side"] - Initial layout
+ * @property {number} [opacity=0.5] - Opacity of the later version in overlay mode (0–1)
+ * @property {boolean} [diff=true] - Start with changes highlighted
+ * @property {string[]} [labels=["Before", "After"]] - Captions for the two versions
+ */
+
+/**
+ * Open comparison: its root, the two panes and where focus returns on close
+ * @type {{root: HTMLElement, panes: {svg: SVGSVGElement, stage: HTMLElement,
+ *   panzoom: any}[], returnFocus: Element|null}|null}
+ */
+let comparison = null;
+
+/**
+ * Sanitized, ID-isolated SVG for one side of the comparison
+ * @private
+ * @param {Element|string} input - Diagram container, SVG element or SVG markup
+ * @returns {SVGSVGElement|null} SVG to show, or null if the input holds no SVG
+ */
+function loadSvg(input) {
+  if (typeof input === "string") {
+    const { security, performance = {}, allowedImageTypes } = state.config;
+    const clean = sanitizeSVG(input.trim(), security.mode || "strict", {
+      maxChars: performance.criticalFileLimit || EXPORT.CRITICAL_FILE_LIMIT_DEFAULT,
+      allowRemoteResources: security.allowRemoteResources,
+      allowedImageTypes,
+    });
+    const svg = typeof clean === "string" ? parseSVGMarkup(clean) : null;
+    return svg && /** @type {SVGSVGElement} */ (fixIds(svg, generateUniqueId()));
+  }
+
+  if (input instanceof Element) {
+    const svg = input.tagName.toLowerCase() === "svg" ? input : input.querySelector("svg");
+    return svg ? /** @type {SVGSVGElement} */ (cloneSVGForModal(svg)) : null;
+  }
+  return null;
+}
+
+/**
+ * Give both versions one viewBox around their combined content, so the same
+ * zoom and pan show the same diagram area and the overlay lines up
+ * @private
+ */
+function shareViewBox(svgs) {
+  const boxes = svgs.map((svg) => getRobustDimensions(svg)).filter((d) => d.w > 0 && d.h > 0);
+  if (!boxes.length) return;
+
+  const left = Math.min(...boxes.map((d) => d.x));
+  const top = Math.min(...boxes.map((d) => d.y));
+  const width = Math.max(...boxes.map((d) => d.x + d.w)) - left;
+  const height = Math.max(...boxes.map((d) => d.y + d.h)) - top;
+  const padding = Math.max(width, height) * 0.05;
+  const viewBox = `${left - padding} ${top - padding} ${width + padding * 2} ${height + padding * 2}`;
+
+  svgs.forEach((svg) => {
+    svg.setAttribute("viewBox", viewBox);
+    svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+    svg.style.width = "100%";
+    svg.style.height = "100%";
+  });
+}
+
+/**
+ * Mark added, removed and relabelled items on the comparison copies
+ * @private
+ */
+function markChanges(diff) {
+  ["nodes", "edges"].forEach((kind) => {
+    const { added, removed, relabelled } = diff[kind];
+    removed.forEach((item) => item.element.classList.add("dv-diff-removed"));
+    added.forEach((item) => item.element.classList.add("dv-diff-added"));
+    relabelled.forEach(({ before, after }) => {
+      before.element.classList.add("dv-diff-relabelled");
+      after.element.classList.add("dv-diff-relabelled");
+    });
+  });
+}
+
+/**
+ * Short change summary, e.g. "2 added · 1 removed · 1 relabelled"
+ * @private
+ */
+function describeChanges(diff) {
+  const count = (key) => diff.nodes[key].length + diff.edges[key].length;
+  const parts = [
+    [count("added"), "added"],
+    [count("removed"), "removed"],
+    [count("relabelled"), "relabelled"],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, what]) => `${n} ${what}`);
+  return parts.length ? parts.join(" · ") : "No structural changes";
+}
+
+/**
+ * Pan/zoom for one pane, or null without the Panzoom library
+ * @private
+ */
+function createPanzoom(svg) {
+  if (!checkPanzoomDependency()) return null;
+  try {
+    return window.Panzoom(svg, {
+      maxScale: state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT,
+      minScale: state.config.minZoomScale || ZOOM.MIN_SCALE_DEFAULT,
+      canvas: true,
+      animate: true,
+      duration: state.config.zoomAnimationDuration || TIMING.ZOOM_ANIMATION_DURATION,
+      step: 0.35,
+    });
+  } catch (error) {
+    console.error("DiagView: Failed to initialize comparison zoom", error);
+    return null;
+  }
+}
+
+/**
+ * Keep the other pane on the same zoom and pan as the one being moved
+ * @private
+ */
+function lockPanes(panes) {
+  let syncing = false;
+  panes.forEach((pane, i) => {
+    const other = panes[1 - i];
+    pane.svg.addEventListener("panzoomchange", (e) => {
+      if (syncing || !pane.panzoom || !other.panzoom) return;
+      const detail = /** @type {CustomEvent} */ (e).detail || {};
+      const scale = detail.scale ?? pane.panzoom.getScale();
+      const { x, y } = detail.x !== undefined ? detail : pane.panzoom.getPan();
+      syncing = true;
+      try {
+        other.panzoom.zoom(scale, { animate: false, force: true });
+        other.panzoom.pan(x, y, { animate: false, force: true });
+      } finally {
+        syncing = false;
+      }
+    });
+    pane.stage.addEventListener(
+      "wheel",
+      (e) => {
+        if (!pane.panzoom) return;
+        if (e.cancelable) e.preventDefault();
+        pane.panzoom.zoomWithWheel(e);
+      },
+      { passive: false },
+    );
+  });
+}
+
+/**
+ * Toolbar button
+ * @private
+ */
+function createToolbarButton(className, text, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Switch between side-by-side and overlay
+ * @private
+ */
+function setMode(mode) {
+  if (!comparison) return;
+  const { root } = comparison;
+  const overlay = mode === "overlay";
+  root.classList.toggle("dv-cmp-overlay", overlay);
+  root.classList.toggle("dv-cmp-side", !overlay);
+  root.querySelectorAll("[data-mode]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.getAttribute("data-mode") === mode));
+  });
+  /** @type {HTMLElement} */ (root.querySelector(".dv-cmp-opacity")).hidden = !overlay;
+}
+
+/**
+ * Build the comparison view
+ * @private
+ */
+function createView(svgs, diff, options) {
+  const theme = detectTheme();
+  const labels = Array.isArray(options.labels) ? options.labels : [];
+
+  const root = document.createElement("div");
+  root.className = "diagview-compare";
+  root.setAttribute("role", "dialog");
+  root.setAttribute("aria-modal", "true");
+  root.setAttribute("aria-labelledby", "dv-cmp-title");
+  root.style.backgroundColor = theme.bg;
+  root.style.color = theme.text;
+
+  // Toolbar
+  const toolbar = document.createElement("div");
+  toolbar.className = "dv-cmp-toolbar";
+  const title = document.createElement("span");
+  title.id = "dv-cmp-title";
+  title.className = "dv-cmp-title";
+  title.textContent = "Compare";
+
+  const modes = document.createElement("div");
+  modes.className = "dv-cmp-modes";
+  modes.setAttribute("role", "group");
+  modes.setAttribute("aria-label", "Layout");
+  [
+    ["side-by-side", "Side by side"],
+    ["overlay", "Overlay"],
+  ].forEach(([mode, text]) => {
+    const button = createToolbarButton("dv-cmp-mode", text, () => setMode(mode));
+    button.setAttribute("data-mode", mode);
+    modes.appendChild(button);
+  });
+
+  const opacityLabel = document.createElement("label");
+  opacityLabel.className = "dv-cmp-opacity";
+  const opacity = document.createElement("input");
+  opacity.type = "range";
+  opacity.min = "0";
+  opacity.max = "100";
+  opacity.step = "5";
+  const initial = Number.isFinite(options.opacity) ? options.opacity : COMPARE.OPACITY_DEFAULT;
+  opacity.value = String(Math.round(Math.min(Math.max(initial, 0), 1) * 100));
+  opacity.setAttribute("aria-label", `Opacity of ${labels[1] || COMPARE.LABELS[1]}`);
+  const applyOpacity = () =>
+    root.style.setProperty("--dv-cmp-opacity", String(+opacity.value / 100));
+  opacity.addEventListener("input", applyOpacity);
+  applyOpacity();
+  opacityLabel.append(document.createTextNode("Opacity"), opacity);
+
+  const diffLabel = document.createElement("label");
+  diffLabel.className = "dv-cmp-diff-toggle";
+  const diffToggle = document.createElement("input");
+  diffToggle.type = "checkbox";
+  diffToggle.checked = options.diff !== false;
+  const applyDiff = () => root.classList.toggle("dv-cmp-diff", diffToggle.checked);
+  diffToggle.addEventListener("change", applyDiff);
+  applyDiff();
+  diffLabel.append(diffToggle, document.createTextNode("Highlight changes"));
+
+  const summary = document.createElement("span");
+  summary.className = "dv-cmp-summary";
+  summary.setAttribute("aria-live", "polite");
+  summary.textContent = describeChanges(diff);
+
+  const resetBtn = createToolbarButton("dv-cmp-reset", "Reset view", () => {
+    comparison?.panes.forEach((pane) => pane.panzoom?.reset());
+  });
+  const closeBtn = createToolbarButton("dv-cmp-close", "", () => closeComparison());
+  closeBtn.setAttribute("aria-label", "Close comparison");
+  setSVGContent(
+    closeBtn,
+    '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>',
+  );
+  toolbar.append(title, modes, opacityLabel, diffLabel, summary, resetBtn, closeBtn);
+
+  // Panes: the later version sits on top in overlay mode
+  const body = document.createElement("div");
+  body.className = "dv-cmp-panes";
+  const panes = svgs.map((svg, i) => {
+    const pane = document.createElement("div");
+    pane.className = `dv-cmp-pane ${i === 0 ? "dv-cmp-before" : "dv-cmp-after"}`;
+    const caption = document.createElement("div");
+    caption.className = "dv-cmp-label";
+    caption.textContent = labels[i] || COMPARE.LABELS[i];
+    const stage = document.createElement("div");
+    stage.className = "dv-cmp-stage";
+    stage.appendChild(svg);
+    pane.append(stage, caption);
+    body.appendChild(pane);
+    return { svg, stage, panzoom: null };
+  });
+
+  root.append(toolbar, body);
+
+  // Zoom keys for whichever pane has focus; they move both
+  root.addEventListener("keydown", (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target instanceof HTMLInputElement) return;
+    const action = { "+": "zoomIn", "=": "zoomIn", "-": "zoomOut", _: "zoomOut", 0: "reset" }[
+      e.key
+    ];
+    const panzoom = comparison?.panes[0].panzoom;
+    if (!action || !panzoom) return;
+    e.preventDefault();
+    if (action === "reset") comparison.panes.forEach((pane) => pane.panzoom?.reset());
+    else panzoom[action]();
+  });
+
+  return { root, panes, focusTarget: modes.firstElementChild };
+}
+
+/**
+ * Open two versions of a diagram for comparison. Only one comparison is open at a time.
+ * @param {Element|string} before - Earlier version: diagram container, SVG element or SVG markup
+ * @param {Element|string} after - Later version, in any of the same forms
+ * @param {CompareOptions} [options={}] - Layout, overlay opacity, highlighting and captions
+ * @returns {import("../../core/diagram-diff.js").DiagramDiff|null} The structural diff
+ *   (items point at the comparison copies), or null if either input holds no SVG
+ */
+export function openComparison(before, after, options = {}) {
+  injectStyleSheet("diagview-compare-styles", compareStyles);
+  closeComparison();
+
+  const svgs = [loadSvg(before), loadSvg(after)];
+  if (!svgs[0] || !svgs[1]) {
+    showErrorToast("Comparison failed", "Both versions must be diagrams or SVG markup");
+    return null;
+  }
+
+  const diff = diffDiagrams(svgs[0], svgs[1]);
+  markChanges(diff);
+
+  const { root, panes, focusTarget } = createView(svgs, diff, options);
+  comparison = { root, panes, returnFocus: document.activeElement };
+
+  // Inside the modal when it is open, so it sits above it and inside its focus trap
+  const modal = document.getElementById("diagview-modal");
+  (modal && state.isModalOpen ? modal : document.body).appendChild(root);
+  if (state.isModalOpen) addModalCleanupFunction(closeComparison);
+  state.comparing = true;
+
+  shareViewBox(svgs);
+  panes.forEach((pane) => (pane.panzoom = createPanzoom(pane.svg)));
+  lockPanes(panes);
+
+  setMode(COMPARE.MODES.includes(options.mode) ? options.mode : COMPARE.MODES[0]);
+  root.classList.add("show");
+  /** @type {HTMLElement} */ (focusTarget).focus();
+  return diff;
+}
+
+/**
+ * Close the comparison, if open
+ */
+export function closeComparison() {
+  const current = comparison;
+  if (!current) return;
+  comparison = null;
+  state.comparing = false;
+
+  current.panes.forEach((pane) => safeDestroy(pane.panzoom));
+  current.root.remove();
+  if (current.returnFocus instanceof HTMLElement && document.contains(current.returnFocus)) {
+    current.returnFocus.focus();
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * DiagView Dependency Highlighting
+ * Click (or Alt+click) a node to dim everything except the node, its edges and
+ * its neighbours. Depth presets follow 1 or 2 hops, or the full upstream /
+ * downstream chain. Built on the search highlight so a new search replaces it.
+ * @module features/lazy/dependencies
+ */
+
+import { state } from "../../core/config.js";
+import { DEPENDENCY_HIGHLIGHT } from "../../core/constants.js";
+import {
+  getDiagramModel,
+  findDiagramItem,
+  getConnectedItems,
+} from "../../core/diagram-adapters.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { createClickTracker } from "../../core/utils.js";
+import { showInfoToast } from "../../ui/toast.js";
+import { highlightElements, clearSearch } from "./search.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import dependenciesStyles from "./dependencies.css";
+
+/**
+ * Preset used for plain clicks — the last one picked in the toolbar
+ * (kept across modal sessions, like search modes)
+ * @type {string}
+ */
+let clickPreset = "1";
+
+/** Tells clicks from pans */
+const clicks = createClickTracker();
+
+/**
+ * Cleanup for the viewport and toolbar listeners (attached once per modal session;
+ * the clone's own click listener goes away with the clone on gallery switches)
+ * @type {Function|null}
+ */
+let sessionCleanup = null;
+
+/**
+ * Active modal SVG clone
+ * @private
+ */
+function getClone() {
+  return document.getElementById("diagview-modal-viewport")?.querySelector("svg") ?? null;
+}
+
+/**
+ * Preset name matching a depth/direction pair, if any
+ * @private
+ */
+function presetFor(depth, direction) {
+  const entry = Object.entries(DEPENDENCY_HIGHLIGHT.PRESETS).find(
+    ([, p]) => p.depth === depth && p.direction === direction,
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Show the toolbar for the traced node and mark the active preset
+ * @private
+ */
+function showBar(node, nodeCount, edgeCount, preset) {
+  const bar = document.getElementById("diagview-deps");
+  if (!bar) return;
+
+  const label = document.getElementById("diagview-deps-label");
+  if (label) {
+    const name = node.label || node.id;
+    const related = nodeCount - 1;
+    label.textContent = `${name} · ${related} node${related === 1 ? "" : "s"}, ${edgeCount} edge${edgeCount === 1 ? "" : "s"}`;
+  }
+
+  bar.querySelectorAll(".dv-deps-preset").forEach((btn) => {
+    btn.setAttribute(
+      "aria-pressed",
+      String(/** @type {HTMLElement} */ (btn).dataset.preset === preset),
+    );
+  });
+  bar.classList.add("show");
+}
+
+/**
+ * Hide the toolbar and forget the traced node
+ * @private
+ */
+function hideBar() {
+  state.dependencyTrace = null;
+  document.getElementById("diagview-deps")?.classList.remove("show");
+}
+
+/**
+ * Highlight a node together with its connected edges and neighbours.
+ * Replaces any active search; the next search clears the highlight again.
+ * @param {string|Element} target - Node ID or an element inside the node
+ * @param {object} [options={}] - Trace options
+ * @param {string} [options.preset] - "1", "2", "upstream", "downstream" or "all"
+ * @param {number} [options.depth] - Hops to follow (Infinity = all); overrides the preset
+ * @param {"both"|"upstream"|"downstream"} [options.direction] - Which way along the arrows
+ * @returns {boolean} False if the modal is closed or the node is not in the diagram
+ */
+export function traceDependencies(target, options = {}) {
+  injectStyleSheet("diagview-dependencies-styles", dependenciesStyles);
+  const clone = getClone();
+  if (!state.isModalOpen || !clone) return false;
+
+  const model = getDiagramModel(clone);
+  if (!model) return false;
+
+  const node =
+    typeof target === "string"
+      ? model.nodes.find((n) => n.id === target)
+      : findDiagramItem(model, target);
+  if (!node || node.kind !== "node") return false;
+
+  const base =
+    DEPENDENCY_HIGHLIGHT.PRESETS[options.preset ?? clickPreset] ?? DEPENDENCY_HIGHLIGHT.PRESETS[1];
+  const depth = options.depth ?? base.depth;
+  const direction = options.direction ?? base.direction;
+
+  if (!model.edges.some((edge) => edge.source && edge.target)) {
+    showInfoToast("No connections found in this diagram");
+    return false;
+  }
+
+  const { nodes, edges } = getConnectedItems(model, node.id, { depth, direction });
+  const kept = new Set([...nodes, ...edges].map((item) => item.element));
+  const dim = [...model.nodes, ...model.edges, ...model.clusters]
+    .map((item) => item.element)
+    .filter((el) => !kept.has(el));
+
+  highlightElements(clone, [...kept], {
+    dim,
+    edges: edges.map((edge) => edge.element),
+    root: node.element,
+    onReplaced: hideBar,
+  });
+
+  state.dependencyTrace = { nodeId: node.id, depth, direction };
+  showBar(node, nodes.length, edges.length, presetFor(depth, direction));
+  return true;
+}
+
+/**
+ * Remove the dependency highlight (no-op when nothing is traced)
+ */
+export function clearDependencyTrace() {
+  if (state.dependencyTrace) clearSearch();
+}
+
+/**
+ * Enable click-to-trace on the modal diagram and wire the toolbar.
+ * Clicks that end a pan, clicks in text-select or annotation mode and clicks on
+ * links are ignored.
+ * @param {SVGSVGElement} clone - Modal SVG clone
+ * @param {HTMLElement} viewport - Modal viewport
+ */
+export function setupDependencyHighlight(clone, viewport) {
+  const mode = state.config.dependencyHighlight;
+  if (!mode || !clone || !viewport) return;
+
+  clone.classList.add("dv-dependency-clickable");
+
+  addModalListener(clone, "click", (e) => {
+    if (!clicks.isClick(e)) return;
+    if (viewport.classList.contains("dv-text-select") || state.annotating) return;
+    if (mode === DEPENDENCY_HIGHLIGHT.ALT_CLICK && !e.altKey) return;
+    if (e.target.closest?.("a")) return;
+
+    const item = findDiagramItem(getDiagramModel(clone), e.target);
+    if (item?.kind === "node") {
+      e.preventDefault();
+      // Clicking the traced node again toggles the highlight off
+      if (state.dependencyTrace?.nodeId === item.id) {
+        clearDependencyTrace();
+      } else {
+        traceDependencies(item.element);
+      }
+    } else {
+      clearDependencyTrace();
+    }
+  });
+
+  if (!sessionCleanup) setupSessionListeners(viewport);
+}
+
+/**
+ * Pointer tracking and toolbar buttons
+ * @private
+ */
+function setupSessionListeners(viewport) {
+  const cleanups = [addModalListener(viewport, "pointerdown", clicks.press)];
+
+  const bar = document.getElementById("diagview-deps");
+  if (bar) {
+    const cleanupBar = addModalListener(bar, "click", (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+      if (!btn) return;
+      if (btn.id === "diagview-deps-close") {
+        clearDependencyTrace();
+        return;
+      }
+      const preset = btn.dataset.preset;
+      if (!preset || !state.dependencyTrace) return;
+      clickPreset = preset;
+      traceDependencies(state.dependencyTrace.nodeId, { preset });
+    });
+    cleanups.push(cleanupBar);
+  }
+
+  sessionCleanup = () => {
+    cleanups.forEach((fn) => fn());
+    sessionCleanup = null;
+    clicks.reset();
+  };
+}
+
+/**
+ * Reset dependency highlighting on modal close
+ */
+export function cleanupDependencyHighlight() {
+  if (sessionCleanup) sessionCleanup();
+  hideBar();
+}
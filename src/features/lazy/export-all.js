@@ -0,0 +1,142 @@
+/**
+ * DiagView Batch Export
+ * Exports every diagram matched by diagramSelector into one ZIP archive,
+ * written in-library (core/zip), with a manifest.json listing each file's
+ * title, size and index on the page.
+ * @module features/lazy/export-all
+ */
+
+import { EXPORT } from "../../core/constants.js";
+import {
+  safeQuerySelectorAll,
+  downloadFile,
+  getTimestamp,
+  extractDiagramTitle,
+} from "../../core/utils.js";
+import { createZip } from "../../core/zip.js";
+import { getDiagramSelector } from "../../core/renderers.js";
+import {
+  showInfoToast,
+  showSuccessToast,
+  showErrorToast,
+  showWarningToast,
+} from "../../ui/toast.js";
+import { exportToBlob, generateFilename } from "../export.js";
+
+/**
+ * Whether a batch export is running (one at a time)
+ * @type {boolean}
+ */
+let running = false;
+
+/**
+ * Make a file name unique within the archive: name.png, name-2.png, ...
+ * @private
+ */
+function uniqueName(base, extension, taken) {
+  let name = `${base}.${extension}`;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}.${extension}`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Export every diagram on the page into one ZIP archive with a manifest.json.
+ * Diagrams that fail to render are listed under "skipped" in the manifest.
+ * @param {object} [options={}] - Export options
+ * @param {"png"|"jpeg"|"webp"|"svg"} [options.format="png"] - Format of every file
+ * @param {number} [options.scale] - Bitmap scale (default: highResScale / mobileScale;
+ *   still capped by maxPixels)
+ * @param {boolean} [options.transparent=false] - Transparent background (PNG/WebP/SVG)
+ * @param {boolean} [options.annotations=false] - Include each diagram's annotations
+ * @param {string} [options.filename] - Archive name without extension
+ * @returns {Promise<boolean>} True if the archive was downloaded
+ */
+export async function exportAll(options = {}) {
+  const format = options.format ?? "png";
+  if (!EXPORT.BATCH_FORMATS.includes(format)) {
+    console.warn(
+      `DiagView: exportAll() format must be one of ${EXPORT.BATCH_FORMATS.join(", ")}, got "${format}"`,
+    );
+    return false;
+  }
+  if (running) {
+    showInfoToast("An export is already running");
+    return false;
+  }
+
+  const diagrams = safeQuerySelectorAll(getDiagramSelector(), document)
+    .map((element, index) => ({ element: /** @type {HTMLElement} */ (element), index }))
+    .filter(({ element }) => element.querySelector("svg"));
+  if (!diagrams.length) {
+    showInfoToast("No diagrams to export");
+    return false;
+  }
+
+  running = true;
+  try {
+    const taken = new Set([EXPORT.MANIFEST_FILENAME]);
+    const entries = [];
+    const manifest = {
+      generator: "DiagView",
+      createdAt: new Date().toISOString(),
+      format,
+      diagrams: [],
+      skipped: [],
+    };
+
+    for (const [i, { element, index }] of diagrams.entries()) {
+      showInfoToast(`Exporting diagram ${i + 1} of ${diagrams.length}...`);
+      const title = extractDiagramTitle(element);
+      try {
+        const file = await exportToBlob(element, format, {
+          transparent: options.transparent,
+          scale: options.scale,
+          annotations: options.annotations,
+        });
+        const name = uniqueName(
+          generateFilename(element.querySelector("svg")),
+          file.extension,
+          taken,
+        );
+        entries.push({ name, data: file.blob });
+        manifest.diagrams.push({
+          index,
+          file: name,
+          title,
+          width: file.width,
+          height: file.height,
+        });
+      } catch (e) {
+        console.warn(`DiagView: Batch export skipped diagram ${index}`, e);
+        manifest.skipped.push({ index, title, error: e.message });
+      }
+    }
+
+    if (!entries.length) {
+      showErrorToast("Export Failed", "None of the diagrams could be rendered");
+      return false;
+    }
+
+    entries.push({ name: EXPORT.MANIFEST_FILENAME, data: JSON.stringify(manifest, null, 2) });
+    const zip = await createZip(entries);
+    // downloadFile revokes the blob URL once the download has started
+    downloadFile(
+      URL.createObjectURL(zip),
+      `${options.filename || `diagrams_${getTimestamp()}`}.zip`,
+    );
+
+    const saved = `${manifest.diagrams.length} ${manifest.diagrams.length === 1 ? "diagram" : "diagrams"}`;
+    if (manifest.skipped.length) {
+      showWarningToast(`${saved} saved as ZIP, ${manifest.skipped.length} skipped`);
+    } else {
+      showSuccessToast(`${saved} saved as ZIP`);
+    }
+    return true;
+  } catch (e) {
+    showErrorToast("Export Failed", e.message);
+    return false;
+  } finally {
+    running = false;
+  }
+}
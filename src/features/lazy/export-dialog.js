@@ -0,0 +1,529 @@
+/**
+ * DiagView Export Dialog
+ * Full export settings with a live preview: format, area, scale/DPI, background,
+ * padding, watermark, quality and file name, plus the named presets from
+ * config.exportPresets. Opens from the inline controls (header and floating
+ * layouts) and from the fullscreen menu.
+ * @module features/lazy/export-dialog
+ */
+
+import { state, addModalCleanupFunction } from "../../core/config.js";
+import { EXPORT } from "../../core/constants.js";
+import { detectTheme } from "../../core/theme.js";
+import { isMobileDevice, setSVGContent } from "../../core/utils.js";
+import { getViewportRectInSVGCoords } from "../../core/svg-geometry.js";
+import {
+  getExportPresets,
+  normalizeExportSettings,
+  resolveExportScale,
+} from "../../core/export-settings.js";
+import { exportDiagram, exportToBlob, generateFilename } from "../export.js";
+import { selectExportRegion } from "./region-select.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import exportDialogStyles from "./export-dialog.css";
+
+/**
+ * Open dialog: its elements, the diagram it exports and the settings being edited
+ * @type {{root: HTMLElement, element: HTMLElement, modalClone: SVGSVGElement|null,
+ *   fields: Record<string, HTMLInputElement|HTMLSelectElement>, preview: HTMLImageElement,
+ *   size: HTMLElement, fit: {width?: number, height?: number}|null, region: object|null,
+ *   area: string, previewUrl: string|null, previewTimer: *, previewRun: number,
+ *   returnFocus: Element|null, finish: (exported: boolean) => void}|null}
+ */
+let dialog = null;
+
+/**
+ * Labelled form row
+ * @private
+ */
+function createField(label, control, className = "") {
+  const row = document.createElement("label");
+  row.className = `dv-expd-field ${className}`.trim();
+  const text = document.createElement("span");
+  text.className = "dv-expd-label";
+  text.textContent = label;
+  row.append(text, control);
+  return row;
+}
+
+/**
+ * Form control with a name and attributes
+ * @private
+ * @returns {HTMLInputElement} The input
+ */
+function createInput(name, type, attrs = {}) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.name = name;
+  Object.entries(attrs).forEach(([k, v]) => input.setAttribute(k, String(v)));
+  return input;
+}
+
+/**
+ * Select element from [value, label] pairs
+ * @private
+ * @returns {HTMLSelectElement} The select
+ */
+function createSelect(name, options) {
+  const select = document.createElement("select");
+  select.name = name;
+  options.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Whether the open modal shows this diagram (area modes need it)
+ * @private
+ */
+function isShownInModal(element) {
+  return state.isModalOpen && state.activeSourceElement === element;
+}
+
+/**
+ * Scale used when the dialog leaves it empty (config default)
+ * @private
+ */
+function defaultScale() {
+  return isMobileDevice()
+    ? state.config.mobileScale || EXPORT.MOBILE_SCALE_DEFAULT
+    : state.config.highResScale || EXPORT.HIGH_RES_SCALE_DEFAULT;
+}
+
+/**
+ * Export options described by the dialog's controls
+ * @private
+ * @returns {Record<string, *>} Options for exportDiagram / exportToBlob
+ */
+function readOptions() {
+  const { fields, fit } = dialog;
+  const number = (name) => (fields[name].value === "" ? undefined : Number(fields[name].value));
+  const watermark = fields.watermark.value.trim();
+  return {
+    ...normalizeExportSettings({
+      scale: fit ? undefined : number("scale"),
+      ...(fit || {}),
+      background: fields.background.value,
+      transparent: /** @type {HTMLInputElement} */ (fields.transparent).checked,
+      padding: number("padding"),
+      quality: number("quality") / 100,
+      annotations: /** @type {HTMLInputElement} */ (fields.annotations).checked,
+    }),
+    watermark: watermark ? { text: watermark } : false,
+    filename: fields.filename.value.trim() || undefined,
+    modalClone: dialog.modalClone,
+    region: dialog.region,
+  };
+}
+
+/**
+ * Show the controls that apply to the chosen format
+ * @private
+ */
+function syncFormatControls() {
+  const { root, fields } = dialog;
+  const format = fields.format.value;
+  root.querySelector(".dv-expd-quality").hidden = format !== "jpeg" && format !== "webp";
+  root.querySelector(".dv-expd-resolution").hidden = format === "svg" || format === "html";
+  /** @type {HTMLInputElement} */ (fields.transparent).disabled =
+    format === "jpeg" || format === "pdf" || format === "html";
+}
+
+/**
+ * Re-render the preview and the output size after settings stop changing
+ * @private
+ */
+function schedulePreview() {
+  if (!dialog) return;
+  clearTimeout(dialog.previewTimer);
+  dialog.previewTimer = setTimeout(renderPreview, EXPORT.PREVIEW_DEBOUNCE);
+}
+
+/**
+ * Render the current settings to an SVG thumbnail
+ * @private
+ */
+async function renderPreview() {
+  const current = dialog;
+  if (!current) return;
+  const run = ++current.previewRun;
+  const options = readOptions();
+  const format = current.fields.format.value;
+
+  try {
+    const { blob, width, height } = await exportToBlob(current.element, "svg", options);
+    if (dialog !== current || run !== current.previewRun) return; // Superseded
+
+    if (current.previewUrl) URL.revokeObjectURL(current.previewUrl);
+    current.previewUrl = URL.createObjectURL(blob);
+    current.preview.src = current.previewUrl;
+    current.preview.hidden = false;
+
+    if (format === "svg" || format === "html") {
+      const kind = format === "svg" ? "vector" : "interactive page";
+      current.size.textContent = `${width} × ${height} (${kind})`;
+    } else {
+      const { scale, capped } = resolveExportScale(
+        width,
+        height,
+        options,
+        defaultScale(),
+        state.config.maxPixels,
+      );
+      const pixels = `${Math.round(width * scale)} × ${Math.round(height * scale)} px`;
+      current.size.textContent = capped ? `${pixels} (limited by maxPixels)` : pixels;
+      if (current.fit) current.fields.scale.placeholder = scale.toFixed(2);
+    }
+  } catch (e) {
+    if (dialog !== current) return;
+    current.preview.hidden = true;
+    current.size.textContent = `Preview unavailable: ${e.message}`;
+  }
+}
+
+/**
+ * Fill the controls from a preset
+ * @private
+ */
+function applyPreset(name) {
+  const preset = getExportPresets(state.config).find((p) => p.name === name);
+  if (!preset) return;
+  const { fields } = dialog;
+
+  if (preset.format) fields.format.value = preset.format;
+  dialog.fit =
+    preset.width || preset.height ? { width: preset.width, height: preset.height } : null;
+  const scale = preset.dpi ? preset.dpi / EXPORT.DPI_BASE : preset.scale;
+  fields.scale.value = dialog.fit || !scale ? "" : String(+scale.toFixed(3));
+  fields.dpi.value = dialog.fit || !scale ? "" : String(Math.round(scale * EXPORT.DPI_BASE));
+  if (preset.background) fields.background.value = preset.background;
+  if (preset.padding !== undefined) fields.padding.value = String(preset.padding);
+  if (preset.quality !== undefined) fields.quality.value = String(Math.round(preset.quality * 100));
+  if (preset.transparent !== undefined) {
+    /** @type {HTMLInputElement} */ (fields.transparent).checked = preset.transparent;
+  }
+  if (preset.annotations !== undefined) {
+    /** @type {HTMLInputElement} */ (fields.annotations).checked = preset.annotations;
+  }
+  if (preset.watermark === false) fields.watermark.value = "";
+  else if (preset.watermark?.text) fields.watermark.value = preset.watermark.text;
+}
+
+/**
+ * Switch the export area, asking for a selection when needed
+ * @private
+ */
+async function changeArea(area) {
+  const current = dialog;
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const svg = current.modalClone || viewport?.querySelector("svg");
+
+  if (area === "full" || !viewport || !svg) {
+    current.region = null;
+  } else if (area === "visible") {
+    current.region = getViewportRectInSVGCoords(viewport, svg);
+  } else {
+    // Get the dialog out of the way while the user drags
+    current.root.classList.remove("show");
+    const region = await selectExportRegion();
+    if (dialog !== current) return;
+    current.root.classList.add("show");
+    current.fields.area.focus();
+    if (!region) {
+      current.fields.area.value = current.area;
+      return;
+    }
+    current.region = region;
+  }
+  current.modalClone = current.region ? svg : current.modalClone;
+  current.area = area;
+  schedulePreview();
+}
+
+/**
+ * Build the dialog for a diagram
+ * @private
+ */
+function createDialog(element, options) {
+  const theme = detectTheme();
+  const root = document.createElement("div");
+  root.className = "diagview-export-dialog";
+  root.setAttribute("role", "dialog");
+  root.setAttribute("aria-modal", "true");
+  root.setAttribute("aria-labelledby", "dv-expd-title");
+
+  const content = document.createElement("div");
+  content.className = "dv-expd-content";
+  content.style.backgroundColor = theme.bg;
+  content.style.color = theme.text;
+
+  const header = document.createElement("div");
+  header.className = "dv-expd-header";
+  const title = document.createElement("span");
+  title.id = "dv-expd-title";
+  title.textContent = "Export";
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "dv-expd-close";
+  closeBtn.setAttribute("aria-label", "Close export dialog");
+  setSVGContent(
+    closeBtn,
+    '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>',
+  );
+  header.append(title, closeBtn);
+
+  // Preview
+  const previewBox = document.createElement("div");
+  previewBox.className = "dv-expd-preview";
+  const preview = document.createElement("img");
+  preview.alt = "Export preview";
+  preview.hidden = true;
+  const size = document.createElement("div");
+  size.className = "dv-expd-size";
+  size.setAttribute("aria-live", "polite");
+  previewBox.append(preview, size);
+
+  // Controls
+  const presets = getExportPresets(state.config);
+  const inModal = isShownInModal(element);
+  const watermarkConfig = state.config.watermark || {};
+  const fields = {
+    preset: createSelect("preset", [["", "Custom"], ...presets.map((p) => [p.name, p.label])]),
+    format: createSelect(
+      "format",
+      EXPORT.FORMATS.map((f) => [f, EXPORT.FORMAT_LABELS[f]]),
+    ),
+    area: createSelect(
+      "area",
+      inModal
+        ? [
+            ["full", "Whole diagram"],
+            ["visible", "Visible area"],
+            ["selection", "Selection…"],
+          ]
+        : [["full", "Whole diagram"]],
+    ),
+    scale: createInput("scale", "number", {
+      min: EXPORT.SCALE_MIN,
+      max: EXPORT.SCALE_MAX,
+      step: 0.25,
+      placeholder: defaultScale(),
+    }),
+    dpi: createInput("dpi", "number", {
+      min: EXPORT.DPI_MIN,
+      max: EXPORT.DPI_MAX,
+      step: 1,
+      placeholder: Math.round(defaultScale() * EXPORT.DPI_BASE),
+    }),
+    background: createInput("background", "color", { value: theme.bg }),
+    transparent: createInput("transparent", "checkbox"),
+    padding: createInput("padding", "number", {
+      min: 0,
+      max: EXPORT.PADDING_MAX,
+      step: 1,
+      placeholder: "Auto",
+    }),
+    watermark: createInput("watermark", "text", {
+      placeholder: "None",
+      value: watermarkConfig.enabled ? watermarkConfig.text || "" : "",
+    }),
+    quality: createInput("quality", "range", {
+      min: EXPORT.QUALITY_MIN * 100,
+      max: 100,
+      step: 5,
+      value: EXPORT.WEBP_QUALITY_DEFAULT * 100,
+    }),
+    annotations: createInput("annotations", "checkbox"),
+    filename: createInput("filename", "text", {
+      placeholder: generateFilename(element.querySelector("svg")),
+      spellcheck: "false",
+    }),
+  };
+  /** @type {HTMLInputElement} */ (fields.annotations).checked = options.annotations ?? true;
+  /** @type {HTMLInputElement} */ (fields.transparent).checked = !!options.transparent;
+  // <input type="color"> only takes #rrggbb
+  if (!/^#[0-9a-f]{6}$/i.test(theme.bg)) fields.background.value = "#ffffff";
+
+  const form = document.createElement("form");
+  form.className = "dv-expd-form";
+  const resolution = document.createElement("div");
+  resolution.className = "dv-expd-row dv-expd-resolution";
+  resolution.append(createField("Scale", fields.scale), createField("DPI", fields.dpi));
+  const backgroundRow = document.createElement("div");
+  backgroundRow.className = "dv-expd-row";
+  backgroundRow.append(
+    createField("Background", fields.background),
+    createField("Transparent", fields.transparent, "dv-expd-check"),
+  );
+  form.append(
+    createField("Preset", fields.preset),
+    createField("Format", fields.format),
+    createField("Area", fields.area),
+    resolution,
+    backgroundRow,
+    createField("Padding", fields.padding),
+    createField("Watermark", fields.watermark),
+    createField("Quality", fields.quality, "dv-expd-quality"),
+    createField("Annotations", fields.annotations, "dv-expd-check"),
+    createField("File name", fields.filename),
+  );
+
+  const body = document.createElement("div");
+  body.className = "dv-expd-body";
+  body.append(previewBox, form);
+
+  const actions = document.createElement("div");
+  actions.className = "dv-expd-actions";
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.className = "dv-expd-cancel";
+  cancelBtn.textContent = "Cancel";
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "submit";
+  exportBtn.className = "dv-expd-export";
+  exportBtn.textContent = "Export";
+  exportBtn.style.backgroundColor = theme.accent;
+  exportBtn.setAttribute("form", "dv-expd-form");
+  form.id = "dv-expd-form";
+  actions.append(cancelBtn, exportBtn);
+
+  content.append(header, body, actions);
+  root.appendChild(content);
+
+  // Wiring
+  root.addEventListener("click", (e) => {
+    if (e.target === root) closeExportDialog();
+  });
+  closeBtn.addEventListener("click", () => closeExportDialog());
+  cancelBtn.addEventListener("click", () => closeExportDialog());
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    runExport();
+  });
+  form.addEventListener("input", (e) => {
+    const target = /** @type {HTMLInputElement} */ (e.target);
+    if (!dialog) return;
+    const { fields: f } = dialog;
+    if (target === f.preset) {
+      applyPreset(target.value);
+    } else if (target === f.area) {
+      changeArea(target.value);
+      return;
+    } else {
+      if (target !== f.filename) f.preset.value = "";
+      // Scale and DPI describe the same thing; typing either replaces a preset's pixel box
+      if (target === f.scale || target === f.dpi) {
+        dialog.fit = null;
+        f.scale.placeholder = String(defaultScale());
+        const n = Number(target.value);
+        if (target.value === "" || !Number.isFinite(n)) {
+          (target === f.scale ? f.dpi : f.scale).value = "";
+        } else if (target === f.scale) {
+          f.dpi.value = String(Math.round(n * EXPORT.DPI_BASE));
+        } else {
+          f.scale.value = String(+(n / EXPORT.DPI_BASE).toFixed(3));
+        }
+      }
+    }
+    syncFormatControls();
+    schedulePreview();
+  });
+  // Selects fire "change" rather than "input" in some browsers
+  form.addEventListener("change", (e) => {
+    if (e.target instanceof HTMLSelectElement) {
+      e.target.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  });
+
+  return { root, fields, preview, size };
+}
+
+/**
+ * Export with the dialog's settings and close it
+ * @private
+ */
+function runExport() {
+  const current = dialog;
+  if (!current) return;
+  const format = current.fields.format.value;
+  const options = readOptions();
+  const { element, finish } = current;
+  closeExportDialog(true);
+  exportDiagram(element, format, options)
+    .then((ok) => finish(!!ok))
+    .catch(() => finish(false));
+}
+
+/**
+ * Open the export dialog for a diagram. Only one dialog is open at a time.
+ * @param {HTMLElement} element - Diagram container
+ * @param {{preset?: string, modalClone?: SVGSVGElement|null, transparent?: boolean,
+ *   annotations?: boolean}} [options={}] - Preset to start from, the modal clone when
+ *   opened from fullscreen, and initial checkbox states
+ * @returns {Promise<boolean>} Resolves when the dialog closes: true if a file was exported
+ */
+export function openExportDialog(element, options = {}) {
+  injectStyleSheet("diagview-export-dialog-styles", exportDialogStyles);
+  closeExportDialog();
+  if (!element?.querySelector("svg")) return Promise.resolve(false);
+
+  return new Promise((resolve) => {
+    const { root, fields, preview, size } = createDialog(element, options);
+    dialog = {
+      root,
+      element,
+      modalClone: options.modalClone || null,
+      fields,
+      preview,
+      size,
+      fit: null,
+      region: null,
+      area: "full",
+      previewUrl: null,
+      previewTimer: null,
+      previewRun: 0,
+      returnFocus: document.activeElement,
+      finish: resolve,
+    };
+
+    if (options.preset) {
+      fields.preset.value = options.preset;
+      applyPreset(options.preset);
+    }
+    syncFormatControls();
+
+    // Inside the modal when it is open, so it sits above it and inside its focus trap
+    const modal = document.getElementById("diagview-modal");
+    (modal && state.isModalOpen ? modal : document.body).appendChild(root);
+    if (state.isModalOpen) addModalCleanupFunction(closeExportDialog);
+    state.exportDialogOpen = true;
+
+    root.classList.add("show");
+    fields.preset.focus();
+    renderPreview();
+  });
+}
+
+/**
+ * Close the export dialog, if open
+ * @param {boolean} [exporting=false] - Internal: an export is starting and resolves the
+ *   dialog's promise itself
+ */
+export function closeExportDialog(exporting = false) {
+  const current = dialog;
+  if (!current) return;
+  dialog = null;
+  state.exportDialogOpen = false;
+
+  clearTimeout(current.previewTimer);
+  if (current.previewUrl) URL.revokeObjectURL(current.previewUrl);
+  current.root.remove();
+  if (current.returnFocus instanceof HTMLElement && document.contains(current.returnFocus)) {
+    current.returnFocus.focus();
+  }
+  if (exporting !== true) current.finish(false);
+}
@@ -0,0 +1,277 @@
+/**
+ * DiagView Gallery Navigation
+ * Move between every diagram on the page without leaving the fullscreen modal.
+ * Prev/next buttons, PageUp/PageDown, swipe gestures and a thumbnail strip.
+ * @module features/lazy/gallery
+ */
+
+import { state } from "../../core/config.js";
+import { GALLERY } from "../../core/constants.js";
+import { safeQuerySelectorAll, extractDiagramTitle } from "../../core/utils.js";
+import { getDiagramSelector } from "../../core/renderers.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { switchDiagram } from "../../ui/modal.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import galleryStyles from "./gallery.css";
+
+/**
+ * Serialized thumbnail data URLs, keyed by diagram container.
+ * WeakMap so removed diagrams are garbage-collected with their thumbnails.
+ * @type {WeakMap<HTMLElement, string>}
+ */
+const thumbnailCache = new WeakMap();
+
+/**
+ * Cleanup for the swipe listeners (attached once per modal session)
+ * @type {Function|null}
+ */
+let swipeCleanup = null;
+
+/**
+ * Get every diagram that can be shown in the gallery, in document order.
+ * Diagrams without an SVG yet, or flagged by the error boundary, are skipped.
+ * @returns {HTMLElement[]} Navigable diagram containers
+ */
+export function getGalleryDiagrams() {
+  return safeQuerySelectorAll(getDiagramSelector(), document).filter(
+    (el) => el.querySelector("svg") && !el.dataset.diagviewError,
+  );
+}
+
+/**
+ * Show the diagram at a given gallery position
+ * @param {number} position - Zero-based position in getGalleryDiagrams()
+ * @returns {Promise<boolean>} True if the modal switched diagrams
+ */
+export async function goToDiagram(position) {
+  if (!state.isModalOpen || !state.config.showGallery) return false;
+
+  const diagrams = getGalleryDiagrams();
+  const target = diagrams[position];
+  if (!target || target === state.activeSourceElement) return false;
+
+  await switchDiagram(target);
+  return state.activeSourceElement === target;
+}
+
+/**
+ * Step forwards or backwards through the gallery (no wrap-around)
+ * @param {number} step - +1 for next, -1 for previous
+ * @returns {Promise<boolean>} True if the modal switched diagrams
+ */
+export async function navigateGallery(step) {
+  const current = getGalleryDiagrams().indexOf(state.activeSourceElement);
+  if (current === -1) return false;
+  return goToDiagram(current + step);
+}
+
+/**
+ * Sync gallery controls with the diagram currently shown in the modal
+ * @param {HTMLElement} activeElement - Diagram container shown in the modal
+ */
+export function syncGallery(activeElement) {
+  const nav = document.getElementById("diagview-gallery");
+  if (!nav) return;
+  injectStyleSheet("diagview-gallery-styles", galleryStyles);
+
+  const diagrams = state.config.showGallery ? getGalleryDiagrams() : [];
+  const position = diagrams.indexOf(activeElement);
+  const enabled = diagrams.length > 1 && position !== -1;
+
+  nav.classList.toggle("show", enabled);
+  if (!enabled) return;
+
+  const prevBtn = document.getElementById("diagview-gallery-prev");
+  const nextBtn = document.getElementById("diagview-gallery-next");
+  const counter = document.getElementById("diagview-gallery-counter");
+
+  if (prevBtn) prevBtn.disabled = position === 0;
+  if (nextBtn) nextBtn.disabled = position === diagrams.length - 1;
+  if (counter) {
+    counter.textContent = `${position + 1} / ${diagrams.length}`;
+    counter.setAttribute("aria-label", `Diagram ${position + 1} of ${diagrams.length}`);
+  }
+
+  if (nav.classList.contains("dv-gallery-open")) {
+    renderThumbnails(diagrams, position);
+  }
+
+  setupSwipeNavigation();
+}
+
+/**
+ * Expand or collapse the thumbnail strip
+ * @param {boolean} [force] - Explicit open state
+ */
+export function toggleGalleryStrip(force) {
+  const nav = document.getElementById("diagview-gallery");
+  const counter = document.getElementById("diagview-gallery-counter");
+  if (!nav) return;
+
+  const open = nav.classList.toggle("dv-gallery-open", force);
+  counter?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    const diagrams = getGalleryDiagrams();
+    renderThumbnails(diagrams, diagrams.indexOf(state.activeSourceElement));
+  }
+}
+
+/**
+ * Build (or refresh) the thumbnail strip.
+ * Thumbnails are only rendered while the strip is open, so pages with many
+ * diagrams don't pay the serialization cost until the user asks for it.
+ * @private
+ */
+function renderThumbnails(diagrams, position) {
+  const strip = document.getElementById("diagview-gallery-strip");
+  if (!strip) return;
+
+  const existing = strip.querySelectorAll(".dv-gallery-thumb");
+  const isStale =
+    existing.length !== diagrams.length ||
+    diagrams.some((el, i) => thumbnailTarget(existing[i]) !== el);
+
+  if (isStale) {
+    const thumbs = diagrams.map((el, i) => createThumbnail(el, i));
+    strip.replaceChildren(...thumbs);
+  }
+
+  strip.querySelectorAll(".dv-gallery-thumb").forEach((thumb, i) => {
+    const isActive = i === position;
+    thumb.classList.toggle("active", isActive);
+    if (isActive) {
+      thumb.setAttribute("aria-current", "true");
+      thumb.scrollIntoView?.({ block: "nearest", inline: "center" });
+    } else {
+      thumb.removeAttribute("aria-current");
+    }
+  });
+}
+
+/**
+ * Thumbnail buttons keep a weak back-reference to their diagram
+ * @private
+ */
+const thumbTargets = new WeakMap();
+
+function thumbnailTarget(thumb) {
+  return thumb ? thumbTargets.get(thumb) : undefined;
+}
+
+/**
+ * Create a single thumbnail button
+ * @private
+ */
+function createThumbnail(element, position) {
+  const title = extractDiagramTitle(element);
+  const label = title === "DIAGRAM" ? `Diagram ${position + 1}` : title;
+
+  const thumb = document.createElement("button");
+  thumb.className = "dv-gallery-thumb";
+  thumb.setAttribute("type", "button");
+  thumb.setAttribute("aria-label", `${position + 1}: ${label}`);
+  thumb.title = label;
+  thumb.dataset.position = String(position);
+  thumbTargets.set(thumb, element);
+
+  const img = document.createElement("img");
+  img.alt = "";
+  img.decoding = "async";
+  img.loading = "lazy";
+  img.src = getThumbnailUrl(element);
+  thumb.appendChild(img);
+
+  return thumb;
+}
+
+/**
+ * Snapshot a diagram as an image data URL.
+ * Same approach as the minimap: an <img> never executes SVG scripts and
+ * never mutates the original SVG's IDs.
+ * @private
+ */
+function getThumbnailUrl(element) {
+  const cached = thumbnailCache.get(element);
+  if (cached) return cached;
+
+  const svg = element.querySelector("svg");
+  const snapshot = svg ? new XMLSerializer().serializeToString(svg) : "";
+  const url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(snapshot);
+  thumbnailCache.set(element, url);
+  return url;
+}
+
+/**
+ * Horizontal swipe (one finger, quick flick) moves to the next/previous diagram.
+ * Ignored while zoomed in so panning a large diagram never changes the page.
+ * @private
+ */
+function setupSwipeNavigation() {
+  if (swipeCleanup) return;
+
+  const viewport = document.getElementById("diagview-modal-viewport");
+  if (!viewport) return;
+
+  let start = null;
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length !== 1 || viewport.classList.contains("dv-text-select")) {
+      start = null;
+      return;
+    }
+    const touch = e.touches[0];
+    start = {
+      x: touch.clientX,
+      y: touch.clientY,
+      time: Date.now(),
+      scale: state.activePanzoom ? state.activePanzoom.getScale() : 1,
+    };
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!start || e.touches.length !== 0 || !e.changedTouches?.[0]) {
+      start = null;
+      return;
+    }
+
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    const elapsed = Date.now() - start.time;
+    const scale = start.scale;
+    start = null;
+
+    const isSwipe =
+      elapsed <= GALLERY.SWIPE_MAX_DURATION &&
+      Math.abs(dx) >= GALLERY.SWIPE_MIN_DISTANCE &&
+      Math.abs(dx) > Math.abs(dy) * 2 &&
+      scale <= GALLERY.SWIPE_MAX_SCALE;
+
+    if (isSwipe) navigateGallery(dx < 0 ? 1 : -1);
+  };
+
+  const cleanupStart = addModalListener(viewport, "touchstart", handleTouchStart, {
+    passive: true,
+  });
+  const cleanupEnd = addModalListener(viewport, "touchend", handleTouchEnd, { passive: true });
+
+  swipeCleanup = () => {
+    cleanupStart();
+    cleanupEnd();
+    swipeCleanup = null;
+  };
+}
+
+/**
+ * Reset gallery UI and listeners on modal close
+ */
+export function cleanupGallery() {
+  if (swipeCleanup) swipeCleanup();
+
+  const nav = document.getElementById("diagview-gallery");
+  if (nav) nav.classList.remove("show", "dv-gallery-open");
+
+  document.getElementById("diagview-gallery-counter")?.setAttribute("aria-expanded", "false");
+  document.getElementById("diagview-gallery-strip")?.replaceChildren();
+}
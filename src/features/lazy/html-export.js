@@ -0,0 +1,429 @@
+/**
+ * DiagView Interactive HTML Export
+ * Writes a single self-contained .html file: the sanitized export SVG (fonts
+ * embedded) plus a small inlined viewer with zoom, pan, search and a minimap,
+ * so a diagram can be shared and explored offline without DiagView.
+ * @module features/lazy/html-export
+ */
+
+import { state } from "../../core/config.js";
+import { EXPORT, PAN } from "../../core/constants.js";
+import { detectTheme } from "../../core/theme.js";
+import { downloadFile, extractDiagramTitle } from "../../core/utils.js";
+import { showSuccessToast, showErrorToast } from "../../ui/toast.js";
+import { buildSVGExport, generateFilename } from "../export.js";
+
+/**
+ * Settings read by the viewer script
+ * @typedef {object} ViewerSettings
+ * @property {number} minZoom - Smallest zoom, 1 = the whole diagram fits the window
+ * @property {number} maxZoom - Largest zoom
+ * @property {number} zoomStep - Zoom factor of the buttons and +/- keys
+ * @property {number} panStep - Arrow-key pan in pixels
+ * @property {number} panStepFast - Shift+arrow pan in pixels
+ * @property {boolean} minimap - Show the minimap while zoomed in
+ * @property {number} minimapSize - Longest side of the minimap in pixels
+ */
+
+const PAGE_CSS = `
+*{box-sizing:border-box}
+html,body{margin:0;height:100%;overflow:hidden}
+body{display:flex;flex-direction:column;background:var(--dv-bg);color:var(--dv-text);font:14px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif}
+.dv-html-bar{display:flex;align-items:center;gap:12px;padding:8px 12px;border-bottom:1px solid rgba(128,128,128,.25)}
+.dv-html-bar h1{flex:1;margin:0;font-size:15px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.dv-html-search,.dv-html-zoom{display:flex;align-items:center;gap:4px}
+.dv-html-bar input{width:180px;padding:5px 8px;border:1px solid rgba(128,128,128,.4);border-radius:6px;background:transparent;color:inherit;font:inherit}
+.dv-html-bar button{min-width:30px;height:30px;padding:0 8px;border:1px solid rgba(128,128,128,.3);border-radius:6px;background:transparent;color:inherit;font:inherit;cursor:pointer}
+.dv-html-bar button:hover,.dv-html-bar button:focus-visible{border-color:var(--dv-accent);outline:none}
+.dv-html-count{min-width:64px;font-size:12px;opacity:.75}
+.dv-html-zoom output{min-width:48px;text-align:center;font-variant-numeric:tabular-nums}
+.dv-html-stage{position:relative;flex:1;overflow:hidden;cursor:grab;touch-action:none;user-select:none}
+.dv-html-stage.dv-html-dragging{cursor:grabbing}
+.dv-html-stage>svg{display:block;width:100%;height:100%}
+.dv-html-minimap{position:fixed;right:16px;bottom:16px;overflow:hidden;border:1px solid rgba(128,128,128,.4);border-radius:6px;background:var(--dv-bg);box-shadow:0 4px 16px rgba(0,0,0,.2);cursor:crosshair}
+.dv-html-minimap[hidden]{display:none}
+.dv-html-minimap img{display:block;width:100%;height:100%;pointer-events:none}
+.dv-html-minimap-view{position:absolute;border:2px solid var(--dv-accent);background:color-mix(in srgb,var(--dv-accent) 12%,transparent);pointer-events:none}
+.dv-html-error{margin:auto;padding:24px;text-align:center}
+.dv-search-dim{opacity:.15;transition:opacity .2s}
+.dv-search-match{filter:drop-shadow(0 0 8px var(--dv-accent))}
+.dv-search-match.dv-search-active{filter:drop-shadow(0 0 6px var(--dv-accent)) drop-shadow(0 0 20px var(--dv-accent))}
+@media (max-width:600px){.dv-html-bar{flex-wrap:wrap}.dv-html-bar h1{flex-basis:100%}.dv-html-bar input{width:120px}}
+`;
+
+/**
+ * The viewer. Inlined into the exported page with toString(), so it can only
+ * use its arguments and browser globals.
+ * @private
+ * @param {string} markup - The diagram's SVG markup
+ * @param {ViewerSettings} opts - Viewer settings
+ */
+function interactiveViewer(markup, opts) {
+  const stage = /** @type {HTMLElement} */ (document.querySelector(".dv-html-stage"));
+  const parsed = new DOMParser().parseFromString(markup, "image/svg+xml").documentElement;
+  if (parsed.nodeName !== "svg") {
+    stage.innerHTML = '<p class="dv-html-error">This diagram could not be displayed.</p>';
+    return;
+  }
+  const svg = /** @type {SVGSVGElement} */ (
+    /** @type {unknown} */ (document.importNode(parsed, true))
+  );
+  svg.removeAttribute("width");
+  svg.removeAttribute("height");
+  svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+  stage.appendChild(svg);
+
+  const [hx, hy, hw, hh] = (svg.getAttribute("viewBox") || "0 0 100 100")
+    .split(/[\s,]+/)
+    .map(Number);
+  const home = { x: hx, y: hy, width: hw, height: hh };
+  let view = { ...home };
+
+  const zoomLabel = /** @type {HTMLElement} */ (document.querySelector(".dv-html-zoom output"));
+  const searchInput = /** @type {HTMLInputElement} */ (
+    document.querySelector(".dv-html-search input")
+  );
+  const count = /** @type {HTMLElement} */ (document.querySelector(".dv-html-count"));
+  const minimap = /** @type {HTMLElement} */ (document.querySelector(".dv-html-minimap"));
+  const minimapView = /** @type {HTMLElement} */ (minimap.querySelector(".dv-html-minimap-view"));
+
+  const zoom = () => home.width / view.width;
+  const center = () => ({ x: view.x + view.width / 2, y: view.y + view.height / 2 });
+
+  // Screen pixels per SVG unit and where the viewBox is drawn (it is centred, "meet")
+  const layout = () => {
+    const rect = stage.getBoundingClientRect();
+    const scale = Math.min(rect.width / view.width, rect.height / view.height) || 1;
+    return {
+      rect,
+      scale,
+      left: rect.left + (rect.width - view.width * scale) / 2,
+      top: rect.top + (rect.height - view.height * scale) / 2,
+    };
+  };
+  const toSvg = (clientX, clientY) => {
+    const { scale, left, top } = layout();
+    return { x: view.x + (clientX - left) / scale, y: view.y + (clientY - top) / scale };
+  };
+
+  const render = () => {
+    svg.setAttribute("viewBox", `${view.x} ${view.y} ${view.width} ${view.height}`);
+    zoomLabel.textContent = `${Math.round(zoom() * 100)}%`;
+    if (!opts.minimap) return;
+
+    minimap.hidden = zoom() <= 1.05;
+    if (minimap.hidden) return;
+    // The window usually shows more than the viewBox along one side
+    const { rect, scale } = layout();
+    const w = rect.width / scale;
+    const h = rect.height / scale;
+    const { x, y } = center();
+    minimapView.style.left = `${((x - w / 2 - home.x) / home.width) * 100}%`;
+    minimapView.style.top = `${((y - h / 2 - home.y) / home.height) * 100}%`;
+    minimapView.style.width = `${(w / home.width) * 100}%`;
+    minimapView.style.height = `${(h / home.height) * 100}%`;
+  };
+
+  const zoomTo = (level, point = center()) => {
+    const f = home.width / Math.min(Math.max(level, opts.minZoom), opts.maxZoom) / view.width;
+    view = {
+      x: point.x - (point.x - view.x) * f,
+      y: point.y - (point.y - view.y) * f,
+      width: view.width * f,
+      height: view.height * f,
+    };
+    render();
+  };
+  const centerOn = (point) => {
+    view = { ...view, x: point.x - view.width / 2, y: point.y - view.height / 2 };
+    render();
+  };
+  const panBy = (dx, dy) => {
+    const { scale } = layout();
+    view = { ...view, x: view.x - dx / scale, y: view.y - dy / scale };
+    render();
+  };
+  const reset = () => {
+    view = { ...home };
+    render();
+  };
+
+  // Pan with one pointer, pinch-zoom with two
+  const pointers = new Map();
+  stage.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    stage.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    stage.classList.add("dv-html-dragging");
+  });
+  stage.addEventListener("pointermove", (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const next = { x: e.clientX, y: e.clientY };
+    if (pointers.size === 1) {
+      panBy(next.x - last.x, next.y - last.y);
+    } else if (pointers.size === 2) {
+      const [, other] = [...pointers].find(([id]) => id !== e.pointerId);
+      const before = Math.hypot(last.x - other.x, last.y - other.y);
+      const after = Math.hypot(next.x - other.x, next.y - other.y);
+      if (before > 0)
+        zoomTo((zoom() * after) / before, toSvg((next.x + other.x) / 2, (next.y + other.y) / 2));
+    }
+    pointers.set(e.pointerId, next);
+  });
+  const release = (e) => {
+    pointers.delete(e.pointerId);
+    if (!pointers.size) stage.classList.remove("dv-html-dragging");
+  };
+  stage.addEventListener("pointerup", release);
+  stage.addEventListener("pointercancel", release);
+  stage.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+      zoomTo(zoom() * Math.exp(-delta / 300), toSvg(e.clientX, e.clientY));
+    },
+    { passive: false },
+  );
+  stage.addEventListener("dblclick", (e) => zoomTo(zoom() * 2, toSvg(e.clientX, e.clientY)));
+
+  // Search: labels grouped by the node, cluster or edge label they belong to
+  const items = new Map();
+  svg.querySelectorAll("text, foreignObject").forEach((el) => {
+    const text = (el.textContent || "").trim().toLowerCase();
+    if (!text) return;
+    const owner = el.closest("g.node, g.cluster, g.edgeLabel, g.edge") || el;
+    items.set(owner, items.has(owner) ? `${items.get(owner)} ${text}` : text);
+  });
+  let matches = [];
+  let current = -1;
+
+  const search = (query) => {
+    const q = query.trim().toLowerCase();
+    items.forEach((_, el) =>
+      el.classList.remove("dv-search-match", "dv-search-active", "dv-search-dim"),
+    );
+    matches = [];
+    current = -1;
+    if (q) {
+      items.forEach((text, el) => {
+        const hit = text.includes(q);
+        el.classList.add(hit ? "dv-search-match" : "dv-search-dim");
+        if (hit) matches.push(el);
+      });
+    }
+    count.textContent = !q ? "" : matches.length ? `${matches.length} found` : "No matches";
+  };
+  const step = (dir) => {
+    if (!matches.length) return;
+    matches[current]?.classList.remove("dv-search-active");
+    current = (current + dir + matches.length) % matches.length;
+    const el = matches[current];
+    el.classList.add("dv-search-active");
+    count.textContent = `${current + 1} / ${matches.length}`;
+    const r = el.getBoundingClientRect();
+    if (r.width || r.height) centerOn(toSvg(r.left + r.width / 2, r.top + r.height / 2));
+  };
+
+  searchInput.addEventListener("input", () => search(searchInput.value));
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      step(e.shiftKey ? -1 : 1);
+    } else if (e.key === "Escape") {
+      searchInput.value = "";
+      search("");
+      searchInput.blur();
+    }
+  });
+
+  const actions = {
+    "zoom-in": () => zoomTo(zoom() * opts.zoomStep),
+    "zoom-out": () => zoomTo(zoom() / opts.zoomStep),
+    reset,
+    next: () => step(1),
+    prev: () => step(-1),
+  };
+  document.querySelectorAll("[data-action]").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      actions[/** @type {HTMLElement} */ (btn).dataset.action]?.(),
+    );
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    if (target.closest?.("input, button") && e.key !== "/") return;
+    if ((e.key === "f" && (e.ctrlKey || e.metaKey)) || (e.key === "/" && target !== searchInput)) {
+      e.preventDefault();
+      searchInput.focus();
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const pan = e.shiftKey ? opts.panStepFast : opts.panStep;
+    const keys = {
+      "+": actions["zoom-in"],
+      "=": actions["zoom-in"],
+      "-": actions["zoom-out"],
+      0: reset,
+      ArrowLeft: () => panBy(pan, 0),
+      ArrowRight: () => panBy(-pan, 0),
+      ArrowUp: () => panBy(0, pan),
+      ArrowDown: () => panBy(0, -pan),
+    };
+    if (keys[e.key]) {
+      e.preventDefault();
+      keys[e.key]();
+    }
+  });
+
+  // Minimap: the whole diagram as an image, click or drag to move the view
+  if (opts.minimap && window.URL?.createObjectURL) {
+    const ratio = home.height / home.width;
+    const width = ratio > 1 ? opts.minimapSize / ratio : opts.minimapSize;
+    minimap.style.width = `${width}px`;
+    minimap.style.height = `${width * ratio}px`;
+    const img = document.createElement("img");
+    img.alt = "";
+    img.src = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+    minimap.insertBefore(img, minimapView);
+
+    const moveTo = (e) => {
+      const r = minimap.getBoundingClientRect();
+      centerOn({
+        x: home.x + ((e.clientX - r.left) / r.width) * home.width,
+        y: home.y + ((e.clientY - r.top) / r.height) * home.height,
+      });
+    };
+    let dragging = false;
+    minimap.addEventListener("pointerdown", (e) => {
+      dragging = true;
+      minimap.setPointerCapture?.(e.pointerId);
+      moveTo(e);
+    });
+    minimap.addEventListener("pointermove", (e) => dragging && moveTo(e));
+    minimap.addEventListener("pointerup", () => (dragging = false));
+  } else {
+    opts.minimap = false;
+  }
+
+  window.addEventListener("resize", render);
+  render();
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c],
+  );
+}
+
+/**
+ * JSON that is safe inside an inline <script>
+ * @private
+ */
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+/**
+ * A colour that can't break out of its CSS declaration
+ * @private
+ */
+function cssColor(value) {
+  return String(value).replace(/[<>{};]/g, "");
+}
+
+/**
+ * Build the standalone page
+ * @param {string} svgMarkup - Serialized export SVG
+ * @param {object} page - Page settings
+ * @param {string} page.title - Shown in the header and the tab
+ * @param {string} page.background - Page background colour
+ * @param {string} page.text - Text colour
+ * @param {string} page.accent - Search highlight and minimap colour
+ * @param {ViewerSettings} page.viewer - Viewer settings
+ * @returns {string} The HTML document
+ */
+export function buildInteractiveHTML(svgMarkup, { title, background, text, accent, viewer }) {
+  const colors = `:root{--dv-bg:${cssColor(background)};--dv-text:${cssColor(text)};--dv-accent:${cssColor(accent)}}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="DiagView">
+<title>${escapeHtml(title)}</title>
+<style>${colors}${PAGE_CSS}</style>
+</head>
+<body>
+<header class="dv-html-bar">
+<h1>${escapeHtml(title)}</h1>
+<div class="dv-html-search" role="search">
+<input type="search" placeholder="Search (/)" aria-label="Search the diagram">
+<span class="dv-html-count" aria-live="polite"></span>
+<button type="button" data-action="prev" aria-label="Previous match">&#8593;</button>
+<button type="button" data-action="next" aria-label="Next match">&#8595;</button>
+</div>
+<div class="dv-html-zoom">
+<button type="button" data-action="zoom-out" aria-label="Zoom out">&#8722;</button>
+<output aria-label="Zoom level">100%</output>
+<button type="button" data-action="zoom-in" aria-label="Zoom in">+</button>
+<button type="button" data-action="reset" aria-label="Fit to window">Fit</button>
+</div>
+</header>
+<main class="dv-html-stage" aria-label="Diagram: scroll or pinch to zoom, drag to pan"></main>
+<div class="dv-html-minimap" hidden><div class="dv-html-minimap-view"></div></div>
+<noscript><p class="dv-html-error">Enable JavaScript to view this diagram.</p></noscript>
+<script>
+(${interactiveViewer.toString()})(${scriptJson(svgMarkup)}, ${scriptJson(viewer)});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a diagram as a self-contained interactive HTML page
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {object} [options={}] - Export options (region, padding, watermark,
+ *   background, annotations and filename apply as for SVG)
+ * @returns {Promise<boolean>} True if the file was produced
+ */
+export async function exportToHTML(sourceElement, options = {}) {
+  const svg = sourceElement.querySelector("svg");
+  const filename = options.filename || generateFilename(svg);
+
+  try {
+    // The page provides the background, so the SVG stays transparent
+    const { data } = await buildSVGExport(sourceElement, { ...options, transparent: true });
+    const theme = detectTheme();
+    const html = buildInteractiveHTML(data, {
+      title: extractDiagramTitle(sourceElement) || "Diagram",
+      background: options.background || theme.bg,
+      text: theme.text,
+      accent: theme.accent,
+      viewer: {
+        minZoom: state.config.minZoomScale,
+        maxZoom: state.config.maxZoomScale,
+        zoomStep: EXPORT.HTML_ZOOM_STEP,
+        panStep: PAN.STEP_NORMAL,
+        panStepFast: PAN.STEP_FAST,
+        minimap: state.config.showMinimap !== false,
+        minimapSize: EXPORT.HTML_MINIMAP_SIZE,
+      },
+    });
+
+    const blob = new Blob([html], { type: "text/html;charset=utf-8" });
+    downloadFile(URL.createObjectURL(blob), `${filename}.html`);
+    showSuccessToast("HTML saved");
+    return true;
+  } catch (e) {
+    showErrorToast("HTML Failed", e.message);
+    return false;
+  }
+}
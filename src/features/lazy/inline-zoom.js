@@ -0,0 +1,433 @@
+/**
+ * DiagView Inline Zoom
+ * Zoom and pan a diagram in place on the page, without opening the modal.
+ * Panzoom moves the diagram container rather than its SVG, so exports and the
+ * modal clone never pick up the transform. The wheel only zooms with Ctrl/⌘
+ * held (trackpad pinches count), leaving page scrolling alone; one finger
+ * scrolls the page on touch and two pan and pinch. Compact controls sit in the
+ * card's corner, with an optional minimap and search, and fullscreen opens
+ * where the inline view is.
+ * @module features/lazy/inline-zoom
+ */
+
+import { state } from "../../core/config.js";
+import { INLINE, ZOOM, TIMING } from "../../core/constants.js";
+import { checkPanzoomDependency, debounce } from "../../core/utils.js";
+import { addManagedListener, safeDestroy } from "../../core/lifecycle.js";
+import { getScreenPointInElementCoords } from "../../core/svg-geometry.js";
+import { getSearchableElements } from "../../core/diagram-adapters.js";
+import { createSearchMatcher } from "../../core/search-query.js";
+import { createButton } from "../../ui/button-factory.js";
+import { ICONS } from "../../ui/icons.js";
+import { openFullscreen } from "../../ui/modal.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import inlineZoomStyles from "./inline-zoom.css";
+
+/**
+ * @typedef {object} InlineView
+ * @property {HTMLElement} element - Diagram container (the Panzoom element)
+ * @property {HTMLElement} viewport - Card viewport that clips it
+ * @property {SVGSVGElement} svg - The page SVG
+ * @property {object} panzoom - Panzoom instance
+ * @property {string} query - Current search text
+ */
+
+/**
+ * Inline views by diagram container
+ * @type {WeakMap<HTMLElement, InlineView>}
+ */
+const inlineViews = new WeakMap();
+
+/**
+ * A box in the container's own (unzoomed) pixels, measured from its top-left
+ * corner. Screen boxes scale uniformly with the container, so ratios hold even
+ * mid-animation.
+ * @private
+ */
+function localBox(view, target) {
+  const box = view.element.getBoundingClientRect();
+  const rect = target.getBoundingClientRect();
+  const ratio = box.width ? view.element.offsetWidth / box.width : 1;
+  return {
+    x: (rect.left - box.left) * ratio,
+    y: (rect.top - box.top) * ratio,
+    width: rect.width * ratio,
+    height: rect.height * ratio,
+  };
+}
+
+/**
+ * Part of the container visible in the viewport, in the container's own pixels.
+ * Panzoom renders `scale(s) translate(pan)` around the container's centre.
+ * @private
+ */
+function visibleBox(view) {
+  const { element, viewport, panzoom } = view;
+  const scale = panzoom.getScale();
+  const pan = panzoom.getPan();
+  const w = element.offsetWidth;
+  const h = element.offsetHeight;
+  const cx = element.offsetLeft + w / 2;
+  const cy = element.offsetTop + h / 2;
+  const x = (0 - cx) / scale - pan.x + w / 2;
+  const y = (0 - cy) / scale - pan.y + h / 2;
+  return { x, y, width: viewport.clientWidth / scale, height: viewport.clientHeight / scale };
+}
+
+/**
+ * Zoom to a scale and bring a point of the container to the viewport centre
+ * @private
+ */
+function centerLocalPoint(view, x, y, scale) {
+  const { element, viewport, panzoom } = view;
+  const w = element.offsetWidth;
+  const h = element.offsetHeight;
+  const cx = element.offsetLeft + w / 2;
+  const cy = element.offsetTop + h / 2;
+  const options = { animate: true, force: true };
+  panzoom.zoom(scale, options);
+  panzoom.pan(
+    (viewport.clientWidth / 2 - cx) / scale - (x - w / 2),
+    (viewport.clientHeight / 2 - cy) / scale - (y - h / 2),
+    options,
+  );
+}
+
+/**
+ * Overview image in the card corner, with the visible area outlined.
+ * Click it to centre that spot.
+ * @private
+ */
+function createMinimap(view, overlay) {
+  const minimap = document.createElement("div");
+  minimap.className = "dv-inline-minimap";
+  minimap.setAttribute("aria-hidden", "true");
+  const indicator = document.createElement("div");
+  indicator.className = "dv-inline-minimap-view";
+  minimap.appendChild(indicator);
+  overlay.appendChild(minimap);
+
+  const update = () => {
+    const show = view.panzoom.getScale() > INLINE.MINIMAP_MIN_SCALE;
+    minimap.classList.toggle("show", show);
+    if (!show) return;
+
+    const svgBox = localBox(view, view.svg);
+    if (!svgBox.width || !svgBox.height) return;
+
+    // Snapshot on first show, so host changes before then are included
+    if (!minimap.querySelector("img")) {
+      const img = document.createElement("img");
+      img.alt = "";
+      img.src =
+        "data:image/svg+xml;charset=utf-8," +
+        encodeURIComponent(new XMLSerializer().serializeToString(view.svg));
+      minimap.insertBefore(img, indicator);
+    }
+
+    const aspect = svgBox.width / svgBox.height;
+    const width = Math.min(INLINE.MINIMAP_SIZE, INLINE.MINIMAP_SIZE * aspect);
+    minimap.style.width = `${Math.round(width)}px`;
+    minimap.style.height = `${Math.round(width / aspect)}px`;
+
+    const visible = visibleBox(view);
+    const left = Math.max((visible.x - svgBox.x) / svgBox.width, 0);
+    const top = Math.max((visible.y - svgBox.y) / svgBox.height, 0);
+    const right = Math.min((visible.x + visible.width - svgBox.x) / svgBox.width, 1);
+    const bottom = Math.min((visible.y + visible.height - svgBox.y) / svgBox.height, 1);
+    indicator.style.cssText = `left:${left * 100}%;top:${top * 100}%;width:${Math.max(right - left, 0) * 100}%;height:${Math.max(bottom - top, 0) * 100}%`;
+  };
+
+  const cleanup = addManagedListener(minimap, "click", (e) => {
+    const rect = minimap.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    const svgBox = localBox(view, view.svg);
+    centerLocalPoint(
+      view,
+      svgBox.x + ((e.clientX - rect.left) / rect.width) * svgBox.width,
+      svgBox.y + ((e.clientY - rect.top) / rect.height) * svgBox.height,
+      view.panzoom.getScale(),
+    );
+  });
+
+  return { update, cleanup };
+}
+
+/**
+ * Search box for the compact controls. Matches are outlined by a layer inside
+ * the container, so they move with the diagram and the SVG stays untouched.
+ * Enter / Shift+Enter step through them; Escape clears.
+ * @private
+ */
+function createSearch(view, controls) {
+  const input = document.createElement("input");
+  input.type = "search";
+  input.className = "dv-inline-search";
+  input.placeholder = "Search…";
+  input.setAttribute("aria-label", "Search diagram");
+  const count = document.createElement("span");
+  count.className = "dv-inline-count";
+  count.setAttribute("aria-live", "polite");
+  controls.prepend(input, count);
+
+  const marks = document.createElement("div");
+  marks.className = "dv-inline-marks";
+  marks.setAttribute("aria-hidden", "true");
+
+  let matches = [];
+  let active = -1;
+
+  const clear = () => {
+    matches = [];
+    active = -1;
+    marks.replaceChildren();
+    marks.remove();
+    count.textContent = "";
+  };
+
+  const run = () => {
+    clear();
+    view.query = input.value.trim();
+    if (!view.query) return;
+
+    const matcher = createSearchMatcher(view.query);
+    const found = getSearchableElements(view.svg)
+      .filter(({ text }) => text && matcher.score(text) > 0)
+      .map(({ element }) => element);
+    // Outline a node, not also the label inside it
+    matches = found.filter((el) => !found.some((other) => other !== el && other.contains(el)));
+
+    matches.forEach((match) => {
+      const box = localBox(view, match);
+      const mark = document.createElement("div");
+      mark.className = "dv-inline-mark";
+      mark.style.cssText = `left:${box.x}px;top:${box.y}px;width:${box.width}px;height:${box.height}px`;
+      marks.appendChild(mark);
+    });
+    view.element.appendChild(marks);
+    count.textContent = matcher.error
+      ? matcher.error
+      : `${matches.length} match${matches.length === 1 ? "" : "es"}`;
+  };
+
+  const step = (direction) => {
+    if (!matches.length) return;
+    active = (active + direction + matches.length) % matches.length;
+    Array.from(marks.children).forEach((mark, i) =>
+      mark.classList.toggle("dv-inline-mark-active", i === active),
+    );
+    count.textContent = `${active + 1} / ${matches.length}`;
+
+    const box = localBox(view, matches[active]);
+    const max = state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT;
+    const scale = Math.min(Math.max(view.panzoom.getScale(), INLINE.FOCUS_SCALE), max);
+    centerLocalPoint(view, box.x + box.width / 2, box.y + box.height / 2, scale);
+  };
+
+  const debouncedRun = debounce(run, INLINE.SEARCH_DEBOUNCE);
+  const cleanups = [
+    addManagedListener(input, "input", debouncedRun),
+    addManagedListener(input, "keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        debouncedRun.cancel();
+        if (view.query !== input.value.trim()) run();
+        step(e.shiftKey ? -1 : 1);
+      } else if (e.key === "Escape" && input.value) {
+        e.stopPropagation();
+        input.value = "";
+        debouncedRun.cancel();
+        run();
+      }
+    }),
+  ];
+
+  return {
+    cleanup: () => {
+      debouncedRun.cancel();
+      cleanups.forEach((fn) => fn());
+      clear();
+    },
+  };
+}
+
+/**
+ * Make a diagram card zoomable and pannable in place
+ * @param {HTMLElement} element - Diagram container
+ * @param {HTMLElement} viewport - The card's viewport around it
+ * @param {{minimap?: boolean, search?: boolean}} [options={}] - Extras to show
+ * @returns {Function} Cleanup that restores the card
+ */
+export function setupInlineZoom(element, viewport, options = {}) {
+  injectStyleSheet("diagview-inline-zoom-styles", inlineZoomStyles);
+  const svg = element?.querySelector("svg");
+  if (!svg || !viewport || inlineViews.has(element)) return () => {};
+  if (!checkPanzoomDependency()) {
+    console.warn("DiagView: Panzoom library not found. Inline zoom disabled.");
+    return () => {};
+  }
+
+  const savedStyles = [element, viewport].map((el) => [el, el.getAttribute("style")]);
+  let panzoom;
+  try {
+    panzoom = window.Panzoom(element, {
+      maxScale: state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT,
+      minScale: state.config.minZoomScale || ZOOM.MIN_SCALE_DEFAULT,
+      canvas: true,
+      animate: true,
+      duration: state.config.zoomAnimationDuration || TIMING.ZOOM_ANIMATION_DURATION,
+      step: 0.35,
+      // One finger scrolls the page; Panzoom gets pinches
+      touchAction: "pan-x pan-y",
+    });
+  } catch (error) {
+    console.error("DiagView: Failed to initialize inline zoom", error);
+    return () => {};
+  }
+
+  /** @type {InlineView} */
+  const view = { element, viewport, svg, panzoom, query: "" };
+  inlineViews.set(element, view);
+
+  // Overlay for controls, minimap and hint; Panzoom ignores pointers on it
+  const overlay = document.createElement("div");
+  overlay.className = "dv-inline-overlay panzoom-exclude";
+  const controls = document.createElement("div");
+  controls.className = "dv-inline-controls";
+  [
+    { action: "zoom-in", title: "Zoom in", icon: ICONS.zoomIn, onClick: () => panzoom.zoomIn() },
+    {
+      action: "zoom-out",
+      title: "Zoom out",
+      icon: ICONS.zoomOut,
+      onClick: () => panzoom.zoomOut(),
+    },
+    { action: "reset", title: "Reset view", icon: ICONS.reset, onClick: () => panzoom.reset() },
+    {
+      action: "fullscreen",
+      title: "Open fullscreen",
+      icon: ICONS.fs,
+      onClick: () => expandInline(element),
+    },
+  ].forEach((config) => controls.appendChild(createButton(config)));
+  const hint = document.createElement("div");
+  hint.className = "dv-inline-hint";
+  hint.textContent = `${/Mac|iPhone|iPad/.test(navigator.platform || "") ? "⌘" : "Ctrl"} + scroll to zoom`;
+  overlay.append(controls, hint);
+  viewport.appendChild(overlay);
+
+  viewport.tabIndex = 0;
+  viewport.setAttribute(
+    "aria-label",
+    "Zoomable diagram: Ctrl + scroll or + / − to zoom, drag to pan, 0 to reset",
+  );
+
+  const minimap = options.minimap ? createMinimap(view, overlay) : null;
+  const search = options.search ? createSearch(view, controls) : null;
+
+  let hintTimer = null;
+  const showHint = () => {
+    hint.classList.add("show");
+    clearTimeout(hintTimer);
+    hintTimer = setTimeout(() => hint.classList.remove("show"), INLINE.HINT_DURATION);
+  };
+  const inOverlay = (e) => overlay.contains(/** @type {Node} */ (e.target));
+
+  // Touch: pan only with two fingers so the page keeps scrolling
+  const touches = new Set();
+  const trackTouch = (e) => {
+    if (e.pointerType !== "touch") return;
+    if (e.type === "pointerdown") touches.add(e.pointerId);
+    else touches.delete(e.pointerId);
+    panzoom.setOptions({ disablePan: touches.size === 1 });
+  };
+
+  const cleanups = [
+    addManagedListener(
+      viewport,
+      "wheel",
+      (e) => {
+        if (!(e.ctrlKey || e.metaKey)) {
+          if (!inOverlay(e)) showHint();
+          return;
+        }
+        if (e.cancelable) e.preventDefault();
+        hint.classList.remove("show");
+        panzoom.zoomWithWheel(e);
+      },
+      { passive: false },
+    ),
+    addManagedListener(viewport, "pointerdown", trackTouch, true),
+    addManagedListener(viewport, "pointerup", trackTouch, true),
+    addManagedListener(viewport, "pointercancel", trackTouch, true),
+    addManagedListener(viewport, "dblclick", (e) => {
+      if (!inOverlay(e)) panzoom.reset();
+    }),
+    addManagedListener(viewport, "keydown", (e) => {
+      if (e.target !== viewport || e.ctrlKey || e.metaKey || e.altKey) return;
+      const action = { "+": "zoomIn", "=": "zoomIn", "-": "zoomOut", _: "zoomOut", 0: "reset" }[
+        e.key
+      ];
+      if (!action) return;
+      e.preventDefault();
+      panzoom[action]();
+    }),
+    addManagedListener(element, "panzoomchange", () => {
+      element.style.setProperty("--dv-inline-scale", String(panzoom.getScale()));
+      if (minimap) minimap.update();
+    }),
+  ];
+
+  return () => {
+    clearTimeout(hintTimer);
+    cleanups.forEach((fn) => fn());
+    if (minimap) minimap.cleanup();
+    if (search) search.cleanup();
+    safeDestroy(panzoom);
+    overlay.remove();
+    viewport.removeAttribute("tabindex");
+    viewport.removeAttribute("aria-label");
+    savedStyles.forEach(([el, style]) => {
+      if (style === null) el.removeAttribute("style");
+      else el.setAttribute("style", style);
+    });
+    inlineViews.delete(element);
+  };
+}
+
+/**
+ * The inline view in diagram coordinates, for carrying into fullscreen
+ * @param {HTMLElement} element - Diagram container
+ * @returns {{scale: number, center: {x: number, y: number}}|null} View, or null if
+ *   the diagram isn't inline or hasn't been moved
+ */
+export function getInlineView(element) {
+  const view = inlineViews.get(element);
+  if (!view) return null;
+  const scale = view.panzoom.getScale();
+  const pan = view.panzoom.getPan();
+  if (Math.abs(scale - 1) < 0.01 && !pan.x && !pan.y) return null;
+
+  const rect = view.viewport.getBoundingClientRect();
+  const center = getScreenPointInElementCoords(
+    view.svg,
+    rect.left + rect.width / 2,
+    rect.top + rect.height / 2,
+  );
+  return center ? { scale, center } : null;
+}
+
+/**
+ * Open the fullscreen viewer at the inline view, with the inline search
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Promise<void>}
+ */
+export async function expandInline(element) {
+  const view = getInlineView(element);
+  const query = inlineViews.get(element)?.query;
+  await openFullscreen(element, query ? { searchQuery: query } : {});
+  if (!view || !state.isModalOpen || state.activeSourceElement !== element) return;
+
+  const { setViewState } = await import("./view-control.js");
+  await setViewState(view, { animate: false });
+}
@@ -0,0 +1,349 @@
+/**
+ * DiagView Node Inspector
+ * Click a node or edge in the fullscreen viewer to list what its markup says
+ * about it — label, IDs, classes, data-* attributes, <title>/<desc>, links and
+ * connected edges — in a collapsible side panel. config.inspector.render adds
+ * host content for the selection, e.g. live status next to each service.
+ * @module features/lazy/inspector
+ */
+
+import { state } from "../../core/config.js";
+import { DEPENDENCY_HIGHLIGHT } from "../../core/constants.js";
+import {
+  getDiagramModel,
+  findDiagramItem,
+  describeDiagramItem,
+} from "../../core/diagram-adapters.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { createClickTracker } from "../../core/utils.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import inspectorStyles from "./inspector.css";
+
+/** Link protocols rendered as clickable links; anything else is shown as text */
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Whether the panel body is folded away (kept across selections and modal sessions)
+ * @type {boolean}
+ */
+let collapsed = false;
+
+/** Tells clicks from pans */
+const clicks = createClickTracker();
+
+/**
+ * Bumped on every selection so a slow render callback can't fill in a stale panel
+ * @type {number}
+ */
+let renderToken = 0;
+
+/**
+ * Cleanup for the viewport and panel listeners (attached once per modal session)
+ * @type {Function|null}
+ */
+let sessionCleanup = null;
+
+/**
+ * Active modal SVG clone
+ * @private
+ */
+function getClone() {
+  return document.getElementById("diagview-modal-viewport")?.querySelector("svg") ?? null;
+}
+
+/**
+ * Reflect the collapsed state on the panel and its toggle
+ * @private
+ */
+function applyCollapsed(panel) {
+  panel.classList.toggle("collapsed", collapsed);
+  const toggle = document.getElementById("diagview-inspector-toggle");
+  if (toggle) {
+    toggle.setAttribute("aria-expanded", String(!collapsed));
+    toggle.title = collapsed ? "Expand details" : "Collapse details";
+  }
+}
+
+/**
+ * Element with a class and optional text
+ * @private
+ */
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Titled section holding a definition list
+ * @private
+ */
+function section(heading, rows) {
+  const wrap = el("section", "dv-inspector-section");
+  if (heading) wrap.appendChild(el("h3", "dv-inspector-heading", heading));
+  const list = el("dl", "dv-inspector-list");
+  rows.forEach(([term, value]) => {
+    list.appendChild(el("dt", "", term));
+    const dd = el("dd");
+    if (value instanceof Node) dd.appendChild(value);
+    else dd.textContent = value;
+    list.appendChild(dd);
+  });
+  wrap.appendChild(list);
+  return wrap;
+}
+
+/**
+ * A link target as an anchor when it is safe to follow, as text otherwise
+ * @private
+ */
+function linkNode(href) {
+  let url = null;
+  try {
+    url = new URL(href, window.location.href);
+  } catch {
+    // Not a URL: shown as text
+  }
+  if (!url || !SAFE_PROTOCOLS.includes(url.protocol)) return el("code", "", href);
+  const a = el("a", "", href);
+  a.href = url.href;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  return a;
+}
+
+/**
+ * Button that selects a connected node
+ * @private
+ */
+function nodeButton(prefix, node, edge) {
+  const name = node.label || node.id;
+  const edgeLabel = edge?.label ? ` (${edge.label})` : "";
+  const btn = el("button", "dv-inspector-link", `${prefix} ${name}${edgeLabel}`);
+  btn.type = "button";
+  btn.dataset.nodeId = node.id;
+  return btn;
+}
+
+/**
+ * Connections section: a node's incoming and outgoing edges, or an edge's ends
+ * @private
+ */
+function connectionsSection(model, details) {
+  const nodeById = (id) => model.nodes.find((node) => node.id === id);
+  const list = el("ul", "dv-inspector-edges");
+  const add = (btn) => list.appendChild(el("li")).appendChild(btn);
+
+  if (details.kind === "edge") {
+    if (details.source) add(nodeButton("From", details.source));
+    if (details.target) add(nodeButton("To", details.target));
+  } else if (details.incoming && details.outgoing) {
+    details.incoming.forEach((edge) => {
+      const node = nodeById(edge.source);
+      if (node) add(nodeButton("←", node, edge));
+    });
+    details.outgoing.forEach((edge) => {
+      const node = nodeById(edge.target);
+      if (node) add(nodeButton("→", node, edge));
+    });
+    if (!list.children.length) list.appendChild(el("li", "dv-inspector-empty", "No edges"));
+  }
+  if (!list.children.length) return null;
+
+  const wrap = el("section", "dv-inspector-section");
+  wrap.append(el("h3", "dv-inspector-heading", "Connections"), list);
+  return wrap;
+}
+
+/**
+ * Panel body for an item
+ * @private
+ */
+function buildBody(model, details) {
+  const fragment = document.createDocumentFragment();
+
+  const rows = [["Type", `${details.kind} · ${details.type}`]];
+  if (details.label) rows.push(["Label", details.label]);
+  if (details.id) rows.push(["ID", details.id]);
+  if (details.elementId && details.elementId !== details.id) {
+    rows.push(["Element ID", details.elementId]);
+  }
+  if (details.classes.length) rows.push(["Classes", details.classes.join(" ")]);
+  if (details.title) rows.push(["Title", details.title]);
+  if (details.description) rows.push(["Description", details.description]);
+  fragment.appendChild(section(null, rows));
+
+  const data = Object.entries(details.data);
+  if (data.length) {
+    fragment.appendChild(
+      section(
+        "Data attributes",
+        data.map(([key, value]) => [`data-${key}`, value]),
+      ),
+    );
+  }
+
+  if (details.links.length) {
+    const list = el("ul", "dv-inspector-links");
+    details.links.forEach((href) => list.appendChild(el("li")).appendChild(linkNode(href)));
+    const wrap = el("section", "dv-inspector-section");
+    wrap.append(el("h3", "dv-inspector-heading", "Links"), list);
+    fragment.appendChild(wrap);
+  }
+
+  const connections = connectionsSection(model, details);
+  if (connections) fragment.appendChild(connections);
+
+  return fragment;
+}
+
+/**
+ * Let the host add content for the selection. The callback gets the item details
+ * and an empty container; it may fill the container itself (now or later) or
+ * return a node, a string, or a promise of either.
+ * @private
+ */
+function renderCustom(details, container) {
+  const render = state.config.inspector?.render;
+  if (typeof render !== "function") return;
+
+  const token = ++renderToken;
+  const place = (content) => {
+    if (token !== renderToken || content === null || content === undefined || content === false) {
+      return;
+    }
+    if (content instanceof Node) container.appendChild(content);
+    else container.appendChild(document.createTextNode(String(content)));
+  };
+  const fail = (e) => console.warn("DiagView: inspector.render failed", e);
+
+  try {
+    const result = render({ ...details, diagram: state.activeSourceElement }, container);
+    if (result && typeof result.then === "function") result.then(place, fail);
+    else place(result);
+  } catch (e) {
+    fail(e);
+  }
+}
+
+/**
+ * Show a node, edge or cluster in the inspector panel
+ * @param {string|Element} target - Item ID (as in getDiagramModel()) or an element inside it
+ * @returns {boolean} False if the modal is closed or the item is not in the diagram
+ */
+export function inspectNode(target) {
+  injectStyleSheet("diagview-inspector-styles", inspectorStyles);
+  const clone = getClone();
+  const panel = document.getElementById("diagview-inspector");
+  if (!state.isModalOpen || !clone || !panel) return false;
+
+  const model = getDiagramModel(clone);
+  if (!model) return false;
+
+  const item =
+    typeof target === "string"
+      ? [...model.nodes, ...model.edges, ...model.clusters].find((i) => i.id === target)
+      : findDiagramItem(model, target);
+  if (!item) return false;
+
+  state.inspectedItem?.element.classList.remove("dv-inspected");
+  item.element.classList.add("dv-inspected");
+  state.inspectedItem = { kind: item.kind, id: item.id, element: item.element };
+
+  const details = describeDiagramItem(model, item);
+  const title = document.getElementById("diagview-inspector-title");
+  if (title) title.textContent = details.label || details.id || details.kind;
+
+  const body = document.getElementById("diagview-inspector-body");
+  if (body) {
+    const custom = el("div", "dv-inspector-custom");
+    body.replaceChildren(buildBody(model, details), custom);
+    renderCustom(details, custom);
+  }
+
+  applyCollapsed(panel);
+  panel.classList.add("show");
+  return true;
+}
+
+/**
+ * Hide the inspector panel (no-op when nothing is selected)
+ */
+export function closeInspector() {
+  renderToken++;
+  state.inspectedItem?.element.classList.remove("dv-inspected");
+  state.inspectedItem = null;
+  document.getElementById("diagview-inspector")?.classList.remove("show");
+  document.getElementById("diagview-inspector-body")?.replaceChildren();
+}
+
+/**
+ * Enable click-to-inspect on the modal diagram and wire the panel.
+ * Clicks that end a pan, clicks in text-select or annotation mode, clicks on
+ * links and Alt+clicks claimed by alt-click dependency highlighting are ignored;
+ * a click on empty space closes the panel.
+ * @param {SVGSVGElement} clone - Modal SVG clone
+ * @param {HTMLElement} viewport - Modal viewport
+ */
+export function setupInspector(clone, viewport) {
+  // A newly mounted diagram starts without a selection
+  closeInspector();
+  if (!state.config.inspector?.enabled || !clone || !viewport) return;
+
+  addModalListener(clone, "click", (e) => {
+    if (!clicks.isClick(e)) return;
+    if (viewport.classList.contains("dv-text-select") || state.annotating) return;
+    if (e.target.closest?.("a")) return;
+    if (e.altKey && state.config.dependencyHighlight === DEPENDENCY_HIGHLIGHT.ALT_CLICK) return;
+
+    const item = findDiagramItem(getDiagramModel(clone), e.target);
+    // Clicking the selected item again closes the panel
+    if (item && state.inspectedItem?.element !== item.element) {
+      inspectNode(item.element);
+    } else {
+      closeInspector();
+    }
+  });
+
+  if (!sessionCleanup) setupSessionListeners(viewport);
+}
+
+/**
+ * Pointer tracking and panel buttons
+ * @private
+ */
+function setupSessionListeners(viewport) {
+  const cleanups = [addModalListener(viewport, "pointerdown", clicks.press)];
+
+  const panel = document.getElementById("diagview-inspector");
+  if (panel) {
+    const cleanupPanel = addModalListener(panel, "click", (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+      if (!btn) return;
+      if (btn.id === "diagview-inspector-close") {
+        closeInspector();
+      } else if (btn.id === "diagview-inspector-toggle") {
+        collapsed = !collapsed;
+        applyCollapsed(panel);
+      } else if (btn.dataset.nodeId) {
+        inspectNode(btn.dataset.nodeId);
+      }
+    });
+    cleanups.push(cleanupPanel);
+  }
+
+  sessionCleanup = () => {
+    cleanups.forEach((fn) => fn());
+    sessionCleanup = null;
+    clicks.reset();
+  };
+}
+
+/**
+ * Reset the inspector on modal close
+ */
+export function cleanupInspector() {
+  if (sessionCleanup) sessionCleanup();
+  closeInspector();
+}
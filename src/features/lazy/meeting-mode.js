@@ -1,15 +1,202 @@
 /**
  * DiagView Meeting Mode
- * Laser pointer functionality for presentations
+ * Laser pointer functionality for presentations, with optional trail,
+ * spotlight and click-ripple effects
  * @module features/lazy/meeting-mode
  */
 
 import { state } from "../../core/config.js";
 import { addModalCleanupFunction } from "../../core/lifecycle.js";
+import { detectTheme } from "../../core/theme.js";
 import { showSuccessToast } from "../../ui/toast.js";
+import { EVENTS, LASER } from "../../core/constants.js";
+import { emitDiagramEvent } from "../../core/events.js";
 
 // Meeting Handlers state handled via state.activeMeetingHandlers in config.js
 
+/**
+ * Mounted pointer effect (trail canvas, spotlight overlay or ripple host)
+ * @type {{move?: Function, press?: Function, cleanup: Function}|null}
+ */
+let activeEffect = null;
+
+/**
+ * Pointer effect in use: the one picked in the menu, else the configured one
+ * @returns {string} "dot", "trail", "spotlight" or "ripple"
+ */
+export function getLaserEffect() {
+  return state.laserEffect || state.config.laser?.effect || "dot";
+}
+
+/**
+ * Pointer size and colours from config, falling back to theme-aware defaults
+ * @private
+ */
+function getLaserStyle() {
+  const { isDark } = detectTheme();
+  const { size = 28, color = null } = state.config.laser || {};
+  return {
+    size,
+    color: color || (isDark ? LASER.COLOR_DARK : LASER.COLOR_LIGHT),
+    shade: isDark ? LASER.SPOTLIGHT_SHADE_DARK : LASER.SPOTLIGHT_SHADE_LIGHT,
+  };
+}
+
+/**
+ * Fading trail drawn on a full-screen canvas. Points older than
+ * TRAIL_DURATION are dropped; the animation loop stops once none are left.
+ * @private
+ */
+function createTrail(host, style) {
+  const canvas = document.createElement("canvas");
+  canvas.className = "diagview-laser-trail";
+  host.appendChild(canvas);
+
+  const ctx = canvas.getContext("2d");
+  const points = [];
+  let rafId = null;
+  let dpr = 1;
+
+  const resize = () => {
+    dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * dpr);
+    canvas.height = Math.round(canvas.clientHeight * dpr);
+  };
+
+  const draw = () => {
+    rafId = null;
+    const now = performance.now();
+    while (points.length && now - points[0].t > LASER.TRAIL_DURATION) points.shift();
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = style.color;
+    ctx.lineCap = "round";
+
+    for (let i = 1; i < points.length; i++) {
+      // Newer segments are thicker and more opaque
+      const life = 1 - (now - points[i].t) / LASER.TRAIL_DURATION;
+      ctx.globalAlpha = Math.max(0, life) * 0.8;
+      ctx.lineWidth = Math.max(1, style.size * 0.35 * life);
+      ctx.beginPath();
+      ctx.moveTo(points[i - 1].x, points[i - 1].y);
+      ctx.lineTo(points[i].x, points[i].y);
+      ctx.stroke();
+    }
+
+    if (points.length) rafId = requestAnimationFrame(draw);
+  };
+
+  resize();
+  window.addEventListener("resize", resize);
+
+  return {
+    move(x, y) {
+      if (!ctx) return;
+      points.push({ x, y, t: performance.now() });
+      if (!rafId) rafId = requestAnimationFrame(draw);
+    },
+    cleanup() {
+      if (rafId) cancelAnimationFrame(rafId);
+      window.removeEventListener("resize", resize);
+      canvas.remove();
+    },
+  };
+}
+
+/**
+ * Darken everything outside a circle around the pointer
+ * @private
+ */
+function createSpotlight(host, style) {
+  const overlay = document.createElement("div");
+  overlay.className = "diagview-laser-spotlight";
+  overlay.style.setProperty("--dv-spot-r", `${style.size * LASER.SPOTLIGHT_RATIO}px`);
+  overlay.style.setProperty("--dv-spot-shade", style.shade);
+  host.appendChild(overlay);
+
+  return {
+    move(x, y) {
+      overlay.style.setProperty("--dv-spot-x", `${x}px`);
+      overlay.style.setProperty("--dv-spot-y", `${y}px`);
+    },
+    cleanup() {
+      overlay.remove();
+    },
+  };
+}
+
+/**
+ * Expanding ring wherever the presenter clicks or taps
+ * @private
+ */
+function createRipples(host, style) {
+  const timeouts = new Set();
+
+  return {
+    press(x, y) {
+      const ripple = document.createElement("div");
+      ripple.className = "diagview-laser-ripple";
+      ripple.style.setProperty("--dv-laser-size", `${style.size}px`);
+      ripple.style.setProperty("--dv-laser-color", style.color);
+      ripple.style.transform = `translate3d(${x}px, ${y}px, 0)`;
+      host.appendChild(ripple);
+
+      const id = setTimeout(() => {
+        timeouts.delete(id);
+        ripple.remove();
+      }, LASER.RIPPLE_DURATION);
+      timeouts.add(id);
+    },
+    cleanup() {
+      timeouts.forEach((id) => clearTimeout(id));
+      timeouts.clear();
+      host.querySelectorAll(".diagview-laser-ripple").forEach((el) => el.remove());
+    },
+  };
+}
+
+/**
+ * Mount the current effect next to the laser element (replacing any other)
+ * @private
+ */
+function mountEffect(laser) {
+  unmountEffect();
+  const style = getLaserStyle();
+  laser.style.setProperty("--dv-laser-size", `${style.size}px`);
+  laser.style.setProperty("--dv-laser-color", style.color);
+
+  const host = laser.parentElement;
+  if (!host) return;
+
+  const effect = getLaserEffect();
+  if (effect === "trail") activeEffect = createTrail(host, style);
+  else if (effect === "spotlight") activeEffect = createSpotlight(host, style);
+  else if (effect === "ripple") activeEffect = createRipples(host, style);
+}
+
+/**
+ * Remove the mounted effect
+ * @private
+ */
+function unmountEffect() {
+  if (!activeEffect) return;
+  activeEffect.cleanup();
+  activeEffect = null;
+}
+
+/**
+ * Screen position for the fixed-position pointer layers
+ * @private
+ */
+function toScreen(clientX, clientY) {
+  // SEC-7: We must multiply by visualViewport.scale because the modal
+  // is counter-scaled by (1 / scale). This ensures the laser pointer
+  // matches the actual screen position even when background is zoomed.
+  const scale = window.visualViewport ? window.visualViewport.scale : 1;
+  return { x: clientX * scale, y: clientY * scale };
+}
+
 // Guard: ensures addModalCleanupFunction is called at most once per modal session.
 // Reset in resetMeetingState() when destroy() tears down the modal.
 /**
@@ -25,36 +212,42 @@ export function enableMeetingMode() {
   viewport.classList.add("meeting");
   laser.style.display = "block";
 
-  // Track mouse movement for laser pointer
-  const handleMouseMove = (e) => {
-    // SEC-7: We must multiply by visualViewport.scale because the modal
-    // is counter-scaled by (1 / scale). This ensures the laser pointer
-    // matches the actual screen position even when background is zoomed.
-    const scale = window.visualViewport ? window.visualViewport.scale : 1;
-    const x = e.clientX * scale;
-    const y = e.clientY * scale;
+  mountEffect(laser);
 
+  const moveTo = (clientX, clientY) => {
+    const { x, y } = toScreen(clientX, clientY);
     // OPT-5: Use transform instead of top/left to avoid layout thrashing
     laser.style.transform = `translate3d(${x}px, ${y}px, 0)`;
+    activeEffect?.move?.(x, y);
   };
 
+  // Track mouse movement for laser pointer
+  const handleMouseMove = (e) => moveTo(e.clientX, e.clientY);
+
   // Track touch movement for mobile support
   const handleTouchMove = (e) => {
     if (e.touches && e.touches[0]) {
-      const scale = window.visualViewport ? window.visualViewport.scale : 1;
-      const x = e.touches[0].clientX * scale;
-      const y = e.touches[0].clientY * scale;
-      laser.style.transform = `translate3d(${x}px, ${y}px, 0)`;
+      moveTo(e.touches[0].clientX, e.touches[0].clientY);
     }
   };
 
+  // Ripples for clicks and taps
+  const handlePointerDown = (e) => {
+    if (!activeEffect?.press) return;
+    const { x, y } = toScreen(e.clientX, e.clientY);
+    activeEffect.press(x, y);
+  };
+
   viewport.addEventListener("mousemove", handleMouseMove);
   viewport.addEventListener("touchmove", handleTouchMove, { passive: true });
+  // Capture phase: Panzoom and annotation mode stop pointerdown from bubbling
+  viewport.addEventListener("pointerdown", handlePointerDown, true);
 
   // Store references for removal
   state.activeMeetingHandlers = {
     mousemove: handleMouseMove,
     touchmove: handleTouchMove,
+    pointerdown: handlePointerDown,
     viewport: viewport, // Store viewport ref in case it changes (unlikely but safe)
   };
   if (!state.meetingCleanupRegistered) {
@@ -80,12 +273,14 @@ export function disableMeetingMode(silent = false) {
   if (state.activeMeetingHandlers && viewport) {
     viewport.removeEventListener("mousemove", state.activeMeetingHandlers.mousemove);
     viewport.removeEventListener("touchmove", state.activeMeetingHandlers.touchmove);
+    viewport.removeEventListener("pointerdown", state.activeMeetingHandlers.pointerdown, true);
     state.activeMeetingHandlers = null;
   } else if (state.activeMeetingHandlers) {
     // Handlers exist but viewport is gone - just clear the handlers ref
     state.activeMeetingHandlers = null;
   }
 
+  unmountEffect();
   state.meetingMode = false;
   state.laserPointer = null;
 
@@ -111,6 +306,32 @@ export function toggleMeetingMode() {
     btn.classList.toggle("active", state.meetingMode);
     btn.setAttribute("aria-pressed", state.meetingMode ? "true" : "false");
   }
+
+  emitDiagramEvent(state, EVENTS.MEETING_TOGGLE, state.activeSourceElement, {
+    active: state.meetingMode,
+  });
+}
+
+/**
+ * Switch the pointer effect. Applies immediately if meeting mode is on and is
+ * kept for later sessions (until destroy).
+ * @param {"dot"|"trail"|"spotlight"|"ripple"} effect - Effect name
+ * @returns {boolean} False if the effect name is unknown
+ */
+export function setLaserEffect(effect) {
+  if (!LASER.EFFECTS.includes(effect)) return false;
+  state.laserEffect = effect;
+
+  const laser = document.getElementById("diagview-laser");
+  if (state.meetingMode && laser) mountEffect(laser);
+
+  document.querySelectorAll(".dv-laser-effect[data-effect]").forEach((btn) => {
+    btn.setAttribute(
+      "aria-pressed",
+      String(/** @type {HTMLElement} */ (btn).dataset.effect === effect),
+    );
+  });
+  return true;
 }
 
 /**
@@ -118,6 +339,7 @@ export function toggleMeetingMode() {
  * Called by index.js destroy()
  */
 export function resetMeetingState() {
+  unmountEffect();
   state.activeMeetingHandlers = null;
   state.meetingCleanupRegistered = false;
 }
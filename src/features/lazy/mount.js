@@ -0,0 +1,287 @@
+/**
+ * DiagView Diagram Mounting
+ * Fills a container with an SVG from a URL, a markup string or a renderer,
+ * then enhances it like any other diagram: `data-diagview-src`,
+ * DiagView.mount() and source blocks such as `<pre class="mermaid">`. Files
+ * are fetched same-origin unless security.allowRemoteResources (or the
+ * container's data-diagview-allow-remote) allows other sites, and everything is
+ * sanitized within performance.criticalFileLimit before it reaches the page.
+ * The container shows a spinner while loading and the error boundary on failure.
+ * @module features/lazy/mount
+ */
+
+import { state } from "../../core/config.js";
+import { EXPORT, SOURCE, RENDER } from "../../core/constants.js";
+import { setDiagramSource, getDiagramSource } from "../../core/renderers.js";
+import { sanitizeSVG, parseSVGMarkup } from "../../core/utils.js";
+import { initializeDiagram, deinitializeDiagram, showErrorBoundary } from "../diagram-init.js";
+
+/**
+ * @typedef {object} MountOptions
+ * @property {"strict"|"permissive"|"off"} [sanitize] - Sanitization mode for this diagram
+ *   (defaults to data-diagview-sanitize, then security.mode)
+ * @property {AbortSignal} [signal] - Cancels the download
+ */
+
+const SANITIZE_MODES = ["strict", "permissive", "off"];
+
+/**
+ * Running load per container, so a newer mount() supersedes an older one
+ * @type {WeakMap<HTMLElement, AbortController>}
+ */
+const loads = new WeakMap();
+
+/**
+ * Sanitization mode and remote-resource policy for a container: the global
+ * security config, or its data-diagview-sanitize / data-diagview-allow-remote
+ * when security.allowOverrides lets diagrams override it
+ * @private
+ */
+function securityFor(element) {
+  const { security } = state.config;
+  const sanitize = element.dataset.diagviewSanitize?.toLowerCase();
+  const allowRemote = element.dataset.diagviewAllowRemote?.toLowerCase();
+  const overrides = !!security.allowOverrides;
+  return {
+    mode: overrides && SANITIZE_MODES.includes(sanitize) ? sanitize : security.mode || "strict",
+    allowRemote:
+      overrides && allowRemote ? allowRemote === "true" : !!security.allowRemoteResources,
+  };
+}
+
+/**
+ * Address to fetch, checked against the remote-resource policy
+ * @private
+ * @returns {URL} Absolute URL
+ */
+function resolveSource(element, source) {
+  let url;
+  try {
+    url = new URL(source, document.baseURI);
+  } catch (e) {
+    throw new Error(`"${source}" is not a valid address.`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Diagrams can't be loaded over ${url.protocol}`);
+  }
+  if (url.origin !== window.location.origin && !securityFor(element).allowRemote) {
+    throw new Error(
+      "Loading diagrams from another site is disabled (security.allowRemoteResources).",
+    );
+  }
+  return url;
+}
+
+/**
+ * Download a diagram file. A same-origin address that redirects to another
+ * site is refused too unless remote resources are allowed.
+ * @private
+ * @returns {Promise<string>} The file's text
+ */
+async function download(element, url, signal) {
+  const response = await fetch(url.href, { credentials: "same-origin", signal });
+  if (
+    response.url &&
+    new URL(response.url).origin !== window.location.origin &&
+    !securityFor(element).allowRemote
+  ) {
+    throw new Error(
+      "The address redirected to another site, and loading diagrams from other sites is disabled (security.allowRemoteResources).",
+    );
+  }
+  if (!response.ok) {
+    throw new Error(`The server answered ${response.status} ${response.statusText}`.trim() + ".");
+  }
+  return response.text();
+}
+
+/**
+ * Sanitized SVG element for a container
+ * @private
+ * @returns {SVGSVGElement} The SVG to insert
+ */
+function toSvg(element, markup, options) {
+  const { performance = {}, allowedImageTypes } = state.config;
+  const maxChars = performance.criticalFileLimit || EXPORT.CRITICAL_FILE_LIMIT_DEFAULT;
+  if (markup.length > maxChars) {
+    throw new Error(`The diagram is larger than the ${maxChars} character limit.`);
+  }
+
+  const security = securityFor(element);
+  const mode = SANITIZE_MODES.includes(options.sanitize) ? options.sanitize : security.mode;
+  const clean = sanitizeSVG(markup.trim(), mode, {
+    maxChars,
+    allowRemoteResources: security.allowRemote,
+    allowedImageTypes,
+  });
+  const svg = typeof clean === "string" ? parseSVGMarkup(clean) : null;
+  if (!svg) throw new Error("The diagram is not a valid SVG image.");
+  return svg;
+}
+
+/**
+ * Spinner shown in the container while it loads
+ * @private
+ * @returns {HTMLElement} The indicator
+ */
+function createLoadingIndicator() {
+  const loading = document.createElement("div");
+  loading.className = "diagview-src-loading";
+  loading.setAttribute("role", "status");
+  const spinner = document.createElement("div");
+  spinner.className = "diagview-spinner";
+  const label = document.createElement("span");
+  label.className = "diagview-sr-only";
+  label.textContent = "Loading diagram…";
+  loading.append(spinner, label);
+  return loading;
+}
+
+/**
+ * Rejects with an AbortError once the signal aborts, so slow work that can't
+ * be cancelled (a renderer) still gives up on time
+ * @private
+ * @returns {{promise: Promise<never>, stop: () => void}} The promise, and stop() to
+ *   remove its abort listener once the work has settled
+ */
+function whenAborted(signal) {
+  let stop = () => {};
+  const promise = new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const error = new Error("Aborted");
+      error.name = "AbortError";
+      reject(error);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    stop = () => signal.removeEventListener("abort", onAbort);
+  });
+  return { promise, stop };
+}
+
+/**
+ * Replace a container's diagram with the SVG produced by getMarkup, showing
+ * the spinner meanwhile and the error boundary if it fails
+ * @private
+ * @param {HTMLElement} element - Diagram container
+ * @param {(signal: AbortSignal) => Promise<string>} getMarkup - SVG markup for the container
+ * @param {MountOptions} options - Sanitization mode and cancellation
+ * @param {{title: string, timeout: number, slow: string}} failure - Error title, time limit
+ *   and the message shown when it runs out
+ * @returns {Promise<boolean>} True once the diagram is shown
+ */
+async function fill(element, getMarkup, options, failure) {
+  loads.get(element)?.abort();
+  const controller = new AbortController();
+  loads.set(element, controller);
+  const cancel = () => controller.abort();
+  options.signal?.addEventListener("abort", cancel);
+  const timer = setTimeout(cancel, failure.timeout);
+  const isCurrent = () => loads.get(element) === controller;
+
+  // Clear the previous diagram or error
+  deinitializeDiagram(element);
+  element.querySelectorAll(":scope > svg, :scope > .diagview-error").forEach((el) => el.remove());
+  delete element.dataset.diagviewError;
+
+  const loading = createLoadingIndicator();
+  element.appendChild(loading);
+  element.setAttribute("aria-busy", "true");
+  element.dataset.diagviewSrcState = "loading";
+
+  const aborted = whenAborted(controller.signal);
+  try {
+    const markup = await Promise.race([getMarkup(controller.signal), aborted.promise]);
+    const svg = toSvg(element, markup, options);
+    if (!isCurrent()) return false;
+
+    loading.remove();
+    element.appendChild(svg);
+    element.dataset.diagviewSrcState = "loaded";
+    initializeDiagram(element, parseInt(element.dataset.diagviewIndex ?? "-1", 10));
+    return true;
+  } catch (error) {
+    // Superseded by a newer mount, or cancelled by the caller
+    if (!isCurrent() || options.signal?.aborted) return false;
+
+    element.dataset.diagviewSrcState = "error";
+    showErrorBoundary(element, null, {
+      title: failure.title,
+      message:
+        error.name === "AbortError"
+          ? failure.slow
+          : error.message || "The diagram could not be loaded.",
+    });
+    return false;
+  } finally {
+    clearTimeout(timer);
+    aborted.stop();
+    options.signal?.removeEventListener("abort", cancel);
+    loading.remove();
+    if (isCurrent()) {
+      loads.delete(element);
+      element.removeAttribute("aria-busy");
+      if (element.dataset.diagviewSrcState === "loading") delete element.dataset.diagviewSrcState;
+    }
+  }
+}
+
+/**
+ * Put an SVG into a container and enhance it. Replaces whatever an earlier
+ * mount (or the error boundary) left there.
+ * @param {HTMLElement} element - Diagram container
+ * @param {string} source - SVG markup, or the URL of an SVG file
+ * @param {MountOptions} [options={}] - Sanitization mode and cancellation
+ * @returns {Promise<boolean>} True once the diagram is shown; false if loading failed
+ *   (the container then shows the error boundary) or was cancelled
+ */
+export async function mountDiagram(element, source, options = {}) {
+  if (!(element instanceof HTMLElement) || typeof source !== "string" || !source.trim()) {
+    console.warn("DiagView: mount() needs a container element and SVG markup or a URL");
+    return false;
+  }
+
+  const isMarkup = source.trimStart().startsWith("<");
+  return fill(
+    element,
+    async (signal) =>
+      isMarkup ? source : download(element, resolveSource(element, source), signal),
+    options,
+    {
+      title: "Diagram Failed to Load",
+      timeout: SOURCE.FETCH_TIMEOUT,
+      slow: "The diagram took too long to download.",
+    },
+  );
+}
+
+/**
+ * Render a source block (e.g. `<pre class="mermaid">`) in place and enhance it.
+ * Its text is kept for the viewer's "View source" toggle, so rendering the
+ * same block again uses the original source.
+ * @param {HTMLElement} element - Source block
+ * @param {import('../../core/renderers.js').DiagramRenderer} renderer - Renderer for the block
+ * @returns {Promise<boolean>} True once the diagram is shown; false if rendering failed
+ *   (the block then shows the error boundary)
+ */
+export async function renderDiagram(element, renderer) {
+  const source = getDiagramSource(element)?.source ?? (element.textContent || "").trim();
+  setDiagramSource(element, { renderer: renderer.name, source });
+  element.replaceChildren();
+
+  return fill(
+    element,
+    async () => {
+      const output = await renderer.render(source, element);
+      if (output instanceof SVGSVGElement) return output.outerHTML;
+      if (typeof output !== "string")
+        throw new Error(`The ${renderer.name} renderer returned no SVG.`);
+      return output;
+    },
+    {},
+    {
+      title: "Diagram Failed to Render",
+      timeout: RENDER.TIMEOUT,
+      slow: "The diagram took too long to render.",
+    },
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * DiagView Print
+ * Prints a diagram through a hidden frame holding a print-only document: the
+ * export SVG laid out on sheets by core/print-layout (fitted to one page, at a
+ * fixed scale, or as a poster), with an optional title, caption and URL, in
+ * light colours whatever the page's theme.
+ * @module features/lazy/print
+ */
+
+import { state } from "../../core/config.js";
+import { COLORS, PDF, PRINT } from "../../core/constants.js";
+import { normalizePrintOptions, computePrintLayout } from "../../core/print-layout.js";
+import { getPageLabel } from "../../core/pdf-layout.js";
+import { showErrorToast, showInfoToast } from "../../ui/toast.js";
+import { buildSVGExport } from "../export.js";
+import { extractDiagramTitle } from "../../core/utils.js";
+
+const PRINT_CSS = `
+*{box-sizing:border-box}
+html,body{margin:0;padding:0;background:#fff}
+body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;-webkit-print-color-adjust:exact;print-color-adjust:exact}
+.dv-print-sheet{position:relative;overflow:hidden;break-after:page;page-break-after:always}
+.dv-print-sheet:last-child{break-after:auto;page-break-after:auto}
+.dv-print-title{position:absolute;display:flex;align-items:center;margin:0;font-size:${PDF.TITLE_FONT_SIZE}pt;font-weight:700;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.dv-print-content{position:absolute;overflow:hidden}
+.dv-print-content img{position:absolute;display:block;max-width:none}
+.dv-print-marks{position:absolute;left:0;top:0;overflow:visible}
+.dv-print-footer{position:absolute;display:flex;align-items:center;gap:4mm;font-size:${PDF.FOOTER_FONT_SIZE}pt;color:#6e6e6e}
+.dv-print-footer span{white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.dv-print-caption{flex:1}
+.dv-print-url{margin-left:auto}
+`;
+
+/** Set while a print frame is open, so repeated clicks don't stack dialogs */
+let printing = false;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c],
+  );
+}
+
+/**
+ * Absolute box in millimetres
+ * @private
+ */
+function mmBox(x, y, width, height) {
+  return `left:${x}mm;top:${y}mm;width:${width}mm;height:${height}mm`;
+}
+
+/**
+ * Build the print document
+ * @param {string} imageUrl - URL of the diagram image (the export SVG)
+ * @param {import('../../core/pdf-layout.js').PdfLayout} layout - Sheet layout
+ * @param {object} text - Sheet text
+ * @param {string} text.title - Title band text ("" for none)
+ * @param {string} text.caption - Footer caption ("" for none)
+ * @param {string} text.url - Footer URL ("" for none)
+ * @returns {string} The HTML document
+ */
+export function buildPrintDocument(imageUrl, layout, { title, caption, url }) {
+  const [pageWidth, pageHeight] = layout.format;
+  const { margin, content, header, footer, image } = layout;
+
+  const sheets = layout.pages.map((page, index) => {
+    const parts = [];
+    if (header && title) {
+      parts.push(
+        `<h1 class="dv-print-title" style="${mmBox(content.x, margin, content.width, header)}">${escapeHtml(title)}</h1>`,
+      );
+    }
+    parts.push(
+      `<div class="dv-print-content" style="${mmBox(content.x, content.y, content.width, content.height)}">` +
+        `<img src="${escapeHtml(imageUrl)}" alt="" style="${mmBox(page.x - content.x, page.y - content.y, image.width, image.height)}">` +
+        `</div>`,
+    );
+    if (page.marks.length) {
+      const lines = page.marks
+        .map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`)
+        .join("");
+      parts.push(
+        `<svg class="dv-print-marks" width="${pageWidth}mm" height="${pageHeight}mm" viewBox="0 0 ${pageWidth} ${pageHeight}" stroke="#787878" stroke-width="0.2">${lines}</svg>`,
+      );
+    }
+    const pageLabel = getPageLabel(layout, page, index);
+    if (footer && (caption || url || pageLabel)) {
+      const spans = [
+        caption && `<span class="dv-print-caption">${escapeHtml(caption)}</span>`,
+        pageLabel && `<span class="dv-print-page">${escapeHtml(pageLabel)}</span>`,
+        url && `<span class="dv-print-url">${escapeHtml(url)}</span>`,
+      ].filter(Boolean);
+      parts.push(
+        `<div class="dv-print-footer" style="${mmBox(content.x, pageHeight - margin - footer, content.width, footer)}">${spans.join("")}</div>`,
+      );
+    }
+    return `<section class="dv-print-sheet" style="width:${pageWidth}mm;height:${pageHeight}mm">${parts.join("")}</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title || "Diagram")}</title>
+<style>@page{size:${pageWidth}mm ${pageHeight}mm;margin:0}body{color:${COLORS.TEXT_LIGHT}}${PRINT_CSS}</style>
+</head>
+<body>
+${sheets.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Wait until every image of a document has loaded (or failed)
+ * @private
+ */
+function imagesLoaded(doc) {
+  return Promise.all(
+    Array.from(doc.images, (img) =>
+      img.complete
+        ? null
+        : new Promise((resolve) => {
+            img.addEventListener("load", resolve, { once: true });
+            img.addEventListener("error", resolve, { once: true });
+          }),
+    ),
+  );
+}
+
+/**
+ * Print a diagram. Layout, title, caption and URL come from config.print,
+ * overridden by options.
+ * @param {HTMLElement} sourceElement - Element containing SVG
+ * @param {object} [options={}] - Print options (see PrintOptions) plus
+ *   padding, watermark and annotations as for exports
+ * @returns {Promise<boolean>} True if the print dialog was opened
+ */
+export async function printDiagram(sourceElement, options = {}) {
+  if (printing) return false;
+  const svg = sourceElement?.querySelector("svg");
+  if (!svg) {
+    showErrorToast("Print Failed", "No diagram to print");
+    return false;
+  }
+
+  printing = true;
+  let frame = null;
+  let imageUrl = null;
+  let timer = null;
+  const cleanup = () => {
+    clearTimeout(timer);
+    frame?.remove();
+    if (imageUrl) URL.revokeObjectURL(imageUrl);
+    frame = null;
+    imageUrl = null;
+    printing = false;
+  };
+
+  try {
+    const settings = normalizePrintOptions({ ...state.config.print, ...options });
+    // The sheet is white, so the diagram and its watermark use light colours
+    const { data, width, height } = await buildSVGExport(sourceElement, {
+      padding: options.padding,
+      watermark: options.watermark,
+      annotations: options.annotations ?? true,
+      transparent: true,
+      lightTheme: true,
+    });
+    const layout = computePrintLayout(width, height, settings);
+    const title = settings.title === true ? extractDiagramTitle(sourceElement) : settings.title;
+    const url = settings.url === true ? window.location.href : settings.url;
+
+    imageUrl = URL.createObjectURL(new Blob([data], { type: "image/svg+xml;charset=utf-8" }));
+    frame = document.createElement("iframe");
+    frame.className = "diagview-print-frame";
+    frame.setAttribute("aria-hidden", "true");
+    frame.tabIndex = -1;
+    frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;";
+    document.body.appendChild(frame);
+
+    const win = frame.contentWindow;
+    const doc = win.document;
+    doc.open();
+    doc.write(buildPrintDocument(imageUrl, layout, { title, caption: settings.caption, url }));
+    doc.close();
+    await imagesLoaded(doc);
+
+    if (layout.pages.length > 1) showInfoToast(`Printing ${layout.pages.length} pages`);
+    // Browsers differ on whether print() blocks, so clean up on afterprint
+    // with a timeout in case it never fires
+    win.addEventListener("afterprint", cleanup, { once: true });
+    timer = setTimeout(cleanup, PRINT.FRAME_TIMEOUT);
+    win.focus();
+    win.print();
+    return true;
+  } catch (e) {
+    cleanup();
+    showErrorToast("Print Failed", e.message);
+    return false;
+  }
+}
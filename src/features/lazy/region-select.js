@@ -0,0 +1,125 @@
+/**
+ * DiagView Export Region Selection
+ * Lets the user drag a rectangle over the modal diagram to pick the part to
+ * export. The rectangle is mapped back to SVG coordinates (core/svg-geometry),
+ * so the export crops the viewBox to it at full resolution. Esc cancels.
+ * @module features/lazy/region-select
+ */
+
+import { state, addModalCleanupFunction } from "../../core/config.js";
+import { EXPORT } from "../../core/constants.js";
+import { getScreenRectInSVGCoords } from "../../core/svg-geometry.js";
+import { showInfoToast } from "../../ui/toast.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import regionSelectStyles from "./region-select.css";
+
+/**
+ * Selection in progress: its overlay and how to settle the pending promise
+ * @type {{overlay: HTMLElement, finish: (region: import('../export.js').ExportRegion|null) => void}|null}
+ */
+let active = null;
+
+/**
+ * Screen rectangle spanned by two pointer positions
+ * @private
+ */
+function spanRect(x1, y1, x2, y2) {
+  return {
+    left: Math.min(x1, x2),
+    top: Math.min(y1, y2),
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1),
+  };
+}
+
+/**
+ * Let the user drag out the area of the modal diagram to export.
+ * Starting a new selection cancels one already in progress.
+ * @returns {Promise<import('../export.js').ExportRegion|null>} The rectangle in the modal
+ *   SVG's coordinates, or null when cancelled (Esc, modal closed)
+ */
+export function selectExportRegion() {
+  injectStyleSheet("diagview-region-select-styles", regionSelectStyles);
+  cancelRegionSelection();
+
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const svg = viewport?.querySelector("svg");
+  if (!viewport || !svg) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "dv-region-select";
+    overlay.setAttribute("role", "application");
+    overlay.setAttribute(
+      "aria-label",
+      "Drag to select the area to export. Press Escape to cancel.",
+    );
+    const box = document.createElement("div");
+    box.className = "dv-region-box";
+    overlay.appendChild(box);
+
+    /** @type {{x: number, y: number, pointerId: number}|null} */
+    let start = null;
+
+    const finish = (region) => {
+      if (active?.overlay !== overlay) return;
+      active = null;
+      state.selectingRegion = false;
+      overlay.remove();
+      resolve(region);
+    };
+
+    // Keep Panzoom out of it while dragging
+    overlay.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0) return;
+      e.stopPropagation();
+      e.preventDefault();
+      start = { x: e.clientX, y: e.clientY, pointerId: e.pointerId };
+      overlay.setPointerCapture?.(e.pointerId);
+    });
+
+    overlay.addEventListener("pointermove", (e) => {
+      if (!start || e.pointerId !== start.pointerId) return;
+      e.stopPropagation();
+      const rect = spanRect(start.x, start.y, e.clientX, e.clientY);
+      const oRect = overlay.getBoundingClientRect();
+      box.style.left = `${rect.left - oRect.left}px`;
+      box.style.top = `${rect.top - oRect.top}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      box.classList.add("show");
+    });
+
+    overlay.addEventListener("pointerup", (e) => {
+      if (!start || e.pointerId !== start.pointerId) return;
+      e.stopPropagation();
+      const rect = spanRect(start.x, start.y, e.clientX, e.clientY);
+      start = null;
+
+      // Clicks and tiny drags are most likely accidental: keep waiting for a real one
+      if (rect.width < EXPORT.REGION_MIN_SIZE || rect.height < EXPORT.REGION_MIN_SIZE) {
+        box.classList.remove("show");
+        return;
+      }
+      finish(getScreenRectInSVGCoords(svg, rect));
+    });
+
+    overlay.addEventListener("pointercancel", () => {
+      start = null;
+      box.classList.remove("show");
+    });
+
+    viewport.appendChild(overlay);
+    active = { overlay, finish };
+    state.selectingRegion = true;
+    addModalCleanupFunction(cancelRegionSelection);
+    showInfoToast("Drag to select the area to export · Esc to cancel");
+  });
+}
+
+/**
+ * Abandon the selection in progress, if any (its promise resolves to null)
+ */
+export function cancelRegionSelection() {
+  active?.finish(null);
+}
@@ -7,18 +7,59 @@
 import { state } from "../../core/config.js";
 import { showSuccessToast } from "../../ui/toast.js";
 import { centerSVGViewBox } from "../../core/utils.js";
+import { EVENTS } from "../../core/constants.js";
+import { emitDiagramEvent } from "../../core/events.js";
+import { getDiagramSelector } from "../../core/renderers.js";
 
 /**
  * Rotate diagram by 90 degrees
  * Architecture Fix: Rotates an inner <g> instead of the parent <div>.
  */
 export function rotateDiagram() {
-  state.rotationAngle = (state.rotationAngle + 90) % 360;
+  if (!setRotation((state.rotationAngle + 90) % 360)) return;
+
+  // Recalibrate panzoom so it recalculates bounds
+  state.activePanzoom?.reset({ animate: true });
+
+  showSuccessToast(`↻ Rotated ${state.rotationAngle}°`);
+  emitDiagramEvent(state, EVENTS.ROTATE, state.activeSourceElement, {
+    angle: state.rotationAngle,
+  });
+
+  // Emit panzoomchange for minimap + zoom display sync
+  const panzoomEl = state.activePanzoom?.elem;
+  if (panzoomEl) {
+    panzoomEl.dispatchEvent(
+      new CustomEvent("panzoomchange", {
+        detail: { scale: state.activePanzoom.getScale(), isRotation: true },
+      }),
+    );
+  }
+
+  // Save state
+  const diagrams = document.querySelectorAll(getDiagramSelector());
+  const active = diagrams[state.currentDiagramIndex];
+  if (active?.dataset?.diagviewId) {
+    import("../panzoom-integration.js").then((m) =>
+      m.saveZoomState(active.dataset.diagviewId, state.activePanzoom),
+    );
+  }
+}
+
+/**
+ * Apply an absolute rotation to the modal diagram without resetting the view.
+ * Used when restoring a diagram's saved view (gallery navigation, rememberZoom).
+ *
+ * @param {number} angle - Rotation in degrees (0/90/180/270)
+ * @returns {boolean} True if the rotation was applied to a mounted diagram
+ */
+export function setRotation(angle) {
+  state.rotationAngle = angle;
 
   const rotator = document.getElementById("diagview-rotator");
   const svgEl = rotator?.querySelector("svg");
 
-  if (!svgEl) return;
+  if (!svgEl) return false;
 
   // Ensure an inner rotation group exists
   let rotGroup = svgEl.querySelector(":scope > g.dv-rot-g");
@@ -37,38 +78,14 @@ export function rotateDiagram() {
   rotGroup.setAttribute("transform", `rotate(${state.rotationAngle}, ${cx}, ${cy})`);
 
   // Remove CSS rotation from the rotator div — SVG handles it now
-  if (rotator) {
-    rotator.style.transform = "translate(-50%, -50%)"; // No rotate()
-    rotator.style.height = "100%";
-  }
+  rotator.style.transform = "translate(-50%, -50%)"; // No rotate()
+  rotator.style.height = "100%";
 
   // RE-CENTER: Update the viewBox to match the new rotated bounds.
   // This prevents the diagram from being clipped by the original viewBox.
   centerSVGViewBox(svgEl);
 
-  // Recalibrate panzoom so it recalculates bounds
-  state.activePanzoom?.reset({ animate: true });
-
-  showSuccessToast(`↻ Rotated ${state.rotationAngle}°`);
-
-  // Emit panzoomchange for minimap + zoom display sync
-  const panzoomEl = state.activePanzoom?.elem;
-  if (panzoomEl) {
-    panzoomEl.dispatchEvent(
-      new CustomEvent("panzoomchange", {
-        detail: { scale: state.activePanzoom.getScale(), isRotation: true },
-      }),
-    );
-  }
-
-  // Save state
-  const diagrams = document.querySelectorAll(state.config.diagramSelector);
-  const active = diagrams[state.currentDiagramIndex];
-  if (active?.dataset?.diagviewId) {
-    import("../panzoom-integration.js").then((m) =>
-      m.saveZoomState(active.dataset.diagviewId, state.activePanzoom),
-    );
-  }
+  return true;
 }
 
 /**
@@ -1,11 +1,16 @@
 /**
  * DiagView Search Functionality
  * Optimized for performance: Caching + Batching + Dirty Checking
+ * Matching rules (case, whole-word, regex, fuzzy) live in core/search-query.
  * @module features/lazy/search
  */
 
 import { state } from "../../core/config.js";
-import { TIMING, SELECTORS } from "../../core/constants.js";
+import { TIMING, EVENTS, SEARCH } from "../../core/constants.js";
+import { emitDiagramEvent } from "../../core/events.js";
+import { getScreenPointInSVGCoords, panSVGPointToCenter } from "../../core/svg-geometry.js";
+import { createSearchMatcher, normalizeSearchOptions } from "../../core/search-query.js";
+import { getSearchableElements } from "../../core/diagram-adapters.js";
 import { throttle } from "../../core/utils.js";
 import { addModalListener, registerRAF } from "../../core/lifecycle.js";
 
@@ -22,6 +27,44 @@ let activeSearchThrottle = null;
  */
 let searchGeneration = 0;
 
+/**
+ * Distinct matches the user can step through with next/previous.
+ * Sorted (best score first, then reading order) lazily, on the first
+ * navigation after a search, so typing never pays for layout reads.
+ * @type {Element[]}
+ */
+let searchTargets = [];
+let targetsSorted = false;
+
+/**
+ * Match score per element from the latest search (see core/search-query)
+ * @type {Map<Element, number>}
+ */
+let matchScores = new Map();
+
+/**
+ * Error from the latest query (e.g. an invalid regex), shown in the counter
+ * @type {string|null}
+ */
+let searchError = null;
+
+/**
+ * Non-search highlight currently applied with highlightElements()
+ * (dependency tracing). Released by the next search or clearSearch.
+ * @type {{dimmed: Element[], edges: Element[], root: Element|null, onReplaced: Function|null}|null}
+ */
+let extraHighlight = null;
+
+/**
+ * Mode toggle buttons and the state.searchOptions key each one controls
+ */
+const MODE_BUTTONS = {
+  "diagview-search-case": "caseSensitive",
+  "diagview-search-word": "wholeWord",
+  "diagview-search-regex": "regex",
+  "diagview-search-fuzzy": "fuzzy",
+};
+
 /**
  * Initialize or retrieve search cache
  * O(N) read operation, done once per diagram instance (or refresh)
@@ -31,18 +74,13 @@ function getSearchCandidates(clone) {
     return state.searchCache.get(clone);
   }
 
-  // Use centralized selector constant
-  const elements = clone.querySelectorAll(SELECTORS.SEARCH_NODES);
-  const cache = [];
-
-  for (let i = 0; i < elements.length; i++) {
-    const el = elements[i];
-    cache.push({
-      el: el,
-      text: (el.textContent || "").toLowerCase(),
-      isPath: el.classList.contains("edgePath"),
-    });
-  }
+  // The diagram adapter knows which elements carry labels for this generator
+  // (Mermaid, Graphviz, PlantUML, draw.io, ...)
+  const cache = getSearchableElements(clone).map(({ element, text }) => ({
+    el: element,
+    text,
+    isPath: element.classList.contains("edgePath"),
+  }));
 
   state.searchCache.set(clone, cache);
   return cache;
@@ -69,11 +107,250 @@ function clearHighlights(clone) {
 }
 
 /**
- * Perform search on diagram
+ * Remove the classes added by highlightElements() and notify its owner
+ * @private
+ */
+function releaseHighlight(clone) {
+  if (!extraHighlight) return;
+  const { dimmed, edges, root, onReplaced } = extraHighlight;
+  extraHighlight = null;
+
+  dimmed.forEach((el) => el.classList.remove("dv-search-dim"));
+  edges.forEach((el) => el.classList.remove("dv-search-edge"));
+  root?.classList.remove("dv-search-active");
+  clone?.classList.remove("dv-tracing");
+  if (onReplaced) onReplaced();
+}
+
+/**
+ * Highlight an arbitrary set of elements with the search dimming styles.
+ * Used by dependency highlighting: the search query is cleared, and the next
+ * search (or clearSearch) replaces the highlight and calls `onReplaced`.
+ * @param {Element} clone - Modal SVG clone
+ * @param {Element[]} elements - Elements to keep bright, descendants included
+ * @param {object} [options={}] - Highlight options
+ * @param {Element[]} [options.dim] - Elements to dim explicitly (e.g. unrelated edges)
+ * @param {Element[]} [options.edges] - Highlighted elements to stroke in the accent colour
+ * @param {Element|null} [options.root] - Element to emphasise like the active search match
+ * @param {Function|null} [options.onReplaced] - Called once the highlight is removed
+ */
+export function highlightElements(clone, elements, options = {}) {
+  const { dim = [], edges = [], root = null, onReplaced = null } = options;
+
+  // Drop any search in progress — synchronously, so a pending frame can't undo this highlight
+  searchGeneration++;
+  if (activeSearchThrottle) activeSearchThrottle.cancel();
+  if (state.searchRafId) {
+    cancelAnimationFrame(state.searchRafId);
+    state.searchRafId = null;
+  }
+  const searchInput = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("diagview-search")
+  );
+  if (searchInput) searchInput.value = "";
+  document.getElementById("diagview-search-clear")?.classList.remove("show");
+  setInputInvalid(false);
+
+  state.searchMatches.forEach((el) => el.classList.remove("dv-search-match"));
+  releaseHighlight(clone);
+  resetSearchNavigation();
+
+  // Keep labels and text inside highlighted elements bright too
+  const keep = new Set(elements);
+  const isInsideKept = (el) => {
+    for (let node = el.parentElement; node && node !== clone; node = node.parentElement) {
+      if (keep.has(node)) return true;
+    }
+    return false;
+  };
+  const matches = [...keep];
+  getSearchCandidates(clone).forEach(({ el }) => {
+    if (!keep.has(el) && isInsideKept(el)) matches.push(el);
+  });
+
+  matches.forEach((el) => el.classList.add("dv-search-match"));
+  dim.forEach((el) => el.classList.add("dv-search-dim"));
+  edges.forEach((el) => el.classList.add("dv-search-edge"));
+  root?.classList.add("dv-search-active");
+  clone.classList.add("dv-searching", "dv-tracing");
+
+  state.searchMatches = matches;
+  extraHighlight = { dimmed: dim, edges, root, onReplaced };
+}
+
+/**
+ * Collapse nested matches into one target.
+ * A Mermaid node, its .label and its <text> all match the same query;
+ * only the outermost one is worth navigating to.
+ * @private
+ */
+function getOutermostMatches(matches) {
+  return matches.filter((el) => !el.parentElement?.closest(".dv-search-match"));
+}
+
+/**
+ * Best-scoring matches first; ties keep reading order (Array#sort is stable)
+ * @private
+ */
+function sortByRank(elements) {
+  return sortByReadingOrder(elements).sort(
+    (a, b) => (matchScores.get(b) || 0) - (matchScores.get(a) || 0),
+  );
+}
+
+/**
+ * Sort elements top-to-bottom, then left-to-right within a visual row.
+ * DOM order says nothing about where a node is drawn, so use screen geometry.
+ * @private
+ */
+function sortByReadingOrder(elements) {
+  const boxes = elements
+    .map((el) => ({ el, rect: el.getBoundingClientRect() }))
+    .sort((a, b) => a.rect.top + a.rect.height / 2 - (b.rect.top + b.rect.height / 2));
+
+  const rows = [];
+  for (const box of boxes) {
+    const row = rows[rows.length - 1];
+    const centerY = box.rect.top + box.rect.height / 2;
+    if (row && centerY <= row.bottom) {
+      row.items.push(box);
+    } else {
+      rows.push({ bottom: box.rect.bottom, items: [box] });
+    }
+  }
+
+  return rows.flatMap((row) =>
+    row.items.sort((a, b) => a.rect.left - b.rect.left).map((box) => box.el),
+  );
+}
+
+/**
+ * Sync the "3 of 17" counter and prev/next buttons with the current results
+ * @private
+ */
+function updateSearchNav(query = "") {
+  const wrapper = document.querySelector(".diagview-search-wrapper");
+  const counter = document.getElementById("diagview-search-count");
+  const total = searchTargets.length;
+  const active = state.searchActiveIndex;
+
+  wrapper?.classList.toggle("dv-search-has-query", !!query.trim());
+
+  if (counter) {
+    counter.textContent = searchError
+      ? "Invalid pattern"
+      : total === 0
+        ? "No matches"
+        : active >= 0
+          ? `${active + 1} of ${total}`
+          : `${total} match${total === 1 ? "" : "es"}`;
+  }
+
+  ["diagview-search-prev", "diagview-search-next"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = total === 0;
+  });
+}
+
+/**
+ * Forget the active match and navigation targets
+ * @private
+ */
+function resetSearchNavigation(query = "") {
+  searchTargets.forEach((el) => el.classList.remove("dv-search-active"));
+  searchTargets = [];
+  targetsSorted = false;
+  matchScores = new Map();
+  searchError = null;
+  state.searchActiveIndex = -1;
+  updateSearchNav(query);
+}
+
+/**
+ * Zoom in on a small match if needed and pan it to the viewport centre
+ * @private
+ */
+function centerMatch(el) {
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const svg = viewport?.querySelector("svg");
+  const panzoom = state.activePanzoom;
+  if (!viewport || !svg || !panzoom) return;
+
+  const rect = el.getBoundingClientRect();
+  if (!rect.width && !rect.height) return;
+
+  // Remember the match as an SVG coordinate — screen positions change when we zoom
+  const target = getScreenPointInSVGCoords(
+    svg,
+    rect.left + rect.width / 2,
+    rect.top + rect.height / 2,
+  );
+  if (!target) return;
+
+  const vRect = viewport.getBoundingClientRect();
+  const scale = panzoom.getScale();
+  const fitScale =
+    scale *
+    SEARCH.FOCUS_FIT_RATIO *
+    Math.min(vRect.width / Math.max(rect.width, 1), vRect.height / Math.max(rect.height, 1));
+  const nextScale = Math.min(Math.max(scale, SEARCH.FOCUS_MIN_SCALE), fitScale);
+
+  if (Math.abs(nextScale - scale) < 0.01) {
+    panSVGPointToCenter(viewport, svg, panzoom, target.x, target.y, { animate: true });
+    return;
+  }
+
+  panzoom.zoom(nextScale, { animate: false });
+  // Let the new zoom lay out before measuring where the match ended up
+  registerRAF(state, () => {
+    if (!state.isModalOpen || state.activePanzoom !== panzoom) return;
+    panSVGPointToCenter(viewport, svg, panzoom, target.x, target.y, { animate: true });
+  });
+}
+
+/**
+ * Step to the next/previous match and centre it in the viewport.
+ * Wraps around at either end, like find-in-page.
+ * @param {number} step - +1 for next, -1 for previous
+ * @returns {boolean} True if a match was focused
+ */
+export function navigateSearch(step) {
+  const total = searchTargets.length;
+  if (!total) return false;
+
+  if (!targetsSorted) {
+    searchTargets = sortByRank(searchTargets);
+    targetsSorted = true;
+  }
+
+  const current = state.searchActiveIndex;
+  const next = current === -1 ? (step > 0 ? 0 : total - 1) : (current + step + total) % total;
+
+  searchTargets[current]?.classList.remove("dv-search-active");
+  searchTargets[next].classList.add("dv-search-active");
+  state.searchActiveIndex = next;
+
+  const searchInput = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("diagview-search")
+  );
+  updateSearchNav(searchInput?.value ?? "");
+
+  const statusEl = document.getElementById("diagview-search-status");
+  if (statusEl) statusEl.textContent = `Match ${next + 1} of ${total}`;
+
+  centerMatch(searchTargets[next]);
+  return true;
+}
+
+/**
+ * Perform search on diagram using the active modes in state.searchOptions
+ * @param {Element|null} clone - Modal SVG clone
+ * @param {string} query - Search query
  */
 export function performSearch(clone, query) {
   const gen = ++searchGeneration;
   if (state.searchRafId) cancelAnimationFrame(state.searchRafId);
+  releaseHighlight(clone);
 
   // If query is empty, clear everything immediately
   if (!query || !clone) {
@@ -82,12 +359,20 @@ export function performSearch(clone, query) {
       clone.classList.remove("dv-searching");
     }
     state.searchMatches = [];
+    resetSearchNavigation();
+    setInputInvalid(false);
+    emitDiagramEvent(state, EVENTS.SEARCH, state.activeSourceElement, {
+      query: "",
+      matchCount: 0,
+      options: { ...state.searchOptions },
+    });
     return;
   }
 
-  const lq = query.toLowerCase().trim();
+  const matcher = createSearchMatcher(query, state.searchOptions);
   const candidates = getSearchCandidates(clone); // O(1) retrieval
   const newMatches = [];
+  const scores = new Map();
 
   // Batch DOM updates in next frame
   state.searchRafId = requestAnimationFrame(() => {
@@ -97,14 +382,15 @@ export function performSearch(clone, query) {
     // Single loop for O(1) DOM updates utilizing CSS fading architecture
     for (let i = 0; i < candidates.length; i++) {
       const item = candidates[i];
-      const isMatch = item.text.includes(lq);
+      const score = item.text ? matcher.score(item.text) : 0;
       const isSearchMatch = item.el.classList.contains("dv-search-match");
 
-      if (isMatch) {
+      if (score > 0) {
         if (!isSearchMatch) {
           item.el.classList.add("dv-search-match");
         }
         newMatches.push(item.el);
+        scores.set(item.el, score);
       } else {
         if (isSearchMatch) {
           item.el.classList.remove("dv-search-match");
@@ -114,19 +400,79 @@ export function performSearch(clone, query) {
 
     state.searchMatches = newMatches;
 
+    resetSearchNavigation(query);
+    searchTargets = getOutermostMatches(newMatches);
+    matchScores = scores;
+    searchError = matcher.error;
+    setInputInvalid(!!matcher.error);
+    updateSearchNav(query);
+
     // Announce match count to screen readers via aria-live region (B3)
+    const total = searchTargets.length;
     const statusEl = document.getElementById("diagview-search-status");
     if (statusEl) {
-      statusEl.textContent =
-        newMatches.length > 0
-          ? `${newMatches.length} match${newMatches.length === 1 ? "" : "es"} found`
-          : lq
-            ? "No matches found"
-            : "";
+      statusEl.textContent = matcher.error
+        ? matcher.error
+        : total > 0
+          ? `${total} match${total === 1 ? "" : "es"} found`
+          : "No matches found";
     }
+
+    emitDiagramEvent(state, EVENTS.SEARCH, state.activeSourceElement, {
+      query,
+      matchCount: newMatches.length,
+      options: { ...matcher.options },
+    });
   });
 }
 
+/**
+ * Flag the search input as invalid (e.g. a broken regex)
+ * @private
+ */
+function setInputInvalid(invalid) {
+  const searchInput = document.getElementById("diagview-search");
+  if (!searchInput) return;
+  if (invalid) searchInput.setAttribute("aria-invalid", "true");
+  else searchInput.removeAttribute("aria-invalid");
+}
+
+/**
+ * Sync mode toggle buttons with state.searchOptions
+ * @private
+ */
+function syncModeButtons() {
+  const { fuzzy } = state.searchOptions;
+  for (const [id, mode] of Object.entries(MODE_BUTTONS)) {
+    const btn = document.getElementById(id);
+    if (!btn) continue;
+    btn.setAttribute("aria-pressed", String(state.searchOptions[mode]));
+    // Fuzzy matching tolerates typos across word boundaries, so whole-word has no effect
+    if (mode === "wholeWord") btn.disabled = fuzzy;
+  }
+}
+
+/**
+ * Change search modes and re-run the current query
+ * @param {Partial<import('../../core/search-query.js').SearchOptions>} options - Modes to change
+ */
+export function setSearchOptions(options) {
+  const next = { ...state.searchOptions, ...options };
+  // Regex and fuzzy are exclusive — the one just switched on wins
+  if (options.fuzzy) next.regex = false;
+  state.searchOptions = normalizeSearchOptions(next);
+  syncModeButtons();
+
+  const searchInput = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("diagview-search")
+  );
+  const clone = document.getElementById("diagview-modal-viewport")?.querySelector("svg");
+  if (searchInput?.value && clone) {
+    if (activeSearchThrottle) activeSearchThrottle.cancel();
+    performSearch(clone, searchInput.value);
+  }
+}
+
 /**
  * Clear search
  */
@@ -144,18 +490,23 @@ export function clearSearch() {
   const viewport = document.getElementById("diagview-modal-viewport");
   const clone = viewport?.querySelector("svg");
 
+  releaseHighlight(clone);
   if (clone) {
     clone.classList.remove("dv-searching");
     clearHighlights(clone);
   }
 
   state.searchMatches = [];
+  resetSearchNavigation();
 }
 
 /**
  * Setup search functionality
+ * @param {Element|null} clone - Modal SVG clone
+ * @param {string} [initialQuery=""] - Query to apply if the input is empty
+ * @param {Partial<import('../../core/search-query.js').SearchOptions>|null} [initialOptions] - Modes to switch to (e.g. from a share link)
  */
-export function setupSearch(clone, initialQuery = "") {
+export function setupSearch(clone, initialQuery = "", initialOptions = null) {
   const searchInput = document.getElementById("diagview-search");
   const searchClear = document.getElementById("diagview-search-clear");
 
@@ -181,6 +532,13 @@ export function setupSearch(clone, initialQuery = "") {
     searchClear.classList.toggle("show", !!currentQuery);
   }
 
+  if (initialOptions) state.searchOptions = normalizeSearchOptions(initialOptions);
+  syncModeButtons();
+
+  // Targets and highlights from a previously mounted diagram are meaningless for this clone
+  releaseHighlight(null);
+  resetSearchNavigation(currentQuery);
+
   if (currentQuery) {
     // Perform initial search immediately
     performSearch(clone, currentQuery);
@@ -192,7 +550,7 @@ export function setupSearch(clone, initialQuery = "") {
   activeSearchThrottle = throttle((query) => {
     // Final safety check: Only apply search if it still matches the current input value
     const currentVal = searchInput.value || "";
-    if (currentVal.toLowerCase().trim() === query.toLowerCase().trim()) {
+    if (currentVal.trim() === query.trim()) {
       performSearch(clone, query);
     }
   }, TIMING.SEARCH_THROTTLE);
@@ -228,15 +586,32 @@ export function setupSearch(clone, initialQuery = "") {
     addModalListener(searchClear, "click", handleClear);
   }
 
-  // Keyboard navigation — Escape clears search
-  // Note: Enter/next-match cycling was intentionally removed.
-  // SVG diagrams have no meaningful spatial reading order (DOM order ≠ visual order)
-  // so cycling through matches by Enter would jump to arbitrary canvas locations.
-  // All matches are shown simultaneously — users navigate via pan/zoom.
+  // Previous / next buttons
+  const prevBtn = document.getElementById("diagview-search-prev");
+  const nextBtn = document.getElementById("diagview-search-next");
+  if (prevBtn) addModalListener(prevBtn, "click", () => navigateSearch(-1));
+  if (nextBtn) addModalListener(nextBtn, "click", () => navigateSearch(1));
+
+  // Mode toggles — re-run the current query immediately
+  for (const [id, mode] of Object.entries(MODE_BUTTONS)) {
+    const btn = document.getElementById(id);
+    if (btn) {
+      addModalListener(btn, "click", () =>
+        setSearchOptions({ [mode]: !state.searchOptions[mode] }),
+      );
+    }
+  }
+
+  // Keyboard navigation — Escape clears search, Enter / Shift+Enter step through matches.
+  // DOM order ≠ visual order in SVG diagrams, so navigateSearch sorts matches by
+  // their on-screen position before cycling.
   const handleKeydown = (e) => {
     if (e.key === "Escape") {
       e.stopPropagation();
       clearSearch();
+    } else if (e.key === "Enter" && !e.isComposing) {
+      e.preventDefault();
+      navigateSearch(e.shiftKey ? -1 : 1);
     }
   };
   addModalListener(searchInput, "keydown", handleKeydown);
@@ -252,6 +627,9 @@ export function resetSearch() {
     cancelAnimationFrame(state.searchRafId);
     state.searchRafId = null;
   }
+  searchTargets = [];
+  targetsSorted = false;
+  extraHighlight = null;
   // searchCache is a WeakMap — entries are GC'd automatically when the
   // clone SVG element is removed from DOM. No manual clear needed.
 }
@@ -12,7 +12,7 @@
  * We bypass manual trigonometry by using the browser's native geometry engine.
  * By utilizing the SVG Current Transformation Matrix (CTM) and its Inverse, we
  * create a "Pixel-to-Internal" map that is 100% accurate regardless of zoom,
- * rotation, or layout shifts.
+ * rotation, or layout shifts. The mapping helpers live in core/svg-geometry.
  *
  * @module features/lazy/share
  */
@@ -20,6 +20,8 @@
 import { state } from "../../core/config.js";
 import { ZOOM } from "../../core/constants.js";
 import { showSuccessToast, showErrorToast } from "../../ui/toast.js";
+import { getViewportCenterInSVGCoords, panSVGPointToCenter } from "../../core/svg-geometry.js";
+import { encodeSearchOptions, parseSearchOptions } from "../../core/search-query.js";
 
 /**
  * Manages view state persistence across the diagram lifecycle.
@@ -40,78 +42,6 @@ function clampNum(val, min, max) {
   return Math.min(Math.max(val, min), max);
 }
 
-/**
- * Creates a standard SVG Point object used for matrix transformation math.
- * @param {SVGSVGElement} svg - The context SVG element.
- * @param {number} x - Target screen X coordinate.
- * @param {number} y - Target screen Y coordinate.
- * @returns {SVGPoint} A new SVG point at the specified coordinates.
- * @private
- */
-function makeSVGPoint(svg, x, y) {
-  const pt = svg.createSVGPoint();
-  pt.x = x;
-  pt.y = y;
-  return pt;
-}
-
-/**
- * INVERSE MAPPING: Viewport -> SVG Internal
- * Identifies exactly which internal SVG coordinate is currently at the center
- * of the user's viewport.
- *
- * @param {HTMLElement} viewport - The modal container.
- * @param {SVGSVGElement} svg - The active SVG diagram.
- * @returns {{ x: number, y: number } | null} The internal SVG coordinates at the viewport center, or null if mapping fails.
- */
-function getViewportCenterInSVGCoords(viewport, svg) {
-  try {
-    // Force a layout flush to ensure the CTM is up-to-date
-    svg.getBoundingClientRect();
-
-    const ctm = svg.getScreenCTM();
-    if (!ctm) return null;
-
-    // Determine the exact geometric center of the visible viewport
-    const vRect = viewport.getBoundingClientRect();
-    const centerX = vRect.left + vRect.width / 2;
-    const centerY = vRect.top + vRect.height / 2;
-
-    // Use the Inverse Matrix to find the internal coordinate at that pixel location
-    const pt = makeSVGPoint(svg, centerX, centerY);
-    const svgPt = pt.matrixTransform(ctm.inverse());
-
-    return { x: svgPt.x, y: svgPt.y };
-  } catch (e) {
-    console.error("DiagView: Geometry mapping failed", e);
-    return null;
-  }
-}
-
-/**
- * FORWARD MAPPING: SVG Internal -> Viewport
- * Calculates where a specific internal coordinate would appear on the user's
- * screen under the current zoom/rotation.
- *
- * @param {SVGSVGElement} svg - The active SVG diagram.
- * @param {number} svgX - Internal SVG X coordinate.
- * @param {number} svgY - Internal SVG Y coordinate.
- * @returns {{ x: number, y: number } | null} The screen-pixel coordinates of the internal point, or null if mapping fails.
- */
-function getSVGPointInScreenCoords(svg, svgX, svgY) {
-  try {
-    const ctm = svg.getScreenCTM();
-    if (!ctm) return null;
-
-    const pt = makeSVGPoint(svg, svgX, svgY);
-    const screenPt = pt.matrixTransform(ctm);
-
-    return { x: screenPt.x, y: screenPt.y };
-  } catch (e) {
-    return null;
-  }
-}
-
 /**
  * Returns the pending share state for a diagram, if any.
  * @param {HTMLElement} diagram - The diagram element.
@@ -122,27 +52,25 @@ export function getPendingShareState(diagram) {
 }
 
 /**
- * Generates a high-precision shareable link for the current view.
+ * Captures the current view as share parameters. Shared by share links and
+ * follow-the-presenter sync (features/lazy/sync), which sends the same object.
  *
  * Strategically records:
  * 1. The precise internal point at the screen center (dv-cx, dv-cy).
  * 2. The high-precision zoom level (dv-z).
  * 3. Any active rotation (dv-r).
+ * 4. The search query (dv-q) and its modes (dv-qm, e.g. "cw" = case-sensitive + whole word).
  *
  * @param {number} diagramIndex - Index of the diagram being shared.
- * @returns {string|null} The generated share URL, or null if generation fails.
+ * @returns {Record<string, string>|null} dv-* parameters, or null if the view cannot be captured.
  */
-export function generateShareLink(diagramIndex) {
+export function captureViewParams(diagramIndex) {
   if (!state.activePanzoom) return null;
 
   const viewport = document.getElementById("diagview-modal-viewport");
   const svg = viewport?.querySelector("svg");
   if (!viewport || !svg) return null;
 
-  // Build from origin + pathname only — never copy existing query params
-  // (avoids leaking auth tokens, session IDs, or other host-app parameters).
-  const url = new URL(window.location.origin + window.location.pathname);
-
   const scale = state.activePanzoom.getScale();
   const rotation = state.rotationAngle || 0;
 
@@ -154,16 +82,43 @@ export function generateShareLink(diagramIndex) {
     return null;
   }
 
-  url.searchParams.set("dv-idx", diagramIndex);
-  url.searchParams.set("dv-z", scale.toFixed(3));
-  url.searchParams.set("dv-cx", Math.round(svgCenter.x));
-  url.searchParams.set("dv-cy", Math.round(svgCenter.y));
-  if (rotation !== 0) url.searchParams.set("dv-r", rotation);
+  /** @type {Record<string, string>} */
+  const params = {
+    "dv-idx": String(diagramIndex),
+    "dv-z": scale.toFixed(3),
+    "dv-cx": String(Math.round(svgCenter.x)),
+    "dv-cy": String(Math.round(svgCenter.y)),
+  };
+  if (rotation !== 0) params["dv-r"] = String(rotation);
 
   // Add search query if active
-  const searchInput = document.getElementById("diagview-search");
+  const searchInput = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("diagview-search")
+  );
   const query = searchInput?.value?.trim();
-  if (query) url.searchParams.set("dv-q", query);
+  if (query) {
+    params["dv-q"] = query;
+    // Regex is never shared: parseViewParams drops it, so a link would match differently
+    const modes = encodeSearchOptions({ ...state.searchOptions, regex: false });
+    if (modes) params["dv-qm"] = modes;
+  }
+
+  return params;
+}
+
+/**
+ * Generates a high-precision shareable link for the current view.
+ * @param {number} diagramIndex - Index of the diagram being shared.
+ * @returns {string|null} The generated share URL, or null if generation fails.
+ */
+export function generateShareLink(diagramIndex) {
+  const params = captureViewParams(diagramIndex);
+  if (!params) return null;
+
+  // Build from origin + pathname only — never copy existing query params
+  // (avoids leaking auth tokens, session IDs, or other host-app parameters).
+  const url = new URL(window.location.origin + window.location.pathname);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
 
   return url.toString();
 }
@@ -206,6 +161,41 @@ export async function shareLink(diagramIndex) {
   }
 }
 
+/**
+ * Parses and clamps dv-* view parameters (from a URL or a sync message).
+ * Clamping prevents crafted input from passing extreme values to panzoom/DOM ops,
+ * and the regex search mode is dropped so a crafted pattern cannot hang the page (ReDoS).
+ * @param {URLSearchParams} params - Parameters to read.
+ * @returns {{scale: number|null, x: number|null, y: number|null, cx: number|null, cy: number|null,
+ *   rotation: number|null, query: string|null, searchOptions: object|null}} Parsed view.
+ */
+export function parseViewParams(params) {
+  const rawScale = params.get("dv-z") ? parseFloat(params.get("dv-z")) : null;
+  const rawCx = params.get("dv-cx") ? parseInt(params.get("dv-cx"), 10) : null;
+  const rawCy = params.get("dv-cy") ? parseInt(params.get("dv-cy"), 10) : null;
+  const rawX = params.get("dv-x") ? parseInt(params.get("dv-x"), 10) : null;
+  const rawY = params.get("dv-y") ? parseInt(params.get("dv-y"), 10) : null;
+  const rawRot = params.get("dv-r") ? parseInt(params.get("dv-r"), 10) : null;
+
+  const VALID_ROTATIONS = new Set([0, 90, 180, 270]);
+
+  return {
+    scale:
+      rawScale !== null && isFinite(rawScale)
+        ? clampNum(rawScale, ZOOM.MIN_SCALE_LIMIT, ZOOM.MAX_SCALE_LIMIT)
+        : null,
+    x: rawX !== null && isFinite(rawX) ? clampNum(rawX, -100000, 100000) : null,
+    y: rawY !== null && isFinite(rawY) ? clampNum(rawY, -100000, 100000) : null,
+    cx: rawCx !== null && isFinite(rawCx) ? clampNum(rawCx, -100000, 100000) : null,
+    cy: rawCy !== null && isFinite(rawCy) ? clampNum(rawCy, -100000, 100000) : null,
+    rotation: rawRot !== null && VALID_ROTATIONS.has(rawRot) ? rawRot : null,
+    query: params.get("dv-q") || null,
+    searchOptions: params.get("dv-qm")
+      ? { ...parseSearchOptions(params.get("dv-qm")), regex: false }
+      : null,
+  };
+}
+
 /**
  * Detects and parses shared state from the URL.
  * @returns {object|boolean} The restored diagram and its index, or false if no state found.
@@ -219,30 +209,7 @@ export function restoreViewFromURL(diagrams) {
   const idx = parseInt(dvIdx, 10);
   if (idx >= 0 && idx < diagrams.length) {
     const diagram = diagrams[idx];
-
-    // Clamp all numeric params to safe ranges before trusting them.
-    // Prevents crafted URLs from passing extreme values to panzoom/DOM ops.
-    const rawScale = params.get("dv-z") ? parseFloat(params.get("dv-z")) : null;
-    const rawCx = params.get("dv-cx") ? parseInt(params.get("dv-cx"), 10) : null;
-    const rawCy = params.get("dv-cy") ? parseInt(params.get("dv-cy"), 10) : null;
-    const rawX = params.get("dv-x") ? parseInt(params.get("dv-x"), 10) : null;
-    const rawY = params.get("dv-y") ? parseInt(params.get("dv-y"), 10) : null;
-    const rawRot = params.get("dv-r") ? parseInt(params.get("dv-r"), 10) : null;
-
-    const VALID_ROTATIONS = new Set([0, 90, 180, 270]);
-
-    shareStates.set(diagram, {
-      scale:
-        rawScale !== null && isFinite(rawScale)
-          ? clampNum(rawScale, ZOOM.MIN_SCALE_LIMIT, ZOOM.MAX_SCALE_LIMIT)
-          : null,
-      x: rawX !== null && isFinite(rawX) ? clampNum(rawX, -100000, 100000) : null,
-      y: rawY !== null && isFinite(rawY) ? clampNum(rawY, -100000, 100000) : null,
-      cx: rawCx !== null && isFinite(rawCx) ? clampNum(rawCx, -100000, 100000) : null,
-      cy: rawCy !== null && isFinite(rawCy) ? clampNum(rawCy, -100000, 100000) : null,
-      rotation: rawRot !== null && VALID_ROTATIONS.has(rawRot) ? rawRot : null,
-      query: params.get("dv-q") || null,
-    });
+    shareStates.set(diagram, parseViewParams(params));
 
     return { diagram, index: idx };
   }
@@ -278,33 +245,9 @@ export function applyRestoredViewState(diagram, panzoom) {
       const svg = viewport?.querySelector("svg");
       if (!svg || !panzoom) return;
 
-      const screenPt = getSVGPointInScreenCoords(svg, cx, cy);
-
-      if (screenPt) {
-        const vRect = viewport.getBoundingClientRect();
-        const vcx = vRect.left + vRect.width / 2;
-        const vcy = vRect.top + vRect.height / 2;
-
-        // Calculate the screen-pixel delta between current point and center
-        const screenDX = screenPt.x - vcx;
-        const screenDY = screenPt.y - vcy;
-
-        // Map pixel delta to Panzoom units based on active scale
-        const currentScale = panzoom.getScale();
-
-        // Rotation Correction:
-        // Subtracting screen coordinates requires rotating the vector by the
-        // diagram's rotation angle to find the correct pan offset.
-        const angle = state.rotationAngle || 0;
-        const rad = (-angle * Math.PI) / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-
-        const finalX = (-screenDX / currentScale) * cos - (-screenDY / currentScale) * sin;
-        const finalY = (-screenDX / currentScale) * sin + (-screenDY / currentScale) * cos;
+      const centered = panSVGPointToCenter(viewport, svg, panzoom, cx, cy);
 
-        panzoom.pan(finalX, finalY, { animate: false, relative: true });
-      } else if (x !== null && y !== null) {
+      if (!centered && x !== null && y !== null) {
         // Fallback to legacy raw pan
         panzoom.pan(x, y, { animate: false });
       }
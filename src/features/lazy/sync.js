@@ -0,0 +1,358 @@
+/**
+ * DiagView Follow-the-Presenter Sync
+ * The presenter broadcasts its view — the dv-* parameters of share links
+ * (diagram, zoom, centre, rotation, search) — plus the meeting-mode laser
+ * position in diagram coordinates. Followers open the same diagram and animate
+ * to each view, so peers with different screen sizes look at the same spot.
+ *
+ * Messages: { v, from, type, ... } with type "view" ({ view }), "laser"
+ * ({ point: {x, y} | null }), "close", or "hello" (a follower asking the
+ * presenter for its current view).
+ * @module features/lazy/sync
+ */
+
+import { state } from "../../core/config.js";
+import { SYNC, EVENTS } from "../../core/constants.js";
+import { safeQuerySelectorAll, throttle, debounce, generateUniqueId } from "../../core/utils.js";
+import {
+  getScreenPointInSVGCoords,
+  getSVGPointInScreenCoords,
+  getCenteringPan,
+} from "../../core/svg-geometry.js";
+import { encodeSearchOptions, normalizeSearchOptions } from "../../core/search-query.js";
+import { createBroadcastChannelTransport, isSyncTransport } from "../../core/sync-transport.js";
+import { getDiagramSelector } from "../../core/renderers.js";
+import { openFullscreen, switchDiagram } from "../../ui/modal.js";
+import { closeModal } from "../../ui/modal-controls.js";
+import { captureViewParams, parseViewParams } from "./share.js";
+import { setRotation } from "./rotate.js";
+import { performSearch, setSearchOptions } from "./search.js";
+
+export { createBroadcastChannelTransport } from "../../core/sync-transport.js";
+
+/**
+ * Internal event emitted by the modal after a diagram is mounted (open or gallery switch)
+ */
+const MOUNT_EVENT = "dv:diagram-mount";
+
+/**
+ * Active session
+ * @type {{role: string, id: string, transport: import('../../core/sync-transport.js').SyncTransport,
+ *   ownsTransport: boolean, cleanups: Function[]}|null}
+ */
+let session = null;
+
+/**
+ * Latest view received while the follower was still applying the previous one
+ * @type {{index: number, view: ReturnType<typeof parseViewParams>}|null}
+ */
+let pendingView = null;
+
+/**
+ * Whether the follower is busy opening a diagram / applying a view
+ * @type {boolean}
+ */
+let applying = false;
+
+/**
+ * Active modal SVG clone
+ * @private
+ */
+function getClone() {
+  return document.getElementById("diagview-modal-viewport")?.querySelector("svg") ?? null;
+}
+
+/**
+ * Send a message to the other peers
+ * @private
+ */
+function send(type, payload = {}) {
+  if (!session) return;
+  try {
+    session.transport.send({ v: SYNC.PROTOCOL_VERSION, from: session.id, type, ...payload });
+  } catch (e) {
+    console.warn("DiagView: Sync transport failed to send", e);
+  }
+}
+
+// ============================================================================
+// Presenter
+// ============================================================================
+
+/**
+ * Send the current view (no-op while the modal is closed)
+ * @private
+ */
+function broadcastView() {
+  if (!state.isModalOpen) return;
+  const view = captureViewParams(state.currentDiagramIndex);
+  if (view) send("view", { view });
+}
+
+/**
+ * Broadcast view changes and the laser pointer
+ * @private
+ * @returns {Function} Cleanup
+ */
+function startPresenting() {
+  const sendView = throttle(broadcastView, SYNC.THROTTLE);
+  // Zoom/pan events fire when an animation starts, so send the settled view once more
+  const settle = debounce(broadcastView, SYNC.SETTLE_DELAY);
+  const onChange = () => {
+    sendView();
+    settle();
+  };
+
+  const unsubscribers = [EVENTS.OPEN, EVENTS.ZOOM, EVENTS.PAN, EVENTS.ROTATE, EVENTS.SEARCH]
+    .concat(MOUNT_EVENT)
+    .map((type) => state.events.on(type, onChange));
+
+  unsubscribers.push(
+    state.events.on(EVENTS.CLOSE, () => {
+      sendView.cancel();
+      settle.cancel();
+      send("close");
+    }),
+    state.events.on(EVENTS.MEETING_TOGGLE, ({ active }) => {
+      if (!active) send("laser", { point: null });
+    }),
+  );
+
+  const sendLaser = throttle((clientX, clientY) => {
+    const svg = getClone();
+    const point = svg && getScreenPointInSVGCoords(svg, clientX, clientY);
+    if (!point) return;
+    send("laser", {
+      point: { x: Math.round(point.x * 10) / 10, y: Math.round(point.y * 10) / 10 },
+    });
+  }, SYNC.THROTTLE);
+
+  const onPointerMove = (e) => {
+    if (state.meetingMode && state.isModalOpen) sendLaser(e.clientX, e.clientY);
+  };
+  window.addEventListener("pointermove", onPointerMove, { passive: true });
+
+  return () => {
+    unsubscribers.forEach((off) => off());
+    window.removeEventListener("pointermove", onPointerMove);
+    sendView.cancel();
+    settle.cancel();
+    sendLaser.cancel();
+    send("laser", { point: null });
+  };
+}
+
+// ============================================================================
+// Follower
+// ============================================================================
+
+/**
+ * Rotate, zoom and pan to a received view in one animated transition
+ * @private
+ */
+function moveView(view) {
+  const panzoom = state.activePanzoom;
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const svg = getClone();
+  if (!panzoom || !viewport || !svg) return;
+
+  if (view.rotation !== null && view.rotation !== (state.rotationAngle || 0)) {
+    setRotation(view.rotation);
+  }
+
+  const scale = view.scale ?? panzoom.getScale();
+  const options = { animate: true, duration: SYNC.TRANSITION_DURATION, force: true };
+
+  const point =
+    view.cx !== null && view.cy !== null ? getSVGPointInScreenCoords(svg, view.cx, view.cy) : null;
+  panzoom.zoom(scale, options);
+  if (point) {
+    const pan = getCenteringPan(viewport, svg, panzoom, point.x, point.y, scale);
+    if (Number.isFinite(pan.x) && Number.isFinite(pan.y)) panzoom.pan(pan.x, pan.y, options);
+  }
+}
+
+/**
+ * Run the presenter's search (or clear it) when query or modes differ
+ * @private
+ */
+function syncSearch(view) {
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById("diagview-search"));
+  const clone = getClone();
+  if (!input || !clone) return;
+
+  const query = view.query ?? "";
+  const options = view.searchOptions ?? normalizeSearchOptions();
+  if (
+    input.value.trim() === query &&
+    encodeSearchOptions(state.searchOptions) === encodeSearchOptions(options)
+  ) {
+    return;
+  }
+
+  input.value = query;
+  // Re-runs the search for a non-empty input
+  setSearchOptions(options);
+  if (!query) performSearch(clone, "");
+}
+
+/**
+ * Open (or switch to) the presenter's diagram and apply its view
+ * @private
+ */
+async function applyView({ index, view }) {
+  const diagram = safeQuerySelectorAll(getDiagramSelector(), document)[index];
+  if (!diagram?.querySelector("svg")) return;
+
+  if (!state.isModalOpen) await openFullscreen(diagram);
+  else if (state.activeSourceElement !== diagram) await switchDiagram(diagram);
+  if (!session || !state.isModalOpen || state.activeSourceElement !== diagram) return;
+
+  moveView(view);
+  syncSearch(view);
+}
+
+/**
+ * Apply views one at a time, skipping to the newest one received meanwhile
+ * @private
+ */
+async function queueView(raw) {
+  const params = new URLSearchParams();
+  Object.entries(raw).forEach(([key, value]) => {
+    if (typeof value === "string" || typeof value === "number") params.set(key, String(value));
+  });
+  const index = parseInt(params.get("dv-idx") ?? "", 10);
+  if (!Number.isInteger(index) || index < 0) return;
+
+  pendingView = { index, view: parseViewParams(params) };
+  if (applying) return;
+
+  applying = true;
+  try {
+    while (pendingView) {
+      const next = pendingView;
+      pendingView = null;
+      await applyView(next);
+    }
+  } catch (e) {
+    console.warn("DiagView: Failed to apply synced view", e);
+  } finally {
+    applying = false;
+  }
+}
+
+/**
+ * Show the presenter's laser at a diagram point (null hides it)
+ * @private
+ */
+function showRemoteLaser(point) {
+  const laser = document.getElementById("diagview-laser");
+  if (!laser) return;
+
+  const svg = getClone();
+  const screen =
+    state.isModalOpen && svg && Number.isFinite(point?.x) && Number.isFinite(point?.y)
+      ? getSVGPointInScreenCoords(svg, point.x, point.y)
+      : null;
+
+  if (!screen) {
+    // Leave the follower's own meeting-mode laser alone
+    if (!state.meetingMode) laser.style.display = "none";
+    return;
+  }
+  laser.style.display = "block";
+  laser.style.transform = `translate3d(${screen.x}px, ${screen.y}px, 0)`;
+}
+
+// ============================================================================
+// Session
+// ============================================================================
+
+/**
+ * Handle a message from another peer. Anything malformed is ignored.
+ * @private
+ */
+function handleMessage(message) {
+  if (!session || !message || typeof message !== "object") return;
+  if (message.v !== SYNC.PROTOCOL_VERSION || message.from === session.id) return;
+
+  if (session.role === "presenter") {
+    if (message.type === "hello") broadcastView();
+    return;
+  }
+
+  switch (message.type) {
+    case "view":
+      if (message.view && typeof message.view === "object") queueView(message.view);
+      break;
+    case "laser":
+      showRemoteLaser(message.point);
+      break;
+    case "close":
+      pendingView = null;
+      showRemoteLaser(null);
+      if (state.isModalOpen) closeModal();
+      break;
+  }
+}
+
+/**
+ * Join a sync session, replacing any active one
+ * @param {object} options - Session options
+ * @param {"presenter"|"follower"} options.role - Broadcast this page's view, or follow one
+ * @param {import('../../core/sync-transport.js').SyncTransport} [options.transport] - Custom
+ *   transport (default: a BroadcastChannel)
+ * @param {string} [options.channel] - BroadcastChannel name for the default transport
+ * @returns {boolean} False if the role is unknown or no transport is available
+ */
+export function startSync(options) {
+  const { role, transport: custom, channel } = options || {};
+  if (!SYNC.ROLES.includes(role)) {
+    console.warn(`DiagView: Unknown sync role "${role}" (use "presenter" or "follower")`);
+    return false;
+  }
+
+  const transport = custom ?? createBroadcastChannelTransport(channel);
+  if (!isSyncTransport(transport)) {
+    console.warn(
+      custom
+        ? "DiagView: Sync transport must implement send() and subscribe()"
+        : "DiagView: BroadcastChannel is not available — pass a custom sync transport",
+    );
+    return false;
+  }
+
+  stopSync();
+  session = { role, id: generateUniqueId(), transport, ownsTransport: !custom, cleanups: [] };
+  state.syncRole = role;
+
+  const unsubscribe = transport.subscribe(handleMessage);
+  if (typeof unsubscribe === "function") session.cleanups.push(unsubscribe);
+
+  if (role === "presenter") {
+    session.cleanups.push(startPresenting());
+    broadcastView();
+  } else {
+    send("hello");
+  }
+  return true;
+}
+
+/**
+ * Leave the sync session. Followers keep their current view.
+ * @returns {boolean} False if no session was active
+ */
+export function stopSync() {
+  if (!session) return false;
+
+  // Presenter cleanup still sends (hides followers' lasers), so run it before dropping the session
+  session.cleanups.forEach((fn) => fn());
+  const { transport, ownsTransport, role } = session;
+  session = null;
+  pendingView = null;
+  state.syncRole = null;
+
+  if (ownsTransport) transport.close?.();
+  if (role === "follower") showRemoteLaser(null);
+  return true;
+}
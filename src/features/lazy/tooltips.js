@@ -0,0 +1,377 @@
+/**
+ * DiagView Hover Tooltips
+ * Panzoom takes the pointer in the fullscreen viewer, so browsers never show an
+ * SVG's own <title> tooltips there. This draws a themed tooltip instead: the
+ * hovered item's title, description and data attributes (or host HTML from
+ * config.tooltips.render), following the pointer. On touch, a long press shows
+ * it above the node, and it stays put under zoom and rotation.
+ * @module features/lazy/tooltips
+ */
+
+import { state } from "../../core/config.js";
+import { TOOLTIP } from "../../core/constants.js";
+import {
+  getDiagramModel,
+  findDiagramItem,
+  describeDiagramItem,
+} from "../../core/diagram-adapters.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { sanitizeSVG, movedPastClick } from "../../core/utils.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import tooltipsStyles from "./tooltips.css";
+
+/**
+ * Item under the pointer that a tooltip is waiting to show for
+ * @type {Element|null}
+ */
+let pendingElement = null;
+
+/**
+ * Item whose tooltip is showing
+ * @type {Element|null}
+ */
+let shownElement = null;
+
+/**
+ * Whether the tooltip is pinned to its item (touch) rather than the pointer
+ * @type {boolean}
+ */
+let anchored = false;
+
+/**
+ * Last pointer position, for placing a tooltip when its delay runs out
+ * @type {{x: number, y: number}}
+ */
+let lastPoint = { x: 0, y: 0 };
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let showTimer = null;
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let pressTimer = null;
+
+/**
+ * Where a touch started, to cancel the long press when it turns into a pan
+ * @type {{x: number, y: number}|null}
+ */
+let pressStart = null;
+
+/**
+ * Set by a long press so the tap that ends it doesn't also select the node
+ * @type {boolean}
+ */
+let suppressClick = false;
+
+/**
+ * Cleanup for the viewport listeners (attached once per modal session)
+ * @type {Function|null}
+ */
+let sessionCleanup = null;
+
+/**
+ * Tooltip element created with the modal
+ * @private
+ */
+function getTip() {
+  return document.getElementById("diagview-tooltip");
+}
+
+/**
+ * Whether another mode owns the pointer
+ * @private
+ */
+function isBlocked(viewport) {
+  return !state.isModalOpen || state.annotating || viewport.classList.contains("dv-text-select");
+}
+
+/**
+ * Element with a class and text
+ * @private
+ */
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  node.className = className;
+  node.textContent = text;
+  return node;
+}
+
+/**
+ * Tooltip text the markup carries for an item, most specific first: a
+ * data-tooltip attribute, a title attribute (Mermaid click tooltips), a
+ * <title> child, a link title (Graphviz tooltips), <desc> and data binding
+ * tooltips. Titles that only repeat the label or ID are skipped.
+ * @private
+ */
+function tooltipText(details) {
+  const { element } = details;
+  const link = element.closest("a") || element.querySelector("a");
+  const candidates = [
+    details.data.tooltip,
+    element.getAttribute("title"),
+    details.title,
+    link?.getAttribute("xlink:title") || link?.getAttribute("title"),
+    details.description,
+    element.querySelector("title.dv-data-tooltip")?.textContent,
+  ];
+  const seen = new Set([details.label, details.id]);
+  return candidates
+    .map((text) => (text || "").replace(/\s+/g, " ").trim())
+    .filter((text) => {
+      if (!text || seen.has(text)) return false;
+      seen.add(text);
+      return true;
+    });
+}
+
+/**
+ * Built-in content: label, tooltip text and the item's own data attributes
+ * @private
+ */
+function defaultContent(details, text) {
+  const data = Object.entries(details.data)
+    .filter(([key]) => key !== "tooltip" && !TOOLTIP.IGNORED_DATA.includes(key))
+    .slice(0, TOOLTIP.MAX_DATA_ROWS);
+  if (!text.length && !data.length) return null;
+
+  const fragment = document.createDocumentFragment();
+  if (details.label) fragment.appendChild(el("div", "dv-tooltip-title", details.label));
+  text.forEach((line) => fragment.appendChild(el("div", "dv-tooltip-text", line)));
+  if (data.length) {
+    const list = document.createElement("dl");
+    list.className = "dv-tooltip-data";
+    data.forEach(([key, value]) => list.append(el("dt", "", key), el("dd", "", value)));
+    fragment.appendChild(list);
+  }
+  return fragment;
+}
+
+/**
+ * Host content, cleaned with sanitizeSVG()'s strict rules (no scripts, event
+ * handlers, javascript: links or remote CSS)
+ * @private
+ */
+function sanitizeContent(content) {
+  let root;
+  if (content instanceof Node) {
+    root = document.createElement("div");
+    root.appendChild(content.cloneNode(true));
+  } else {
+    root = new DOMParser().parseFromString(`<div>${content}</div>`, "text/html").body
+      .firstElementChild;
+  }
+  const clean = /** @type {Element} */ (sanitizeSVG(root, "strict"));
+  clean.querySelectorAll("link, meta, base, style").forEach((node) => node.remove());
+
+  const fragment = document.createDocumentFragment();
+  fragment.append(...Array.from(clean.childNodes));
+  return fragment;
+}
+
+/**
+ * Tooltip content for an item, or null if there is nothing to show
+ * @private
+ */
+function buildContent(model, item) {
+  const details = describeDiagramItem(model, item);
+  const text = tooltipText(details);
+  const render = state.config.tooltips?.render;
+  if (typeof render === "function") {
+    try {
+      const result = render({ ...details, text, diagram: state.activeSourceElement });
+      if (result === false || result === "") return null;
+      if (result !== null && result !== undefined) return sanitizeContent(result);
+    } catch (e) {
+      console.warn("DiagView: tooltips.render failed", e);
+    }
+  }
+  return defaultContent(details, text);
+}
+
+/**
+ * Keep a box inside the window
+ * @private
+ */
+function clamp(value, size, limit) {
+  return Math.max(TOOLTIP.EDGE_MARGIN, Math.min(value, limit - size - TOOLTIP.EDGE_MARGIN));
+}
+
+/**
+ * Place the tooltip below-right of the pointer, or above its item when anchored.
+ * Flips to the other side when it would leave the window.
+ * @private
+ */
+function position(tip) {
+  const { width, height } = tip.getBoundingClientRect();
+  const { innerWidth, innerHeight } = window;
+  let left;
+  let top;
+
+  if (anchored && shownElement) {
+    // The item's screen box already includes zoom, pan and rotation
+    const box = shownElement.getBoundingClientRect();
+    left = box.left + box.width / 2 - width / 2;
+    top = box.top - TOOLTIP.OFFSET - height;
+    if (top < TOOLTIP.EDGE_MARGIN) top = box.bottom + TOOLTIP.OFFSET;
+  } else {
+    left = lastPoint.x + TOOLTIP.OFFSET;
+    top = lastPoint.y + TOOLTIP.OFFSET;
+    if (left + width > innerWidth - TOOLTIP.EDGE_MARGIN)
+      left = lastPoint.x - TOOLTIP.OFFSET - width;
+    if (top + height > innerHeight - TOOLTIP.EDGE_MARGIN)
+      top = lastPoint.y - TOOLTIP.OFFSET - height;
+  }
+
+  tip.style.transform = `translate3d(${Math.round(clamp(left, width, innerWidth))}px, ${Math.round(
+    clamp(top, height, innerHeight),
+  )}px, 0)`;
+}
+
+/**
+ * Show the tooltip for an item
+ * @private
+ */
+function show(clone, item, pinned) {
+  const tip = getTip();
+  const model = getDiagramModel(clone);
+  const content = tip && model ? buildContent(model, item) : null;
+  if (!content) {
+    hideTooltip();
+    return;
+  }
+  pendingElement = null;
+  shownElement = item.element;
+  anchored = pinned;
+  tip.replaceChildren(content);
+  tip.classList.add("show");
+  position(tip);
+}
+
+/**
+ * Hide the tooltip and cancel one that is about to show
+ */
+export function hideTooltip() {
+  clearTimeout(showTimer);
+  clearTimeout(pressTimer);
+  showTimer = null;
+  pressTimer = null;
+  pendingElement = null;
+  shownElement = null;
+  anchored = false;
+  const tip = getTip();
+  if (tip) {
+    tip.classList.remove("show");
+    tip.replaceChildren();
+  }
+}
+
+/**
+ * Enable tooltips on the modal diagram
+ * @param {SVGSVGElement} clone - Modal SVG clone
+ * @param {HTMLElement} viewport - Modal viewport
+ */
+export function setupTooltips(clone, viewport) {
+  injectStyleSheet("diagview-tooltips-styles", tooltipsStyles);
+  // A newly mounted diagram starts without a tooltip
+  hideTooltip();
+  if (!state.config.tooltips?.enabled || !clone || !viewport) return;
+
+  // Zoom, pan and rotation move the item: follow it when pinned, otherwise let go
+  addModalListener(clone, "panzoomchange", () => {
+    const tip = getTip();
+    if (anchored && tip) position(tip);
+    else hideTooltip();
+  });
+
+  if (!sessionCleanup) setupSessionListeners(viewport);
+}
+
+/**
+ * Hover, long-press and wheel tracking on the viewport (kept across gallery switches)
+ * @private
+ */
+function setupSessionListeners(viewport) {
+  const itemAt = (target) => {
+    const clone = viewport.querySelector("svg");
+    const item = clone ? findDiagramItem(getDiagramModel(clone), target) : null;
+    return item ? { clone, item } : null;
+  };
+  const endPress = () => {
+    clearTimeout(pressTimer);
+    pressStart = null;
+  };
+
+  const cleanups = [
+    addModalListener(viewport, "pointermove", (e) => {
+      if (e.pointerType === "touch") {
+        if (movedPastClick(pressStart, e)) endPress();
+        return;
+      }
+      lastPoint = { x: e.clientX, y: e.clientY };
+      // A pressed button means a pan
+      const hit = e.buttons || isBlocked(viewport) ? null : itemAt(e.target);
+      if (!hit) {
+        hideTooltip();
+        return;
+      }
+      if (hit.item.element === shownElement) {
+        const tip = getTip();
+        if (tip) position(tip);
+        return;
+      }
+      if (hit.item.element === pendingElement) return;
+
+      hideTooltip();
+      pendingElement = hit.item.element;
+      showTimer = setTimeout(() => show(hit.clone, hit.item, false), state.config.tooltips.delay);
+    }),
+
+    addModalListener(viewport, "pointerdown", (e) => {
+      hideTooltip();
+      pressStart = null;
+      if (e.pointerType !== "touch" || isBlocked(viewport)) return;
+      const hit = itemAt(e.target);
+      if (!hit) return;
+      pressStart = { x: e.clientX, y: e.clientY };
+      pressTimer = setTimeout(() => {
+        pressStart = null;
+        suppressClick = true;
+        show(hit.clone, hit.item, true);
+      }, TOOLTIP.LONG_PRESS);
+    }),
+    addModalListener(viewport, "pointerup", endPress),
+    addModalListener(viewport, "pointercancel", endPress),
+
+    // The tap that ends a long press would otherwise open the inspector or a trace
+    addModalListener(
+      viewport,
+      "click",
+      (e) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+      },
+      true,
+    ),
+
+    addModalListener(viewport, "pointerleave", (e) => {
+      if (e.pointerType !== "touch") hideTooltip();
+    }),
+    addModalListener(viewport, "wheel", hideTooltip, { passive: true }),
+  ];
+
+  sessionCleanup = () => {
+    cleanups.forEach((fn) => fn());
+    sessionCleanup = null;
+  };
+}
+
+/**
+ * Reset tooltips on modal close
+ */
+export function cleanupTooltips() {
+  if (sessionCleanup) sessionCleanup();
+  hideTooltip();
+  pressStart = null;
+  suppressClick = false;
+}
@@ -0,0 +1,252 @@
+/**
+ * DiagView Guided Tours
+ * Steps the modal camera through a diagram's tour stops (zoom, centre or
+ * target node, rotation and caption) with animated transitions. Arrow keys
+ * and the tour bar move between stops; Esc ends the tour.
+ * @module features/lazy/tour
+ */
+
+import { state } from "../../core/config.js";
+import { TOUR, ZOOM, EVENTS } from "../../core/constants.js";
+import { getTour } from "../../core/tour.js";
+import { getDiagramModel } from "../../core/diagram-adapters.js";
+import { getElementPointInScreenCoords, getCenteringPan } from "../../core/svg-geometry.js";
+import { addModalListener } from "../../core/lifecycle.js";
+import { emitDiagramEvent } from "../../core/events.js";
+import { showInfoToast } from "../../ui/toast.js";
+import { setRotation } from "./rotate.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import tourStyles from "./tour.css";
+
+/**
+ * Cleanup for the tour bar listeners (attached once per modal session)
+ * @type {Function|null}
+ */
+let sessionCleanup = null;
+
+/**
+ * Active modal SVG clone
+ * @private
+ */
+function getClone() {
+  return document.getElementById("diagview-modal-viewport")?.querySelector("svg") ?? null;
+}
+
+/**
+ * Element a step targets: a node ID from the diagram model, else a CSS selector
+ * @private
+ */
+function resolveTarget(clone, target) {
+  const node = getDiagramModel(clone)?.nodes.find((n) => n.id === target);
+  if (node) return node.element;
+  try {
+    return clone.querySelector(target);
+  } catch (e) {
+    return null; // Not a valid selector
+  }
+}
+
+/**
+ * Screen point a step centres and, for targets, the scale that fits it
+ * @private
+ */
+function resolveFocus(step, clone, viewport, panzoom) {
+  if (step.target) {
+    const el = resolveTarget(clone, step.target);
+    if (el) {
+      const rect = el.getBoundingClientRect();
+      const vRect = viewport.getBoundingClientRect();
+      const fitScale =
+        panzoom.getScale() *
+        TOUR.FIT_RATIO *
+        Math.min(vRect.width / Math.max(rect.width, 1), vRect.height / Math.max(rect.height, 1));
+      return {
+        point: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+        fitScale,
+      };
+    }
+    console.warn(`DiagView: Tour target "${step.target}" not found`);
+  }
+
+  if (step.center) {
+    // Centre points are in diagram coordinates, i.e. inside the rotation group
+    const root = clone.querySelector(":scope > g.dv-rot-g") || clone;
+    const point = getElementPointInScreenCoords(root, step.center.x, step.center.y);
+    if (point) return { point, fitScale: null };
+  }
+
+  // No focus given: centre the whole diagram
+  const rect = clone.getBoundingClientRect();
+  return {
+    point: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+    fitScale: null,
+  };
+}
+
+/**
+ * Rotate, zoom and pan to a step. Zoom and pan are started in the same tick
+ * so Panzoom animates them as one transition.
+ * @private
+ */
+function moveCamera(step) {
+  const panzoom = state.activePanzoom;
+  const clone = getClone();
+  const viewport = document.getElementById("diagview-modal-viewport");
+  if (!panzoom || !clone || !viewport) return;
+
+  if (step.rotation !== (state.rotationAngle || 0)) setRotation(step.rotation);
+
+  const { point, fitScale } = resolveFocus(step, clone, viewport, panzoom);
+  const minScale = state.config.minZoomScale || ZOOM.MIN_SCALE_DEFAULT;
+  const maxScale = state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT;
+  const scale = Math.min(Math.max(step.zoom ?? fitScale ?? 1, minScale), maxScale);
+
+  const options = { animate: true, duration: TOUR.TRANSITION_DURATION, force: true };
+  const pan = getCenteringPan(viewport, clone, panzoom, point.x, point.y, scale);
+  panzoom.zoom(scale, options);
+  if (Number.isFinite(pan.x) && Number.isFinite(pan.y)) panzoom.pan(pan.x, pan.y, options);
+}
+
+/**
+ * Show the caption and position of the current stop
+ * @private
+ */
+function renderBar() {
+  const bar = document.getElementById("diagview-tour");
+  const tour = state.tour;
+  if (!bar || !tour) return;
+
+  const step = tour.steps[tour.index];
+  const caption = document.getElementById("diagview-tour-caption");
+  if (caption) caption.textContent = step.caption;
+  bar.classList.toggle("dv-tour-no-caption", !step.caption);
+
+  const count = document.getElementById("diagview-tour-count");
+  if (count) count.textContent = `${tour.index + 1} / ${tour.steps.length}`;
+
+  const prev = /** @type {HTMLButtonElement|null} */ (
+    document.getElementById("diagview-tour-prev")
+  );
+  const next = /** @type {HTMLButtonElement|null} */ (
+    document.getElementById("diagview-tour-next")
+  );
+  if (prev) prev.disabled = tour.index === 0;
+  if (next) next.textContent = tour.index === tour.steps.length - 1 ? "Finish" : "Next ›";
+
+  bar.classList.add("show");
+}
+
+/**
+ * Start the tour of the diagram shown in the modal
+ * @param {Array<object>} [steps] - Steps to play (default: the diagram's own tour)
+ * @param {object} [options={}] - Playback options
+ * @param {number} [options.step=0] - Stop to start at
+ * @returns {boolean} False if the modal is closed or there are no steps
+ */
+export function startTour(steps, options = {}) {
+  injectStyleSheet("diagview-tour-styles", tourStyles);
+  const element = state.activeSourceElement;
+  if (!state.isModalOpen || !element || !state.activePanzoom) return false;
+
+  const list = steps ?? getTour(element);
+  if (!list.length) {
+    showInfoToast("This diagram has no tour");
+    return false;
+  }
+
+  state.tour = { element, steps: list, index: -1 };
+  if (!sessionCleanup) setupSessionListeners();
+  return goToTourStep(options.step ?? 0);
+}
+
+/**
+ * Jump to a stop of the running tour
+ * @param {number} index - Stop index (clamped to the tour)
+ * @returns {boolean} False if no tour is running
+ */
+export function goToTourStep(index) {
+  const tour = state.tour;
+  if (!tour) return false;
+
+  const next = Math.min(Math.max(Math.trunc(index) || 0, 0), tour.steps.length - 1);
+  tour.index = next;
+  moveCamera(tour.steps[next]);
+  renderBar();
+
+  emitDiagramEvent(state, EVENTS.TOUR_STEP, tour.element, {
+    step: next,
+    total: tour.steps.length,
+    caption: tour.steps[next].caption,
+  });
+  return true;
+}
+
+/**
+ * Go to the next stop; past the last one the tour ends
+ * @returns {boolean} False if no tour is running
+ */
+export function nextTourStep() {
+  const tour = state.tour;
+  if (!tour) return false;
+  if (tour.index >= tour.steps.length - 1) {
+    endTour();
+    return true;
+  }
+  return goToTourStep(tour.index + 1);
+}
+
+/**
+ * Go to the previous stop (stays on the first one)
+ * @returns {boolean} False if no tour is running
+ */
+export function prevTourStep() {
+  const tour = state.tour;
+  if (!tour) return false;
+  return goToTourStep(tour.index - 1);
+}
+
+/**
+ * Stop the running tour and hide its bar. The view stays where the tour left it.
+ * @returns {boolean} False if no tour was running
+ */
+export function endTour() {
+  const tour = state.tour;
+  state.tour = null;
+  document.getElementById("diagview-tour")?.classList.remove("show");
+  if (!tour) return false;
+
+  emitDiagramEvent(state, EVENTS.TOUR_END, tour.element, {
+    step: tour.index,
+    total: tour.steps.length,
+  });
+  return true;
+}
+
+/**
+ * Tour bar buttons
+ * @private
+ */
+function setupSessionListeners() {
+  const bar = document.getElementById("diagview-tour");
+  if (!bar) return;
+
+  const cleanupBar = addModalListener(bar, "click", (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+    if (btn?.id === "diagview-tour-prev") prevTourStep();
+    else if (btn?.id === "diagview-tour-next") nextTourStep();
+    else if (btn?.id === "diagview-tour-close") endTour();
+  });
+
+  sessionCleanup = () => {
+    cleanupBar();
+    sessionCleanup = null;
+  };
+}
+
+/**
+ * Reset tours on modal close
+ */
+export function cleanupTour() {
+  if (sessionCleanup) sessionCleanup();
+  endTour();
+}
@@ -0,0 +1,275 @@
+/**
+ * DiagView View Control
+ * Drives the fullscreen viewer from code: read and restore the view, zoom,
+ * centre a point, fit a node or a selection, and rotate. Points are in diagram
+ * coordinates (inside the rotation group), mapped to the screen through the
+ * CTM helpers share links use (core/svg-geometry), so they hold under any zoom
+ * or rotation. Every move returns a promise that settles when its animation ends.
+ * @module features/lazy/view-control
+ */
+
+import { state } from "../../core/config.js";
+import { VIEW, ZOOM, EVENTS } from "../../core/constants.js";
+import { getDiagramModel } from "../../core/diagram-adapters.js";
+import {
+  getScreenPointInElementCoords,
+  getElementPointInScreenCoords,
+  getCenteringPan,
+} from "../../core/svg-geometry.js";
+import { emitDiagramEvent } from "../../core/events.js";
+import { setRotation } from "./rotate.js";
+
+/**
+ * @typedef {object} ViewState
+ * @property {number} scale - Zoom level (1 = fitted)
+ * @property {{x: number, y: number}} center - Diagram point at the viewport centre
+ * @property {number} rotation - Degrees clockwise (0, 90, 180 or 270)
+ */
+
+/**
+ * @typedef {object} MoveOptions
+ * @property {boolean} [animate=true] - Animate the move
+ * @property {number} [duration] - Animation length in ms
+ */
+
+/**
+ * Modal viewport, SVG clone and Panzoom instance, or null when the modal is closed
+ * @private
+ */
+function getView() {
+  const viewport = document.getElementById("diagview-modal-viewport");
+  const clone = viewport?.querySelector("svg");
+  const panzoom = state.activePanzoom;
+  if (!state.isModalOpen || !clone || !panzoom) return null;
+  return { viewport, clone, panzoom };
+}
+
+/**
+ * Element whose coordinates are the diagram's own: the rotation group if any
+ * @private
+ */
+function diagramRoot(clone) {
+  return clone.querySelector(":scope > g.dv-rot-g") || clone;
+}
+
+/**
+ * Screen point at the viewport centre
+ * @private
+ */
+function viewportCenter(viewport) {
+  const rect = viewport.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * Scale limited to the configured zoom range
+ * @private
+ */
+function clampScale(scale) {
+  const min = state.config.minZoomScale || ZOOM.MIN_SCALE_DEFAULT;
+  const max = state.config.maxZoomScale || ZOOM.MAX_SCALE_DEFAULT;
+  return Math.min(Math.max(scale, min), max);
+}
+
+/**
+ * Zoom to a scale and bring a screen point to the viewport centre as one move
+ * @private
+ * @returns {Promise<boolean>} Resolves true once the move has finished
+ */
+function moveTo(view, point, scale, options = {}) {
+  const { viewport, clone, panzoom } = view;
+  const animate = options.animate !== false;
+  const duration = Number.isFinite(options.duration)
+    ? Math.min(Math.max(options.duration, 0), VIEW.MAX_DURATION)
+    : VIEW.TRANSITION_DURATION;
+  const target = clampScale(scale);
+
+  const pan = getCenteringPan(viewport, clone, panzoom, point.x, point.y, target);
+  const moveOptions = { animate, duration, force: true };
+  panzoom.zoom(target, moveOptions);
+  if (Number.isFinite(pan.x) && Number.isFinite(pan.y)) panzoom.pan(pan.x, pan.y, moveOptions);
+
+  if (!animate || duration === 0) return Promise.resolve(true);
+  return new Promise((resolve) => setTimeout(() => resolve(true), duration));
+}
+
+/**
+ * Elements a node ID (as in getDiagramModel()), CSS selector or element stands for
+ * @private
+ */
+function resolveElements(clone, target) {
+  if (target instanceof Element) return clone.contains(target) ? [target] : [];
+  if (typeof target !== "string" || !target.trim()) return [];
+
+  const model = getDiagramModel(clone);
+  const item =
+    model && [...model.nodes, ...model.edges, ...model.clusters].find((i) => i.id === target);
+  if (item) return [item.element];
+  try {
+    return Array.from(clone.querySelectorAll(target));
+  } catch (e) {
+    return []; // Not a valid selector
+  }
+}
+
+/**
+ * Zoom and centre so a screen box fits the viewport with padding around it
+ * @private
+ */
+function fitBox(view, box, options) {
+  const padding = Number.isFinite(options.padding)
+    ? Math.max(options.padding, 0)
+    : VIEW.FIT_PADDING;
+  const vRect = view.viewport.getBoundingClientRect();
+  const room = {
+    width: Math.max(vRect.width - 2 * padding, 1),
+    height: Math.max(vRect.height - 2 * padding, 1),
+  };
+  const scale =
+    view.panzoom.getScale() *
+    Math.min(room.width / Math.max(box.width, 1), room.height / Math.max(box.height, 1));
+  const point = { x: box.left + box.width / 2, y: box.top + box.height / 2 };
+  return moveTo(view, point, scale, options);
+}
+
+/**
+ * The current view
+ * @returns {ViewState|null} View, or null if the modal is closed or the layout can't be read
+ */
+export function getViewState() {
+  const view = getView();
+  if (!view) return null;
+  const { x, y } = viewportCenter(view.viewport);
+  const center = getScreenPointInElementCoords(diagramRoot(view.clone), x, y);
+  if (!center) return null;
+  return {
+    scale: view.panzoom.getScale(),
+    center: { x: center.x, y: center.y },
+    rotation: state.rotationAngle || 0,
+  };
+}
+
+/**
+ * Restore a view from getViewState(). Missing fields keep their current value.
+ * @param {Partial<ViewState>} viewState - View to show
+ * @param {MoveOptions} [options={}] - Animation options
+ * @returns {Promise<boolean>} False if the modal is closed or the view is invalid
+ */
+export async function setViewState(viewState, options = {}) {
+  let view = getView();
+  if (!view || !viewState || typeof viewState !== "object") return false;
+
+  if (viewState.rotation !== undefined) {
+    if (!applyRotation(viewState.rotation)) return false;
+    view = getView();
+  }
+
+  const { center } = viewState;
+  let point = viewportCenter(view.viewport);
+  if (center && Number.isFinite(center.x) && Number.isFinite(center.y)) {
+    point = getElementPointInScreenCoords(diagramRoot(view.clone), center.x, center.y);
+    if (!point) return false;
+  }
+  const scale = Number.isFinite(viewState.scale) ? viewState.scale : view.panzoom.getScale();
+  return moveTo(view, point, scale, options);
+}
+
+/**
+ * Zoom around the viewport centre
+ * @param {number} scale - Zoom level, limited to minZoomScale–maxZoomScale
+ * @param {MoveOptions} [options={}] - Animation options
+ * @returns {Promise<boolean>} False if the modal is closed or the scale is not a number
+ */
+export async function zoomTo(scale, options = {}) {
+  const view = getView();
+  if (!view || !Number.isFinite(scale) || scale <= 0) return false;
+  return moveTo(view, viewportCenter(view.viewport), scale, options);
+}
+
+/**
+ * Centre a diagram point at the current zoom
+ * @param {number} x - Diagram X coordinate
+ * @param {number} y - Diagram Y coordinate
+ * @param {MoveOptions} [options={}] - Animation options
+ * @returns {Promise<boolean>} False if the modal is closed or the point can't be mapped
+ */
+export async function panToPoint(x, y, options = {}) {
+  const view = getView();
+  if (!view || !Number.isFinite(x) || !Number.isFinite(y)) return false;
+  const point = getElementPointInScreenCoords(diagramRoot(view.clone), x, y);
+  if (!point) return false;
+  return moveTo(view, point, view.panzoom.getScale(), options);
+}
+
+/**
+ * Zoom to fit one node, edge or cluster and centre it
+ * @param {string|Element} target - Item ID (as in getDiagramModel()), CSS selector
+ *   (first match) or an element in the modal diagram
+ * @param {MoveOptions & {padding?: number}} [options={}] - Padding in px and animation options
+ * @returns {Promise<boolean>} False if the modal is closed or nothing matches
+ */
+export async function focusNode(target, options = {}) {
+  const view = getView();
+  if (!view) return false;
+  const [element] = resolveElements(view.clone, target);
+  if (!element) return false;
+  return fitBox(view, element.getBoundingClientRect(), options);
+}
+
+/**
+ * Zoom to fit several elements together and centre them
+ * @param {Iterable<string|Element>|string} elements - Item IDs, CSS selectors or
+ *   elements in the modal diagram (a single selector matches all its elements)
+ * @param {MoveOptions & {padding?: number}} [options={}] - Padding in px and animation options
+ * @returns {Promise<boolean>} False if the modal is closed or nothing matches
+ */
+export async function fitToSelection(elements, options = {}) {
+  const view = getView();
+  if (!view || !elements) return false;
+  const targets =
+    typeof elements === "string" || elements instanceof Element ? [elements] : Array.from(elements);
+  const rects = targets
+    .flatMap((target) => resolveElements(view.clone, target))
+    .map((element) => element.getBoundingClientRect())
+    .filter((rect) => rect.width > 0 || rect.height > 0);
+  if (!rects.length) return false;
+
+  const left = Math.min(...rects.map((r) => r.left));
+  const top = Math.min(...rects.map((r) => r.top));
+  const right = Math.max(...rects.map((r) => r.left + r.width));
+  const bottom = Math.max(...rects.map((r) => r.top + r.height));
+  return fitBox(view, { left, top, width: right - left, height: bottom - top }, options);
+}
+
+/**
+ * Set the rotation, snapped to a quarter turn, and notify listeners
+ * @private
+ * @returns {boolean} False if there is no diagram to rotate
+ */
+function applyRotation(angle) {
+  if (!Number.isFinite(angle)) return false;
+  const snapped = (((Math.round(angle / 90) * 90) % 360) + 360) % 360;
+  if (snapped === (state.rotationAngle || 0)) return true;
+  if (!setRotation(snapped)) return false;
+
+  emitDiagramEvent(state, EVENTS.ROTATE, state.activeSourceElement, { angle: snapped });
+  // Minimap and zoom display follow panzoomchange
+  state.activePanzoom?.elem?.dispatchEvent(
+    new CustomEvent("panzoomchange", {
+      detail: { scale: state.activePanzoom.getScale(), isRotation: true },
+    }),
+  );
+  return true;
+}
+
+/**
+ * Rotate to an absolute angle, keeping the same diagram point in the centre
+ * @param {number} angle - Degrees clockwise, snapped to 0, 90, 180 or 270
+ * @param {MoveOptions} [options={}] - Animation options for re-centring
+ * @returns {Promise<boolean>} False if the modal is closed
+ */
+export async function rotateTo(angle, options = {}) {
+  const before = getViewState();
+  if (!before || !applyRotation(angle)) return false;
+  return setViewState({ scale: before.scale, center: before.center }, options);
+}
@@ -0,0 +1,119 @@
+/**
+ * DiagView View Source
+ * For diagrams DiagView rendered from a source block (`<pre class="mermaid">`,
+ * `<pre class="language-dot">`, registered renderers), the viewer's topbar
+ * gets a "View source" toggle. It opens a panel with the original text and a
+ * copy button, and follows gallery switches.
+ * @module features/lazy/view-source
+ */
+
+import { state } from "../../core/config.js";
+import { getDiagramSource } from "../../core/renderers.js";
+import { showSuccessToast, showErrorToast } from "../../ui/toast.js";
+import { injectStyleSheet } from "../../ui/styles.js";
+import viewSourceStyles from "./view-source.css";
+
+/**
+ * Diagram whose source the toggle shows
+ * @type {HTMLElement|null}
+ */
+let current = null;
+
+/**
+ * Panel whose buttons are wired (the modal is rebuilt after destroy())
+ * @type {HTMLElement|null}
+ */
+let wiredPanel = null;
+
+/**
+ * Copy the shown source to the clipboard
+ * @private
+ */
+async function copySource() {
+  const source = current && getDiagramSource(current);
+  if (!source) return;
+  try {
+    await navigator.clipboard.writeText(source.source);
+    showSuccessToast("Source copied to clipboard");
+  } catch (e) {
+    showErrorToast("Could not copy the source");
+  }
+}
+
+/**
+ * Wire the panel's copy and close buttons once per modal
+ * @private
+ */
+function wirePanel(panel) {
+  if (wiredPanel === panel) return;
+  wiredPanel = panel;
+  panel.querySelector("#diagview-source-copy")?.addEventListener("click", copySource);
+  panel
+    .querySelector("#diagview-source-close")
+    ?.addEventListener("click", () => toggleViewSource(false));
+}
+
+/**
+ * Fill the panel with the current diagram's source
+ * @private
+ */
+function fillPanel(panel) {
+  const source = current && getDiagramSource(current);
+  const title = panel.querySelector("#diagview-source-title");
+  const code = panel.querySelector(".dv-source-code code");
+  if (title) {
+    const name = source?.renderer ?? "";
+    title.textContent = `${name.charAt(0).toUpperCase()}${name.slice(1)} source`.trim();
+  }
+  if (code) code.textContent = source?.source ?? "";
+}
+
+/**
+ * Show or hide the source panel
+ * @param {boolean} [force] - True to show, false to hide; toggles when omitted
+ * @returns {boolean} Whether the panel is showing
+ */
+export function toggleViewSource(force) {
+  const panel = document.getElementById("diagview-source");
+  const button = document.getElementById("dv-view-source-btn");
+  if (!panel || !button) return false;
+
+  const show = (force ?? !panel.classList.contains("show")) && !button.hidden;
+  if (show) {
+    wirePanel(panel);
+    injectStyleSheet("diagview-view-source-styles", viewSourceStyles);
+    fillPanel(panel);
+  }
+  panel.classList.toggle("show", show);
+  button.classList.toggle("active", show);
+  button.setAttribute("aria-pressed", String(show));
+  return show;
+}
+
+/**
+ * Offer the toggle for a newly shown diagram if DiagView rendered it from
+ * source (and config.renderers.viewSource allows it), else hide toggle and panel
+ * @param {HTMLElement} element - Diagram shown in the viewer
+ */
+export function syncViewSource(element) {
+  const button = document.getElementById("dv-view-source-btn");
+  if (!button) return;
+
+  const available = !!(state.config.renderers?.viewSource && getDiagramSource(element));
+  current = available ? element : null;
+  button.hidden = !available;
+
+  const panel = document.getElementById("diagview-source");
+  if (!available) toggleViewSource(false);
+  else if (panel?.classList.contains("show")) fillPanel(panel);
+}
+
+/**
+ * Hide the toggle and panel when the viewer closes
+ */
+export function cleanupViewSource() {
+  toggleViewSource(false);
+  const button = document.getElementById("dv-view-source-btn");
+  if (button) button.hidden = true;
+  current = null;
+}
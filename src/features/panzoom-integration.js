@@ -27,7 +27,7 @@ import { state } from "../core/config.js";
 import { ZOOM, TIMING } from "../core/constants.js";
 import { checkPanzoomDependency } from "../core/utils.js";
 
-import { addManagedListener, addModalListener } from "../core/lifecycle.js";
+import { addModalListener } from "../core/lifecycle.js";
 import { showErrorToast, showInfoToast } from "../ui/toast.js";
 import { blurActiveElement } from "../ui/focus-manager.js";
 
@@ -53,16 +53,7 @@ export function initializePanzoom(element, options = {}) {
       ...options,
     };
 
-    const panzoom = window.Panzoom(element, panzoomOptions);
-
-    // Notify on zoom change
-    if (state.config.onZoomChange) {
-      addManagedListener(element, "panzoomchange", (e) => {
-        state.config.onZoomChange(e.detail.scale);
-      });
-    }
-
-    return panzoom;
+    return window.Panzoom(element, panzoomOptions);
   } catch (error) {
     console.error("DiagView: Failed to initialize Panzoom", error);
     showErrorToast("Zoom initialization failed");
@@ -180,19 +171,37 @@ function getZoomKey(diagramId) {
   return `${ZOOM_STATE_PREFIX}:${diagramId}`;
 }
 
+/**
+ * In-memory zoom states for the current modal session.
+ * Used by gallery navigation so each diagram keeps its own view while the
+ * user moves between them, independent of the rememberZoom setting.
+ * @type {Map<string, {scale: number, pan: {x: number, y: number}, rotation: number, timestamp: number}>}
+ */
+const transientZoomStates = new Map();
+
 /**
  * Save zoom state for a diagram
+ * @param {string} diagramId - Diagram ID (data-diagview-id)
+ * @param {object} panzoom - Panzoom instance
+ * @param {{transient?: boolean}} [options] - Also keep the state in memory for this modal session
  */
-export function saveZoomState(diagramId, panzoom) {
-  if (!state.config.rememberZoom || !panzoom || !diagramId || !state.isStorageAvailable) return;
+export function saveZoomState(diagramId, panzoom, options = {}) {
+  if (!panzoom || !diagramId) return;
+
+  const zoomState = {
+    scale: panzoom.getScale(),
+    pan: panzoom.getPan(),
+    rotation: state.rotationAngle,
+    timestamp: Date.now(),
+  };
+
+  if (options.transient) {
+    transientZoomStates.set(diagramId, zoomState);
+  }
+
+  if (!state.config.rememberZoom || !state.isStorageAvailable) return;
 
   try {
-    const zoomState = {
-      scale: panzoom.getScale(),
-      pan: panzoom.getPan(),
-      rotation: state.rotationAngle,
-      timestamp: Date.now(),
-    };
     sessionStorage.setItem(getZoomKey(diagramId), JSON.stringify(zoomState));
   } catch (e) {
     // Silently fail if storage is full or restricted
@@ -201,32 +210,54 @@ export function saveZoomState(diagramId, panzoom) {
 
 /**
  * Restore zoom state for a diagram
+ * @param {string} diagramId - Diagram ID (data-diagview-id)
+ * @param {object} panzoom - Panzoom instance
+ * @param {{transient?: boolean}} [options] - Prefer the in-memory state from this modal session
+ * @returns {boolean} True if a saved state was applied
  */
-export function restoreZoomState(diagramId, panzoom) {
-  if (!state.config.rememberZoom || !panzoom || !diagramId || !state.isStorageAvailable)
-    return false;
+export function restoreZoomState(diagramId, panzoom, options = {}) {
+  if (!panzoom || !diagramId) return false;
+
+  if (options.transient && transientZoomStates.has(diagramId)) {
+    applyZoomState(transientZoomStates.get(diagramId), panzoom);
+    return true;
+  }
+
+  if (!state.config.rememberZoom || !state.isStorageAvailable) return false;
 
   try {
     const stored = sessionStorage.getItem(getZoomKey(diagramId));
     if (!stored) return false;
 
-    const zoomState = JSON.parse(stored);
-
-    // Apply saved state
-    state.rotationAngle = zoomState.rotation !== undefined ? zoomState.rotation : 0;
-    panzoom.zoom(zoomState.scale, { animate: false });
-    panzoom.pan(zoomState.pan.x, zoomState.pan.y, { animate: false });
-
+    applyZoomState(JSON.parse(stored), panzoom);
     return true;
   } catch (e) {
     return false;
   }
 }
 
+/**
+ * Apply a saved zoom state to a Panzoom instance
+ * @private
+ */
+function applyZoomState(zoomState, panzoom) {
+  state.rotationAngle = zoomState.rotation !== undefined ? zoomState.rotation : 0;
+  panzoom.zoom(zoomState.scale, { animate: false });
+  panzoom.pan(zoomState.pan.x, zoomState.pan.y, { animate: false });
+}
+
+/**
+ * Forget the in-memory zoom states of the current modal session
+ */
+export function clearTransientZoomStates() {
+  transientZoomStates.clear();
+}
+
 /**
  * Clear all zoom states
  */
 export function clearAllZoomStates() {
+  transientZoomStates.clear();
   if (!state.isStorageAvailable) return;
   try {
     const storage = sessionStorage;
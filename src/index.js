@@ -22,7 +22,7 @@ import { isBrowser, sanitizeSVG, clearSVGContentCache } from "./core/utils.js";
 import { safeDestroy, clearAsyncTasks } from "./core/lifecycle.js";
 import { setupThemeWatchers, teardownThemeWatchers, syncTheme } from "./core/theme.js";
 import { injectStyles, removeStyles } from "./ui/styles.js";
-import { createModal, openFullscreen } from "./ui/modal.js";
+import { createModal, openFullscreen, switchDiagram } from "./ui/modal.js";
 import { closeModal, syncBrandingVisibility } from "./ui/modal-controls.js";
 import { resetViewportState } from "./ui/viewport.js";
 import { setupKeyboardShortcuts, teardownKeyboardShortcuts } from "./features/keyboard.js";
@@ -46,6 +46,15 @@ import { deinitializeDiagram } from "./features/diagram-init.js";
 import { cleanupKeyboardHelp } from "./ui/keyboard-help.js";
 import { resetFocusManagement } from "./ui/focus-manager.js";
 import { clearAllZoomStates } from "./features/panzoom-integration.js";
+import { EVENTS } from "./core/constants.js";
+import { emitDiagramEvent } from "./core/events.js";
+import {
+  registerRenderer as addRenderer,
+  unregisterRenderer,
+  getDiagramSelector,
+} from "./core/renderers.js";
+
+const PUBLIC_EVENTS = new Set(Object.values(EVENTS));
 
 // Global auto-init handle
 let autoInitTimeout = null;
@@ -139,6 +148,10 @@ async function destroy() {
       import("./features/lazy/meeting-mode.js").then((m) => m.resetMeetingState?.()),
       import("./ui/toast.js").then((m) => m.hideToast()),
       import("./features/lazy/minimap.js").then((m) => m.cleanupMinimap()),
+      state.syncRole ? import("./features/lazy/sync.js").then((m) => m.stopSync()) : null,
+      state.diagramModelsCached
+        ? import("./core/diagram-adapters.js").then((m) => m.clearDiagramModelCache())
+        : null,
     ]);
   } catch (e) {
     console.error("DiagView: Error during async cleanup:", e);
@@ -146,7 +159,7 @@ async function destroy() {
 
   // Clean up diagram wrappers
   document.querySelectorAll(".diagview-wrapper").forEach((wrapper) => {
-    const diagram = wrapper.querySelector(state.config.diagramSelector);
+    const diagram = wrapper.querySelector(getDiagramSelector());
     if (diagram) deinitializeDiagram(diagram);
   });
 
@@ -190,6 +203,70 @@ function refresh() {
   refreshDiagrams();
 }
 
+/**
+ * Load an SVG into a container and enhance it. URLs are fetched same-origin
+ * unless security.allowRemoteResources allows other sites; markup and files are
+ * sanitized (security.mode, within performance.criticalFileLimit). The container
+ * shows a spinner while loading and the error boundary if loading fails.
+ * @param {HTMLElement} container - Diagram container; its previous diagram is replaced
+ * @param {string} source - SVG markup, or the URL of an SVG file
+ * @param {{sanitize?: "strict"|"permissive"|"off", signal?: AbortSignal}} [options={}] -
+ *   Sanitization mode for this diagram, and a signal to cancel the download
+ * @returns {Promise<boolean>} True once the diagram is shown
+ */
+async function mount(container, source, options = {}) {
+  if (!state.isInitialized) {
+    console.warn("DiagView: Call init() before mount()");
+    return false;
+  }
+  const m = await import("./features/lazy/mount.js");
+  return m.mountDiagram(container, source, options);
+}
+
+/**
+ * Read a diagram's nodes, edges and clusters with the adapter for its generator
+ * @param {HTMLElement|SVGSVGElement} element - Diagram container or its SVG
+ * @returns {Promise<import('./core/diagram-adapters.js').DiagramModel|null>} Model (cached
+ *   per SVG), or null if there is no SVG
+ */
+async function getDiagramModel(element) {
+  const m = await import("./core/diagram-adapters.js");
+  return m.getDiagramModel(element);
+}
+
+/**
+ * Register an adapter for another diagram generator, tried before the built-ins.
+ * Registering a name that already exists replaces the earlier custom adapter.
+ * @param {import('./core/diagram-adapters.js').DiagramAdapter} adapter - Name, detect() and extract()
+ * @returns {Promise<boolean>} True if the adapter was registered
+ */
+async function registerDiagramAdapter(adapter) {
+  const m = await import("./core/diagram-adapters.js");
+  return m.registerDiagramAdapter(adapter);
+}
+
+/**
+ * Remove a custom diagram adapter (built-ins cannot be removed)
+ * @param {string} name - Adapter name
+ * @returns {Promise<void>}
+ */
+async function unregisterDiagramAdapter(name) {
+  const m = await import("./core/diagram-adapters.js");
+  m.unregisterDiagramAdapter(name);
+}
+
+/**
+ * Register a renderer for diagram source blocks, e.g. `<pre class="language-plantuml">`.
+ * Matching blocks already on the page are rendered right away.
+ * @param {import('./core/renderers.js').DiagramRenderer} renderer - Name, selector and render()
+ * @returns {boolean} True if the renderer was registered
+ */
+function registerRenderer(renderer) {
+  const registered = addRenderer(renderer);
+  if (registered && state.isInitialized) refreshDiagrams();
+  return registered;
+}
+
 /**
  * Initialize diagrams inside a Shadow DOM root.
  * @param {ShadowRoot} shadowRoot
@@ -231,6 +308,487 @@ function getConfiguration() {
   return getConfig();
 }
 
+/**
+ * Subscribe to a DiagView event.
+ * Payload: { type, element, index, view: { scale, pan, rotation } | null, ...eventFields }.
+ * Listeners are removed by destroy().
+ * @param {string} event - Event name, e.g. "open", "zoom", "export:success"
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+function on(event, handler) {
+  if (!PUBLIC_EVENTS.has(event)) {
+    console.warn(`DiagView: Unknown event "${event}"`);
+    return () => {};
+  }
+  if (typeof handler !== "function") {
+    console.warn("DiagView: on() requires a handler function");
+    return () => {};
+  }
+
+  return state.events.on(event, handler);
+}
+
+/**
+ * Unsubscribe a handler registered with on()
+ * @param {string} event - Event name
+ * @param {Function} handler - The handler passed to on()
+ */
+function off(event, handler) {
+  if (!PUBLIC_EVENTS.has(event)) return;
+  state.events.off(event, handler);
+}
+
+/**
+ * Serialize the annotations drawn on a diagram
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Promise<string>} JSON document: { version, annotations }
+ */
+async function serializeAnnotations(element) {
+  const m = await import("./core/annotations.js");
+  return m.serializeAnnotations(element);
+}
+
+/**
+ * Replace a diagram's annotations with shapes from serializeAnnotations().
+ * Redraws them immediately if the diagram is open in the modal.
+ * @param {HTMLElement} element - Diagram container
+ * @param {string|object} data - JSON string or parsed document (or an array of shapes)
+ * @returns {Promise<boolean>} False if the data is malformed (existing annotations are kept)
+ */
+async function loadAnnotations(element, data) {
+  if (!element) return false;
+  const { parseAnnotations, setAnnotations } = await import("./core/annotations.js");
+  const shapes = parseAnnotations(data);
+  if (!shapes) {
+    console.warn("DiagView: loadAnnotations() received malformed annotation data");
+    return false;
+  }
+
+  const stored = setAnnotations(element, shapes);
+  emitDiagramEvent(state, EVENTS.ANNOTATION_CHANGE, element, { annotations: stored });
+
+  if (state.isModalOpen && state.activeSourceElement === element) {
+    import("./features/lazy/annotate.js").then((m) => m.renderModalAnnotations()).catch(() => {});
+  }
+  return true;
+}
+
+/**
+ * Remove every annotation from a diagram
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Promise<void>}
+ */
+async function clearAnnotations(element) {
+  await loadAnnotations(element, []);
+}
+
+/**
+ * Apply a diagram's binding to the page SVG and, when it is open, the modal clone
+ * @private
+ */
+async function applyBindingEverywhere(element, binding) {
+  const { applyDataBinding } = await import("./core/data-binding.js");
+  const count = applyDataBinding(element.querySelector("svg"), binding);
+  if (state.isModalOpen && state.activeSourceElement === element) {
+    const clone = document.getElementById("diagview-modal-viewport")?.querySelector("svg");
+    applyDataBinding(clone, binding);
+  }
+  return count;
+}
+
+/**
+ * Colour, badge and annotate a diagram's nodes from external data.
+ * Replaces any earlier binding on the diagram.
+ * @param {HTMLElement} element - Diagram container
+ * @param {{data: object|Array<object>, rules?: object, match?: "auto"|"id"|"label"}} mapping
+ *   Values keyed by node ID or label (or a list of { id | label | selector, value }),
+ *   and the fill, stroke, badge, opacity and tooltip rules that turn them into styles
+ * @returns {Promise<number>} Number of nodes bound
+ */
+async function bindData(element, mapping) {
+  if (!element) return 0;
+  const { normalizeDataBinding, setDataBinding } = await import("./core/data-binding.js");
+  const binding = normalizeDataBinding(mapping);
+  setDataBinding(element, binding);
+  return applyBindingEverywhere(element, binding);
+}
+
+/**
+ * Swap the data of a bound diagram and re-apply its rules
+ * @param {HTMLElement} element - Diagram container
+ * @param {object|Array<object>} data - New values, in the same shape bindData() takes
+ * @returns {Promise<number>} Number of nodes bound (0 if the diagram has no binding)
+ */
+async function updateData(element, data) {
+  const { getDataBinding, setDataBinding, normalizeDataBinding } =
+    await import("./core/data-binding.js");
+  const current = getDataBinding(element);
+  if (!current) return 0;
+  const binding = normalizeDataBinding({ ...current, data });
+  setDataBinding(element, binding);
+  return applyBindingEverywhere(element, binding);
+}
+
+/**
+ * Remove a diagram's binding and restore the nodes as drawn
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Promise<void>}
+ */
+async function unbindData(element) {
+  if (!element) return;
+  const { setDataBinding, clearDataBindings } = await import("./core/data-binding.js");
+  setDataBinding(element, null);
+  clearDataBindings(element.querySelector("svg"));
+  if (state.isModalOpen && state.activeSourceElement === element) {
+    clearDataBindings(document.getElementById("diagview-modal-viewport")?.querySelector("svg"));
+  }
+}
+
+/**
+ * Highlight a node's edges and neighbours in the open modal
+ * @param {string|Element} node - Node ID (as in getDiagramModel()) or an element inside the node
+ * @param {{preset?: string, depth?: number, direction?: "both"|"upstream"|"downstream"}} [options]
+ *   Depth preset ("1", "2", "upstream", "downstream", "all") or explicit depth/direction
+ * @returns {Promise<boolean>} False if the modal is closed or the node was not found
+ */
+async function traceDependencies(node, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/dependencies.js");
+  return m.traceDependencies(node, options);
+}
+
+/**
+ * Remove the dependency highlight in the open modal
+ * @returns {Promise<void>}
+ */
+async function clearDependencyTrace() {
+  if (!state.dependencyTrace) return;
+  const m = await import("./features/lazy/dependencies.js");
+  m.clearDependencyTrace();
+}
+
+/**
+ * Show a node's (or edge's) details in the inspector panel of the open modal
+ * @param {string|Element} node - Item ID (as in getDiagramModel()) or an element inside it
+ * @returns {Promise<boolean>} False if the modal is closed or the item was not found
+ */
+async function inspectNode(node) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/inspector.js");
+  return m.inspectNode(node);
+}
+
+/**
+ * Close the inspector panel in the open modal
+ * @returns {Promise<void>}
+ */
+async function closeInspector() {
+  if (!state.inspectedItem) return;
+  const m = await import("./features/lazy/inspector.js");
+  m.closeInspector();
+}
+
+/**
+ * The open modal's view: zoom, the diagram point at the centre, and rotation
+ * @returns {Promise<{scale: number, center: {x: number, y: number}, rotation: number}|null>}
+ *   View, or null if the modal is closed
+ */
+async function getViewState() {
+  if (!state.isModalOpen) return null;
+  const m = await import("./features/lazy/view-control.js");
+  return m.getViewState();
+}
+
+/**
+ * Restore a view captured with getViewState() in the open modal
+ * @param {{scale?: number, center?: {x: number, y: number}, rotation?: number}} view - View to show
+ * @param {{animate?: boolean, duration?: number}} [options] - Animation options
+ * @returns {Promise<boolean>} Resolves when the move ends; false if the modal is closed
+ */
+async function setViewState(view, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.setViewState(view, options);
+}
+
+/**
+ * Zoom the open modal around its centre
+ * @param {number} scale - Zoom level (1 = fitted)
+ * @param {{animate?: boolean, duration?: number}} [options] - Animation options
+ * @returns {Promise<boolean>} Resolves when the zoom ends; false if the modal is closed
+ */
+async function zoomTo(scale, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.zoomTo(scale, options);
+}
+
+/**
+ * Centre a point of the diagram in the open modal
+ * @param {number} x - Diagram X coordinate (SVG user units)
+ * @param {number} y - Diagram Y coordinate (SVG user units)
+ * @param {{animate?: boolean, duration?: number}} [options] - Animation options
+ * @returns {Promise<boolean>} Resolves when the pan ends; false if the modal is closed
+ */
+async function panToPoint(x, y, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.panToPoint(x, y, options);
+}
+
+/**
+ * Zoom the open modal to fit a node and centre it
+ * @param {string|Element} target - Node ID (as in getDiagramModel()), CSS selector or element
+ * @param {{padding?: number, animate?: boolean, duration?: number}} [options] - Padding in px
+ *   and animation options
+ * @returns {Promise<boolean>} Resolves when the move ends; false if nothing matches
+ */
+async function focusNode(target, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.focusNode(target, options);
+}
+
+/**
+ * Zoom the open modal to fit several nodes or elements together
+ * @param {Iterable<string|Element>|string} elements - Node IDs, CSS selectors or elements
+ * @param {{padding?: number, animate?: boolean, duration?: number}} [options] - Padding in px
+ *   and animation options
+ * @returns {Promise<boolean>} Resolves when the move ends; false if nothing matches
+ */
+async function fitToSelection(elements, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.fitToSelection(elements, options);
+}
+
+/**
+ * Rotate the open modal's diagram to an absolute angle
+ * @param {number} angle - Degrees clockwise, snapped to 0, 90, 180 or 270
+ * @param {{animate?: boolean, duration?: number}} [options] - Animation options
+ * @returns {Promise<boolean>} Resolves when the view has settled; false if the modal is closed
+ */
+async function rotateTo(angle, options = {}) {
+  if (!state.isModalOpen) return false;
+  const m = await import("./features/lazy/view-control.js");
+  return m.rotateTo(angle, options);
+}
+
+/**
+ * Compare two versions of a diagram side by side or overlaid, with zoom and pan
+ * locked between them and added, removed and relabelled nodes and edges marked.
+ * Opens above the modal when it is open, otherwise over the page.
+ * @param {HTMLElement|string} before - Earlier version: diagram container, SVG element or
+ *   SVG markup (sanitized with config.security.mode)
+ * @param {HTMLElement|string} after - Later version, in any of the same forms
+ * @param {{mode?: "side-by-side"|"overlay", opacity?: number, diff?: boolean,
+ *   labels?: string[]}} [options={}] - Initial layout, overlay opacity (0–1), whether
+ *   changes start highlighted, and captions for the two versions
+ * @returns {Promise<object|null>} The structural diff ({nodes, edges}, each with added,
+ *   removed, relabelled and unchanged), or null if either version holds no SVG
+ */
+async function compareDiagrams(before, after, options = {}) {
+  const m = await import("./features/lazy/compare.js");
+  return m.openComparison(before, after, options);
+}
+
+/**
+ * Close the diagram comparison, if open
+ * @returns {Promise<void>}
+ */
+async function closeComparison() {
+  if (!state.comparing) return;
+  const m = await import("./features/lazy/compare.js");
+  m.closeComparison();
+}
+
+/**
+ * Replace a diagram's tour. An empty list falls back to the data-diagview-tour attribute.
+ * @param {HTMLElement} element - Diagram container
+ * @param {Array<object>} steps - Steps to store
+ * @returns {Promise<Array<object>>} The validated steps
+ */
+async function setTour(element, steps) {
+  const m = await import("./core/tour.js");
+  return m.setTour(element, steps);
+}
+
+/**
+ * Steps of a diagram's tour, set through setTour() or in its data-diagview-tour attribute
+ * @param {HTMLElement} element - Diagram container
+ * @returns {Promise<Array<object>>} Steps in order (empty if the diagram has no tour)
+ */
+async function getTour(element) {
+  const m = await import("./core/tour.js");
+  return m.getTour(element);
+}
+
+/**
+ * Open a diagram in the modal (or switch to it) and play its guided tour
+ * @param {HTMLElement} element - Diagram container
+ * @param {{steps?: Array<object>, step?: number}} [options] - Steps to play instead of the
+ *   diagram's own tour, and the stop to start at
+ * @returns {Promise<boolean>} False if the diagram has no tour or could not be opened
+ */
+async function startTour(element, options = {}) {
+  if (!element) return false;
+  const { parseTour, getTour } = await import("./core/tour.js");
+  const steps = options.steps ? parseTour(options.steps) : getTour(element);
+  if (!steps?.length) {
+    console.warn("DiagView: startTour() found no tour steps for this diagram");
+    return false;
+  }
+
+  if (!state.isModalOpen) await openFullscreen(element);
+  else if (state.activeSourceElement !== element) await switchDiagram(element);
+  if (!state.isModalOpen || state.activeSourceElement !== element) return false;
+
+  const m = await import("./features/lazy/tour.js");
+  return m.startTour(steps, { step: options.step });
+}
+
+/**
+ * Jump to a stop of the running tour
+ * @param {number} index - Stop index
+ * @returns {Promise<boolean>} False if no tour is running
+ */
+async function goToTourStep(index) {
+  if (!state.tour) return false;
+  const m = await import("./features/lazy/tour.js");
+  return m.goToTourStep(index);
+}
+
+/**
+ * Go to the next stop of the running tour (ends it after the last stop)
+ * @returns {Promise<boolean>} False if no tour is running
+ */
+async function nextTourStep() {
+  if (!state.tour) return false;
+  const m = await import("./features/lazy/tour.js");
+  return m.nextTourStep();
+}
+
+/**
+ * Go to the previous stop of the running tour
+ * @returns {Promise<boolean>} False if no tour is running
+ */
+async function prevTourStep() {
+  if (!state.tour) return false;
+  const m = await import("./features/lazy/tour.js");
+  return m.prevTourStep();
+}
+
+/**
+ * Stop the running tour
+ * @returns {Promise<void>}
+ */
+async function endTour() {
+  if (!state.tour) return;
+  const m = await import("./features/lazy/tour.js");
+  m.endTour();
+}
+
+/**
+ * Join a follow-the-presenter session. The presenter broadcasts its view
+ * (diagram, zoom, centre, rotation, search and laser pointer); followers mirror it.
+ * @param {{role: "presenter"|"follower", transport?: import('./core/sync-transport.js').SyncTransport,
+ *   channel?: string}} options - Role, plus a custom transport or a BroadcastChannel name
+ * @returns {Promise<boolean>} False if the role is unknown or no transport is available
+ */
+async function startSync(options) {
+  const m = await import("./features/lazy/sync.js");
+  return m.startSync(options);
+}
+
+/**
+ * Leave the follow-the-presenter session
+ * @returns {Promise<void>}
+ */
+async function stopSync() {
+  if (!state.syncRole) return;
+  const m = await import("./features/lazy/sync.js");
+  m.stopSync();
+}
+
+/**
+ * The built-in BroadcastChannel transport, for wrapping or sharing
+ * @param {string} [name] - Channel name; peers must use the same one
+ * @returns {Promise<import('./core/sync-transport.js').SyncTransport|null>} The transport, or
+ *   null where BroadcastChannel is unavailable
+ */
+async function createBroadcastChannelTransport(name) {
+  const m = await import("./features/lazy/sync.js");
+  return m.createBroadcastChannelTransport(name);
+}
+
+/**
+ * Export every diagram on the page into one ZIP archive, with a manifest.json
+ * listing each file's title, size and index
+ * @param {{format?: "png"|"jpeg"|"webp"|"svg", scale?: number, transparent?: boolean,
+ *   annotations?: boolean, filename?: string}} [options] - Format and rendering options
+ * @returns {Promise<boolean>} True if the archive was downloaded
+ */
+async function exportAll(options) {
+  const m = await import("./features/lazy/export-all.js");
+  return m.exportAll(options);
+}
+
+/**
+ * Export a diagram as a self-contained interactive HTML page that zooms, pans,
+ * searches and shows a minimap offline. Fires the usual export events.
+ * @param {HTMLElement} element - Diagram container
+ * @param {object} [options] - Export options (filename, region, padding, watermark,
+ *   background, annotations)
+ * @returns {Promise<boolean>} True if the file was downloaded
+ */
+async function exportToHTML(element, options = {}) {
+  return /** @type {Promise<boolean>} */ (exportDiagram(element, "html", options));
+}
+
+/**
+ * Export a scripted camera sequence as an animated GIF, or a WebM video where
+ * MediaRecorder can record a canvas. Fires the usual export events.
+ * @param {HTMLElement} element - Diagram container
+ * @param {{format?: "gif"|"webm", steps?: Array<object>, fps?: number, duration?: number,
+ *   hold?: number, easing?: string|((t: number) => number), width?: number, height?: number,
+ *   loop?: boolean|number, captions?: boolean, filename?: string}} [options={}] - Format,
+ *   camera steps (default: the diagram's tour), timing and frame size
+ * @returns {Promise<boolean>} True if the file was downloaded
+ */
+async function exportAnimation(element, options = {}) {
+  const format = options.format === "webm" ? "webm" : "gif";
+  return /** @type {Promise<boolean>} */ (exportDiagram(element, format, options));
+}
+
+/**
+ * Print a diagram from a hidden frame: fitted to one page, at a fixed scale, or
+ * tiled across sheets as a poster, always in light colours
+ * @param {HTMLElement} element - Diagram container
+ * @param {{pageSize?: string, orientation?: "auto"|"portrait"|"landscape", margin?: number,
+ *   fit?: "page"|"scale"|"poster", scale?: number, tiles?: "auto"|{columns: number, rows: number},
+ *   overlap?: number, title?: boolean|string, caption?: string|null, url?: boolean|string,
+ *   padding?: number, watermark?: object|false, annotations?: boolean}} [options={}] - Overrides
+ *   of config.print, plus export padding, watermark and annotations
+ * @returns {Promise<boolean>} True if the print dialog was opened
+ */
+async function print(element, options = {}) {
+  const m = await import("./features/lazy/print.js");
+  return m.printDiagram(element, options);
+}
+
+/**
+ * Open the export dialog for a diagram: live preview, presets, format, area,
+ * scale/DPI, background, padding, watermark, quality and file name
+ * @param {HTMLElement} element - Diagram container
+ * @param {{preset?: string}} [options] - Preset from config.exportPresets to start from
+ * @returns {Promise<boolean>} Resolves when the dialog closes: true if a file was exported
+ */
+async function openExportDialog(element, options) {
+  const m = await import("./features/lazy/export-dialog.js");
+  return m.openExportDialog(element, options);
+}
+
 // Version
 const version = __DV_VERSION__;
 
@@ -241,9 +799,68 @@ const DiagView = {
   initShadowRoot,
   destroy,
   refresh,
+  mount,
   configure,
   getConfiguration,
 
+  // Events
+  on,
+  off,
+
+  // Diagram model (nodes / edges / clusters for Mermaid, Graphviz, PlantUML, draw.io, ...)
+  getDiagramModel,
+  registerDiagramAdapter,
+  unregisterDiagramAdapter,
+
+  // Source renderers (Mermaid / Graphviz blocks and your own)
+  registerRenderer,
+  unregisterRenderer,
+
+  // Annotations
+  serializeAnnotations,
+  loadAnnotations,
+  clearAnnotations,
+
+  // Data binding
+  bindData,
+  updateData,
+  unbindData,
+
+  // Dependency highlighting (modal)
+  traceDependencies,
+  clearDependencyTrace,
+
+  // Node inspector (modal)
+  inspectNode,
+  closeInspector,
+
+  // View control (modal)
+  getViewState,
+  setViewState,
+  zoomTo,
+  panToPoint,
+  focusNode,
+  fitToSelection,
+  rotateTo,
+
+  // Diagram comparison
+  compareDiagrams,
+  closeComparison,
+
+  // Guided tours
+  setTour,
+  getTour,
+  startTour,
+  goToTourStep,
+  nextTourStep,
+  prevTourStep,
+  endTour,
+
+  // Follow-the-presenter sync
+  startSync,
+  stopSync,
+  createBroadcastChannelTransport,
+
   // State (for debugging/inspection)
   /** Internal state object for debugging and inspection (Read-Only) */
   state: publicState,
@@ -255,7 +872,12 @@ const DiagView = {
   exportToJPEG,
   exportToWebP,
   exportToPDF,
+  exportToHTML,
   copyToClipboard,
+  exportAll,
+  exportAnimation,
+  print,
+  openExportDialog,
 
   // Utilities
   closeModal,
@@ -267,7 +889,7 @@ const DiagView = {
   /**
    * Open a diagram in fullscreen programmatically.
    * @param {HTMLElement} element - Diagram container
-   * @param {{zoom?: number, searchQuery?: string}} [options]
+   * @param {{zoom?: number, searchQuery?: string, searchOptions?: object}} [options]
    */
   openFullscreen,
 
@@ -320,15 +942,57 @@ export {
   initShadowRoot,
   destroy,
   refresh,
+  mount,
   configure,
   getConfiguration,
+  on,
+  off,
+  getDiagramModel,
+  registerDiagramAdapter,
+  unregisterDiagramAdapter,
+  registerRenderer,
+  unregisterRenderer,
+  serializeAnnotations,
+  loadAnnotations,
+  clearAnnotations,
+  bindData,
+  updateData,
+  unbindData,
+  traceDependencies,
+  clearDependencyTrace,
+  inspectNode,
+  closeInspector,
+  getViewState,
+  setViewState,
+  zoomTo,
+  panToPoint,
+  focusNode,
+  fitToSelection,
+  rotateTo,
+  compareDiagrams,
+  closeComparison,
+  setTour,
+  getTour,
+  startTour,
+  goToTourStep,
+  nextTourStep,
+  prevTourStep,
+  endTour,
+  startSync,
+  stopSync,
+  createBroadcastChannelTransport,
   exportDiagram,
   exportToPNG,
   exportToSVG,
   exportToJPEG,
   exportToWebP,
   exportToPDF,
+  exportToHTML,
   copyToClipboard,
+  exportAll,
+  exportAnimation,
+  print,
+  openExportDialog,
   closeModal,
   openFullscreen,
   version,
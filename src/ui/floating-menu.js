@@ -6,13 +6,14 @@
 
 import { state, addModalCleanupFunction } from "../core/config.js";
 import { detectTheme } from "../core/theme.js";
-import { sanitizeSVG } from "../core/utils.js";
+import { sanitizeSVG, safeQuerySelectorAll } from "../core/utils.js";
 
 import { exportDiagram } from "../features/export.js";
 import { ICONS } from "./icons.js";
 import { createMenuItem } from "./button-factory.js";
 import { invalidateFocusableCache } from "./focus-manager.js";
-import { BRANDING } from "../core/constants.js";
+import { BRANDING, LASER } from "../core/constants.js";
+import { getDiagramSelector } from "../core/renderers.js";
 
 /**
  * Create floating action menu (Redesigned Panel Layout)
@@ -36,8 +37,8 @@ export function createFloatingMenu(sourceElement, clonedSvg) {
 
   // 3. Sections
   const zoomElements = _createZoomSection(menuPanel);
-  const { transChk, expGrid } = _createExportSection(menuPanel);
-  const toolsContainer = _createToolsSection(menuPanel);
+  const { transChk, annotChk, areaPicker, expGrid } = _createExportSection(menuPanel);
+  const { toolsContainer, laserPicker } = _createToolsSection(menuPanel);
   _createMenuFooter(menuPanel);
 
   const modal = document.getElementById("diagview-modal");
@@ -49,7 +50,18 @@ export function createFloatingMenu(sourceElement, clonedSvg) {
 
   // 4. Setup Logic & Wiring
   _setupMenuController(
-    { container, fab, menuPanel, zoomElements, transChk, expGrid, toolsContainer },
+    {
+      container,
+      fab,
+      menuPanel,
+      zoomElements,
+      transChk,
+      annotChk,
+      areaPicker,
+      expGrid,
+      toolsContainer,
+      laserPicker,
+    },
     sourceElement,
     clonedSvg,
   );
@@ -147,20 +159,74 @@ function _createExportSection(menuPanel) {
   transLabel.appendChild(transHint);
 
   expLbl.appendChild(transLabel);
+
+  // Drawings from annotation mode are part of the export unless unticked
+  const annotLabel = document.createElement("label");
+  annotLabel.className = "dv-exp-trans-label";
+
+  const annotChk = document.createElement("input");
+  annotChk.type = "checkbox";
+  annotChk.id = "dv-exp-annot";
+  annotChk.className = "dv-exp-trans-chk";
+  annotChk.checked = true;
+
+  annotLabel.appendChild(annotChk);
+  annotLabel.appendChild(document.createTextNode("Annotations"));
+  expLbl.appendChild(annotLabel);
+
   expSec.appendChild(expLbl);
 
+  // What to export: the whole diagram, what the viewport shows, or a dragged rectangle
+  const areaPicker = document.createElement("div");
+  areaPicker.className = "dv-exp-areas";
+  areaPicker.setAttribute("role", "group");
+  areaPicker.setAttribute("aria-label", "Export area");
+  [
+    ["full", "Whole", "Export the whole diagram"],
+    ["visible", "Visible", "Export only the area visible in the viewport"],
+    ["selection", "Selection", "Drag a rectangle to choose the area to export"],
+  ].forEach(([area, label, title]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "dv-exp-area";
+    btn.dataset.area = area;
+    btn.textContent = label;
+    btn.title = title;
+    btn.setAttribute("aria-pressed", String(area === "full"));
+    areaPicker.appendChild(btn);
+  });
+  expSec.appendChild(areaPicker);
+
   const expGrid = document.createElement("div");
   expGrid.className = "dv-exp";
-  ["PNG", "JPEG", "SVG", "WebP", "PDF", "Copy"].forEach((fmt) => {
+  ["PNG", "JPEG", "SVG", "WebP", "PDF", "Copy", "HTML"].forEach((fmt) => {
     const btn = document.createElement("button");
     btn.dataset.action = fmt.toLowerCase();
     btn.textContent = fmt;
+    if (fmt === "HTML") btn.title = "Interactive page with zoom, pan, search and minimap";
     expGrid.appendChild(btn);
   });
+
+  // Batch export, only useful when the page has several diagrams
+  if (safeQuerySelectorAll(getDiagramSelector(), document).length > 1) {
+    const allBtn = document.createElement("button");
+    allBtn.dataset.action = "zip";
+    allBtn.className = "dv-exp-all";
+    allBtn.textContent = "All diagrams (ZIP)";
+    allBtn.title = "Export every diagram on the page as PNG files in a ZIP archive";
+    expGrid.appendChild(allBtn);
+  }
+
+  const dialogBtn = document.createElement("button");
+  dialogBtn.dataset.action = "dialog";
+  dialogBtn.className = "dv-exp-all";
+  dialogBtn.textContent = "More options…";
+  dialogBtn.title = "Export with a preview, presets, size, background and more";
+  expGrid.appendChild(dialogBtn);
   expSec.appendChild(expGrid);
   menuPanel.appendChild(expSec);
 
-  return { transChk, expGrid };
+  return { transChk, annotChk, areaPicker, expGrid };
 }
 
 function _createToolsSection(menuPanel) {
@@ -174,11 +240,29 @@ function _createToolsSection(menuPanel) {
   const toolsContainer = document.createElement("div");
   toolsContainer.id = "dv-tools-container";
 
+  // Meeting mode pointer effect
+  const laserPicker = document.createElement("div");
+  laserPicker.className = "dv-laser-effects";
+  laserPicker.setAttribute("role", "group");
+  laserPicker.setAttribute("aria-label", "Laser pointer effect");
+
+  const current = state.laserEffect || state.config.laser?.effect || "dot";
+  LASER.EFFECTS.forEach((effect) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "dv-laser-effect";
+    btn.dataset.effect = effect;
+    btn.textContent = LASER.EFFECT_LABELS[effect];
+    btn.setAttribute("aria-pressed", String(effect === current));
+    laserPicker.appendChild(btn);
+  });
+
   toolsSec.appendChild(toolsLbl);
   toolsSec.appendChild(toolsContainer);
+  toolsSec.appendChild(laserPicker);
   menuPanel.appendChild(toolsSec);
 
-  return toolsContainer;
+  return { toolsContainer, laserPicker };
 }
 
 function _createMenuFooter(menuPanel) {
@@ -207,7 +291,18 @@ function _createMenuFooter(menuPanel) {
  * @private
  */
 function _setupMenuController(elements, sourceElement, clonedSvg) {
-  const { container, fab, menuPanel, zoomElements, transChk, expGrid, toolsContainer } = elements;
+  const {
+    container,
+    fab,
+    menuPanel,
+    zoomElements,
+    transChk,
+    annotChk,
+    areaPicker,
+    expGrid,
+    toolsContainer,
+    laserPicker,
+  } = elements;
   const { zoomInBtn, zoomOutBtn, resetBtn } = zoomElements;
 
   let isOpen = false;
@@ -276,7 +371,17 @@ function _setupMenuController(elements, sourceElement, clonedSvg) {
       shortcut: "M",
       feat: "meeting-mode",
     },
+    { id: "dv-annotate", icon: ICONS.pen, label: "Annotate", shortcut: "D", feat: "annotate" },
   ];
+  if (state.touredDiagrams.has(sourceElement) || sourceElement.dataset.diagviewTour) {
+    toolDefs.push({
+      id: "dv-tour",
+      icon: ICONS.tour,
+      label: "Guided Tour",
+      shortcut: "G",
+      feat: "tour",
+    });
+  }
 
   toolDefs.forEach((def) => {
     const btn = createMenuItem({
@@ -292,10 +397,14 @@ function _setupMenuController(elements, sourceElement, clonedSvg) {
           else if (def.feat === "rotate") mod = await import("../features/lazy/rotate.js");
           else if (def.feat === "meeting-mode")
             mod = await import("../features/lazy/meeting-mode.js");
+          else if (def.feat === "annotate") mod = await import("../features/lazy/annotate.js");
+          else if (def.feat === "tour") mod = await import("../features/lazy/tour.js");
 
           if (def.feat === "share") mod.shareLink(state.currentDiagramIndex);
           else if (def.feat === "rotate") mod.rotateDiagram();
           else if (def.feat === "meeting-mode") mod.toggleMeetingMode();
+          else if (def.feat === "annotate") mod.toggleAnnotationMode();
+          else if (def.feat === "tour") mod.startTour();
           toggleMenu(null, false);
         } catch (err) {
           console.error(`DiagView: Failed to load ${def.label}`, err);
@@ -305,6 +414,21 @@ function _setupMenuController(elements, sourceElement, clonedSvg) {
     if (btn) toolsContainer.appendChild(btn);
   });
 
+  // Picking a pointer effect also turns meeting mode on
+  laserPicker.onclick = async (e) => {
+    e.stopPropagation();
+    const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+    if (!btn?.dataset.effect) return;
+    try {
+      const mod = await import("../features/lazy/meeting-mode.js");
+      mod.setLaserEffect(btn.dataset.effect);
+      if (!state.meetingMode) mod.toggleMeetingMode();
+      toggleMenu(null, false);
+    } catch (err) {
+      console.error("DiagView: Failed to load Meeting Mode", err);
+    }
+  };
+
   // Outside click handling
   const handleClickOutside = (e) => {
     if (isOpen && !container.contains(e.target)) {
@@ -332,12 +456,34 @@ function _setupMenuController(elements, sourceElement, clonedSvg) {
   bindClick(zoomOutBtn, () => state.activePanzoom?.zoomOut());
   bindClick(resetBtn, () => state.activePanzoom?.reset({ animate: true }));
 
+  let exportArea = "full";
+  areaPicker.onclick = (e) => {
+    e.stopPropagation();
+    const btn = /** @type {HTMLElement} */ (e.target).closest?.("button");
+    if (!btn?.dataset.area) return;
+    exportArea = btn.dataset.area;
+    areaPicker
+      .querySelectorAll("button")
+      .forEach((b) => b.setAttribute("aria-pressed", String(b === btn)));
+  };
+
   expGrid.onclick = (e) => {
     e.stopPropagation();
     const btn = e.target.closest("button");
     if (!btn || btn.disabled) return;
 
     const type = btn.dataset.action;
+    if (type === "dialog") {
+      toggleMenu(null, false);
+      import("../features/lazy/export-dialog.js").then((m) =>
+        m.openExportDialog(sourceElement, {
+          modalClone: clonedSvg,
+          transparent: transChk?.checked || false,
+          annotations: annotChk?.checked ?? true,
+        }),
+      );
+      return;
+    }
     btn.classList.add("active");
     safeTimeout(() => btn.classList.remove("active"), 200);
 
@@ -345,12 +491,22 @@ function _setupMenuController(elements, sourceElement, clonedSvg) {
     btn.disabled = true;
 
     const isTrans = transChk?.checked || false;
-    exportDiagram(sourceElement, type, { transparent: isTrans, modalClone: clonedSvg }).finally(
-      () => {
-        btn.removeAttribute("aria-busy");
-        btn.disabled = false;
-      },
-    );
+    const annotations = annotChk?.checked ?? true;
+    const task =
+      type === "zip"
+        ? import("../features/lazy/export-all.js").then((m) =>
+            m.exportAll({ format: "png", transparent: isTrans, annotations }),
+          )
+        : exportDiagram(sourceElement, type, {
+            transparent: isTrans,
+            annotations,
+            modalClone: clonedSvg,
+            region: exportArea === "full" ? null : exportArea,
+          });
+    task.finally(() => {
+      btn.removeAttribute("aria-busy");
+      btn.disabled = false;
+    });
 
     toggleMenu(null, false);
   };
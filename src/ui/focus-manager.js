@@ -23,6 +23,8 @@ const LAYOUT_KEYS = new Set([
   "_",
   "0",
   " ",
+  "PageUp",
+  "PageDown",
 ]);
 
 /**
@@ -10,17 +10,24 @@ import { setSVGContent } from "../core/utils.js";
 import { registerTimeout } from "../core/lifecycle.js";
 
 const SHORTCUTS = [
-  { keys: ["Esc"], desc: "Close fullscreen" },
+  { keys: ["Esc"], desc: "End tour / clear highlight / close fullscreen" },
   { keys: ["Space", "0"], desc: "Reset / Fit to screen" },
   { keys: ["F"], desc: "Focus search" },
+  { keys: ["Enter"], desc: "Next search match" },
+  { keys: ["Shift", "+", "Enter"], desc: "Previous search match" },
   { keys: ["T"], desc: "Toggle text select (copy SVG labels)" },
   { keys: ["R"], desc: "Rotate 90°" },
   { keys: ["M"], desc: "Meeting mode (laser pointer)" },
+  { keys: ["D"], desc: "Draw annotations" },
+  { keys: ["G"], desc: "Start / end guided tour" },
   { keys: ["L"], desc: "Share link" },
+  { keys: ["P"], desc: "Print diagram" },
   { keys: ["+", "="], desc: "Zoom in" },
   { keys: ["-", "_"], desc: "Zoom out" },
   { keys: ["↑", "↓", "←", "→"], desc: "Pan diagram" },
   { keys: ["Shift", "+", "Arrows"], desc: "Fast pan" },
+  { keys: ["←", "→"], desc: "Previous / next tour stop (during a tour)" },
+  { keys: ["PgUp", "PgDn"], desc: "Previous / next diagram" },
   { keys: ["?"], desc: "Show this help" },
 ];
 
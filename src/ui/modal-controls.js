@@ -10,6 +10,9 @@ import { restoreFocus } from "./focus-manager.js";
 import { cleanupModalHistoryState, stopVisualViewportSync } from "./viewport.js";
 import { hideKeyboardHelp } from "./keyboard-help.js";
 import { hideToast } from "./toast.js";
+import { clearTransientZoomStates } from "../features/panzoom-integration.js";
+import { emitDiagramEvent, captureViewState } from "../core/events.js";
+import { EVENTS } from "../core/constants.js";
 
 /**
  * Lock body scroll (Non-destructive version)
@@ -94,6 +97,10 @@ export function unlockBodyScroll() {
 export async function closeModal() {
   if (!state.isModalOpen) return;
 
+  // Captured up front: the view is torn down long before listeners are notified
+  const closedElement = state.activeSourceElement;
+  const closedView = state.events.has(EVENTS.CLOSE) ? captureViewState(state) : null;
+
   try {
     // 1. Run modal-specific cleanup functions (event listeners, focus trap, etc.)
     // MUST run first while the DOM and viewport are still intact.
@@ -114,8 +121,32 @@ export async function closeModal() {
       import("../features/lazy/rotate.js")
         .then((m) => m.cleanupRotation())
         .catch((e) => console.warn("DiagView: Rotation cleanup failed", e)),
+      import("../features/lazy/gallery.js")
+        .then((m) => m.cleanupGallery())
+        .catch((e) => console.warn("DiagView: Gallery cleanup failed", e)),
+      import("../features/lazy/annotate.js")
+        .then((m) => m.cleanupAnnotations())
+        .catch((e) => console.warn("DiagView: Annotation cleanup failed", e)),
+      import("../features/lazy/dependencies.js")
+        .then((m) => m.cleanupDependencyHighlight())
+        .catch((e) => console.warn("DiagView: Dependency highlight cleanup failed", e)),
+      import("../features/lazy/inspector.js")
+        .then((m) => m.cleanupInspector())
+        .catch((e) => console.warn("DiagView: Inspector cleanup failed", e)),
+      import("../features/lazy/tooltips.js")
+        .then((m) => m.cleanupTooltips())
+        .catch((e) => console.warn("DiagView: Tooltip cleanup failed", e)),
+      import("../features/lazy/tour.js")
+        .then((m) => m.cleanupTour())
+        .catch((e) => console.warn("DiagView: Tour cleanup failed", e)),
+      import("../features/lazy/view-source.js")
+        .then((m) => m.cleanupViewSource())
+        .catch((e) => console.warn("DiagView: View source cleanup failed", e)),
     ]);
 
+    // Per-session gallery views don't outlive the modal
+    clearTransientZoomStates();
+
     // 4. Hide keyboard help and active toasts
     hideKeyboardHelp();
     hideToast();
@@ -195,6 +226,7 @@ export async function closeModal() {
         console.error("DiagView: onClose callback error:", e);
       }
     }
+    emitDiagramEvent(state, EVENTS.CLOSE, closedElement, { view: closedView });
   }
 }
 
@@ -7,9 +7,10 @@
 import { state } from "../core/config.js";
 import { detectTheme, syncTheme } from "../core/theme.js";
 import { throttle, setSVGContent, centerSVGViewBox } from "../core/utils.js";
-import { addModalListener, addModalCleanupFunction } from "../core/lifecycle.js";
+import { addModalListener, addModalCleanupFunction, safeDestroy } from "../core/lifecycle.js";
 import { cloneSVGForModal } from "../core/svg-clone.js";
-import { BRANDING, TIMING } from "../core/constants.js";
+import { BRANDING, TIMING, EVENTS, ANNOTATION } from "../core/constants.js";
+import { emitDiagramEvent } from "../core/events.js";
 import { ICONS } from "./icons.js";
 import {
   initializePanzoom,
@@ -28,6 +29,14 @@ import { closeModal, lockBodyScroll } from "./modal-controls.js";
 import { createFloatingMenu } from "./floating-menu.js";
 import { pushModalHistoryState, startVisualViewportSync } from "./viewport.js";
 
+/**
+ * Modal cleanup functions registered while mounting the current diagram.
+ * Gallery navigation runs only these when switching diagrams, so modal-level
+ * listeners (scroll lock, history, focus trap) survive the switch.
+ * @type {Function[]}
+ */
+let diagramCleanupFunctions = [];
+
 /**
  * Create modal structure
  */
@@ -68,12 +77,13 @@ export function createModal() {
     searchInput,
     searchClear,
     textSelectDesktopBtn,
+    viewSourceBtn,
     closeBtn,
   } = _createModalTopbar(content);
 
   // 4. Viewport
   // 4. Main Content Construction (Viewport, Minimap, Laser)
-  const { viewport } = _createModalMainContent(modal, content);
+  const { viewport, gallery } = _createModalMainContent(modal, content);
 
   // Setup focus management
   setupModalFocusManagement();
@@ -88,9 +98,11 @@ export function createModal() {
       searchInput,
       searchClear,
       textSelectDesktopBtn,
+      viewSourceBtn,
       closeBtn,
     },
     viewport,
+    gallery,
   );
 }
 
@@ -210,6 +222,7 @@ async function _initCoreInteractions(element, clone, viewport, options) {
 
       const pending = shareMod.getPendingShareState(element);
       const query = options.searchQuery ?? pending?.query ?? "";
+      const searchOptions = options.searchOptions ?? pending?.searchOptions ?? null;
 
       // If we have a share link, apply it. Otherwise fallback to remembered zoom.
       // (Only apply if explicit zoom was NOT provided)
@@ -218,7 +231,9 @@ async function _initCoreInteractions(element, clone, viewport, options) {
       } else if (!options.zoom) {
         let restored = false;
         if (diagramId) {
-          restored = restoreZoomState(diagramId, panzoom);
+          restored = restoreZoomState(diagramId, panzoom, {
+            transient: !!options.restoreTransient,
+          });
         }
 
         // If no state was restored (first time open), just ensure we are at a clean 1x
@@ -228,8 +243,15 @@ async function _initCoreInteractions(element, clone, viewport, options) {
         }
       }
 
+      // Restored views may carry a rotation — apply it to the freshly mounted clone
+      if (state.rotationAngle) {
+        const rotateMod = await import("../features/lazy/rotate.js");
+        if (!state.isModalOpen) return { panzoom, diagramId };
+        rotateMod.setRotation(state.rotationAngle);
+      }
+
       // Initialize search
-      searchMod.setupSearch(clone, query);
+      searchMod.setupSearch(clone, query, searchOptions);
 
       // Task 48: Sync minimap after zoom restore to avoid visual lag
       const m = await import("../features/lazy/minimap.js");
@@ -312,6 +334,34 @@ function _attachModalLifecycle(element, clone, viewport, panzoom, diagramId) {
     // CRIT-1: Register cancel for cleanup to prevent stale fires
     addModalCleanupFunction(() => throttledSyncUI.cancel());
 
+    // 3. Public zoom/pan notifications — only real changes, not every panzoomchange
+    let lastScale = panzoom.getScale();
+    let lastPan = panzoom.getPan();
+
+    addModalListener(clone, "panzoomchange", () => {
+      if (!state.isModalOpen) return;
+
+      const scale = panzoom.getScale();
+      const pan = panzoom.getPan();
+
+      if (scale !== lastScale) {
+        lastScale = scale;
+        lastPan = pan;
+        emitDiagramEvent(state, EVENTS.ZOOM, element);
+
+        if (state.config.onZoomChange) {
+          try {
+            state.config.onZoomChange(scale);
+          } catch (e) {
+            console.error("DiagView: onZoomChange callback error:", e);
+          }
+        }
+      } else if (pan.x !== lastPan.x || pan.y !== lastPan.y) {
+        lastPan = pan;
+        emitDiagramEvent(state, EVENTS.PAN, element);
+      }
+    });
+
     syncUI();
   }
 
@@ -344,12 +394,167 @@ function _attachModalLifecycle(element, clone, viewport, panzoom, diagramId) {
   addModalCleanupFunction(() => handleResize.cancel());
 }
 
+/**
+ * Mount a prepared clone: Panzoom, search, minimap, floating menu, annotations,
+ * dependency highlighting and gallery.
+ * Records the cleanup functions registered along the way so a later gallery
+ * switch can tear down just this diagram.
+ * @private
+ */
+async function _mountDiagram(element, clone, viewport, options) {
+  const scopeStart = new Set(state.modalCleanupFunctions);
+
+  // Phase 3: Core Interactions
+  const { panzoom, diagramId } = await _initCoreInteractions(element, clone, viewport, options);
+
+  // Phase 4: Lifecycle
+  _attachModalLifecycle(element, clone, viewport, panzoom, diagramId);
+
+  diagramCleanupFunctions = [...state.modalCleanupFunctions].filter((fn) => !scopeStart.has(fn));
+
+  // Keep text-select mode across gallery switches
+  if (panzoom && viewport.classList.contains("dv-text-select")) {
+    panzoom.setOptions({ disablePan: true, disableZoom: true });
+  }
+
+  if (state.annotating || state.annotatedDiagrams.has(element)) {
+    import("../features/lazy/annotate.js")
+      .then((m) => {
+        if (state.isModalOpen && state.activeSourceElement === element) m.setupAnnotations(clone);
+      })
+      .catch(() => {});
+  }
+
+  if (state.config.dependencyHighlight) {
+    import("../features/lazy/dependencies.js")
+      .then((m) => {
+        if (state.isModalOpen && state.activeSourceElement === element) {
+          m.setupDependencyHighlight(clone, viewport);
+        }
+      })
+      .catch(() => {});
+  }
+
+  if (state.config.inspector?.enabled) {
+    import("../features/lazy/inspector.js")
+      .then((m) => {
+        if (state.isModalOpen && state.activeSourceElement === element) {
+          m.setupInspector(clone, viewport);
+        }
+      })
+      .catch(() => {});
+  }
+
+  if (state.config.tooltips?.enabled) {
+    import("../features/lazy/tooltips.js")
+      .then((m) => {
+        if (state.isModalOpen && state.activeSourceElement === element) {
+          m.setupTooltips(clone, viewport);
+        }
+      })
+      .catch(() => {});
+  }
+
+  import("../features/lazy/view-source.js")
+    .then((m) => {
+      if (state.isModalOpen && state.activeSourceElement === element) m.syncViewSource(element);
+    })
+    .catch(() => {});
+
+  if (state.config.showGallery) {
+    import("../features/lazy/gallery.js")
+      .then((m) => {
+        if (state.isModalOpen) m.syncGallery(element);
+      })
+      .catch(() => {});
+  }
+
+  // Internal: lets a sync presenter broadcast gallery switches (no public "open" fires for those)
+  state.events.emit("dv:diagram-mount", element);
+}
+
+/**
+ * Tear down the currently mounted diagram while keeping the modal open.
+ * Saves its view so returning to it restores zoom, pan and rotation.
+ * @private
+ */
+async function _unmountCurrentDiagram() {
+  const previousId = state.activeSourceElement?.dataset?.diagviewId;
+  if (previousId && state.activePanzoom) {
+    saveZoomState(previousId, state.activePanzoom, { transient: true });
+  }
+
+  const cleanups = diagramCleanupFunctions;
+  diagramCleanupFunctions = [];
+  cleanups.forEach((fn) => {
+    if (!state.modalCleanupFunctions.delete(fn)) return; // Already ran
+    try {
+      fn();
+    } catch (e) {
+      console.error("DiagView: Modal cleanup error:", e);
+    }
+  });
+
+  await import("../features/lazy/minimap.js").then((m) => m.cleanupMinimap()).catch(() => {});
+
+  if (state.activePanzoom) {
+    safeDestroy(state.activePanzoom, "destroy");
+    state.activePanzoom = null;
+  }
+
+  if (state.tour) {
+    await import("../features/lazy/tour.js").then((m) => m.endTour()).catch(() => {});
+  }
+
+  // The next clone starts unrotated; its own rotation is restored after mounting
+  state.rotationAngle = 0;
+  state.searchMatches = [];
+}
+
+/**
+ * Replace the diagram shown in the open modal without closing it.
+ * Falls back to openFullscreen() when the modal is closed.
+ * Emits "switch" with the previously shown diagram once the new one is mounted.
+ *
+ * @param {HTMLElement} element - Diagram container element to show
+ * @returns {Promise<void>}
+ */
+export async function switchDiagram(element) {
+  if (!state.isModalOpen) return openFullscreen(element);
+  if (state.isModalOpening || element === state.activeSourceElement) return;
+
+  const originalSvg = element?.querySelector("svg");
+  const viewport = document.getElementById("diagview-modal-viewport");
+  if (!originalSvg || !viewport) return;
+
+  state.isModalOpening = true;
+  const previous = state.activeSourceElement;
+
+  try {
+    await _unmountCurrentDiagram();
+    if (!state.isModalOpen) return;
+
+    state.activeSourceElement = element;
+    const clone = _prepareViewportContent(originalSvg, viewport);
+    centerSVGViewBox(clone);
+
+    await _mountDiagram(element, clone, viewport, { restoreTransient: true });
+
+    // Keep keyboard shortcuts live after clicking gallery controls
+    document.getElementById("diagview-modal")?.focus();
+    emitDiagramEvent(state, EVENTS.SWITCH, element, { previous });
+  } finally {
+    state.isModalOpening = false;
+  }
+}
+
 /**
  * Open fullscreen modal
  * @param {HTMLElement} element - Diagram container element
  * @param {object} [options={}] - Optional overrides
  * @param {number} [options.zoom] - Initial zoom scale to apply after opening
  * @param {string} [options.searchQuery] - Pre-fill the search input with this query
+ * @param {object} [options.searchOptions] - Search modes: caseSensitive, wholeWord, regex, fuzzy
  */
 export async function openFullscreen(element, options = {}) {
   // CRIT-3: Prevent concurrent execution of openFullscreen
@@ -377,11 +582,8 @@ export async function openFullscreen(element, options = {}) {
     // beyond their original viewBox (fixes clipping at the bottom).
     centerSVGViewBox(clone);
 
-    // Phase 3: Core Interactions
-    const { panzoom, diagramId } = await _initCoreInteractions(element, clone, viewport, options);
-
-    // Phase 4: Lifecycle
-    _attachModalLifecycle(element, clone, viewport, panzoom, diagramId);
+    // Phase 3 + 4: Core Interactions & Lifecycle
+    await _mountDiagram(element, clone, viewport, options);
 
     // Completion UI
     const loading = document.getElementById("diagview-loading");
@@ -399,6 +601,7 @@ export async function openFullscreen(element, options = {}) {
         console.error("DiagView: onOpen callback error:", e);
       }
     }
+    emitDiagramEvent(state, EVENTS.OPEN, element);
   } finally {
     state.isModalOpening = false;
   }
@@ -487,6 +690,51 @@ function _createModalTopbar(content) {
   searchInput.setAttribute("aria-controls", "diagview-search-status");
   searchWrapper.appendChild(searchInput);
 
+  // Search mode toggles (state lives in state.searchOptions, wired by search.js)
+  const searchModes = document.createElement("span");
+  searchModes.className = "diagview-search-modes";
+  searchModes.setAttribute("role", "group");
+  searchModes.setAttribute("aria-label", "Search options");
+  [
+    ["diagview-search-case", "Match case", "Aa"],
+    ["diagview-search-word", "Match whole word", "ab"],
+    ["diagview-search-regex", "Use regular expression", ".*"],
+    ["diagview-search-fuzzy", "Fuzzy match (tolerate typos)", "≈"],
+  ].forEach(([id, label, glyph]) => {
+    const btn = document.createElement("button");
+    btn.id = id;
+    btn.className = "diagview-search-mode";
+    btn.setAttribute("type", "button");
+    btn.setAttribute("aria-label", label);
+    btn.setAttribute("aria-pressed", "false");
+    btn.title = label;
+    btn.textContent = glyph;
+    searchModes.appendChild(btn);
+  });
+  searchWrapper.appendChild(searchModes);
+
+  // Match counter — announced through the status region, so hidden from AT here
+  const searchCount = document.createElement("span");
+  searchCount.id = "diagview-search-count";
+  searchCount.className = "diagview-search-count";
+  searchCount.setAttribute("aria-hidden", "true");
+  searchWrapper.appendChild(searchCount);
+
+  [
+    ["diagview-search-prev", "Previous match", "Shift+Enter", ICONS.chevronUp],
+    ["diagview-search-next", "Next match", "Enter", ICONS.chevronDown],
+  ].forEach(([id, label, shortcut, icon]) => {
+    const btn = document.createElement("button");
+    btn.id = id;
+    btn.className = "diagview-search-nav";
+    btn.setAttribute("type", "button");
+    btn.setAttribute("aria-label", label);
+    btn.title = `${label} (${shortcut})`;
+    btn.disabled = true;
+    setSVGContent(btn, icon);
+    searchWrapper.appendChild(btn);
+  });
+
   const searchClear = document.createElement("button");
   searchClear.id = "diagview-search-clear";
   searchClear.className = "diagview-search-clear";
@@ -528,6 +776,19 @@ function _createModalTopbar(content) {
   setSVGContent(textSelectDesktopBtn, ICONS.textSelect);
   topbar.appendChild(textSelectDesktopBtn);
 
+  // Shown for diagrams rendered from a source block (features/lazy/view-source)
+  const viewSourceBtn = document.createElement("button");
+  viewSourceBtn.id = "dv-view-source-btn";
+  viewSourceBtn.className = "dv-text-select-btn dv-view-source-btn";
+  viewSourceBtn.setAttribute("aria-label", "View source");
+  viewSourceBtn.setAttribute("aria-pressed", "false");
+  viewSourceBtn.setAttribute("aria-controls", "diagview-source");
+  viewSourceBtn.setAttribute("type", "button");
+  viewSourceBtn.setAttribute("data-tooltip", "View source");
+  viewSourceBtn.hidden = true;
+  setSVGContent(viewSourceBtn, ICONS.code);
+  topbar.appendChild(viewSourceBtn);
+
   const closeBtn = document.createElement("button");
   closeBtn.className = "diagview-close-btn";
   closeBtn.id = "diagview-close";
@@ -544,6 +805,7 @@ function _createModalTopbar(content) {
     searchInput,
     searchClear,
     textSelectDesktopBtn,
+    viewSourceBtn,
     closeBtn,
   };
 }
@@ -592,16 +854,350 @@ function _createModalMainContent(modal, content) {
   laser.className = "diagview-laser";
   content.appendChild(laser);
 
+  // Hover tooltip (filled in and placed by features/lazy/tooltips)
+  const tooltip = document.createElement("div");
+  tooltip.id = "diagview-tooltip";
+  tooltip.className = "diagview-tooltip";
+  tooltip.setAttribute("role", "tooltip");
+  content.appendChild(tooltip);
+
+  // Gallery navigation (shown only when the page has more than one diagram)
+  const gallery = _createGalleryControls(content);
+
+  // Dependency highlight toolbar (shown while a node's dependencies are highlighted)
+  _createDependencyBar(content);
+
+  // Node inspector (shown while a node or edge is selected)
+  _createInspectorPanel(content);
+
+  // Annotation toolbar (shown while annotation mode is on)
+  _createAnnotationToolbar(content);
+
+  // Guided tour bar (shown while a tour is running)
+  _createTourBar(content);
+
+  // Source panel (shown by the "View source" toggle)
+  _createSourcePanel(content);
+
   document.body.appendChild(modal);
 
-  return { viewport, minimap };
+  return { viewport, minimap, gallery };
+}
+
+/**
+ * Create the gallery navigation: prev/next buttons, position counter and thumbnail strip
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createGalleryControls(content) {
+  const nav = document.createElement("nav");
+  nav.id = "diagview-gallery";
+  nav.className = "diagview-gallery";
+  nav.setAttribute("aria-label", "Diagram gallery");
+
+  const prevBtn = document.createElement("button");
+  prevBtn.id = "diagview-gallery-prev";
+  prevBtn.className = "dv-gallery-btn dv-gallery-prev";
+  prevBtn.setAttribute("type", "button");
+  prevBtn.setAttribute("aria-label", "Previous diagram");
+  prevBtn.title = "Previous diagram (PageUp)";
+  setSVGContent(
+    prevBtn,
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="m15 18-6-6 6-6"/></svg>',
+  );
+
+  const nextBtn = document.createElement("button");
+  nextBtn.id = "diagview-gallery-next";
+  nextBtn.className = "dv-gallery-btn dv-gallery-next";
+  nextBtn.setAttribute("type", "button");
+  nextBtn.setAttribute("aria-label", "Next diagram");
+  nextBtn.title = "Next diagram (PageDown)";
+  setSVGContent(
+    nextBtn,
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="m9 18 6-6-6-6"/></svg>',
+  );
+
+  const counter = document.createElement("button");
+  counter.id = "diagview-gallery-counter";
+  counter.className = "dv-gallery-counter";
+  counter.setAttribute("type", "button");
+  counter.setAttribute("aria-expanded", "false");
+  counter.setAttribute("aria-controls", "diagview-gallery-strip");
+  counter.title = "Show all diagrams";
+
+  const strip = document.createElement("div");
+  strip.id = "diagview-gallery-strip";
+  strip.className = "dv-gallery-strip";
+  strip.setAttribute("role", "group");
+  strip.setAttribute("aria-label", "All diagrams");
+
+  nav.append(prevBtn, counter, nextBtn, strip);
+  content.appendChild(nav);
+
+  return { prevBtn, nextBtn, counter, strip };
+}
+
+/**
+ * Create the dependency highlight toolbar: traced node label, depth presets and close.
+ * Wired by features/lazy/dependencies.
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createDependencyBar(content) {
+  const bar = document.createElement("div");
+  bar.id = "diagview-deps";
+  bar.className = "diagview-deps";
+  bar.setAttribute("role", "toolbar");
+  bar.setAttribute("aria-label", "Dependency highlight");
+
+  const label = document.createElement("span");
+  label.id = "diagview-deps-label";
+  label.className = "dv-deps-label";
+  label.setAttribute("aria-live", "polite");
+  bar.appendChild(label);
+
+  [
+    ["1", "1 hop", "Direct neighbours"],
+    ["2", "2 hops", "Neighbours up to two steps away"],
+    ["upstream", "Upstream", "Everything that leads to this node"],
+    ["downstream", "Downstream", "Everything this node leads to"],
+    ["all", "All", "Full upstream and downstream chain"],
+  ].forEach(([preset, text, title]) => {
+    const btn = document.createElement("button");
+    btn.className = "dv-deps-preset";
+    btn.setAttribute("type", "button");
+    btn.setAttribute("aria-pressed", "false");
+    btn.dataset.preset = preset;
+    btn.title = title;
+    btn.textContent = text;
+    bar.appendChild(btn);
+  });
+
+  const closeBtn = document.createElement("button");
+  closeBtn.id = "diagview-deps-close";
+  closeBtn.className = "dv-deps-close";
+  closeBtn.setAttribute("type", "button");
+  closeBtn.setAttribute("aria-label", "Clear dependency highlight");
+  closeBtn.title = "Clear highlight (Esc)";
+  closeBtn.textContent = "✕";
+  bar.appendChild(closeBtn);
+
+  content.appendChild(bar);
+}
+
+/**
+ * Create the node inspector side panel: heading, collapse and close buttons, and a body
+ * filled in for the selected node or edge. Wired by features/lazy/inspector.
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createInspectorPanel(content) {
+  const panel = document.createElement("aside");
+  panel.id = "diagview-inspector";
+  panel.className = "diagview-inspector";
+  panel.setAttribute("aria-labelledby", "diagview-inspector-title");
+
+  const header = document.createElement("div");
+  header.className = "dv-inspector-header";
+
+  const title = document.createElement("h2");
+  title.id = "diagview-inspector-title";
+  title.className = "dv-inspector-title";
+
+  const toggleBtn = document.createElement("button");
+  toggleBtn.id = "diagview-inspector-toggle";
+  toggleBtn.className = "dv-inspector-btn";
+  toggleBtn.setAttribute("type", "button");
+  toggleBtn.setAttribute("aria-expanded", "true");
+  toggleBtn.setAttribute("aria-controls", "diagview-inspector-body");
+  toggleBtn.title = "Collapse details";
+  setSVGContent(
+    toggleBtn,
+    '<svg viewBox="0 0 24 24" aria-hidden="true"><polyline points="18 15 12 9 6 15"/></svg>',
+  );
+
+  const closeBtn = document.createElement("button");
+  closeBtn.id = "diagview-inspector-close";
+  closeBtn.className = "dv-inspector-btn";
+  closeBtn.setAttribute("type", "button");
+  closeBtn.setAttribute("aria-label", "Close details");
+  closeBtn.title = "Close (Esc)";
+  closeBtn.textContent = "✕";
+
+  header.append(title, toggleBtn, closeBtn);
+
+  const body = document.createElement("div");
+  body.id = "diagview-inspector-body";
+  body.className = "dv-inspector-body";
+
+  panel.append(header, body);
+  content.appendChild(panel);
+}
+
+/**
+ * Create the source panel: title, copy and close buttons, and the source text.
+ * Filled in and wired by features/lazy/view-source.
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createSourcePanel(content) {
+  const panel = document.createElement("aside");
+  panel.id = "diagview-source";
+  panel.className = "diagview-source";
+  panel.setAttribute("aria-labelledby", "diagview-source-title");
+
+  const header = document.createElement("div");
+  header.className = "dv-source-header";
+
+  const title = document.createElement("h2");
+  title.id = "diagview-source-title";
+  title.className = "dv-source-title";
+
+  const copyBtn = document.createElement("button");
+  copyBtn.id = "diagview-source-copy";
+  copyBtn.className = "dv-inspector-btn";
+  copyBtn.setAttribute("type", "button");
+  copyBtn.setAttribute("aria-label", "Copy source");
+  copyBtn.title = "Copy source";
+  setSVGContent(copyBtn, ICONS.copy);
+
+  const closeBtn = document.createElement("button");
+  closeBtn.id = "diagview-source-close";
+  closeBtn.className = "dv-inspector-btn";
+  closeBtn.setAttribute("type", "button");
+  closeBtn.setAttribute("aria-label", "Hide source");
+  closeBtn.title = "Hide source";
+  closeBtn.textContent = "✕";
+
+  header.append(title, copyBtn, closeBtn);
+
+  const pre = document.createElement("pre");
+  pre.className = "dv-source-code";
+  pre.tabIndex = 0;
+  pre.appendChild(document.createElement("code"));
+
+  panel.append(header, pre);
+  content.appendChild(panel);
+}
+
+/**
+ * Create the guided tour bar: caption, stop counter, previous, next and end.
+ * Wired by features/lazy/tour.
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createTourBar(content) {
+  const bar = document.createElement("div");
+  bar.id = "diagview-tour";
+  bar.className = "diagview-tour";
+  bar.setAttribute("role", "region");
+  bar.setAttribute("aria-label", "Guided tour");
+
+  const caption = document.createElement("p");
+  caption.id = "diagview-tour-caption";
+  caption.className = "dv-tour-caption";
+  caption.setAttribute("aria-live", "polite");
+
+  const controls = document.createElement("div");
+  controls.className = "dv-tour-controls";
+
+  const button = (id, text, title) => {
+    const btn = document.createElement("button");
+    btn.id = id;
+    btn.className = "dv-tour-btn";
+    btn.setAttribute("type", "button");
+    btn.title = title;
+    btn.textContent = text;
+    return btn;
+  };
+
+  const count = document.createElement("span");
+  count.id = "diagview-tour-count";
+  count.className = "dv-tour-count";
+
+  const closeBtn = button("diagview-tour-close", "✕", "End tour (Esc)");
+  closeBtn.classList.add("dv-tour-close");
+  closeBtn.setAttribute("aria-label", "End tour");
+
+  controls.append(
+    button("diagview-tour-prev", "‹ Back", "Previous stop (←)"),
+    count,
+    button("diagview-tour-next", "Next ›", "Next stop (→)"),
+    closeBtn,
+  );
+  bar.append(caption, controls);
+  content.appendChild(bar);
+}
+
+/**
+ * Create the annotation toolbar: tools, colors, undo, clear and done.
+ * Wired by features/lazy/annotate.
+ * @private
+ * @param {HTMLElement} content - Modal content container
+ */
+function _createAnnotationToolbar(content) {
+  const bar = document.createElement("div");
+  bar.id = "diagview-annotate";
+  bar.className = "diagview-annotate";
+  bar.setAttribute("role", "toolbar");
+  bar.setAttribute("aria-label", "Annotation tools");
+
+  const button = (label, icon, attrs = {}) => {
+    const btn = document.createElement("button");
+    btn.className = "dv-annotate-btn";
+    btn.setAttribute("type", "button");
+    btn.setAttribute("aria-label", label);
+    btn.title = label;
+    Object.entries(attrs).forEach(([name, value]) => btn.setAttribute(name, value));
+    if (icon) setSVGContent(btn, icon);
+    return btn;
+  };
+
+  [
+    ["pen", "Pen", ICONS.pen],
+    ["highlighter", "Highlighter", ICONS.highlighter],
+    ["arrow", "Arrow", ICONS.arrow],
+    ["rect", "Rectangle", ICONS.rect],
+    ["text", "Sticky note", ICONS.note],
+  ].forEach(([tool, label, icon]) => {
+    bar.appendChild(button(label, icon, { "data-tool": tool, "aria-pressed": "false" }));
+  });
+
+  const sep = () => {
+    const el = document.createElement("span");
+    el.className = "dv-annotate-sep";
+    el.setAttribute("aria-hidden", "true");
+    return el;
+  };
+
+  bar.appendChild(sep());
+  ANNOTATION.COLORS.forEach((color, i) => {
+    const swatch = button(`Color ${i + 1}`, null, { "data-color": color, "aria-pressed": "false" });
+    swatch.classList.add("dv-annotate-swatch");
+    swatch.style.setProperty("--dv-swatch", color);
+    bar.appendChild(swatch);
+  });
+
+  bar.appendChild(sep());
+  bar.appendChild(button("Undo (Ctrl+Z)", ICONS.undo, { id: "diagview-annotate-undo" }));
+  bar.appendChild(button("Clear all annotations", ICONS.trash, { id: "diagview-annotate-clear" }));
+
+  const done = document.createElement("button");
+  done.id = "diagview-annotate-done";
+  done.className = "dv-annotate-done";
+  done.setAttribute("type", "button");
+  done.title = "Stop annotating (Esc)";
+  done.textContent = "Done";
+  bar.appendChild(done);
+
+  content.appendChild(bar);
 }
 
 /**
  * Wire up all event listeners for the modal topbar
  * @private
  */
-function _wireModalEvents(elements, viewport) {
+function _wireModalEvents(elements, viewport, gallery) {
   const {
     topbar,
     searchIconBtn,
@@ -610,6 +1206,7 @@ function _wireModalEvents(elements, viewport) {
     searchInput,
     searchClear,
     textSelectDesktopBtn,
+    viewSourceBtn,
     closeBtn,
   } = elements;
 
@@ -661,6 +1258,13 @@ function _wireModalEvents(elements, viewport) {
   textSelectMobileBtn.addEventListener("click", _doTextSelectToggle);
   textSelectDesktopBtn.addEventListener("click", _doTextSelectToggle);
 
+  // View source
+  viewSourceBtn.addEventListener("click", () => {
+    import("../features/lazy/view-source.js")
+      .then((m) => m.toggleViewSource())
+      .catch((err) => console.warn("DiagView: View source failed", err));
+  });
+
   // Search Toggle
   searchIconBtn.addEventListener("click", () => {
     const open = topbar.classList.toggle("search-open");
@@ -689,4 +1293,20 @@ function _wireModalEvents(elements, viewport) {
 
   // Modal Close
   closeBtn.addEventListener("click", () => closeModal());
+
+  // Gallery Navigation
+  const withGallery = (fn) =>
+    import("../features/lazy/gallery.js")
+      .then(fn)
+      .catch((err) => console.warn("DiagView: Gallery navigation failed", err));
+
+  gallery.prevBtn.addEventListener("click", () => withGallery((m) => m.navigateGallery(-1)));
+  gallery.nextBtn.addEventListener("click", () => withGallery((m) => m.navigateGallery(1)));
+  gallery.counter.addEventListener("click", () => withGallery((m) => m.toggleGalleryStrip()));
+  gallery.strip.addEventListener("click", (e) => {
+    const thumb = e.target.closest(".dv-gallery-thumb");
+    if (!thumb) return;
+    const position = parseInt(thumb.dataset.position, 10);
+    withGallery((m) => m.goToDiagram(position));
+  });
 }
@@ -6,18 +6,26 @@
 
 import cssContent from "./styles.css";
 
-export function injectStyles() {
-  if (document.getElementById("diagview-styles")) return;
+/**
+ * Add a stylesheet once, tagged so removeStyles() can find it.
+ * Lazy features inject their own CSS through this on first use.
+ * @param {string} id - Id of the <style> element
+ * @param {string} css - Stylesheet text
+ */
+export function injectStyleSheet(id, css) {
+  if (document.getElementById(id)) return;
 
   const style = document.createElement("style");
-  style.id = "diagview-styles";
-  style.textContent = cssContent;
+  style.id = id;
+  style.dataset.diagviewStyles = "";
+  style.textContent = css;
   document.head.appendChild(style);
 }
 
+export function injectStyles() {
+  injectStyleSheet("diagview-styles", cssContent);
+}
+
 export function removeStyles() {
-  const style = document.getElementById("diagview-styles");
-  if (style) {
-    style.remove();
-  }
+  document.querySelectorAll("style[data-diagview-styles]").forEach((style) => style.remove());
 }
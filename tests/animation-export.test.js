@@ -0,0 +1,345 @@
+/**
+ * Animated Export Tests
+ * Camera planning (core/animation), the GIF writer (core/gif, checked by
+ * decoding its output), and GIF / WebM export of a camera sequence.
+ */
+
+import { jest } from "@jest/globals";
+import "jest-canvas-mock";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+}));
+jest.unstable_mockModule("../src/features/export.js", () => ({
+  renderToCanvas: jest.fn(async (el, clone, transparent, options) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(options.region.width * options.scale);
+    canvas.height = Math.round(options.region.height * options.scale);
+    return { canvas, scale: options.scale, width: options.region.width };
+  }),
+  getExportBounds: jest.fn(() => ({ x: 0, y: 0, width: 400, height: 200 })),
+  generateFilename: jest.fn(() => "diagram_export"),
+}));
+
+const {
+  EASINGS,
+  normalizeAnimationTiming,
+  interpolateCamera,
+  planAnimation,
+  getFrameView,
+  getAnimationSize,
+} = await import("../src/core/animation.js");
+const { buildPalette, indexPixels, encodeGif } = await import("../src/core/gif.js");
+const { exportAnimation, isWebmSupported } =
+  await import("../src/features/lazy/animation-export.js");
+const { renderToCanvas } = await import("../src/features/export.js");
+const { showErrorToast } = await import("../src/ui/toast.js");
+const { setTour } = await import("../src/core/tour.js");
+
+/** Read a GIF back: size, loop count and each frame's delay and palette indices */
+function decodeGif(bytes) {
+  const u16 = (p) => bytes[p] | (bytes[p + 1] << 8);
+  const width = u16(6);
+  const height = u16(8);
+  let p = 13 + 3 * (2 << (bytes[10] & 7));
+  let loop = null;
+  let delay = 0;
+  const frames = [];
+
+  while (bytes[p] !== 0x3b) {
+    if (bytes[p] === 0x21 && bytes[p + 1] === 0xff) {
+      loop = u16(p + 16);
+      p += 19;
+    } else if (bytes[p] === 0x21 && bytes[p + 1] === 0xf9) {
+      delay = u16(p + 4);
+      p += 8;
+    } else if (bytes[p] === 0x2c) {
+      p += 10;
+      const minCodeSize = bytes[p++];
+      const data = [];
+      while (bytes[p]) {
+        data.push(...bytes.slice(p + 1, p + 1 + bytes[p]));
+        p += bytes[p] + 1;
+      }
+      p++;
+      frames.push({ delay, indices: lzwDecode(data, minCodeSize, width * height) });
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[p].toString(16)}`);
+    }
+  }
+  return { width, height, loop, frames };
+}
+
+function lzwDecode(data, minCodeSize, count) {
+  const clear = 1 << minCodeSize;
+  let size, dict, prev;
+  let bit = 0;
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < size; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    return code;
+  };
+  const reset = () => {
+    dict = Array.from({ length: clear + 2 }, (_, i) => [i]);
+    size = minCodeSize + 1;
+    prev = null;
+  };
+  reset();
+
+  const out = [];
+  while (out.length < count) {
+    const code = read();
+    if (code === clear) {
+      reset();
+      continue;
+    }
+    if (code === clear + 1) break;
+    const entry = code < dict.length ? dict[code] : [...dict[prev], dict[prev][0]];
+    out.push(...entry);
+    if (prev !== null) dict.push([...dict[prev], entry[0]]);
+    prev = code;
+    if (dict.length === 1 << size && size < 12) size++;
+  }
+  return out;
+}
+
+describe("Animation planning", () => {
+  test("timing options are clamped, easings resolved", () => {
+    const timing = normalizeAnimationTiming({ fps: 500, duration: -1, easing: "linear" });
+    expect(timing).toMatchObject({ fps: 50, duration: 0, hold: 600 });
+    expect(timing.easing).toBe(EASINGS.linear);
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(normalizeAnimationTiming({ easing: "bounce" }).easing).toBe(EASINGS["ease-in-out"]);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+
+    const custom = normalizeAnimationTiming({ easing: (t) => (t < 1 ? NaN : 1) }).easing;
+    expect(custom(0.5)).toBe(0.5);
+    expect([0, 0.5, 1].map(EASINGS["ease-in-out"])).toEqual([0, 0.5, 1]);
+  });
+
+  test("cameras zoom geometrically and turn the short way", () => {
+    const a = { x: 0, y: 0, zoom: 1, rotation: 270 };
+    const b = { x: 100, y: 50, zoom: 4, rotation: 0 };
+    expect(interpolateCamera(a, b, 0.5)).toEqual({ x: 50, y: 25, zoom: 2, rotation: 315 });
+  });
+
+  test("each stop is held once and each move sampled at the frame rate", () => {
+    const stop = (zoom, caption = "") => ({ camera: { x: 0, y: 0, zoom, rotation: 0 }, caption });
+    const frames = planAnimation([stop(1, "Start"), stop(2, "Zoomed")], {
+      fps: 10,
+      duration: 500,
+      hold: 1000,
+      easing: EASINGS.linear,
+    });
+
+    expect(frames).toHaveLength(6);
+    expect(frames.map((f) => f.duration)).toEqual([1000, 100, 100, 100, 100, 1100]);
+    expect(frames.map((f) => f.caption)).toEqual([
+      "Start",
+      "Start",
+      "Start",
+      "Start",
+      "Start",
+      "Zoomed",
+    ]);
+    expect(frames[5].camera.zoom).toBe(2);
+    expect(frames.reduce((sum, f) => sum + f.duration, 0)).toBe(2500);
+  });
+
+  test("frames show the camera's part of the diagram", () => {
+    const box = { x: 0, y: 0, width: 400, height: 200 };
+    expect(getFrameView({ x: 200, y: 100, zoom: 1, rotation: 0 }, box, 800, 400)).toEqual({
+      region: { x: 0, y: 0, width: 400, height: 200 },
+      scale: 2,
+      angle: 0,
+    });
+    expect(getFrameView({ x: 100, y: 50, zoom: 2, rotation: 0 }, box, 800, 400).region).toEqual({
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 100,
+    });
+
+    // Sideways, the 400-wide diagram has to fit the 400px frame height
+    const turned = getFrameView({ x: 200, y: 100, zoom: 1, rotation: 90 }, box, 800, 400);
+    expect(turned.scale).toBeCloseTo(1);
+    expect(turned.region.width).toBeCloseTo(400);
+    expect(turned.region.height).toBeCloseTo(800);
+  });
+
+  test("frame size follows the diagram's shape", () => {
+    const box = { width: 400, height: 200 };
+    expect(getAnimationSize(box)).toEqual({ width: 800, height: 400 });
+    expect(getAnimationSize(box, { height: 301 })).toEqual({ width: 602, height: 302 });
+    expect(getAnimationSize(box, {}, 90)).toEqual({ width: 800, height: 1600 });
+    expect(getAnimationSize(box, { width: 5000, height: 5 })).toEqual({ width: 1920, height: 16 });
+  });
+});
+
+describe("GIF writer", () => {
+  test("palettes keep the most common colours", () => {
+    const rgba = new Uint8Array([
+      ...[255, 0, 0, 255],
+      ...[255, 0, 0, 255],
+      ...[0, 0, 255, 255],
+      ...[250, 2, 2, 255], // same 15-bit bucket as red
+      ...[0, 255, 0, 255],
+    ]);
+    const palette = buildPalette(rgba, 2);
+    expect(palette).toHaveLength(12); // padded to 4 entries
+    expect(Array.from(palette.slice(0, 3))).toEqual([253, 1, 1]);
+    expect(Array.from(palette.slice(3, 6))).toEqual([0, 0, 255]);
+
+    // Green isn't in the palette: it maps to the nearest colour
+    expect(Array.from(indexPixels(rgba, palette))).toEqual([0, 0, 1, 0, 2]);
+  });
+
+  test("frames, delays and looping survive a decode", () => {
+    const palette = new Uint8Array(256 * 3);
+    const random = Uint8Array.from({ length: 120 * 100 }, (_, i) => (i * 7919 + (i >> 3)) % 256);
+    const flat = new Uint8Array(120 * 100).fill(3);
+    const bytes = encodeGif({
+      width: 120,
+      height: 100,
+      palette,
+      frames: [
+        { indices: random, delay: 10 },
+        { indices: flat, delay: 250 },
+      ],
+    });
+
+    expect(String.fromCharCode(...bytes.slice(0, 6))).toBe("GIF89a");
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+    const gif = decodeGif(bytes);
+    expect([gif.width, gif.height, gif.loop]).toEqual([120, 100, 0]);
+    expect(gif.frames.map((f) => f.delay)).toEqual([10, 250]);
+    // The noisy frame fills the LZW table more than once
+    expect(gif.frames[0].indices).toEqual(Array.from(random));
+    expect(gif.frames[1].indices).toEqual(Array.from(flat));
+
+    const once = decodeGif(encodeGif({ width: 1, height: 1, palette, frames: [], loop: false }));
+    expect(once.loop).toBeNull();
+  });
+});
+
+describe("Animated export", () => {
+  let container;
+  let downloads;
+  let blobs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    container = document.createElement("div");
+    container.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 200"><rect id="a" width="40" height="20"/></svg>';
+    document.body.appendChild(container);
+
+    downloads = [];
+    blobs = [];
+    URL.createObjectURL = jest.fn((blob) => {
+      blobs.push(blob);
+      return `blob:${blobs.length}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads.push(this.download);
+    });
+  });
+
+  afterEach(() => {
+    container.remove();
+    jest.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    delete HTMLCanvasElement.prototype.captureStream;
+    delete globalThis.MediaRecorder;
+  });
+
+  test("a GIF renders each frame's part of the diagram", async () => {
+    const ok = await exportAnimation(container, "gif", {
+      steps: [{ zoom: 1 }, { zoom: 2, center: { x: 100, y: 50 } }],
+      fps: 4,
+      duration: 500,
+      hold: 0,
+      width: 400,
+      filename: "walkthrough",
+    });
+
+    expect(ok).toBe(true);
+    expect(downloads).toEqual(["walkthrough.gif"]);
+    expect(blobs[0].type).toBe("image/gif");
+
+    // 1 start frame + 2 move frames; zoom 2 shows half the diagram at twice the scale
+    expect(renderToCanvas).toHaveBeenCalledTimes(3);
+    const last = renderToCanvas.mock.calls[2][3];
+    expect(last.region).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+    expect(last.scale).toBe(2);
+  });
+
+  test("the diagram's tour is the default script, with captions", async () => {
+    setTour(container, [
+      { zoom: 1, caption: "Overview" },
+      { target: "#a", caption: "Start here" },
+    ]);
+    const fillText = jest.spyOn(CanvasRenderingContext2D.prototype, "fillText");
+    await exportAnimation(container, "gif", { duration: 0, hold: 100 });
+
+    expect(renderToCanvas).toHaveBeenCalledTimes(2);
+    expect(fillText.mock.calls.map((c) => c[0])).toEqual(["Overview", "Start here"]);
+    setTour(container, []);
+  });
+
+  test("WebM needs MediaRecorder", async () => {
+    expect(isWebmSupported()).toBe(false);
+    expect(await exportAnimation(container, "webm")).toBe(false);
+    expect(showErrorToast).toHaveBeenCalled();
+    expect(renderToCanvas).not.toHaveBeenCalled();
+  });
+
+  test("WebM records each frame for its duration", async () => {
+    const track = { stop: jest.fn() };
+    HTMLCanvasElement.prototype.captureStream = jest.fn(() => ({ getTracks: () => [track] }));
+    const calls = [];
+    globalThis.MediaRecorder = class {
+      static isTypeSupported(type) {
+        return type === "video/webm;codecs=vp8";
+      }
+      constructor(stream, options) {
+        this.options = options;
+        this.state = "inactive";
+      }
+      start() {
+        calls.push("start");
+        this.state = "recording";
+      }
+      resume() {
+        calls.push("resume");
+      }
+      pause() {
+        calls.push("pause");
+      }
+      stop() {
+        calls.push("stop");
+        this.ondataavailable({ data: new Blob(["webm"]) });
+        this.onstop();
+      }
+    };
+
+    expect(isWebmSupported()).toBe(true);
+    const ok = await exportAnimation(container, "webm", {
+      steps: [{ zoom: 1 }, { zoom: 3 }],
+      duration: 0,
+      hold: 0,
+    });
+
+    expect(ok).toBe(true);
+    expect(calls).toEqual(["start", "pause", "resume", "pause", "stop"]);
+    expect(blobs[0].type).toBe("video/webm");
+    expect(downloads).toEqual(["diagram_export.webm"]);
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
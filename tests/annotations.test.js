@@ -0,0 +1,307 @@
+/**
+ * Annotation Tests
+ * Shape validation, JSON round-trips and rendering (core/annotations), plus
+ * drawing, notes and undo in annotation mode (features/lazy/annotate).
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig } from "../src/core/config.js";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showSuccessToast: jest.fn(),
+  showInfoToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+// jsdom has no layout: screen pixels map 1:1 onto SVG units
+jest.unstable_mockModule("../src/core/svg-geometry.js", () => ({
+  getScreenPointInElementCoords: (el, x, y) => ({ x, y }),
+  getScreenScale: () => 1,
+}));
+
+const {
+  normalizeAnnotation,
+  setAnnotations,
+  getAnnotations,
+  hasAnnotations,
+  serializeAnnotations,
+  parseAnnotations,
+  getAnnotationBounds,
+  renderAnnotation,
+} = await import("../src/core/annotations.js");
+const {
+  toggleAnnotationMode,
+  setAnnotationTool,
+  undoAnnotation,
+  exitAnnotationStep,
+  cleanupAnnotations,
+} = await import("../src/features/lazy/annotate.js");
+
+const line = (x1, y1, x2, y2) => [
+  [x1, y1],
+  [x2, y2],
+];
+
+describe("Annotation shapes", () => {
+  test("normalizeAnnotation rejects unusable shapes", () => {
+    expect(normalizeAnnotation(null)).toBeNull();
+    expect(normalizeAnnotation({ type: "circle", points: line(0, 0, 1, 1) })).toBeNull();
+    expect(normalizeAnnotation({ type: "pen", points: [[0, 0]] })).toBeNull();
+    expect(normalizeAnnotation({ type: "text", points: [[0, 0]], text: "  " })).toBeNull();
+  });
+
+  test("normalizeAnnotation fills defaults, rounds and drops unsafe colors", () => {
+    const pen = normalizeAnnotation({
+      type: "pen",
+      color: "url(#evil)",
+      points: [
+        [1.23456, 2],
+        [3, "x"],
+        [4, 5],
+      ],
+    });
+    expect(pen).toMatchObject({
+      type: "pen",
+      color: "#ef4444",
+      width: 3,
+      points: line(1.23, 2, 4, 5),
+    });
+    expect(pen.id).toMatch(/^a-/);
+
+    const arrow = normalizeAnnotation({
+      type: "arrow",
+      color: "#00f",
+      points: [
+        [0, 0],
+        [1, 1],
+        [2, 2],
+      ],
+    });
+    expect(arrow.points).toEqual(line(0, 0, 1, 1));
+
+    const note = normalizeAnnotation({ type: "text", text: " Hi ", points: [[5, 5]] });
+    expect(note).toMatchObject({ text: "Hi", size: 14 });
+    expect(note.width).toBeUndefined();
+  });
+
+  test("serialize and parse round-trip per diagram", () => {
+    const el = document.createElement("div");
+    expect(hasAnnotations(el)).toBe(false);
+
+    setAnnotations(el, [
+      { id: "one", type: "rect", color: "#22c55e", points: line(0, 0, 10, 10) },
+      { type: "bogus" },
+    ]);
+    expect(getAnnotations(el)).toHaveLength(1);
+    // The modal and exports check this before loading core/annotations
+    expect(state.annotatedDiagrams.has(el)).toBe(true);
+
+    const json = serializeAnnotations(el);
+    expect(JSON.parse(json).version).toBe(1);
+    expect(parseAnnotations(json)).toEqual(getAnnotations(el));
+    expect(parseAnnotations(getAnnotations(el))).toHaveLength(1);
+    expect(parseAnnotations("{not json")).toBeNull();
+    expect(parseAnnotations({ version: 1 })).toBeNull();
+
+    setAnnotations(el, []);
+    expect(hasAnnotations(el)).toBe(false);
+    expect(state.annotatedDiagrams.has(el)).toBe(false);
+  });
+
+  test("getAnnotationBounds includes stroke width and arrowheads", () => {
+    expect(getAnnotationBounds([])).toBeNull();
+    const shapes = [
+      normalizeAnnotation({ type: "rect", width: 2, points: line(0, 0, 10, 10) }),
+      normalizeAnnotation({ type: "arrow", width: 1, points: line(10, 10, 50, 20) }),
+    ];
+    expect(getAnnotationBounds(shapes)).toEqual({ x: -2, y: -2, w: 56, h: 26 });
+  });
+
+  test("renderAnnotation draws each type", () => {
+    const render = (raw) => renderAnnotation(normalizeAnnotation(raw));
+
+    const pen = render({ id: "p", type: "pen", points: line(0, 0, 5, 5) });
+    expect(pen.tagName).toBe("path");
+    expect(pen.getAttribute("d")).toBe("M0 0 L5 5");
+    expect(pen.getAttribute("data-annotation-id")).toBe("p");
+    expect(pen.classList.contains("dv-annotation")).toBe(true);
+
+    const highlighter = render({ type: "highlighter", points: line(0, 0, 5, 5) });
+    expect(highlighter.getAttribute("stroke-opacity")).toBe("0.35");
+
+    const arrow = render({ type: "arrow", points: line(0, 0, 20, 0) });
+    expect(arrow.querySelector("line").getAttribute("x2")).toBe("20");
+    expect(arrow.querySelector("polygon")).not.toBeNull();
+
+    const rect = render({ type: "rect", points: line(10, 10, 0, 4) });
+    expect(rect.getAttribute("x")).toBe("0");
+    expect(rect.getAttribute("height")).toBe("6");
+
+    const note = render({ type: "text", text: "a\nb", points: [[0, 0]] });
+    expect(Array.from(note.querySelectorAll("tspan")).map((t) => t.textContent)).toEqual([
+      "a",
+      "b",
+    ]);
+  });
+});
+
+describe("Annotation mode", () => {
+  let source;
+  let viewport;
+  let svg;
+  const layer = () => svg.querySelector("g.dv-annotations");
+
+  function pointer(type, x, y, target = svg) {
+    const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+    Object.defineProperty(event, "pointerId", { value: 1 });
+    target.dispatchEvent(event);
+  }
+
+  function drag(x1, y1, x2, y2) {
+    pointer("pointerdown", x1, y1);
+    pointer("pointermove", (x1 + x2) / 2, (y1 + y2) / 2);
+    pointer("pointermove", x2, y2);
+    pointer("pointerup", x2, y2);
+  }
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <div id="diagview-modal-content">
+        <div id="diagview-modal-viewport"><svg viewBox="0 0 100 100"><g class="node"></g></svg></div>
+        <div id="diagview-annotate">
+          <button data-tool="pen"></button>
+          <button data-tool="arrow"></button>
+          <button data-color="#3b82f6"></button>
+          <button id="diagview-annotate-undo"></button>
+          <button id="diagview-annotate-clear"></button>
+          <button id="diagview-annotate-done"></button>
+        </div>
+      </div>
+    `;
+    viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+    source = document.createElement("div");
+    state.isModalOpen = true;
+    state.activeSourceElement = source;
+  });
+
+  afterEach(() => {
+    cleanupAnnotations();
+    setAnnotationTool("pen");
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+  });
+
+  test("toggling adds the layer, shows the toolbar and locks panning", () => {
+    const setOptions = jest.fn();
+    state.activePanzoom = /** @type {any} */ ({ setOptions });
+
+    expect(toggleAnnotationMode()).toBe(true);
+    expect(state.annotating).toBe(true);
+    expect(viewport.classList.contains("dv-annotating")).toBe(true);
+    expect(document.getElementById("diagview-annotate").classList.contains("show")).toBe(true);
+    expect(layer()).not.toBeNull();
+    expect(setOptions).toHaveBeenLastCalledWith({ disablePan: true });
+    expect(document.getElementById("diagview-annotate-undo").disabled).toBe(true);
+
+    document.getElementById("diagview-annotate-done").click();
+    expect(state.annotating).toBe(false);
+    expect(setOptions).toHaveBeenLastCalledWith({ disablePan: false });
+    state.activePanzoom = null;
+  });
+
+  test("dragging draws pen strokes and arrows and emits annotation:change", () => {
+    const onChange = jest.fn();
+    const off = state.events.on("annotation:change", onChange);
+    toggleAnnotationMode(true);
+
+    drag(10, 10, 30, 30);
+    document.querySelector('[data-tool="arrow"]').click();
+    document.querySelector('[data-color="#3b82f6"]').click();
+    drag(40, 40, 80, 40);
+
+    const shapes = getAnnotations(source);
+    expect(shapes.map((s) => s.type)).toEqual(["pen", "arrow"]);
+    expect(shapes[0].points).toEqual([
+      [10, 10],
+      [20, 20],
+      [30, 30],
+    ]);
+    expect(shapes[1]).toMatchObject({ color: "#3b82f6", points: line(40, 40, 80, 40) });
+    expect(layer().children).toHaveLength(2);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange.mock.calls[1][0].annotations).toHaveLength(2);
+    expect(document.getElementById("diagview-annotate-undo").disabled).toBe(false);
+    off();
+  });
+
+  test("tiny arrows are dropped, pen clicks leave a dot", () => {
+    toggleAnnotationMode(true);
+    setAnnotationTool("arrow");
+    drag(10, 10, 11, 11);
+    expect(getAnnotations(source)).toHaveLength(0);
+    expect(layer().children).toHaveLength(0);
+
+    setAnnotationTool("pen");
+    pointer("pointerdown", 5, 5);
+    pointer("pointerup", 5, 5);
+    expect(getAnnotations(source)[0].points).toEqual(line(5, 5, 5, 5));
+  });
+
+  test("undo removes the latest shape, also via Ctrl+Z", () => {
+    toggleAnnotationMode(true);
+    drag(0, 0, 10, 10);
+    drag(20, 20, 30, 30);
+
+    expect(undoAnnotation()).toBe(true);
+    expect(getAnnotations(source)).toHaveLength(1);
+    expect(layer().children).toHaveLength(1);
+
+    window.dispatchEvent(new KeyboardEvent("keydown", { key: "z", ctrlKey: true }));
+    expect(hasAnnotations(source)).toBe(false);
+    expect(layer().children).toHaveLength(0);
+    expect(undoAnnotation()).toBe(false);
+  });
+
+  test("text tool places a sticky note on Enter; Esc cancels the note, then exits", () => {
+    toggleAnnotationMode(true);
+    setAnnotationTool("text");
+
+    pointer("pointerdown", 12, 34);
+    let input = document.querySelector(".dv-annotate-note-input");
+    input.value = "Check this";
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    expect(document.querySelector(".dv-annotate-note-input")).toBeNull();
+    expect(getAnnotations(source)[0]).toMatchObject({
+      type: "text",
+      text: "Check this",
+      points: [[12, 34]],
+    });
+    expect(layer().querySelector("text")).not.toBeNull();
+
+    pointer("pointerdown", 50, 50);
+    input = document.querySelector(".dv-annotate-note-input");
+    input.value = "discard me";
+    exitAnnotationStep();
+    expect(document.querySelector(".dv-annotate-note-input")).toBeNull();
+    expect(getAnnotations(source)).toHaveLength(1);
+    expect(state.annotating).toBe(true);
+
+    exitAnnotationStep();
+    expect(state.annotating).toBe(false);
+  });
+
+  test("ignores pointers while annotation mode is off; keeps shapes after it ends", () => {
+    drag(0, 0, 10, 10);
+    expect(hasAnnotations(source)).toBe(false);
+
+    toggleAnnotationMode(true);
+    drag(0, 0, 10, 10);
+    toggleAnnotationMode(false);
+    drag(20, 20, 30, 30);
+    expect(getAnnotations(source)).toHaveLength(1);
+    expect(layer().children).toHaveLength(1);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Diagram Comparison Tests
+ * Structural diff of two diagram versions (core/diagram-diff), and the
+ * comparison view: element and markup inputs, sanitizing, side-by-side and
+ * overlay layouts, locked zoom and pan, change highlighting and closing.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, runModalCleanupFunctions } from "../src/core/config.js";
+import { clearDiagramModelCache } from "../src/core/diagram-adapters.js";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showInfoToast: jest.fn(),
+  showWarningToast: jest.fn(),
+}));
+
+const { showErrorToast } = await import("../src/ui/toast.js");
+const { diffDiagrams } = await import("../src/core/diagram-diff.js");
+const { openComparison, closeComparison } = await import("../src/features/lazy/compare.js");
+
+const BEFORE = `
+  <svg aria-roledescription="flowchart-v2" viewBox="0 0 400 200">
+    <g class="node" id="flowchart-api-0"><text>API</text></g>
+    <g class="node" id="flowchart-db-1"><text>Database</text></g>
+    <g class="node" id="flowchart-cache-2"><text>Cache</text></g>
+    <g class="node" id="flowchart-old-3"><text>Legacy Service</text></g>
+    <path class="flowchart-link" id="L_api_db_0"></path>
+    <g class="edgeLabel"><g class="label" data-id="L_api_db_0"><text>reads</text></g></g>
+    <path class="flowchart-link" id="L_api_cache_0"></path>
+  </svg>`;
+
+// API→Database relabelled, Cache renamed to Redis, Legacy Service gone,
+// Queue added, and the Database node re-rendered under a new ID
+const AFTER = `
+  <svg aria-roledescription="flowchart-v2" viewBox="0 0 500 200">
+    <g class="node" id="flowchart-api-0"><text>API</text></g>
+    <g class="node" id="flowchart-database-1"><text>Database</text></g>
+    <g class="node" id="flowchart-cache-2"><text>Redis</text></g>
+    <g class="node" id="flowchart-queue-3"><text>Queue</text></g>
+    <path class="flowchart-link" id="L_api_database_0"></path>
+    <g class="edgeLabel"><g class="label" data-id="L_api_database_0"><text>writes</text></g></g>
+    <path class="flowchart-link" id="L_api_cache_0"></path>
+    <path class="flowchart-link" id="L_api_queue_0"></path>
+  </svg>`;
+
+/** Panzoom stand-in that tracks scale and pan and fires panzoomchange */
+function createPanzoom(elem) {
+  let scale = 1;
+  let pan = { x: 0, y: 0 };
+  const changed = () => elem.dispatchEvent(new CustomEvent("panzoomchange"));
+  return {
+    elem,
+    getScale: () => scale,
+    getPan: () => ({ ...pan }),
+    zoom: jest.fn((s) => {
+      scale = s;
+      changed();
+    }),
+    pan: jest.fn((x, y) => {
+      pan = { x, y };
+      changed();
+    }),
+    zoomIn: jest.fn(),
+    zoomOut: jest.fn(),
+    reset: jest.fn(),
+    zoomWithWheel: jest.fn(),
+    destroy: jest.fn(),
+  };
+}
+
+const labels = (items) => items.map((item) => item.label);
+const pairLabels = (pairs) => pairs.map(({ before, after }) => `${before.label} → ${after.label}`);
+
+describe("Diagram diff", () => {
+  afterEach(() => {
+    clearDiagramModelCache();
+    document.body.innerHTML = "";
+  });
+
+  test("pairs nodes by ID, then by label", () => {
+    document.body.innerHTML = `<div class="a">${BEFORE}</div><div class="b">${AFTER}</div>`;
+    const diff = diffDiagrams(document.querySelector(".a"), document.querySelector(".b"));
+
+    expect(labels(diff.nodes.added)).toEqual(["Queue"]);
+    expect(labels(diff.nodes.removed)).toEqual(["Legacy Service"]);
+    expect(pairLabels(diff.nodes.relabelled)).toEqual(["Cache → Redis"]);
+    // "db" became "database": same label, so still the same node
+    expect(pairLabels(diff.nodes.unchanged)).toEqual(["API → API", "Database → Database"]);
+  });
+
+  test("pairs edges by ID, then by the labels of their ends", () => {
+    document.body.innerHTML = `<div class="a">${BEFORE}</div><div class="b">${AFTER}</div>`;
+    const diff = diffDiagrams(document.querySelector(".a"), document.querySelector(".b"));
+
+    expect(diff.edges.unchanged.map((p) => p.after.id)).toEqual(["L_api_cache_0"]);
+    expect(pairLabels(diff.edges.relabelled)).toEqual(["reads → writes"]);
+    expect(diff.edges.added.map((e) => e.id)).toEqual(["L_api_queue_0"]);
+    expect(diff.edges.removed).toEqual([]);
+
+    expect(diffDiagrams(document.querySelector(".a"), document.createElement("div"))).toBeNull();
+  });
+});
+
+describe("Comparison view", () => {
+  let page;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `<div class="mermaid" id="page">${BEFORE}</div><button id="opener"></button>`;
+    page = document.getElementById("page");
+    window.Panzoom = jest.fn(createPanzoom);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    closeComparison();
+    clearDiagramModelCache();
+    delete window.Panzoom;
+    state.isModalOpen = false;
+    document.body.innerHTML = "";
+  });
+
+  const panes = () => Array.from(document.querySelectorAll(".diagview-compare .dv-cmp-pane svg"));
+  const byLabel = (svg, text) =>
+    Array.from(svg.querySelectorAll("g.node")).find((g) => g.textContent === text);
+
+  test("shows a page diagram next to sanitized markup and marks the changes on the copies", () => {
+    const markup = AFTER.replace(
+      "<text>Queue</text>",
+      '<text>Queue</text><script>alert(1)</script><rect onclick="alert(2)"></rect>',
+    );
+    const diff = openComparison(page, markup, { labels: ["v1", "v2"] });
+
+    const root = document.querySelector(".diagview-compare");
+    expect(root.getAttribute("role")).toBe("dialog");
+    expect(root.classList.contains("dv-cmp-side")).toBe(true);
+    expect(root.classList.contains("dv-cmp-diff")).toBe(true);
+    expect(state.comparing).toBe(true);
+    expect(Array.from(root.querySelectorAll(".dv-cmp-label"), (l) => l.textContent)).toEqual([
+      "v1",
+      "v2",
+    ]);
+
+    const [before, after] = panes();
+    expect(before).not.toBe(page.querySelector("svg"));
+    expect(after.querySelector("script")).toBeNull();
+    expect(after.querySelector("[onclick]")).toBeNull();
+    // Both share one viewBox so the same zoom shows the same area
+    expect(before.getAttribute("viewBox")).toBe(after.getAttribute("viewBox"));
+
+    expect(byLabel(after, "Queue").classList.contains("dv-diff-added")).toBe(true);
+    expect(byLabel(before, "Legacy Service").classList.contains("dv-diff-removed")).toBe(true);
+    expect(byLabel(before, "Cache").classList.contains("dv-diff-relabelled")).toBe(true);
+    expect(byLabel(after, "Redis").classList.contains("dv-diff-relabelled")).toBe(true);
+    expect(diff.nodes.added[0].element).toBe(byLabel(after, "Queue"));
+    expect(root.querySelector(".dv-cmp-summary").textContent).toBe(
+      "2 added · 1 removed · 2 relabelled",
+    );
+
+    // The page diagram is never marked
+    expect(page.querySelector("[class*='dv-diff-']")).toBeNull();
+  });
+
+  test("overlay mode, opacity slider and highlight toggle", () => {
+    openComparison(page, AFTER, { mode: "overlay", opacity: 0.3, diff: false });
+    const root = /** @type {HTMLElement} */ (document.querySelector(".diagview-compare"));
+    const opacity = /** @type {HTMLInputElement} */ (root.querySelector(".dv-cmp-opacity input"));
+    const toggle = /** @type {HTMLInputElement} */ (
+      root.querySelector(".dv-cmp-diff-toggle input")
+    );
+
+    expect(root.classList.contains("dv-cmp-overlay")).toBe(true);
+    expect(root.classList.contains("dv-cmp-diff")).toBe(false);
+    expect(root.style.getPropertyValue("--dv-cmp-opacity")).toBe("0.3");
+    expect(root.querySelector("[data-mode='overlay']").getAttribute("aria-pressed")).toBe("true");
+
+    opacity.value = "80";
+    opacity.dispatchEvent(new Event("input"));
+    expect(root.style.getPropertyValue("--dv-cmp-opacity")).toBe("0.8");
+
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event("change"));
+    expect(root.classList.contains("dv-cmp-diff")).toBe(true);
+
+    /** @type {HTMLElement} */ (root.querySelector("[data-mode='side-by-side']")).click();
+    expect(root.classList.contains("dv-cmp-side")).toBe(true);
+    expect(/** @type {HTMLElement} */ (root.querySelector(".dv-cmp-opacity")).hidden).toBe(true);
+  });
+
+  test("zoom and pan stay locked between the panes", () => {
+    openComparison(page, AFTER);
+    const [a, b] = window.Panzoom.mock.results.map((r) => r.value);
+
+    a.zoom(2);
+    expect(b.zoom).toHaveBeenLastCalledWith(2, { animate: false, force: true });
+    b.pan(30, -10);
+    expect(a.pan).toHaveBeenLastCalledWith(30, -10, { animate: false, force: true });
+    expect(a.getScale()).toBe(2);
+    // No echo back to the pane that moved
+    expect(b.pan).toHaveBeenCalledTimes(2);
+
+    const root = document.querySelector(".diagview-compare");
+    root
+      .querySelector(".dv-cmp-mode")
+      .dispatchEvent(new KeyboardEvent("keydown", { key: "+", bubbles: true }));
+    expect(a.zoomIn).toHaveBeenCalled();
+    /** @type {HTMLElement} */ (root.querySelector(".dv-cmp-reset")).click();
+    expect(a.reset).toHaveBeenCalled();
+    expect(b.reset).toHaveBeenCalled();
+  });
+
+  test("closing removes the view, frees Panzoom and returns focus; modal cleanup closes it", () => {
+    const opener = document.getElementById("opener");
+    opener.focus();
+    openComparison(page, AFTER);
+    const [a, b] = window.Panzoom.mock.results.map((r) => r.value);
+
+    /** @type {HTMLElement} */ (document.querySelector(".dv-cmp-close")).click();
+    expect(document.querySelector(".diagview-compare")).toBeNull();
+    expect(state.comparing).toBe(false);
+    expect(a.destroy).toHaveBeenCalled();
+    expect(b.destroy).toHaveBeenCalled();
+    expect(document.activeElement).toBe(opener);
+
+    // Inside the open modal, and closed with it
+    document.body.insertAdjacentHTML("beforeend", '<div id="diagview-modal"></div>');
+    state.isModalOpen = true;
+    openComparison(page, AFTER);
+    expect(document.querySelector("#diagview-modal > .diagview-compare")).not.toBeNull();
+    runModalCleanupFunctions();
+    expect(document.querySelector(".diagview-compare")).toBeNull();
+  });
+
+  test("inputs without an SVG open nothing", () => {
+    expect(openComparison(page, "<div>not svg</div>")).toBeNull();
+    expect(openComparison(document.createElement("div"), AFTER)).toBeNull();
+    expect(openComparison(page, /** @type {any} */ (42))).toBeNull();
+    expect(showErrorToast).toHaveBeenCalledTimes(3);
+    expect(document.querySelector(".diagview-compare")).toBeNull();
+    expect(state.comparing).toBe(false);
+  });
+});
@@ -76,6 +76,22 @@ describe("Core Config", () => {
     expect(state.config.pdfLibraryIntegrity).not.toBeNull();
   });
 
+  test("updateConfig applies the same integrity policy to svg2pdf", () => {
+    const pinned = state.config.svg2pdfLibraryIntegrity;
+    expect(pinned).toMatch(/^sha384-/);
+
+    updateConfig({ svg2pdfLibraryUrl: "https://custom.js" });
+    expect(state.config.svg2pdfLibraryIntegrity).toBeNull();
+
+    updateConfig({ svg2pdfLibraryUrl: "https://custom.js", svg2pdfLibraryIntegrity: "sha384-x" });
+    expect(state.config.svg2pdfLibraryIntegrity).toBe("sha384-x");
+
+    updateConfig({
+      svg2pdfLibraryUrl: "https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js",
+    });
+    expect(state.config.svg2pdfLibraryIntegrity).toBe(pinned);
+  });
+
   test("modal cleanup functions work", () => {
     const fn = jest.fn();
     addModalCleanupFunction(fn);
@@ -99,6 +115,20 @@ describe("Core Config", () => {
     expect(() => updateConfig({})).not.toThrow();
   });
 
+  test("updateConfig validates the laser pointer options", () => {
+    const spy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({ laser: { effect: "spotlight", size: 40 } });
+    expect(state.config.laser).toEqual({ effect: "spotlight", size: 40, color: null });
+
+    updateConfig({ laser: { effect: "confetti", size: 500, color: 3 } });
+    expect(state.config.laser).toEqual({ effect: "dot", size: 28, color: null });
+
+    updateConfig({ laser: "trail" });
+    expect(state.config.laser.effect).toBe("dot");
+    expect(spy).toHaveBeenCalledTimes(4);
+    spy.mockRestore();
+  });
+
   test("updateConfig warns on unknown keys", () => {
     const spy = jest.spyOn(console, "warn").mockImplementation(() => {});
     updateConfig({ unknownKey: "value" });
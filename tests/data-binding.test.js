@@ -0,0 +1,177 @@
+/**
+ * Data Binding Tests
+ * Matching values to nodes by ID, label and selector, the fill/stroke/badge/
+ * opacity/tooltip rules, clearing, and keeping the modal clone in step.
+ */
+
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showWarningToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+const { state } = await import("../src/core/config.js");
+const { getDiagramModel, clearDiagramModelCache } = await import("../src/core/diagram-adapters.js");
+const { applyDataBinding, normalizeDataBinding } = await import("../src/core/data-binding.js");
+const { default: DiagView } = await import("../src/index.js");
+
+const DIAGRAM = `
+  <svg aria-roledescription="flowchart-v2">
+    <path class="flowchart-link" id="L_api_db_0"></path>
+    <g class="node" id="flowchart-api-0" style="fill:#eee">
+      <rect class="label-container" width="80" height="40"></rect>
+      <g class="label"><rect></rect><text>API</text></g>
+    </g>
+    <g class="node queue" id="flowchart-db-1">
+      <polygon points="0,0 10,0 10,10"></polygon>
+      <text>Database</text>
+    </g>
+  </svg>`;
+
+describe("Data binding", () => {
+  let container;
+  const node = (root, id) => root.querySelector(`[id$="flowchart-${id}"]`);
+  const shape = (root, id) => node(root, id).querySelector("rect, polygon");
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.innerHTML = DIAGRAM;
+    document.body.appendChild(container);
+    // jsdom has no layout
+    SVGElement.prototype.getBBox = () => ({ x: -40, y: -20, width: 80, height: 40 });
+  });
+
+  afterEach(async () => {
+    await DiagView.unbindData(container);
+    document.body.innerHTML = "";
+    clearDiagramModelCache();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+    delete SVGElement.prototype.getBBox;
+  });
+
+  test("values keyed by ID or label style the node's shapes, not its label", async () => {
+    const count = await DiagView.bindData(container, {
+      data: { api: "down", database: "up" },
+      rules: {
+        fill: { up: "#22c55e", down: "#ef4444" },
+        stroke: "#111827",
+        opacity: (status) => (status === "down" ? 0.5 : 1),
+      },
+    });
+    const svg = container.querySelector("svg");
+
+    expect(count).toBe(2);
+    expect(shape(svg, "api-0").style.getPropertyValue("fill")).toBe("#ef4444");
+    expect(shape(svg, "api-0").style.getPropertyPriority("fill")).toBe("important");
+    expect(shape(svg, "db-1").style.getPropertyValue("fill")).toBe("#22c55e");
+    expect(shape(svg, "db-1").style.getPropertyValue("stroke")).toBe("#111827");
+    expect(node(svg, "api-0").querySelector(".label rect").getAttribute("style")).toBeNull();
+    expect(node(svg, "api-0").style.opacity).toBe("0.5");
+    expect(node(svg, "api-0").classList.contains("dv-data-bound")).toBe(true);
+  });
+
+  test("badges and tooltips are added and kept out of node labels", async () => {
+    const rules = {
+      badge: (v) => v.errors,
+      tooltip: (v, item) => `${item.label}: ${v.latency} ms`,
+    };
+    await DiagView.bindData(container, {
+      data: [{ id: "api", value: { errors: 3, latency: 120 } }],
+      rules,
+    });
+    const svg = container.querySelector("svg");
+    const badge = node(svg, "api-0").querySelector(".dv-data-badge");
+
+    expect(badge.getAttribute("transform")).toBe("translate(40, -20)");
+    expect(badge.querySelector("text").textContent).toBe("3");
+    expect(badge.querySelector("title").textContent).toBe("API: 120 ms");
+    expect(shape(svg, "api-0").querySelector("title.dv-data-tooltip").textContent).toBe(
+      "API: 120 ms",
+    );
+    // Tooltips never go directly on the node group (that is how Graphviz is detected)
+    expect(node(svg, "api-0").querySelector(":scope > title")).toBeNull();
+
+    clearDiagramModelCache();
+    const model = getDiagramModel(svg);
+    expect(model.type).toBe("mermaid");
+    expect(model.nodes.find((n) => n.id === "api").label).toBe("API");
+  });
+
+  test("selector entries, unsafe colors and failing rules", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const count = await DiagView.bindData(container, {
+      data: [
+        { selector: "g.queue text", value: "url(https://evil.test/x)" },
+        { selector: "::bogus", value: 1 },
+        { label: "api", value: "x" },
+      ],
+      rules: {
+        fill: (value) => value,
+        badge: () => {
+          throw new Error("boom");
+        },
+      },
+    });
+    const svg = container.querySelector("svg");
+
+    expect(count).toBe(2);
+    expect(node(svg, "db-1").classList.contains("dv-data-bound")).toBe(true);
+    expect(shape(svg, "db-1").getAttribute("style")).toBeNull();
+    expect(svg.querySelector(".dv-data-badge")).toBeNull();
+    expect(warn).toHaveBeenCalledWith('DiagView: Invalid data binding selector "::bogus"');
+    expect(warn).toHaveBeenCalledWith("DiagView: data binding rule failed", expect.any(Error));
+    warn.mockRestore();
+  });
+
+  test("updateData re-applies; unbindData restores the original styles", async () => {
+    await DiagView.bindData(container, {
+      data: { api: 2 },
+      rules: { fill: "#ef4444", badge: (n) => n },
+    });
+    const svg = container.querySelector("svg");
+
+    expect(await DiagView.updateData(container, { api: 5, db: 1 })).toBe(2);
+    expect(svg.querySelectorAll(".dv-data-badge")).toHaveLength(2);
+    expect(node(svg, "api-0").querySelector(".dv-data-badge text").textContent).toBe("5");
+
+    await DiagView.unbindData(container);
+    expect(svg.querySelector(".dv-data-badge, .dv-data-bound, [data-dv-fill]")).toBeNull();
+    expect(shape(svg, "api-0").getAttribute("style")).toBeNull();
+    expect(node(svg, "api-0").getAttribute("style")).toBe("fill:#eee");
+    expect(await DiagView.updateData(container, { api: 1 })).toBe(0);
+  });
+
+  test("updates reach the modal clone, whose IDs are prefixed", async () => {
+    const viewport = document.createElement("div");
+    viewport.id = "diagview-modal-viewport";
+    viewport.innerHTML = DIAGRAM.replace(/id="/g, 'id="dv-k3x9-a1b2-');
+    document.body.appendChild(viewport);
+    state.isModalOpen = true;
+    state.activeSourceElement = container;
+    const clone = viewport.querySelector("svg");
+
+    await DiagView.bindData(container, { data: { db: "down" }, rules: { fill: "red" } });
+    expect(shape(clone, "db-1").style.getPropertyValue("fill")).toBe("red");
+
+    await DiagView.updateData(container, { api: "down" });
+    expect(shape(clone, "db-1").getAttribute("style")).toBeNull();
+    expect(shape(clone, "api-0").style.getPropertyValue("fill")).toBe("red");
+
+    // A clone copied from the bound page diagram can be re-applied cleanly
+    const copy = container.querySelector("svg").cloneNode(true);
+    expect(applyDataBinding(copy, normalizeDataBinding({ data: {} }))).toBe(0);
+    expect(copy.querySelector("[data-dv-fill]")).toBeNull();
+  });
+
+  test("normalizeDataBinding drops unknown rules and match modes", () => {
+    expect(
+      normalizeDataBinding({ data: null, rules: { fill: "red", glow: 1 }, match: "fuzzy" }),
+    ).toEqual({ data: {}, rules: { fill: "red" }, match: "auto" });
+  });
+});
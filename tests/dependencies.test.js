@@ -0,0 +1,182 @@
+/**
+ * Dependency Highlighting Tests
+ * Click-to-trace on modal nodes, depth presets, toolbar state and
+ * interaction with search (which shares the dimming highlight).
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+const { showInfoToast } = await import("../src/ui/toast.js");
+const {
+  setupDependencyHighlight,
+  traceDependencies,
+  clearDependencyTrace,
+  cleanupDependencyHighlight,
+} = await import("../src/features/lazy/dependencies.js");
+const { performSearch } = await import("../src/features/lazy/search.js");
+const { clearDiagramModelCache } = await import("../src/core/diagram-adapters.js");
+
+// x -> b, a -> b -> c -> d
+const CHAIN = `
+  <svg aria-roledescription="flowchart-v2">
+    <path class="flowchart-link" id="L_a_b_0"></path>
+    <path class="flowchart-link" id="L_x_b_0"></path>
+    <path class="flowchart-link" id="L_b_c_0"></path>
+    <path class="flowchart-link" id="L_c_d_0"></path>
+    ${["a", "b", "c", "d", "x"].map((id, i) => `<g class="node" id="flowchart-${id}-${i}"><text>${id.toUpperCase()}</text></g>`).join("")}
+  </svg>`;
+
+function click(target, options = {}) {
+  target.dispatchEvent(new MouseEvent("click", { bubbles: true, ...options }));
+}
+
+describe("Dependency highlighting", () => {
+  let svg;
+  let viewport;
+  const node = (id) => svg.querySelector(`[id^="flowchart-${id}-"]`);
+  const edge = (id) => svg.querySelector(`#L_${id}_0`);
+  const isLit = (el) => el.classList.contains("dv-search-match");
+  const isDimmed = (el) => el.classList.contains("dv-search-dim");
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <input id="diagview-search" />
+      <div id="diagview-modal-viewport">${CHAIN}</div>
+      <div id="diagview-deps">
+        <span id="diagview-deps-label"></span>
+        <button class="dv-deps-preset" data-preset="1"></button>
+        <button class="dv-deps-preset" data-preset="2"></button>
+        <button class="dv-deps-preset" data-preset="downstream"></button>
+        <button id="diagview-deps-close"></button>
+      </div>
+    `;
+    viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+    state.isModalOpen = true;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    // Back to the default depth for the next test
+    document.querySelector('[data-preset="1"]').click();
+    cleanupDependencyHighlight();
+    clearDiagramModelCache();
+    state.isModalOpen = false;
+  });
+
+  test("clicking a node dims everything but its edges and neighbours", () => {
+    setupDependencyHighlight(svg, viewport);
+    click(node("b").querySelector("text"));
+
+    expect(state.dependencyTrace).toEqual({ nodeId: "b", depth: 1, direction: "both" });
+    expect(svg.classList.contains("dv-searching")).toBe(true);
+    ["a", "b", "c", "x"].forEach((id) => expect(isLit(node(id))).toBe(true));
+    expect(isDimmed(node("d"))).toBe(true);
+    expect(isDimmed(edge("c_d"))).toBe(true);
+    expect(edge("b_c").classList.contains("dv-search-edge")).toBe(true);
+    expect(node("b").classList.contains("dv-search-active")).toBe(true);
+
+    const bar = document.getElementById("diagview-deps");
+    expect(bar.classList.contains("show")).toBe(true);
+    expect(document.getElementById("diagview-deps-label").textContent).toBe("B · 3 nodes, 3 edges");
+    expect(bar.querySelector('[data-preset="1"]').getAttribute("aria-pressed")).toBe("true");
+  });
+
+  test("presets re-trace the node and are reused for the next click", () => {
+    setupDependencyHighlight(svg, viewport);
+    click(node("b"));
+    document.querySelector('[data-preset="downstream"]').click();
+
+    expect(state.dependencyTrace.direction).toBe("downstream");
+    expect(isLit(node("d"))).toBe(true);
+    expect(isDimmed(node("a"))).toBe(true);
+
+    click(node("c"));
+    expect(state.dependencyTrace).toMatchObject({ nodeId: "c", direction: "downstream" });
+    expect(isDimmed(node("b"))).toBe(true);
+  });
+
+  test("clicking the traced node again, the background or close clears the highlight", () => {
+    setupDependencyHighlight(svg, viewport);
+    click(node("b"));
+    click(node("b"));
+    expect(state.dependencyTrace).toBeNull();
+    expect(svg.classList.contains("dv-tracing")).toBe(false);
+
+    click(node("b"));
+    click(svg);
+    expect(state.dependencyTrace).toBeNull();
+
+    click(node("b"));
+    document.getElementById("diagview-deps-close").click();
+    expect(state.dependencyTrace).toBeNull();
+    expect(isDimmed(node("d"))).toBe(false);
+    expect(document.getElementById("diagview-deps").classList.contains("show")).toBe(false);
+  });
+
+  test("ignores clicks that end a pan or happen in text-select mode", () => {
+    setupDependencyHighlight(svg, viewport);
+
+    viewport.dispatchEvent(new MouseEvent("pointerdown", { clientX: 0, clientY: 0 }));
+    click(node("b"), { clientX: 40, clientY: 0 });
+    expect(state.dependencyTrace).toBeNull();
+
+    viewport.classList.add("dv-text-select");
+    click(node("b"));
+    expect(state.dependencyTrace).toBeNull();
+  });
+
+  test("alt-click mode leaves plain clicks alone", () => {
+    updateConfig({ dependencyHighlight: "alt-click" });
+    setupDependencyHighlight(svg, viewport);
+
+    click(node("b"));
+    expect(state.dependencyTrace).toBeNull();
+    click(node("b"), { altKey: true });
+    expect(state.dependencyTrace.nodeId).toBe("b");
+  });
+
+  test("a new search replaces the trace", () => {
+    setupDependencyHighlight(svg, viewport);
+    click(node("b"));
+
+    performSearch(svg, "D");
+    expect(state.dependencyTrace).toBeNull();
+    expect(isDimmed(node("d"))).toBe(false);
+    expect(document.getElementById("diagview-deps").classList.contains("show")).toBe(false);
+  });
+
+  test("traceDependencies accepts node IDs and explicit depth", () => {
+    expect(traceDependencies("a", { depth: 2, direction: "downstream" })).toBe(true);
+    expect(isLit(node("c"))).toBe(true);
+    expect(isDimmed(node("d"))).toBe(true);
+    // No preset matches, so none is pressed
+    expect(document.querySelectorAll('[aria-pressed="true"]')).toHaveLength(0);
+
+    expect(traceDependencies("missing")).toBe(false);
+    clearDependencyTrace();
+    expect(state.dependencyTrace).toBeNull();
+  });
+
+  test("diagrams without connections show a hint instead", () => {
+    svg.querySelectorAll("path").forEach((p) => p.remove());
+    expect(traceDependencies("a")).toBe(false);
+    expect(showInfoToast).toHaveBeenCalledWith("No connections found in this diagram");
+  });
+
+  test("is disabled by dependencyHighlight: false", () => {
+    updateConfig({ dependencyHighlight: false });
+    setupDependencyHighlight(svg, viewport);
+    click(node("b"));
+    expect(state.dependencyTrace).toBeNull();
+    expect(svg.classList.contains("dv-dependency-clickable")).toBe(false);
+  });
+});
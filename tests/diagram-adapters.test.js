@@ -0,0 +1,314 @@
+/**
+ * Diagram Adapter Tests
+ * Generator detection and normalized node/edge/cluster extraction for
+ * Mermaid, Graphviz, PlantUML and draw.io markup, custom adapters and
+ * dependency traversal.
+ */
+
+import { jest } from "@jest/globals";
+import { state } from "../src/core/config.js";
+import {
+  detectDiagramAdapter,
+  getDiagramModel,
+  registerDiagramAdapter,
+  unregisterDiagramAdapter,
+  findDiagramItem,
+  getConnectedItems,
+  getSearchableElements,
+  clearDiagramModelCache,
+} from "../src/core/diagram-adapters.js";
+
+function render(markup) {
+  document.body.innerHTML = `<div class="diagram">${markup}</div>`;
+  return document.querySelector("svg");
+}
+
+const MERMAID = `
+  <svg id="mermaid-1" aria-roledescription="flowchart-v2">
+    <g class="cluster" id="backend"><g class="cluster-label"><foreignObject><div>Backend</div></foreignObject></g></g>
+    <path id="L_api_gw_db_0" class="flowchart-link" data-id="L_api_gw_db_0"></path>
+    <g class="edgeLabel"><g class="label" data-id="L_api_gw_db_0"><foreignObject><div>reads</div></foreignObject></g></g>
+    <g class="node" id="flowchart-api_gw-0"><g class="label"><foreignObject><div>API   Gateway</div></foreignObject></g></g>
+    <g class="node" id="flowchart-db-1"><g class="label"><foreignObject><div>Database</div></foreignObject></g></g>
+  </svg>`;
+
+const GRAPHVIZ = `
+  <svg>
+    <g id="graph0" class="graph"><title>G</title>
+      <g id="clust1" class="cluster"><title>cluster_x</title><text>Services</text></g>
+      <g id="node1" class="node"><title>auth</title><text>Auth</text><text>Service</text></g>
+      <g id="node2" class="node"><title>db</title><text>Database</text></g>
+      <g id="edge1" class="edge"><title>auth:out&#45;&gt;db</title><text>query</text></g>
+    </g>
+  </svg>`;
+
+afterEach(() => {
+  clearDiagramModelCache();
+  document.body.innerHTML = "";
+});
+
+describe("Mermaid", () => {
+  test("extracts nodes, labelled edges and clusters", () => {
+    const model = getDiagramModel(render(MERMAID));
+
+    expect(model.type).toBe("mermaid");
+    expect(model.nodes.map((n) => [n.id, n.label])).toEqual([
+      ["api_gw", "API Gateway"],
+      ["db", "Database"],
+    ]);
+    // Underscore in the node ID does not confuse the edge split
+    expect(model.edges[0]).toMatchObject({ source: "api_gw", target: "db", label: "reads" });
+    expect(model.clusters[0].label).toBe("Backend");
+  });
+
+  test("reads v10 LS-/LE- edge classes", () => {
+    const svg = render(`
+      <svg aria-roledescription="flowchart-v2">
+        <g class="node" id="flowchart-A-0"><text>A</text></g>
+        <g class="node" id="flowchart-B-1"><text>B</text></g>
+        <path class="flowchart-link LS-A LE-B" id="L-A-B-0"></path>
+      </svg>`);
+    expect(getDiagramModel(svg).edges[0]).toMatchObject({ source: "A", target: "B" });
+  });
+
+  test("strips modal clone ID prefixes", () => {
+    const svg = render(`
+      <svg id="dv-lx3k9-ab12c-mermaid-1" aria-roledescription="flowchart-v2">
+        <g class="node" id="dv-lx3k9-ab12c-flowchart-A-0"><text>A</text></g>
+      </svg>`);
+    expect(getDiagramModel(svg).nodes[0].id).toBe("A");
+  });
+});
+
+describe("Graphviz", () => {
+  test("uses <title> for IDs and edge endpoints, never as a label", () => {
+    const svg = render(GRAPHVIZ);
+    const model = getDiagramModel(svg);
+
+    expect(detectDiagramAdapter(svg).name).toBe("graphviz");
+    expect(model.nodes.map((n) => [n.id, n.label])).toEqual([
+      ["auth", "Auth Service"],
+      ["db", "Database"],
+    ]);
+    expect(model.edges[0]).toMatchObject({ source: "auth", target: "db", label: "query" });
+    expect(model.clusters[0]).toMatchObject({ id: "cluster_x", label: "Services" });
+  });
+
+  test("search does not match hidden <title> identifiers", () => {
+    const svg = render(GRAPHVIZ);
+    const texts = getSearchableElements(svg).map((c) => c.text);
+    expect(texts).toContain("Auth Service");
+    expect(texts.some((t) => t.includes("auth:out"))).toBe(false);
+  });
+});
+
+describe("PlantUML", () => {
+  test("reads data-entity markup", () => {
+    const svg = render(`
+      <svg data-diagram-type="CLASS">
+        <g class="cluster" data-entity="shop" data-qualified-name="shop" id="ent0001"><text>shop</text></g>
+        <g class="entity" data-entity="Order" data-qualified-name="shop.Order" id="ent0002"><text>Order</text></g>
+        <g class="entity" data-entity="Item" data-qualified-name="shop.Item" id="ent0003"><text>Item</text></g>
+        <g class="link" data-entity-1="ent0002" data-entity-2="ent0003" id="lnk4"><text>1..*</text></g>
+      </svg>`);
+    const model = getDiagramModel(svg);
+
+    expect(model.type).toBe("plantuml");
+    expect(model.nodes.map((n) => [n.id, n.label])).toEqual([
+      ["ent0002", "shop.Order"],
+      ["ent0003", "shop.Item"],
+    ]);
+    expect(model.edges[0]).toMatchObject({ source: "ent0002", target: "ent0003" });
+    expect(model.clusters[0].label).toBe("shop");
+  });
+
+  test("falls back to legacy elem_/link_ IDs", () => {
+    const svg = render(`
+      <svg>
+        <g id="elem_Order_Svc"><text>Order Svc</text></g>
+        <g id="elem_Billing"><text>Billing</text></g>
+        <g id="link_Order_Svc_Billing"></g>
+      </svg>`);
+    const model = getDiagramModel(svg);
+
+    expect(model.type).toBe("plantuml");
+    expect(model.edges[0]).toMatchObject({ source: "Order_Svc", target: "Billing" });
+  });
+});
+
+describe("draw.io", () => {
+  test("uses the embedded mxGraphModel when it is uncompressed", () => {
+    const content = `<mxfile><diagram><mxGraphModel><root>
+      <mxCell id="0"/><mxCell id="1" parent="0"/>
+      <mxCell id="grp" value="Cluster" style="swimlane;" vertex="1" parent="1"/>
+      <mxCell id="a" value="&lt;b&gt;Web&lt;/b&gt; App" vertex="1" parent="grp"/>
+      <mxCell id="b" value="Store" vertex="1" parent="1"/>
+      <mxCell id="e1" value="" edge="1" source="a" target="b" parent="1"/>
+    </root></mxGraphModel></diagram></mxfile>`;
+    const svg = render(`
+      <svg content="${content.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;")}">
+        <g data-cell-id="0"><g data-cell-id="1">
+          <g data-cell-id="grp"><rect></rect></g>
+          <g data-cell-id="a"><rect></rect><text>Web App</text></g>
+          <g data-cell-id="b"><rect></rect><text>Store</text></g>
+          <g data-cell-id="e1"><path fill="none"></path></g>
+        </g></g>
+      </svg>`);
+    const model = getDiagramModel(svg);
+
+    expect(model.type).toBe("drawio");
+    expect(model.nodes.map((n) => [n.id, n.label])).toEqual([
+      ["a", "Web App"],
+      ["b", "Store"],
+    ]);
+    expect(model.clusters.map((c) => c.id)).toEqual(["grp"]);
+    expect(model.edges[0]).toMatchObject({ id: "e1", source: "a", target: "b" });
+  });
+
+  test("infers cell types from the drawing when the model is compressed", () => {
+    const svg = render(`
+      <svg content="&lt;mxfile&gt;&lt;diagram&gt;7VZNb5tAEP01&lt;/diagram&gt;&lt;/mxfile&gt;">
+        <g data-cell-id="0"><g data-cell-id="1">
+          <g data-cell-id="a"><rect></rect><text>Web</text></g>
+          <g data-cell-id="e"><path fill="none"></path><path></path></g>
+        </g></g>
+      </svg>`);
+    const model = getDiagramModel(svg);
+
+    expect(model.nodes.map((n) => n.id)).toEqual(["a"]);
+    expect(model.edges.map((e) => e.id)).toEqual(["e"]);
+    expect(model.clusters).toHaveLength(0);
+  });
+});
+
+describe("Registry", () => {
+  afterEach(() => unregisterDiagramAdapter("boxes"));
+
+  test("unknown markup uses the generic adapter", () => {
+    const svg = render(`<svg><g class="node" id="n1"><text>One</text></g></svg>`);
+    const model = getDiagramModel(svg);
+    expect(model.type).toBe("generic");
+    expect(model.nodes[0]).toMatchObject({ id: "n1", label: "One", kind: "node" });
+  });
+
+  test("custom adapters run before built-ins and get defaults filled in", () => {
+    registerDiagramAdapter({
+      name: "boxes",
+      detect: (svg) => svg.classList.contains("boxes"),
+      extract: (svg) => ({
+        nodes: Array.from(svg.querySelectorAll("rect"), (element) => ({ element })),
+      }),
+    });
+    const svg = render(`<svg class="boxes"><rect id="r1"></rect><g class="node"></g></svg>`);
+    const model = getDiagramModel(svg);
+
+    expect(model.type).toBe("boxes");
+    expect(model.nodes).toHaveLength(1);
+    expect(model.nodes[0]).toMatchObject({ id: "r1", label: "" });
+    expect(model.edges).toEqual([]);
+  });
+
+  test("rejects malformed adapters", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(registerDiagramAdapter({ name: "bad" })).toBe(false);
+    warn.mockRestore();
+  });
+
+  test("a throwing extract() yields an empty model instead of breaking callers", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    registerDiagramAdapter({
+      name: "boxes",
+      detect: () => true,
+      extract: () => {
+        throw new Error("boom");
+      },
+    });
+    const model = getDiagramModel(render(`<svg></svg>`));
+    expect(model.nodes).toEqual([]);
+    warn.mockRestore();
+  });
+
+  test("findDiagramItem resolves clicks on nested label elements", () => {
+    const svg = render(MERMAID);
+    const model = getDiagramModel(svg);
+    const labelDiv = svg.querySelector("#flowchart-db-1 div");
+    expect(findDiagramItem(model, labelDiv).id).toBe("db");
+    expect(findDiagramItem(model, svg)).toBeNull();
+  });
+
+  test("accepts a diagram container and caches per SVG", () => {
+    render(MERMAID);
+    const container = document.querySelector(".diagram");
+    expect(getDiagramModel(container)).toBe(getDiagramModel(container.querySelector("svg")));
+  });
+
+  test("state tracks cached models so destroy() only clears a cache that exists", () => {
+    clearDiagramModelCache();
+    expect(state.diagramModelsCached).toBe(false);
+    getDiagramModel(render(MERMAID));
+    expect(state.diagramModelsCached).toBe(true);
+    clearDiagramModelCache();
+    expect(state.diagramModelsCached).toBe(false);
+  });
+
+  test("the public API loads the registry on demand", async () => {
+    const { default: DiagView } = await import("../src/index.js");
+    const svg = render(`<svg class="boxes"><rect id="r1"></rect></svg>`);
+
+    await expect(
+      DiagView.registerDiagramAdapter({
+        name: "boxes",
+        detect: (el) => el.classList.contains("boxes"),
+        extract: (el) => ({ nodes: [{ element: el.querySelector("rect") }] }),
+      }),
+    ).resolves.toBe(true);
+    const model = await DiagView.getDiagramModel(svg);
+    expect(model).toBe(getDiagramModel(svg));
+    expect(model.type).toBe("boxes");
+
+    await DiagView.unregisterDiagramAdapter("boxes");
+    expect((await DiagView.getDiagramModel(svg)).type).toBe("generic");
+  });
+});
+
+describe("getConnectedItems", () => {
+  // x -> b, a -> b -> c -> d
+  const CHAIN = `
+    <svg aria-roledescription="flowchart-v2">
+      <path class="flowchart-link" id="L_a_b_0"></path>
+      <path class="flowchart-link" id="L_x_b_0"></path>
+      <path class="flowchart-link" id="L_b_c_0"></path>
+      <path class="flowchart-link" id="L_c_d_0"></path>
+      ${["a", "b", "c", "d", "x"].map((id, i) => `<g class="node" id="flowchart-${id}-${i}"><text>${id}</text></g>`).join("")}
+    </svg>`;
+
+  const ids = (items) => items.map((item) => item.id).sort();
+  let model;
+
+  beforeEach(() => {
+    model = getDiagramModel(render(CHAIN));
+  });
+
+  test("one hop in both directions returns direct neighbours", () => {
+    const { nodes, edges } = getConnectedItems(model, "b");
+    expect(ids(nodes)).toEqual(["a", "b", "c", "x"]);
+    expect(edges).toHaveLength(3);
+  });
+
+  test("two hops never step sideways to a sibling", () => {
+    // a and x both feed b, but from a, x is not two steps along the arrows
+    expect(ids(getConnectedItems(model, "a", { depth: 2 }).nodes)).toEqual(["a", "b", "c"]);
+  });
+
+  test("upstream and downstream follow the arrows to the end", () => {
+    const down = getConnectedItems(model, "b", { depth: Infinity, direction: "downstream" });
+    expect(ids(down.nodes)).toEqual(["b", "c", "d"]);
+
+    const up = getConnectedItems(model, "c", { depth: Infinity, direction: "upstream" });
+    expect(ids(up.nodes)).toEqual(["a", "b", "c", "x"]);
+  });
+
+  test("unknown nodes reach nothing", () => {
+    expect(getConnectedItems(model, "nope")).toEqual({ nodes: [], edges: [] });
+  });
+});
@@ -1,5 +1,6 @@
 import { jest } from "@jest/globals";
-import { EventEmitter } from "../src/core/events.js";
+import { EventEmitter, emitDiagramEvent } from "../src/core/events.js";
+import { state, resetConfig } from "../src/core/config.js";
 
 describe("EventEmitter", () => {
   let events;
@@ -100,3 +101,60 @@ describe("EventEmitter", () => {
     expect(callback).not.toHaveBeenCalled();
   });
 });
+
+describe("emitDiagramEvent", () => {
+  let element;
+
+  beforeEach(() => {
+    resetConfig();
+    element = document.createElement("div");
+    element.dataset.diagviewIndex = "3";
+  });
+
+  test("has() reports whether an event has listeners", () => {
+    const off = state.events.on("zoom", () => {});
+    expect(state.events.has("zoom")).toBe(true);
+    off();
+    expect(state.events.has("zoom")).toBe(false);
+  });
+
+  test("payload carries element, index and view of the open diagram", () => {
+    const handler = jest.fn();
+    state.events.on("zoom", handler);
+    state.activeSourceElement = element;
+    state.rotationAngle = 90;
+    state.activePanzoom = { getScale: () => 2, getPan: () => ({ x: 5, y: -5 }) };
+
+    emitDiagramEvent(state, "zoom", element, { extra: true });
+
+    const { element: target, ...rest } = handler.mock.calls[0][0];
+    expect(target).toBe(element);
+    expect(rest).toEqual({
+      type: "zoom",
+      index: 3,
+      view: { scale: 2, pan: { x: 5, y: -5 }, rotation: 90 },
+      extra: true,
+    });
+  });
+
+  test("view is null for diagrams that are not open", () => {
+    const handler = jest.fn();
+    state.events.on("diagram:init", handler);
+
+    emitDiagramEvent(state, "diagram:init", element);
+
+    const payload = handler.mock.calls[0][0];
+    expect(payload.element).toBe(element);
+    expect(payload.index).toBe(3);
+    expect(payload.view).toBeNull();
+  });
+
+  test("does not touch panzoom when nobody is listening", () => {
+    const getScale = jest.fn();
+    state.activeSourceElement = element;
+    state.activePanzoom = { getScale, getPan: jest.fn() };
+
+    emitDiagramEvent(state, "pan", element);
+    expect(getScale).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Batch Export Tests
+ * The in-library ZIP writer (core/zip) and exporting every diagram on the page
+ * into one archive with a manifest (features/lazy/export-all).
+ */
+
+import { jest } from "@jest/globals";
+import { TextEncoder, TextDecoder } from "node:util";
+import { updateConfig, resetConfig } from "../src/core/config.js";
+
+// jsdom lacks TextEncoder; browsers all have it
+globalThis.TextEncoder = TextEncoder;
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showWarningToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/export.js", () => ({
+  exportToBlob: jest.fn(),
+  exportDiagram: jest.fn(),
+  generateFilename: (svg) => svg.getAttribute("data-name"),
+}));
+
+const { showSuccessToast, showWarningToast, showErrorToast } = await import("../src/ui/toast.js");
+const { exportToBlob } = await import("../src/features/export.js");
+const { crc32, createZip } = await import("../src/core/zip.js");
+const { exportAll } = await import("../src/features/lazy/export-all.js");
+
+/** Blob contents as bytes (jsdom's Blob has no arrayBuffer()) */
+function readBytes(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/** Minimal reader for stored (uncompressed) archives: walks the central directory */
+async function readZip(blob) {
+  const bytes = await readBytes(blob);
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const files = {};
+  let pos = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(pos, true)).toBe(0x02014b50);
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(start, start + size);
+    files[name] = { method, crc, data, text: new TextDecoder().decode(data) };
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+describe("ZIP writer", () => {
+  test("crc32 matches the standard check value", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  test("stores strings, bytes and blobs with UTF-8 names and checksums", async () => {
+    const zip = await createZip([
+      { name: "a.txt", data: "hello" },
+      { name: "/nested\\größe.bin", data: new Uint8Array([1, 2, 3]) },
+      { name: "b.svg", data: new Blob(["<svg/>"]) },
+    ]);
+    expect(zip.type).toBe("application/zip");
+
+    const files = await readZip(zip);
+    expect(Object.keys(files)).toEqual(["a.txt", "nested/größe.bin", "b.svg"]);
+    expect(files["a.txt"].text).toBe("hello");
+    expect(files["a.txt"].method).toBe(0);
+    expect(files["a.txt"].crc).toBe(crc32(new TextEncoder().encode("hello")));
+    expect(Array.from(files["nested/größe.bin"].data)).toEqual([1, 2, 3]);
+    expect(files["b.svg"].text).toBe("<svg/>");
+  });
+});
+
+describe("exportAll", () => {
+  let zipBlob;
+  let downloads;
+
+  beforeEach(() => {
+    resetConfig();
+    jest.clearAllMocks();
+    document.body.innerHTML = `
+      <div class="diagram" data-title="Payments"><svg data-name="payments"></svg></div>
+      <div class="diagram"><p>Not rendered yet</p></div>
+      <div class="diagram"><svg data-name="payments"><title>Billing</title></svg></div>
+    `;
+    exportToBlob.mockImplementation(async (el, format) => ({
+      blob: new Blob([`${format}:${el.querySelector("svg").outerHTML}`]),
+      extension: format,
+      width: 200,
+      height: 100,
+    }));
+
+    zipBlob = null;
+    downloads = [];
+    global.URL.createObjectURL = jest.fn((blob) => {
+      zipBlob = blob;
+      return "blob:zip";
+    });
+    global.URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads.push(this.download);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("zips every rendered diagram with unique names and a manifest", async () => {
+    expect(await exportAll({ format: "svg", scale: 2, transparent: true, filename: "docs" })).toBe(
+      true,
+    );
+
+    expect(downloads).toEqual(["docs.zip"]);
+    expect(exportToBlob).toHaveBeenCalledTimes(2);
+    expect(exportToBlob).toHaveBeenCalledWith(expect.any(HTMLElement), "svg", {
+      transparent: true,
+      scale: 2,
+      annotations: undefined,
+    });
+
+    const files = await readZip(zipBlob);
+    expect(Object.keys(files)).toEqual(["payments.svg", "payments-2.svg", "manifest.json"]);
+    expect(files["payments-2.svg"].text).toContain("Billing");
+
+    const manifest = JSON.parse(files["manifest.json"].text);
+    expect(manifest).toMatchObject({ generator: "DiagView", format: "svg", skipped: [] });
+    expect(manifest.diagrams).toEqual([
+      { index: 0, file: "payments.svg", title: "PAYMENTS", width: 200, height: 100 },
+      { index: 2, file: "payments-2.svg", title: "BILLING", width: 200, height: 100 },
+    ]);
+    expect(showSuccessToast).toHaveBeenCalledWith("2 diagrams saved as ZIP");
+  });
+
+  test("lists diagrams that fail to render as skipped", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    exportToBlob.mockRejectedValueOnce(new Error("Tainted canvas"));
+
+    expect(await exportAll()).toBe(true);
+    const files = await readZip(zipBlob);
+    expect(Object.keys(files)).toEqual(["payments.png", "manifest.json"]);
+    expect(JSON.parse(files["manifest.json"].text).skipped).toEqual([
+      { index: 0, title: "PAYMENTS", error: "Tainted canvas" },
+    ]);
+    expect(showWarningToast).toHaveBeenCalledWith("1 diagram saved as ZIP, 1 skipped");
+    expect(downloads[0]).toMatch(/^diagrams_.*\.zip$/);
+  });
+
+  test("rejects unknown formats and reports when nothing could be exported", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(await exportAll({ format: "pdf" })).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("png, jpeg, webp, svg"));
+
+    exportToBlob.mockRejectedValue(new Error("boom"));
+    expect(await exportAll()).toBe(false);
+    expect(showErrorToast).toHaveBeenCalled();
+    expect(downloads).toEqual([]);
+  });
+
+  test("uses diagramSelector and does nothing without diagrams", async () => {
+    updateConfig({ diagramSelector: ".none" });
+    expect(await exportAll()).toBe(false);
+    expect(exportToBlob).not.toHaveBeenCalled();
+  });
+});
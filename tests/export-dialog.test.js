@@ -0,0 +1,288 @@
+/**
+ * Export Dialog & Presets Tests
+ * Export settings (core/export-settings), preset validation, the background,
+ * padding and watermark overrides, and the export dialog's controls, preview
+ * and export.
+ */
+
+import { jest } from "@jest/globals";
+import "jest-canvas-mock";
+import {
+  normalizeExportSettings,
+  getExportPresets,
+  resolveExportSettings,
+  resolveExportScale,
+} from "../src/core/export-settings.js";
+import { exportToBlob } from "../src/features/export.js";
+import { openExportDialog, closeExportDialog } from "../src/features/lazy/export-dialog.js";
+import { state, updateConfig, resetConfig } from "../src/core/config.js";
+
+/** Blob contents as text (jsdom's Blob has no text()) */
+function readText(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+async function exportedSvg(container, options) {
+  const { blob } = await exportToBlob(container, "svg", options);
+  return new DOMParser().parseFromString(await readText(blob), "image/svg+xml").documentElement;
+}
+
+const NS = "http://www.w3.org/2000/svg";
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** Wait for the preview of the dialog to render */
+async function previewReady() {
+  for (let i = 0; i < 50 && !document.querySelector(".dv-expd-size")?.textContent; i++) {
+    await flush();
+  }
+}
+
+describe("Export settings", () => {
+  afterEach(() => resetConfig());
+
+  test("normalising keeps known settings, clamped", () => {
+    expect(
+      normalizeExportSettings({
+        format: "JPG",
+        scale: 50,
+        dpi: 10,
+        width: 1920.4,
+        padding: -3,
+        quality: 2,
+        transparent: "yes",
+        watermark: false,
+        bogus: 1,
+      }),
+    ).toEqual({
+      format: "jpeg",
+      scale: 10,
+      dpi: 72,
+      width: 1920,
+      padding: 0,
+      quality: 1,
+      watermark: false,
+    });
+    expect(normalizeExportSettings({ format: "gif", scale: "abc" })).toEqual({});
+  });
+
+  test("presets come from config, and explicit options win over them", () => {
+    expect(getExportPresets(state.config).map((p) => [p.name, p.label])).toEqual([
+      ["slides-1080p", "Slides 1080p"],
+      ["print-300dpi", "Print 300dpi"],
+    ]);
+
+    expect(resolveExportSettings(state.config, { preset: "slides-1080p" })).toEqual({
+      format: "png",
+      width: 1920,
+      height: 1080,
+    });
+    // A scale replaces the preset's pixel box; a dpi preset gives way to a scale
+    expect(resolveExportSettings(state.config, { preset: "slides-1080p", scale: 2 })).toEqual({
+      format: "png",
+      scale: 2,
+    });
+    expect(resolveExportSettings(state.config, { preset: "print-300dpi", scale: 2 })).toEqual({
+      format: "png",
+      scale: 2,
+    });
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(resolveExportSettings(state.config, { preset: "nope", quality: 0.5 })).toEqual({
+      quality: 0.5,
+    });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"nope"'));
+    warn.mockRestore();
+  });
+
+  test("invalid presets are dropped, null removes a default", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({
+      exportPresets: {
+        "print-300dpi": null,
+        banner: { label: "Banner", format: "webp", width: 1500, quality: 0.8 },
+        broken: { format: "gif" },
+      },
+    });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('exportPresets["broken"]'));
+    expect(getExportPresets(state.config).map((p) => p.name)).toEqual(["slides-1080p", "banner"]);
+
+    updateConfig({ exportPresets: "all" });
+    expect(getExportPresets(state.config)).toHaveLength(2);
+    warn.mockRestore();
+  });
+
+  test("scale precedence: pixel box, then dpi, then scale, then the fallback", () => {
+    const cap = 1e9;
+    expect(resolveExportScale(400, 300, { width: 1200, height: 600, dpi: 300 }, 4, cap)).toEqual({
+      scale: 2,
+      capped: false,
+    });
+    expect(resolveExportScale(400, 300, { dpi: 192, scale: 3 }, 4, cap).scale).toBe(2);
+    expect(resolveExportScale(400, 300, { scale: 3 }, 4, cap).scale).toBe(3);
+    expect(resolveExportScale(400, 300, {}, 4, cap).scale).toBe(4);
+    // maxPixels still applies
+    expect(resolveExportScale(400, 300, { scale: 10 }, 4, 120000 * 4)).toEqual({
+      scale: 2,
+      capped: true,
+    });
+  });
+});
+
+describe("Export overrides", () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.innerHTML = `<svg xmlns="${NS}" viewBox="0 0 400 300"><rect width="400" height="300"/></svg>`;
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    resetConfig();
+  });
+
+  test("padding and background replace the automatic values", async () => {
+    const svg = await exportedSvg(container, { padding: 0, background: "#123456" });
+    expect(svg.getAttribute("viewBox")).toBe("0 0 400 300");
+    expect(svg.querySelector("rect").getAttribute("fill")).toBe("#123456");
+  });
+
+  test("the watermark can be switched off or replaced per export", async () => {
+    updateConfig({ watermark: { enabled: true, text: "ACME" } });
+    const texts = (svg) => Array.from(svg.querySelectorAll("text")).map((t) => t.textContent);
+
+    expect(texts(await exportedSvg(container, {}))).toContain("ACME");
+    expect(texts(await exportedSvg(container, { watermark: false }))).not.toContain("ACME");
+    expect(texts(await exportedSvg(container, { watermark: { text: "Draft" } }))).toEqual(
+      expect.arrayContaining(["Draft"]),
+    );
+  });
+
+  test("each exported diagram uses its own data-* watermark, not the open one's", async () => {
+    updateConfig({ watermark: { enabled: true, text: "ACME" } });
+    const texts = (svg) => Array.from(svg.querySelectorAll("text")).map((t) => t.textContent);
+    const open = document.createElement("div");
+    open.dataset.diagviewWatermarkText = "Open diagram";
+    state.activeSourceElement = open;
+    container.dataset.diagviewWatermarkText = "Team B";
+
+    try {
+      const exported = texts(await exportedSvg(container, {}));
+      expect(exported).toContain("Team B");
+      expect(exported).not.toContain("Open diagram");
+    } finally {
+      state.activeSourceElement = null;
+    }
+  });
+});
+
+describe("Export dialog", () => {
+  let container;
+  let downloads;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.innerHTML = `<svg xmlns="${NS}" viewBox="0 0 400 300"><rect width="400" height="300"/></svg>`;
+    document.body.appendChild(container);
+
+    URL.createObjectURL = jest.fn(() => "blob:preview");
+    URL.revokeObjectURL = jest.fn();
+    downloads = [];
+    jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads.push({ href: this.href, name: this.download });
+    });
+  });
+
+  afterEach(() => {
+    closeExportDialog();
+    container.remove();
+    resetConfig();
+    jest.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  const dialogEl = () => document.querySelector(".diagview-export-dialog");
+  const field = (name) => dialogEl().querySelector(`[name="${name}"]`);
+  const setField = (name, value) => {
+    const el = field(name);
+    if (el.type === "checkbox") el.checked = value;
+    else el.value = value;
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+  };
+
+  test("opens with the presets and a live preview", async () => {
+    const closed = openExportDialog(container);
+    await previewReady();
+
+    expect(dialogEl().getAttribute("role")).toBe("dialog");
+    expect(state.exportDialogOpen).toBe(true);
+    expect(Array.from(field("preset").options).map((o) => o.textContent)).toEqual([
+      "Custom",
+      "Slides 1080p",
+      "Print 300dpi",
+    ]);
+    // No modal: only the whole diagram can be exported
+    expect(field("area").options).toHaveLength(1);
+    expect(dialogEl().querySelector(".dv-expd-preview img").src).toBe("blob:preview");
+    // 440 x 340 with padding, at the default scale of 4
+    expect(dialogEl().querySelector(".dv-expd-size").textContent).toBe("1760 × 1360 px");
+
+    dialogEl().querySelector(".dv-expd-cancel").click();
+    expect(await closed).toBe(false);
+    expect(dialogEl()).toBeNull();
+    expect(state.exportDialogOpen).toBe(false);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:preview");
+  });
+
+  test("presets fill the controls; scale and DPI stay in step", async () => {
+    jest.useFakeTimers();
+    openExportDialog(container, { preset: "print-300dpi" });
+    expect(field("preset").value).toBe("print-300dpi");
+    expect(field("dpi").value).toBe("300");
+    expect(field("scale").value).toBe("3.125");
+
+    setField("scale", "2");
+    expect(field("dpi").value).toBe("192");
+    expect(field("preset").value).toBe("");
+
+    setField("preset", "slides-1080p");
+    expect(field("scale").value).toBe("");
+    await jest.advanceTimersByTimeAsync(300);
+    // Fits 440 x 340 into 1920 x 1080
+    expect(dialogEl().querySelector(".dv-expd-size").textContent).toBe("1398 × 1080 px");
+
+    // Quality only applies to JPEG and WebP
+    expect(dialogEl().querySelector(".dv-expd-quality").hidden).toBe(true);
+    setField("format", "jpeg");
+    expect(dialogEl().querySelector(".dv-expd-quality").hidden).toBe(false);
+    jest.useRealTimers();
+  });
+
+  test("Export downloads with the dialog's settings", async () => {
+    updateConfig({ watermark: { enabled: true, text: "ACME" } });
+    const closed = openExportDialog(container);
+    await previewReady();
+    expect(field("watermark").value).toBe("ACME");
+
+    setField("format", "svg");
+    setField("padding", "0");
+    setField("watermark", "");
+    setField("filename", "overview");
+    dialogEl().querySelector(".dv-expd-export").click();
+
+    expect(dialogEl()).toBeNull();
+    expect(await closed).toBe(true);
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].name).toBe("overview.svg");
+
+    const markup = decodeURIComponent(downloads[0].href.slice(downloads[0].href.indexOf(",") + 1));
+    expect(markup).toContain('viewBox="0 0 400 300"');
+    expect(markup).not.toContain("ACME");
+  });
+});
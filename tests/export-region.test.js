@@ -0,0 +1,258 @@
+/**
+ * Export Region Tests
+ * Mapping screen rectangles to SVG coordinates (core/svg-geometry), cropping
+ * exports to a region, and the "visible" / "selection" modes of exportDiagram.
+ */
+
+import { jest } from "@jest/globals";
+import "jest-canvas-mock";
+import { getScreenRectInSVGCoords, getViewportRectInSVGCoords } from "../src/core/svg-geometry.js";
+import { exportDiagram, exportToBlob } from "../src/features/export.js";
+import { selectExportRegion, cancelRegionSelection } from "../src/features/lazy/region-select.js";
+import { state, updateConfig, resetConfig, runModalCleanupFunctions } from "../src/core/config.js";
+
+/**
+ * Give an SVG a screen CTM of `scale` plus an offset: screen = scale * svg + offset
+ */
+function mockCTM(svg, scale, offsetX, offsetY) {
+  const apply = (m) =>
+    function (pt) {
+      return { x: m.a * pt.x + m.e, y: m.d * pt.y + m.f };
+    };
+  svg.createSVGPoint = () => {
+    const pt = { x: 0, y: 0 };
+    pt.matrixTransform = (m) => apply(m)(pt);
+    return pt;
+  };
+  const ctm = { a: scale, b: 0, c: 0, d: scale, e: offsetX, f: offsetY };
+  ctm.inverse = () => ({
+    a: 1 / scale,
+    b: 0,
+    c: 0,
+    d: 1 / scale,
+    e: -offsetX / scale,
+    f: -offsetY / scale,
+  });
+  svg.getScreenCTM = () => ctm;
+}
+
+/** Blob contents as text (jsdom's Blob has no text()) */
+function readText(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+/** Parse a data:image/svg+xml URL back into an SVG element */
+function parseSvgUrl(url) {
+  const markup = decodeURIComponent(url.slice(url.indexOf(",") + 1));
+  return new DOMParser().parseFromString(markup, "image/svg+xml").documentElement;
+}
+
+const NS = "http://www.w3.org/2000/svg";
+
+describe("Screen rectangles in SVG coordinates", () => {
+  test("maps the corners through the inverse CTM", () => {
+    const svg = document.createElementNS(NS, "svg");
+    mockCTM(svg, 2, 100, 50);
+
+    expect(getScreenRectInSVGCoords(svg, { left: 100, top: 50, width: 400, height: 200 })).toEqual({
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 100,
+    });
+
+    const viewport = document.createElement("div");
+    viewport.getBoundingClientRect = () => ({ left: 120, top: 70, width: 40, height: 20 });
+    expect(getViewportRectInSVGCoords(viewport, svg)).toEqual({
+      x: 10,
+      y: 10,
+      width: 20,
+      height: 10,
+    });
+
+    svg.getScreenCTM = () => null;
+    expect(getScreenRectInSVGCoords(svg, { left: 0, top: 0, width: 1, height: 1 })).toBeNull();
+  });
+});
+
+describe("Cropped exports", () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.innerHTML = `<svg xmlns="${NS}" viewBox="0 0 400 300"><rect width="400" height="300"/></svg>`;
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    resetConfig();
+  });
+
+  test("a region becomes the viewBox and the output size", async () => {
+    const file = await exportToBlob(container, "svg", {
+      region: { x: 50, y: 40, width: 120, height: 80 },
+    });
+    expect([file.width, file.height]).toEqual([120, 80]);
+
+    const svg = new DOMParser().parseFromString(
+      await readText(file.blob),
+      "image/svg+xml",
+    ).documentElement;
+    expect(svg.getAttribute("viewBox")).toBe("50 40 120 80");
+    // The background rect starts at the crop origin
+    expect(svg.querySelector("rect").getAttribute("x")).toBe("50");
+  });
+
+  test("regions are clipped to the full export box and must overlap it", async () => {
+    // Full export: 400 x 300 plus 20 units of padding on every side
+    const file = await exportToBlob(container, "svg", {
+      region: { x: 300, y: -100, width: 500, height: 200 },
+    });
+    expect([file.width, file.height]).toEqual([120, 120]);
+
+    await expect(
+      exportToBlob(container, "svg", { region: { x: 1000, y: 0, width: 10, height: 10 } }),
+    ).rejects.toThrow("does not contain");
+  });
+
+  test("the watermark is placed inside the cropped area", async () => {
+    updateConfig({ watermark: { enabled: true, text: "ACME", position: "bottom-right" } });
+    const file = await exportToBlob(container, "svg", {
+      region: { x: 50, y: 40, width: 200, height: 100 },
+      transparent: true,
+    });
+    const svg = new DOMParser().parseFromString(
+      await readText(file.blob),
+      "image/svg+xml",
+    ).documentElement;
+    const mark = Array.from(svg.querySelectorAll("text")).find((t) => t.textContent === "ACME");
+
+    // Font size is 2.5% of the longer side, and the same again as margin
+    expect(Number(mark.getAttribute("x"))).toBeCloseTo(250 - 5);
+    expect(Number(mark.getAttribute("y"))).toBeCloseTo(140 - 5);
+  });
+});
+
+describe("exportDiagram region modes", () => {
+  let container;
+  let viewport;
+  let clone;
+  let downloads;
+  let events;
+  const onStart = (e) => events.push(e);
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.innerHTML = `<svg xmlns="${NS}" viewBox="0 0 400 300"><rect width="400" height="300"/></svg>`;
+    document.body.appendChild(container);
+
+    viewport = document.createElement("div");
+    viewport.id = "diagview-modal-viewport";
+    viewport.innerHTML = `<svg xmlns="${NS}" viewBox="0 0 400 300"><rect width="400" height="300"/></svg>`;
+    clone = viewport.querySelector("svg");
+    mockCTM(clone, 2, 100, 50);
+    viewport.getBoundingClientRect = () => ({ left: 100, top: 50, width: 400, height: 200 });
+    document.body.appendChild(viewport);
+
+    downloads = [];
+    jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads.push(this.href);
+    });
+    events = [];
+    state.events.on("export:start", onStart);
+  });
+
+  afterEach(() => {
+    state.events.off("export:start", onStart);
+    state.isModalOpen = false;
+    cancelRegionSelection();
+    container.remove();
+    viewport.remove();
+    jest.restoreAllMocks();
+  });
+
+  test('"visible" exports what the modal viewport shows', async () => {
+    state.isModalOpen = true;
+    expect(await exportDiagram(container, "svg", { region: "visible" })).toBe(true);
+
+    expect(parseSvgUrl(downloads[0]).getAttribute("viewBox")).toBe("0 0 200 100");
+    expect(events).toHaveLength(1);
+  });
+
+  test("region modes need the modal", async () => {
+    expect(await exportDiagram(container, "svg", { region: "visible" })).toBe(false);
+    expect(downloads).toEqual([]);
+    expect(events).toEqual([]);
+  });
+
+  test("explicit regions work without the modal; invalid ones export everything", async () => {
+    await exportDiagram(container, "svg", { region: { x: 10, y: 20, width: 30, height: 40 } });
+    expect(parseSvgUrl(downloads[0]).getAttribute("viewBox")).toBe("10 20 30 40");
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    await exportDiagram(container, "svg", { region: { x: 0, y: 0, width: -5, height: 10 } });
+    expect(warn).toHaveBeenCalled();
+    expect(parseSvgUrl(downloads[1]).getAttribute("viewBox")).toBe("-20 -20 440 340");
+  });
+
+  describe("selection", () => {
+    function pointer(type, x, y, target) {
+      const event = new MouseEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        clientX: x,
+        clientY: y,
+      });
+      Object.defineProperty(event, "pointerId", { value: 1 });
+      target.dispatchEvent(event);
+    }
+
+    test("a dragged rectangle becomes the exported area", async () => {
+      state.isModalOpen = true;
+      const done = exportDiagram(container, "svg", { region: "selection" });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const overlay = viewport.querySelector(".dv-region-select");
+      expect(overlay).not.toBeNull();
+      expect(state.selectingRegion).toBe(true);
+
+      // A click is ignored, a drag (in any direction) selects
+      pointer("pointerdown", 200, 100, overlay);
+      pointer("pointerup", 202, 101, overlay);
+      expect(viewport.querySelector(".dv-region-select")).not.toBeNull();
+
+      pointer("pointerdown", 300, 250, overlay);
+      pointer("pointermove", 250, 150, overlay);
+      expect(overlay.querySelector(".dv-region-box").classList.contains("show")).toBe(true);
+      pointer("pointerup", 140, 90, overlay);
+
+      expect(await done).toBe(true);
+      expect(parseSvgUrl(downloads[0]).getAttribute("viewBox")).toBe("20 20 80 80");
+      expect(viewport.querySelector(".dv-region-select")).toBeNull();
+      expect(state.selectingRegion).toBe(false);
+    });
+
+    test("cancelling exports nothing", async () => {
+      state.isModalOpen = true;
+      const done = exportDiagram(container, "png", { region: "selection" });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      cancelRegionSelection();
+
+      expect(await done).toBe(false);
+      expect(events).toEqual([]);
+      expect(viewport.querySelector(".dv-region-select")).toBeNull();
+    });
+
+    test("closing the modal cancels the selection", async () => {
+      const pending = selectExportRegion();
+      runModalCleanupFunctions();
+      expect(await pending).toBeNull();
+      expect(state.selectingRegion).toBe(false);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 import { jest } from "@jest/globals";
 import "jest-canvas-mock";
-import { exportDiagram, renderToCanvas } from "../src/features/export.js";
+import { exportDiagram, exportToBlob, renderToCanvas } from "../src/features/export.js";
 import { state, updateConfig } from "../src/core/config.js";
+import { setAnnotations } from "../src/core/annotations.js";
 
 describe("Export Functionality", () => {
   let container, svg;
@@ -77,6 +78,21 @@ describe("Export Functionality", () => {
     expect(scale).toBeCloseTo(0.0909);
   });
 
+  test("exportToBlob renders in memory at a custom scale without downloading", async () => {
+    const png = await exportToBlob(container, "png", { scale: 3 });
+    expect(png.extension).toBe("png");
+    expect([png.width, png.height]).toEqual([420, 420]);
+    expect(png.blob).toBeInstanceOf(Blob);
+
+    // JPEG cannot be transparent: switches to PNG like exportToJPEG
+    expect((await exportToBlob(container, "jpeg", { transparent: true })).extension).toBe("png");
+
+    const svgFile = await exportToBlob(container, "svg");
+    expect(svgFile).toMatchObject({ extension: "svg", width: 140, height: 140 });
+    expect(svgFile.blob.type).toBe("image/svg+xml;charset=utf-8");
+    expect(global.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
   test("exportDiagram triggers download with correct format", async () => {
     // Clear previous calls
     global.URL.createObjectURL.mockClear();
@@ -87,6 +103,66 @@ describe("Export Functionality", () => {
     expect(global.URL.createObjectURL).toHaveBeenCalled();
   });
 
+  test("exportDiagram emits export:start and export:success", async () => {
+    const events = [];
+    const offStart = state.events.on("export:start", (e) => events.push(e));
+    const offSuccess = state.events.on("export:success", (e) => events.push(e));
+
+    const result = await exportDiagram(container, "download");
+
+    expect(result).toBe(true);
+    expect(events.map((e) => e.type)).toEqual(["export:start", "export:success"]);
+    expect(events[1].element).toBe(container);
+    expect(events[1].format).toBe("png");
+    offStart();
+    offSuccess();
+  });
+
+  test("exportDiagram emits export:error when the exporter fails", async () => {
+    const onError = jest.fn();
+    const off = state.events.on("export:error", onError);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    global.URL.createObjectURL.mockImplementation(() => {
+      throw new Error("blocked");
+    });
+
+    const result = await exportDiagram(container, "png");
+
+    expect(result).toBe(false);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].format).toBe("png");
+    off();
+    console.error.mockRestore();
+  });
+
+  test("annotations are only included when requested, and grow the export to fit", async () => {
+    setAnnotations(container, [
+      {
+        type: "rect",
+        color: "#ef4444",
+        width: 2,
+        points: [
+          [-50, -50],
+          [0, 0],
+        ],
+      },
+    ]);
+    const serialize = jest.spyOn(XMLSerializer.prototype, "serializeToString");
+
+    const plain = await renderToCanvas(container);
+    expect(plain.canvas.width).toBe(280);
+    expect(serialize.mock.calls.at(-1)[0].querySelector(".dv-annotations")).toBeNull();
+
+    const annotated = await renderToCanvas(container, null, false, { annotations: true });
+    // Box starts 52 units up/left (stroke included): 152 + 40 padding = 192 * 2 scale
+    expect(annotated.canvas.width).toBe(384);
+    const layer = serialize.mock.calls.at(-1)[0].querySelector(".dv-annotations");
+    expect(layer.querySelector("rect").getAttribute("x")).toBe("-50");
+
+    serialize.mockRestore();
+    setAnnotations(container, []);
+  });
+
   test("visibility guard warns when exporting hidden elements", async () => {
     const consoleSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
     svg.style.display = "none";
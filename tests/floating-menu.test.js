@@ -17,6 +17,10 @@ jest.unstable_mockModule("../src/features/lazy/share.js", () => ({
 jest.unstable_mockModule("../src/features/lazy/rotate.js", () => ({
   rotateDiagram: jest.fn(),
 }));
+jest.unstable_mockModule("../src/features/lazy/meeting-mode.js", () => ({
+  setLaserEffect: jest.fn(),
+  toggleMeetingMode: jest.fn(),
+}));
 jest.unstable_mockModule("../src/ui/modal.js", () => ({
   openFullscreen: jest.fn(),
   closeModal: jest.fn(),
@@ -27,6 +31,7 @@ const { createFloatingMenu } = await import("../src/ui/floating-menu.js");
 const { exportDiagram } = await import("../src/features/export.js");
 const { shareLink } = await import("../src/features/lazy/share.js");
 const { rotateDiagram } = await import("../src/features/lazy/rotate.js");
+const { setLaserEffect, toggleMeetingMode } = await import("../src/features/lazy/meeting-mode.js");
 
 describe("Floating Menu UI", () => {
   let sourceElement, clonedSvg;
@@ -130,4 +135,40 @@ describe("Floating Menu UI", () => {
     await new Promise((r) => setTimeout(r, 10));
     expect(exportDiagram).toHaveBeenCalledWith(sourceElement, "png", expect.any(Object));
   });
+
+  test("Interaction: The area picker limits exports to the visible area or a selection", async () => {
+    createFloatingMenu(sourceElement, clonedSvg);
+    const visibleBtn = document.querySelector('.dv-exp-area[data-area="visible"]');
+    visibleBtn.click();
+    expect(visibleBtn.getAttribute("aria-pressed")).toBe("true");
+    expect(document.querySelector('[data-area="full"]').getAttribute("aria-pressed")).toBe("false");
+
+    document.querySelector('[data-action="svg"]').click();
+    await new Promise((r) => setTimeout(r, 10));
+    expect(exportDiagram).toHaveBeenLastCalledWith(
+      sourceElement,
+      "svg",
+      expect.objectContaining({ region: "visible", modalClone: clonedSvg }),
+    );
+  });
+
+  test("Interaction: Pointer effect buttons pick the effect and start meeting mode", async () => {
+    state.laserEffect = "ripple";
+    createFloatingMenu(sourceElement, clonedSvg);
+    const buttons = document.querySelectorAll(".dv-laser-effect");
+    expect(Array.from(buttons).map((b) => b.dataset.effect)).toEqual([
+      "dot",
+      "trail",
+      "spotlight",
+      "ripple",
+    ]);
+    expect(document.querySelector('[data-effect="ripple"]').getAttribute("aria-pressed")).toBe(
+      "true",
+    );
+
+    document.querySelector('[data-effect="spotlight"]').click();
+    await new Promise((r) => setTimeout(r, 10));
+    expect(setLaserEffect).toHaveBeenCalledWith("spotlight");
+    expect(toggleMeetingMode).toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,170 @@
+/**
+ * Gallery Navigation Tests
+ * Verifies diagram discovery, bounds handling, control state and
+ * per-session view memory when switching diagrams inside the modal.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+
+// Mock modal.js — switching is covered by modal tests, here we only track calls
+jest.unstable_mockModule("../src/ui/modal.js", () => ({
+  openFullscreen: jest.fn(),
+  switchDiagram: jest.fn(async (el) => {
+    state.activeSourceElement = el;
+  }),
+}));
+
+const { switchDiagram } = await import("../src/ui/modal.js");
+const { getGalleryDiagrams, navigateGallery, goToDiagram, syncGallery, cleanupGallery } =
+  await import("../src/features/lazy/gallery.js");
+const { saveZoomState, restoreZoomState, clearTransientZoomStates } =
+  await import("../src/features/panzoom-integration.js");
+
+describe("Gallery Navigation", () => {
+  let diagrams;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <div class="diagram" id="d1"><svg></svg></div>
+      <div class="diagram" id="d2" data-diagview-error="true"><svg></svg></div>
+      <div class="diagram" id="d3"><svg></svg></div>
+      <div class="diagram" id="d4">graph TD; A-->B</div>
+      <div class="diagram" id="d5"><svg></svg></div>
+      <nav id="diagview-gallery">
+        <button id="diagview-gallery-prev"></button>
+        <button id="diagview-gallery-counter"></button>
+        <button id="diagview-gallery-next"></button>
+        <div id="diagview-gallery-strip"></div>
+      </nav>
+      <div id="diagview-modal-viewport"></div>
+    `;
+    diagrams = ["d1", "d3", "d5"].map((id) => document.getElementById(id));
+    state.isModalOpen = true;
+    state.activeSourceElement = diagrams[0];
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanupGallery();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+  });
+
+  test("getGalleryDiagrams skips unrendered and errored diagrams", () => {
+    expect(getGalleryDiagrams()).toEqual(diagrams);
+  });
+
+  test("navigateGallery moves forward and backward", async () => {
+    await expect(navigateGallery(1)).resolves.toBe(true);
+    expect(switchDiagram).toHaveBeenCalledWith(diagrams[1]);
+
+    await navigateGallery(-1);
+    expect(state.activeSourceElement).toBe(diagrams[0]);
+  });
+
+  test("navigateGallery does not wrap around at the ends", async () => {
+    await expect(navigateGallery(-1)).resolves.toBe(false);
+
+    state.activeSourceElement = diagrams[2];
+    await expect(navigateGallery(1)).resolves.toBe(false);
+    expect(switchDiagram).not.toHaveBeenCalled();
+  });
+
+  test("goToDiagram is a no-op when the gallery is disabled", async () => {
+    updateConfig({ showGallery: false });
+    await expect(goToDiagram(2)).resolves.toBe(false);
+    expect(switchDiagram).not.toHaveBeenCalled();
+  });
+
+  test("syncGallery updates counter and disables buttons at the ends", () => {
+    syncGallery(diagrams[0]);
+
+    const nav = document.getElementById("diagview-gallery");
+    expect(nav.classList.contains("show")).toBe(true);
+    expect(document.getElementById("diagview-gallery-counter").textContent).toBe("1 / 3");
+    expect(document.getElementById("diagview-gallery-prev").disabled).toBe(true);
+    expect(document.getElementById("diagview-gallery-next").disabled).toBe(false);
+
+    syncGallery(diagrams[2]);
+    expect(document.getElementById("diagview-gallery-counter").textContent).toBe("3 / 3");
+    expect(document.getElementById("diagview-gallery-next").disabled).toBe(true);
+  });
+
+  test("syncGallery hides controls when only one diagram is navigable", () => {
+    diagrams[1].remove();
+    diagrams[2].remove();
+    syncGallery(diagrams[0]);
+    expect(document.getElementById("diagview-gallery").classList.contains("show")).toBe(false);
+  });
+
+  test("open strip renders one thumbnail per diagram and marks the active one", () => {
+    document.getElementById("diagview-gallery").classList.add("dv-gallery-open");
+    syncGallery(diagrams[1]);
+
+    const thumbs = document.querySelectorAll(".dv-gallery-thumb");
+    expect(thumbs).toHaveLength(3);
+    expect(thumbs[1].getAttribute("aria-current")).toBe("true");
+    expect(thumbs[0].hasAttribute("aria-current")).toBe(false);
+    expect(thumbs[2].dataset.position).toBe("2");
+  });
+
+  test("cleanupGallery hides the UI and clears thumbnails", () => {
+    const nav = document.getElementById("diagview-gallery");
+    nav.classList.add("dv-gallery-open");
+    syncGallery(diagrams[0]);
+
+    cleanupGallery();
+    expect(nav.classList.contains("show")).toBe(false);
+    expect(nav.classList.contains("dv-gallery-open")).toBe(false);
+    expect(document.getElementById("diagview-gallery-strip").children).toHaveLength(0);
+  });
+
+  test("injects its stylesheet once on first sync; removeStyles drops it", async () => {
+    const { removeStyles } = await import("../src/ui/styles.js");
+    syncGallery(diagrams[0]);
+    syncGallery(diagrams[1]);
+    expect(document.querySelectorAll("#diagview-gallery-styles")).toHaveLength(1);
+
+    removeStyles();
+    expect(document.getElementById("diagview-gallery-styles")).toBeNull();
+  });
+});
+
+describe("Transient zoom state", () => {
+  const mockPanzoom = {
+    getScale: () => 2,
+    getPan: () => ({ x: 15, y: -5 }),
+    zoom: jest.fn(),
+    pan: jest.fn(),
+  };
+
+  beforeEach(() => {
+    resetConfig();
+    sessionStorage.clear();
+    clearTransientZoomStates();
+    state.rotationAngle = 0;
+    jest.clearAllMocks();
+  });
+
+  test("restores view even when rememberZoom is disabled", () => {
+    updateConfig({ rememberZoom: false });
+    state.rotationAngle = 90;
+    saveZoomState("g1", mockPanzoom, { transient: true });
+    expect(sessionStorage.getItem("diagview-zoom-states:g1")).toBeNull();
+
+    state.rotationAngle = 0;
+    expect(restoreZoomState("g1", mockPanzoom, { transient: true })).toBe(true);
+    expect(mockPanzoom.zoom).toHaveBeenCalledWith(2, { animate: false });
+    expect(mockPanzoom.pan).toHaveBeenCalledWith(15, -5, { animate: false });
+    expect(state.rotationAngle).toBe(90);
+  });
+
+  test("clearTransientZoomStates forgets session views", () => {
+    updateConfig({ rememberZoom: false });
+    saveZoomState("g1", mockPanzoom, { transient: true });
+    clearTransientZoomStates();
+    expect(restoreZoomState("g1", mockPanzoom, { transient: true })).toBe(false);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Interactive HTML Export Tests
+ * The standalone page written by exportDiagram(el, "html") and its inlined
+ * viewer: zoom, pan, search and minimap, run against jsdom.
+ */
+
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showWarningToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+const { exportDiagram } = await import("../src/features/export.js");
+const { buildInteractiveHTML } = await import("../src/features/lazy/html-export.js");
+const { showSuccessToast } = await import("../src/ui/toast.js");
+
+/** Blob contents as text (jsdom's Blob has no text()) */
+function readText(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+const SOURCE = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 200" width="400" height="200">
+  <g class="node" id="a"><rect width="80" height="40"/><text x="10" y="20">Alpha service</text></g>
+  <g class="node" id="b"><rect x="300" width="80" height="40"/><text x="310" y="20">Beta</text></g>
+  <script>window.hacked = true</script>
+</svg>`;
+
+const VIEWER = {
+  minZoom: 0.5,
+  maxZoom: 8,
+  zoomStep: 1.25,
+  panStep: 40,
+  panStepFast: 120,
+  minimap: true,
+  minimapSize: 180,
+};
+
+/** Load a generated page into the test document and run its viewer */
+function openPage(html) {
+  const page = new DOMParser().parseFromString(html, "text/html");
+  document.title = page.title;
+  document.body.innerHTML = page.body.innerHTML;
+  const stage = document.querySelector(".dv-html-stage");
+  stage.getBoundingClientRect = () => ({
+    left: 0,
+    top: 0,
+    width: 800,
+    height: 400,
+    right: 800,
+    bottom: 400,
+  });
+  new Function(page.querySelector("script").textContent)();
+  return stage;
+}
+
+const viewBox = () =>
+  document.querySelector(".dv-html-stage svg").getAttribute("viewBox").split(" ").map(Number);
+const click = (action) => document.querySelector(`[data-action="${action}"]`).click();
+const pointer = (target, type, x, y) =>
+  target.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+
+describe("HTML export", () => {
+  let container;
+  let blobs;
+  let downloads;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    container = document.createElement("div");
+    container.setAttribute("data-title", "Flow <v2>");
+    container.innerHTML = SOURCE;
+    document.body.appendChild(container);
+
+    blobs = [];
+    downloads = [];
+    URL.createObjectURL = jest.fn((blob) => {
+      blobs.push(blob);
+      return `blob:${blobs.length}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      downloads.push(this.download);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.body.innerHTML = "";
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    delete window.hacked;
+  });
+
+  test("writes one self-contained page with the sanitized diagram", async () => {
+    const ok = await exportDiagram(container, "html", { filename: "flow", padding: 0 });
+    expect(ok).toBe(true);
+    expect(downloads).toEqual(["flow.html"]);
+    expect(blobs[0].type).toBe("text/html;charset=utf-8");
+    expect(showSuccessToast).toHaveBeenCalledWith("HTML saved");
+
+    const html = await readText(blobs[0]);
+    expect(html.startsWith("<!DOCTYPE html>")).toBe(true);
+    expect(html).toContain("<title>FLOW &lt;V2&gt;</title>");
+    // Nothing to fetch: no external scripts, styles or images
+    expect(html).not.toMatch(/<(script|link|img)[^>]+(src|href)=/);
+    // The diagram is JSON in the viewer's script; its own <script> is gone
+    expect(html).not.toContain("hacked");
+    expect(html.match(/<script>/g)).toHaveLength(1);
+
+    openPage(html);
+    const svg = document.querySelector(".dv-html-stage svg");
+    expect(svg.querySelectorAll("g.node")).toHaveLength(2);
+    expect(svg.getAttribute("width")).toBeNull();
+    expect(viewBox()).toEqual([0, 0, 400, 200]);
+  });
+
+  test("buttons, wheel and keys zoom; dragging pans", () => {
+    const stage = openPage(
+      buildInteractiveHTML(SOURCE, {
+        title: "T",
+        background: "#fff",
+        text: "#000",
+        accent: "#00f",
+        viewer: VIEWER,
+      }),
+    );
+    const label = document.querySelector(".dv-html-zoom output");
+    expect(label.textContent).toBe("100%");
+
+    click("zoom-in");
+    expect(label.textContent).toBe("125%");
+    expect(viewBox()).toEqual([40, 20, 320, 160]);
+
+    // 2 px on screen per SVG unit; the point under the cursor stays put
+    click("reset");
+    stage.dispatchEvent(
+      new WheelEvent("wheel", {
+        deltaY: -300 * Math.log(2),
+        clientX: 200,
+        clientY: 100,
+        cancelable: true,
+      }),
+    );
+    const [x, y, w, h] = viewBox();
+    expect(w).toBeCloseTo(200);
+    expect(h).toBeCloseTo(100);
+    expect(x + (200 / 800) * w).toBeCloseTo(100);
+    expect(y + (100 / 400) * h).toBeCloseTo(50);
+
+    // Now 4 px per unit: a 40 px drag moves 10 units
+    pointer(stage, "pointerdown", 400, 200);
+    pointer(stage, "pointermove", 360, 200);
+    pointer(stage, "pointerup", 360, 200);
+    expect(viewBox()[0]).toBeCloseTo(x + 10);
+
+    document.dispatchEvent(new KeyboardEvent("keydown", { key: "0" }));
+    expect(viewBox()).toEqual([0, 0, 400, 200]);
+    document.dispatchEvent(new KeyboardEvent("keydown", { key: "-" }));
+    expect(label.textContent).toBe("80%");
+
+    // Zoom is limited to the configured range
+    for (let i = 0; i < 20; i++) click("zoom-in");
+    expect(label.textContent).toBe("800%");
+  });
+
+  test("search dims other labels and steps through matches", () => {
+    openPage(
+      buildInteractiveHTML(SOURCE, {
+        title: "T",
+        background: "#fff",
+        text: "#000",
+        accent: "#00f",
+        viewer: VIEWER,
+      }),
+    );
+    const input = document.querySelector(".dv-html-search input");
+    const count = document.querySelector(".dv-html-count");
+    const [a, b] = document.querySelectorAll(".dv-html-stage g.node");
+
+    input.value = "ALPHA";
+    input.dispatchEvent(new Event("input"));
+    expect(count.textContent).toBe("1 found");
+    expect(a.classList.contains("dv-search-match")).toBe(true);
+    expect(b.classList.contains("dv-search-dim")).toBe(true);
+
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    expect(count.textContent).toBe("1 / 1");
+    expect(a.classList.contains("dv-search-active")).toBe(true);
+
+    input.value = "gamma";
+    input.dispatchEvent(new Event("input"));
+    expect(count.textContent).toBe("No matches");
+
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+    expect(count.textContent).toBe("");
+    expect(document.querySelectorAll(".dv-search-dim, .dv-search-match")).toHaveLength(0);
+  });
+
+  test("the minimap appears when zoomed in and moves the view", () => {
+    openPage(
+      buildInteractiveHTML(SOURCE, {
+        title: "T",
+        background: "#fff",
+        text: "#000",
+        accent: "#00f",
+        viewer: VIEWER,
+      }),
+    );
+    const minimap = document.querySelector(".dv-html-minimap");
+    expect(minimap.querySelector("img").src).toBe("blob:1");
+    expect(minimap.style.width).toBe("180px");
+    expect(minimap.style.height).toBe("90px");
+    expect(minimap.hidden).toBe(true);
+
+    click("zoom-in");
+    click("zoom-in");
+    expect(minimap.hidden).toBe(false);
+    expect(parseFloat(minimap.querySelector(".dv-html-minimap-view").style.width)).toBeCloseTo(64);
+
+    minimap.getBoundingClientRect = () => ({ left: 0, top: 0, width: 180, height: 90 });
+    pointer(minimap, "pointerdown", 45, 45);
+    const [x, y, w, h] = viewBox();
+    expect(x + w / 2).toBeCloseTo(100);
+    expect(y + h / 2).toBeCloseTo(100);
+  });
+
+  test("unparseable markup shows a message instead of a broken page", () => {
+    openPage(
+      buildInteractiveHTML("<svg", {
+        title: "T",
+        background: "#fff",
+        text: "#000",
+        accent: "#00f",
+        viewer: VIEWER,
+      }),
+    );
+    expect(document.querySelector(".dv-html-error").textContent).toMatch(/could not be displayed/);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Inline Zoom Tests
+ * In-page zoom and pan on the diagram card: setup from config and data
+ * attributes, Ctrl+wheel and keyboard zoom, two-finger touch panning, the
+ * minimap, search, carrying the view into fullscreen, and teardown.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+import { clearDiagramModelCache } from "../src/core/diagram-adapters.js";
+
+jest.unstable_mockModule("../src/ui/modal.js", () => ({
+  createModal: jest.fn(),
+  openFullscreen: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/export.js", () => ({
+  exportDiagram: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/lazy/view-control.js", () => ({
+  setViewState: jest.fn(async () => true),
+}));
+
+const { openFullscreen } = await import("../src/ui/modal.js");
+const { setViewState } = await import("../src/features/lazy/view-control.js");
+const { initializeDiagram, deinitializeDiagram } = await import("../src/features/diagram-init.js");
+const { setupInlineZoom, getInlineView, expandInline } =
+  await import("../src/features/lazy/inline-zoom.js");
+
+const DIAGRAM = `
+  <svg aria-roledescription="flowchart-v2" viewBox="0 0 400 200">
+    <g class="node" id="flowchart-a-0"><rect></rect><text>API</text></g>
+    <g class="node" id="flowchart-b-1"><rect></rect><text>Database</text></g>
+  </svg>`;
+
+const rect = (left, top, width, height) => () => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+  x: left,
+  y: top,
+});
+
+/** Panzoom stand-in that tracks scale and pan and fires panzoomchange */
+function createPanzoom(elem) {
+  let scale = 1;
+  let pan = { x: 0, y: 0 };
+  const changed = () => elem.dispatchEvent(new CustomEvent("panzoomchange"));
+  return {
+    getScale: () => scale,
+    getPan: () => ({ ...pan }),
+    zoom: jest.fn((s) => {
+      scale = s;
+      changed();
+    }),
+    pan: jest.fn((x, y) => {
+      pan = { x, y };
+      changed();
+    }),
+    zoomIn: jest.fn(),
+    zoomOut: jest.fn(),
+    reset: jest.fn(),
+    zoomWithWheel: jest.fn(),
+    setOptions: jest.fn(),
+    destroy: jest.fn(),
+  };
+}
+
+function size(el, props) {
+  Object.entries(props).forEach(([key, value]) =>
+    Object.defineProperty(el, key, { value, configurable: true }),
+  );
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Inline zoom", () => {
+  let element;
+  let viewport;
+  let svg;
+  let panzoom;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `<div class="diagview-viewport"><div class="mermaid" style="color: red">${DIAGRAM}</div></div>`;
+    viewport = document.querySelector(".diagview-viewport");
+    element = document.querySelector(".mermaid");
+    svg = element.querySelector("svg");
+
+    // 400x200 card, diagram filling it
+    size(viewport, { clientWidth: 400, clientHeight: 200 });
+    size(element, { offsetWidth: 400, offsetHeight: 200, offsetLeft: 0, offsetTop: 0 });
+    viewport.getBoundingClientRect = rect(0, 0, 400, 200);
+    element.getBoundingClientRect = rect(0, 0, 400, 200);
+    svg.getBoundingClientRect = rect(0, 0, 400, 200);
+    svg.querySelector("#flowchart-a-0").getBoundingClientRect = rect(300, 50, 40, 20);
+
+    window.Panzoom = jest.fn((elem) => (panzoom = createPanzoom(elem)));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    clearDiagramModelCache();
+    jest.useRealTimers();
+    delete window.Panzoom;
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+  });
+
+  test("data-diagview-inline makes the card pan and zoom in place instead of opening the modal", async () => {
+    document.body.innerHTML = `<div class="diagram" data-diagview-inline="true" data-diagview-inline-search="true">${DIAGRAM}</div>`;
+    const container = document.querySelector(".diagram");
+    initializeDiagram(container, 0);
+    await flush();
+
+    const wrapper = document.querySelector(".diagview-wrapper");
+    const card = wrapper.querySelector(".diagview-viewport");
+    expect(wrapper.classList.contains("diagview-inline")).toBe(true);
+    expect(window.Panzoom).toHaveBeenCalledWith(
+      container,
+      expect.objectContaining({ canvas: true, touchAction: "pan-x pan-y" }),
+    );
+    expect(card.getAttribute("tabindex")).toBe("0");
+    expect(card.querySelector(".dv-inline-search")).not.toBeNull();
+
+    card.click();
+    expect(openFullscreen).not.toHaveBeenCalled();
+
+    // Toolbar fullscreen escalates from the inline view
+    wrapper.querySelector(".diagview-controls [data-action='fullscreen']").click();
+    await flush();
+    expect(openFullscreen).toHaveBeenCalledWith(container, {});
+
+    deinitializeDiagram(container);
+    expect(panzoom.destroy).toHaveBeenCalled();
+    expect(container.hasAttribute("style")).toBe(false);
+    expect(document.querySelector(".dv-inline-overlay")).toBeNull();
+  });
+
+  test("the wheel zooms only with Ctrl or ⌘ and otherwise shows a hint", () => {
+    jest.useFakeTimers();
+    setupInlineZoom(element, viewport);
+    const hint = viewport.querySelector(".dv-inline-hint");
+
+    const plain = new WheelEvent("wheel", { bubbles: true, cancelable: true, deltaY: 100 });
+    svg.dispatchEvent(plain);
+    expect(plain.defaultPrevented).toBe(false);
+    expect(panzoom.zoomWithWheel).not.toHaveBeenCalled();
+    expect(hint.classList.contains("show")).toBe(true);
+    jest.advanceTimersByTime(1500);
+    expect(hint.classList.contains("show")).toBe(false);
+
+    const zoom = new WheelEvent("wheel", { bubbles: true, cancelable: true, ctrlKey: true });
+    svg.dispatchEvent(zoom);
+    expect(zoom.defaultPrevented).toBe(true);
+    expect(panzoom.zoomWithWheel).toHaveBeenCalledWith(zoom);
+
+    svg.dispatchEvent(new WheelEvent("wheel", { bubbles: true, metaKey: true }));
+    expect(panzoom.zoomWithWheel).toHaveBeenCalledTimes(2);
+  });
+
+  test("keys, buttons and double-click zoom and reset; one finger leaves panning to the page", () => {
+    setupInlineZoom(element, viewport);
+    const key = (k) => viewport.dispatchEvent(new KeyboardEvent("keydown", { key: k }));
+    key("+");
+    key("-");
+    key("0");
+    key("a");
+    expect(panzoom.zoomIn).toHaveBeenCalledTimes(1);
+    expect(panzoom.zoomOut).toHaveBeenCalledTimes(1);
+    expect(panzoom.reset).toHaveBeenCalledTimes(1);
+
+    viewport.querySelector("[data-action='zoom-in']").click();
+    expect(panzoom.zoomIn).toHaveBeenCalledTimes(2);
+    svg.dispatchEvent(new MouseEvent("dblclick", { bubbles: true }));
+    expect(panzoom.reset).toHaveBeenCalledTimes(2);
+
+    const touch = (type, pointerId) => {
+      const event = new MouseEvent(type, { bubbles: true });
+      Object.assign(event, { pointerType: "touch", pointerId });
+      svg.dispatchEvent(event);
+    };
+    touch("pointerdown", 1);
+    expect(panzoom.setOptions).toHaveBeenLastCalledWith({ disablePan: true });
+    touch("pointerdown", 2);
+    expect(panzoom.setOptions).toHaveBeenLastCalledWith({ disablePan: false });
+    touch("pointerup", 2);
+    touch("pointerup", 1);
+    expect(panzoom.setOptions).toHaveBeenLastCalledWith({ disablePan: false });
+  });
+
+  test("the minimap appears when zoomed in, outlines the visible area and pans on click", () => {
+    setupInlineZoom(element, viewport, { minimap: true });
+    const minimap = viewport.querySelector(".dv-inline-minimap");
+    expect(minimap.classList.contains("show")).toBe(false);
+
+    panzoom.zoom(2);
+    expect(minimap.classList.contains("show")).toBe(true);
+    expect(minimap.querySelector("img").src).toMatch(/^data:image\/svg\+xml/);
+    expect(minimap.style.width).toBe("120px");
+    expect(minimap.style.height).toBe("60px");
+    // The middle half of the diagram is visible at 2x
+    const view = minimap.querySelector(".dv-inline-minimap-view").style;
+    expect([view.left, view.top, view.width, view.height]).toEqual(["25%", "25%", "50%", "50%"]);
+
+    // Clicking the top-left corner centres the diagram's top-left corner
+    minimap.getBoundingClientRect = rect(0, 0, 120, 60);
+    minimap.dispatchEvent(new MouseEvent("click", { clientX: 0, clientY: 0 }));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(200, 100, { animate: true, force: true });
+  });
+
+  test("search outlines matches and Enter brings each one to the centre", () => {
+    jest.useFakeTimers();
+    setupInlineZoom(element, viewport, { search: true });
+    const input = viewport.querySelector(".dv-inline-search");
+    const count = viewport.querySelector(".dv-inline-count");
+
+    input.value = "api";
+    input.dispatchEvent(new Event("input"));
+    jest.advanceTimersByTime(150);
+    const marks = element.querySelectorAll(".dv-inline-mark");
+    expect(marks).toHaveLength(1);
+    expect(marks[0].style.left).toBe("300px");
+    expect(count.textContent).toBe("1 match");
+    // The page SVG is left as drawn
+    expect(svg.querySelector("[class*='dv-']")).toBeNull();
+
+    // Centre (320, 60) at the focus zoom of 2x
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(2, { animate: true, force: true });
+    expect(panzoom.pan).toHaveBeenLastCalledWith(-120, 40, { animate: true, force: true });
+    expect(marks[0].classList.contains("dv-inline-mark-active")).toBe(true);
+    expect(count.textContent).toBe("1 / 1");
+
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+    expect(input.value).toBe("");
+    expect(element.querySelector(".dv-inline-marks")).toBeNull();
+  });
+
+  test("fullscreen opens at the inline view with the inline search", async () => {
+    setupInlineZoom(element, viewport, { search: true });
+    svg.createSVGPoint = () => ({
+      x: 0,
+      y: 0,
+      matrixTransform(m) {
+        return { x: this.x + m.e, y: this.y + m.f };
+      },
+    });
+    svg.getScreenCTM = () => ({ e: 0, f: 0, inverse: () => ({ e: -10, f: 20 }) });
+    openFullscreen.mockImplementation(async (el) => {
+      state.isModalOpen = true;
+      state.activeSourceElement = el;
+    });
+
+    // Untouched: the modal opens as usual
+    expect(getInlineView(element)).toBeNull();
+    await expandInline(element);
+    expect(setViewState).not.toHaveBeenCalled();
+
+    panzoom.zoom(3);
+    viewport.querySelector(".dv-inline-search").value = "db";
+    viewport
+      .querySelector(".dv-inline-search")
+      .dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    await expandInline(element);
+    expect(openFullscreen).toHaveBeenLastCalledWith(element, { searchQuery: "db" });
+    // Viewport centre (200, 100) in diagram coordinates
+    expect(setViewState).toHaveBeenCalledWith(
+      { scale: 3, center: { x: 190, y: 120 } },
+      { animate: false },
+    );
+  });
+
+  test("missing Panzoom, repeat setup and invalid config", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const cleanup = setupInlineZoom(element, viewport);
+    setupInlineZoom(element, viewport);
+    expect(window.Panzoom).toHaveBeenCalledTimes(1);
+    cleanup();
+    expect(element.getAttribute("style")).toBe("color: red");
+    expect(viewport.hasAttribute("tabindex")).toBe(false);
+
+    delete window.Panzoom;
+    setupInlineZoom(element, viewport)();
+    expect(warn).toHaveBeenCalledWith("DiagView: Panzoom library not found. Inline zoom disabled.");
+
+    updateConfig({ inline: { enabled: "yes", minimap: true, search: 1 } });
+    expect(state.config.inline).toEqual({ enabled: false, minimap: true, search: false });
+    expect(warn).toHaveBeenCalledWith("DiagView: inline.enabled must be a boolean, using default");
+    warn.mockRestore();
+  });
+});
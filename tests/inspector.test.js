@@ -0,0 +1,298 @@
+/**
+ * Node Inspector Tests
+ * Item details from the markup (describeDiagramItem), the side panel opened by
+ * clicking nodes and edges, how clicks are shared with dependency highlighting,
+ * the host render callback and config validation.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+import {
+  getDiagramModel,
+  describeDiagramItem,
+  clearDiagramModelCache,
+} from "../src/core/diagram-adapters.js";
+import {
+  setupInspector,
+  inspectNode,
+  closeInspector,
+  cleanupInspector,
+} from "../src/features/lazy/inspector.js";
+import {
+  setupDependencyHighlight,
+  clearDependencyTrace,
+  cleanupDependencyHighlight,
+} from "../src/features/lazy/dependencies.js";
+
+// a -> b -> c, IDs prefixed as in a modal clone
+const PREFIX = "dv-k3x9-a1b2-";
+const DIAGRAM = `
+  <svg aria-roledescription="flowchart-v2">
+    <path class="flowchart-link" id="${PREFIX}L_a_b_0"></path>
+    <path class="flowchart-link" id="${PREFIX}L_b_c_0"></path>
+    <g class="edgeLabel"><text>calls</text></g>
+    <a href="https://status.example.test/api">
+      <g class="node default api" id="${PREFIX}flowchart-b-1" data-owner="payments" data-tier="1">
+        <desc>Routes public traffic</desc>
+        <text>API</text>
+        <a href="javascript:alert(1)"><text>raw</text></a>
+      </g>
+    </a>
+    <g class="node" id="${PREFIX}flowchart-a-0"><text>Web</text></g>
+    <g class="node" id="${PREFIX}flowchart-c-2"><text>DB</text></g>
+  </svg>`;
+
+function click(target, options = {}) {
+  target.dispatchEvent(new MouseEvent("click", { bubbles: true, ...options }));
+}
+
+describe("Node inspector", () => {
+  let svg;
+  let viewport;
+  let panel;
+  const node = (id) => svg.querySelector(`[id$="flowchart-${id}-${"abc".indexOf(id)}"]`);
+  const rows = () =>
+    Object.fromEntries(
+      Array.from(panel.querySelectorAll(".dv-inspector-list dt"), (dt) => [
+        dt.textContent,
+        dt.nextElementSibling.textContent,
+      ]),
+    );
+
+  beforeEach(() => {
+    resetConfig();
+    updateConfig({ inspector: { enabled: true } });
+    document.body.innerHTML = `
+      <div id="diagview-modal-viewport">${DIAGRAM}</div>
+      <aside id="diagview-inspector">
+        <h2 id="diagview-inspector-title"></h2>
+        <button id="diagview-inspector-toggle"></button>
+        <button id="diagview-inspector-close"></button>
+        <div id="diagview-inspector-body"></div>
+      </aside>
+    `;
+    viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+    panel = document.getElementById("diagview-inspector");
+    state.isModalOpen = true;
+    state.activeSourceElement = viewport;
+  });
+
+  afterEach(() => {
+    // Leave the panel expanded for the next test
+    if (panel.classList.contains("collapsed")) {
+      document.getElementById("diagview-inspector-toggle").click();
+    }
+    cleanupInspector();
+    clearDiagramModelCache();
+    resetConfig();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+  });
+
+  test("describeDiagramItem reads IDs, classes, data, tooltip text, links and edges", () => {
+    const model = getDiagramModel(svg);
+    node("b").classList.add("dv-search-match");
+    const details = describeDiagramItem(
+      model,
+      model.nodes.find((n) => n.id === "b"),
+    );
+
+    expect(details).toMatchObject({
+      kind: "node",
+      id: "b",
+      elementId: "flowchart-b-1",
+      label: "API raw",
+      type: "mermaid",
+      classes: ["node", "default", "api"],
+      data: { owner: "payments", tier: "1" },
+      title: "",
+      description: "Routes public traffic",
+      links: ["https://status.example.test/api", "javascript:alert(1)"],
+      source: null,
+      target: null,
+    });
+    expect(details.incoming.map((edge) => edge.source)).toEqual(["a"]);
+    expect(details.outgoing.map((edge) => edge.target)).toEqual(["c"]);
+
+    const edge = describeDiagramItem(model, model.edges[0]);
+    expect(edge.elementId).toBe("L_a_b_0");
+    expect([edge.source.label, edge.target.label]).toEqual(["Web", "API raw"]);
+    expect(edge.incoming).toBeNull();
+
+    // Graphviz keeps node names in <title>
+    const graphviz = document.createElement("div");
+    graphviz.innerHTML = `<svg><g class="graph"><g class="node" id="node1"><title>auth</title>
+      <text>Auth</text></g></g></svg>`;
+    const gvModel = getDiagramModel(graphviz);
+    expect(describeDiagramItem(gvModel, gvModel.nodes[0])).toMatchObject({
+      id: "auth",
+      elementId: "node1",
+      title: "auth",
+      incoming: null,
+    });
+  });
+
+  test("inspecting a node fills the panel; connections select neighbours", () => {
+    setupInspector(svg, viewport);
+    // b is wrapped in a link, so a click would follow it; select it directly
+    expect(inspectNode(node("b").querySelector("text"))).toBe(true);
+
+    expect(panel.classList.contains("show")).toBe(true);
+    expect(state.inspectedItem).toMatchObject({ kind: "node", id: "b" });
+    expect(node("b").classList.contains("dv-inspected")).toBe(true);
+    expect(document.getElementById("diagview-inspector-title").textContent).toBe("API raw");
+    expect(rows()).toMatchObject({
+      Type: "node · mermaid",
+      ID: "b",
+      "Element ID": "flowchart-b-1",
+      Description: "Routes public traffic",
+      "data-owner": "payments",
+    });
+
+    // Only web links are clickable
+    const links = panel.querySelectorAll(".dv-inspector-links li");
+    expect(links[0].querySelector("a").href).toBe("https://status.example.test/api");
+    expect(links[0].querySelector("a").rel).toBe("noopener noreferrer");
+    expect(links[1].querySelector("a")).toBeNull();
+
+    const edges = Array.from(panel.querySelectorAll(".dv-inspector-link"), (b) => b.textContent);
+    expect(edges).toEqual(["← Web", "→ DB"]);
+
+    panel.querySelector('[data-node-id="c"]').click();
+    expect(state.inspectedItem.id).toBe("c");
+    expect(node("b").classList.contains("dv-inspected")).toBe(false);
+    expect(rows()["Element ID"]).toBe("flowchart-c-2");
+  });
+
+  test("clicking the selection again, empty space or close hides the panel", () => {
+    setupInspector(svg, viewport);
+    click(node("a"));
+    click(node("a"));
+    expect(panel.classList.contains("show")).toBe(false);
+    expect(state.inspectedItem).toBeNull();
+
+    click(node("a"));
+    click(svg);
+    expect(state.inspectedItem).toBeNull();
+
+    click(node("c"));
+    document.getElementById("diagview-inspector-close").click();
+    expect(panel.classList.contains("show")).toBe(false);
+    expect(node("c").classList.contains("dv-inspected")).toBe(false);
+  });
+
+  test("drags, text-select mode and links don't select", () => {
+    setupInspector(svg, viewport);
+    viewport.dispatchEvent(new MouseEvent("pointerdown", { clientX: 0, clientY: 0 }));
+    click(node("a"), { clientX: 40, clientY: 0 });
+    expect(state.inspectedItem).toBeNull();
+
+    viewport.classList.add("dv-text-select");
+    click(node("a"));
+    expect(state.inspectedItem).toBeNull();
+    viewport.classList.remove("dv-text-select");
+
+    click(svg.querySelector('a[href^="javascript"] text'));
+    expect(state.inspectedItem).toBeNull();
+  });
+
+  test("edges show their ends; the collapsed state sticks", () => {
+    setupInspector(svg, viewport);
+    expect(inspectNode("L_b_c_0")).toBe(true);
+    expect(rows()).toMatchObject({ Type: "edge · mermaid" });
+    const ends = Array.from(panel.querySelectorAll(".dv-inspector-link"), (b) => b.textContent);
+    expect(ends).toEqual(["From API raw", "To DB"]);
+
+    const toggle = document.getElementById("diagview-inspector-toggle");
+    toggle.click();
+    expect(panel.classList.contains("collapsed")).toBe(true);
+    expect(toggle.getAttribute("aria-expanded")).toBe("false");
+    inspectNode("a");
+    expect(panel.classList.contains("collapsed")).toBe(true);
+  });
+
+  test("render adds host content for the selection", async () => {
+    const render = jest.fn((details, container) => {
+      if (details.id === "a") return "Healthy";
+      if (details.id === "b") {
+        container.textContent = "Checking…";
+        return Promise.resolve(Object.assign(document.createElement("b"), { textContent: "Down" }));
+      }
+      return new Promise(() => {});
+    });
+    updateConfig({ inspector: { render } });
+    setupInspector(svg, viewport);
+
+    inspectNode("a");
+    expect(render).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "a", diagram: viewport, element: node("a") }),
+      expect.any(HTMLElement),
+    );
+    expect(panel.querySelector(".dv-inspector-custom").textContent).toBe("Healthy");
+
+    inspectNode("b");
+    await Promise.resolve();
+    expect(panel.querySelector(".dv-inspector-custom").textContent).toBe("Checking…Down");
+
+    // A callback that throws doesn't break the panel
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    render.mockImplementationOnce(() => {
+      throw new Error("offline");
+    });
+    expect(inspectNode("c")).toBe(true);
+    expect(warn).toHaveBeenCalledWith("DiagView: inspector.render failed", expect.any(Error));
+    warn.mockRestore();
+  });
+
+  test("disabled, closed modal and unknown IDs", () => {
+    updateConfig({ inspector: { enabled: false } });
+    setupInspector(svg, viewport);
+    click(node("a"));
+    expect(state.inspectedItem).toBeNull();
+
+    expect(inspectNode("zzz")).toBe(false);
+    state.isModalOpen = false;
+    expect(inspectNode("a")).toBe(false);
+    closeInspector();
+  });
+
+  test("off by default, so a plain click only traces dependencies", () => {
+    resetConfig();
+    expect(state.config.inspector.enabled).toBe(false);
+    state.isModalOpen = true;
+    setupInspector(svg, viewport);
+    setupDependencyHighlight(svg, viewport);
+    click(node("c").querySelector("text"));
+    expect(state.inspectedItem).toBeNull();
+    expect(state.dependencyTrace?.nodeId).toBe("c");
+
+    clearDependencyTrace();
+    cleanupDependencyHighlight();
+  });
+
+  test("with alt-click tracing, plain clicks inspect and Alt+clicks only trace", () => {
+    updateConfig({ dependencyHighlight: "alt-click" });
+    setupInspector(svg, viewport);
+    setupDependencyHighlight(svg, viewport);
+
+    click(node("a"));
+    expect(state.inspectedItem).toMatchObject({ kind: "node", id: "a" });
+    expect(state.dependencyTrace).toBeNull();
+
+    click(node("c").querySelector("text"), { altKey: true });
+    expect(state.dependencyTrace?.nodeId).toBe("c");
+    expect(state.inspectedItem.id).toBe("a");
+
+    clearDependencyTrace();
+    cleanupDependencyHighlight();
+  });
+
+  test("invalid inspector config is reported and reset", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({ inspector: { enabled: "yes", render: "<b>hi</b>" } });
+    expect(state.config.inspector).toEqual({ enabled: false, render: null });
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+});
@@ -1,5 +1,6 @@
 import { jest } from "@jest/globals";
-import { state, resetConfig } from "../src/core/config.js";
+import "jest-canvas-mock";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
 
 // Mock toast.js before importing meeting-mode.js
 jest.unstable_mockModule("../src/ui/toast.js", () => ({
@@ -8,8 +9,14 @@ jest.unstable_mockModule("../src/ui/toast.js", () => ({
 }));
 
 const { showSuccessToast } = await import("../src/ui/toast.js");
-const { enableMeetingMode, disableMeetingMode, toggleMeetingMode, resetMeetingState } =
-  await import("../src/features/lazy/meeting-mode.js");
+const {
+  enableMeetingMode,
+  disableMeetingMode,
+  toggleMeetingMode,
+  resetMeetingState,
+  setLaserEffect,
+  getLaserEffect,
+} = await import("../src/features/lazy/meeting-mode.js");
 
 describe("Meeting Mode", () => {
   let viewport, laser;
@@ -132,4 +139,105 @@ describe("Meeting Mode", () => {
     state.activeMeetingHandlers.viewport = null;
     expect(() => disableMeetingMode()).not.toThrow();
   });
+
+  describe("pointer effects", () => {
+    const move = (x, y) =>
+      viewport.dispatchEvent(
+        new MouseEvent("mousemove", { clientX: x, clientY: y, bubbles: true }),
+      );
+
+    afterEach(() => {
+      disableMeetingMode(true);
+    });
+
+    test("laser size and colour come from config, with a theme-aware default colour", () => {
+      updateConfig({ laser: { size: 40 } });
+      enableMeetingMode();
+      expect(laser.style.getPropertyValue("--dv-laser-size")).toBe("40px");
+      expect(laser.style.getPropertyValue("--dv-laser-color")).toBe("#ef4444");
+      disableMeetingMode(true);
+
+      state.themeCache = { isDark: true, bg: "#0f172a", text: "#f1f5f9", accent: "#60a5fa" };
+      state.themeCacheTimestamp = Date.now();
+      enableMeetingMode();
+      expect(laser.style.getPropertyValue("--dv-laser-color")).toBe("#f87171");
+      disableMeetingMode(true);
+
+      updateConfig({ laser: { color: "#22c55e" } });
+      enableMeetingMode();
+      expect(laser.style.getPropertyValue("--dv-laser-color")).toBe("#22c55e");
+    });
+
+    test("trail draws on a canvas that is removed with meeting mode", () => {
+      const raf = jest.spyOn(window, "requestAnimationFrame");
+      updateConfig({ laser: { effect: "trail" } });
+      enableMeetingMode();
+
+      const canvas = document.querySelector(".diagview-laser-trail");
+      expect(canvas).not.toBeNull();
+      move(10, 10);
+      move(30, 40);
+      expect(raf).toHaveBeenCalledTimes(1); // one loop for any number of moves
+      expect(laser.style.transform).toBe("translate3d(30px, 40px, 0)");
+
+      disableMeetingMode(true);
+      expect(document.querySelector(".diagview-laser-trail")).toBeNull();
+      raf.mockRestore();
+    });
+
+    test("spotlight follows the pointer", () => {
+      updateConfig({ laser: { effect: "spotlight", size: 20 } });
+      enableMeetingMode();
+
+      const overlay = document.querySelector(".diagview-laser-spotlight");
+      expect(overlay.style.getPropertyValue("--dv-spot-r")).toBe("100px");
+      move(120, 80);
+      expect(overlay.style.getPropertyValue("--dv-spot-x")).toBe("120px");
+      expect(overlay.style.getPropertyValue("--dv-spot-y")).toBe("80px");
+    });
+
+    test("ripple effect adds a short-lived ring on each press", () => {
+      jest.useFakeTimers();
+      updateConfig({ laser: { effect: "ripple" } });
+      enableMeetingMode();
+
+      viewport.dispatchEvent(new MouseEvent("pointerdown", { clientX: 50, clientY: 60 }));
+      const ripple = document.querySelector(".diagview-laser-ripple");
+      expect(ripple.style.transform).toBe("translate3d(50px, 60px, 0)");
+
+      jest.advanceTimersByTime(600);
+      expect(document.querySelector(".diagview-laser-ripple")).toBeNull();
+      jest.useRealTimers();
+    });
+
+    test("no extra layers or ripples for the plain dot", () => {
+      enableMeetingMode();
+      viewport.dispatchEvent(new MouseEvent("pointerdown", { clientX: 50, clientY: 60 }));
+      expect(laser.parentElement.children).toHaveLength(3);
+    });
+
+    test("setLaserEffect switches live and overrides the config", () => {
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<button class="dv-laser-effect" data-effect="dot"></button>
+         <button class="dv-laser-effect" data-effect="spotlight"></button>`,
+      );
+      updateConfig({ laser: { effect: "trail" } });
+      enableMeetingMode();
+
+      expect(setLaserEffect("spotlight")).toBe(true);
+      expect(getLaserEffect()).toBe("spotlight");
+      expect(document.querySelector(".diagview-laser-trail")).toBeNull();
+      expect(document.querySelector(".diagview-laser-spotlight")).not.toBeNull();
+      expect(document.querySelector('[data-effect="spotlight"]').getAttribute("aria-pressed")).toBe(
+        "true",
+      );
+      expect(document.querySelector('[data-effect="dot"]').getAttribute("aria-pressed")).toBe(
+        "false",
+      );
+
+      expect(setLaserEffect("confetti")).toBe(false);
+      expect(getLaserEffect()).toBe("spotlight");
+    });
+  });
 });
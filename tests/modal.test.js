@@ -14,6 +14,7 @@ jest.unstable_mockModule("../src/core/theme.js", () => ({
 jest.unstable_mockModule("../src/core/lifecycle.js", () => ({
   addModalListener: jest.fn(),
   addModalCleanupFunction: jest.fn(),
+  safeDestroy: jest.fn(),
 }));
 jest.unstable_mockModule("../src/core/svg-clone.js", () => ({
   cloneSVGForModal: jest.fn((svg) => svg.cloneNode(true)),
@@ -53,7 +54,7 @@ jest.unstable_mockModule("../src/ui/viewport.js", () => ({
   startVisualViewportSync: jest.fn(),
 }));
 
-const { createModal, openFullscreen } = await import("../src/ui/modal.js");
+const { createModal, openFullscreen, switchDiagram } = await import("../src/ui/modal.js");
 
 describe("Modal System", () => {
   let container, svg;
@@ -94,6 +95,32 @@ describe("Modal System", () => {
     expect(panzoomMock.zoom).toHaveBeenCalledWith(2.5, expect.any(Object));
   });
 
+  test("switchDiagram emits switch with the previous diagram", async () => {
+    const other = container.cloneNode(true);
+    document.body.appendChild(other);
+    const onSwitch = jest.fn();
+    const onOpen = jest.fn();
+    state.events.on("switch", onSwitch);
+    state.events.on("open", onOpen);
+
+    await openFullscreen(container);
+    await switchDiagram(other);
+
+    expect(state.activeSourceElement).toBe(other);
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    expect(onSwitch).toHaveBeenCalledTimes(1);
+    const [payload] = onSwitch.mock.calls[0];
+    expect(payload.type).toBe("switch");
+    expect(payload.element).toBe(other);
+    expect(payload.previous).toBe(container);
+
+    // Switching to the diagram already shown does nothing
+    await switchDiagram(other);
+    expect(onSwitch).toHaveBeenCalledTimes(1);
+    state.events.off("switch", onSwitch);
+    state.events.off("open", onOpen);
+  });
+
   test("openFullscreen bails if no SVG found", () => {
     const emptyContainer = document.createElement("div");
     openFullscreen(emptyContainer);
@@ -0,0 +1,225 @@
+/**
+ * Diagram Mounting Tests
+ * Loading diagrams from SVG markup and URLs (DiagView.mount and
+ * data-diagview-src): sanitizing, the same-origin policy, size limits,
+ * loading and error states, timeouts and remounting.
+ */
+
+import { jest } from "@jest/globals";
+import { resetConfig, updateConfig } from "../src/core/config.js";
+
+jest.unstable_mockModule("../src/ui/modal.js", () => ({
+  createModal: jest.fn(),
+  openFullscreen: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/export.js", () => ({
+  exportDiagram: jest.fn(),
+}));
+
+const { mountDiagram } = await import("../src/features/lazy/mount.js");
+const { deinitializeDiagram } = await import("../src/features/diagram-init.js");
+const { processDiagrams } = await import("../src/core/observer.js");
+
+const SVG = `<?xml version="1.0"?>
+<svg viewBox="0 0 200 100"><g class="node"><rect width="80" height="40"></rect><text>API</text></g></svg>`;
+
+/** Response stand-in for fetch() */
+const respond = (body, status = 200, statusText = "OK") =>
+  Promise.resolve({ ok: status < 400, status, statusText, text: async () => body });
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Diagram mounting", () => {
+  let container;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = '<div class="diagram" id="target"></div>';
+    container = document.getElementById("target");
+    window.fetch = jest.fn(() => respond(SVG));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    deinitializeDiagram(container);
+    delete window.fetch;
+    document.body.innerHTML = "";
+  });
+
+  const errorText = () => container.querySelector(".diagview-error")?.textContent;
+
+  test("mounts sanitized markup and enhances the diagram", async () => {
+    const markup = SVG.replace(
+      "<text>API</text>",
+      '<text onclick="alert(1)">API</text><script>alert(2)</script>',
+    );
+
+    await expect(mountDiagram(container, markup)).resolves.toBe(true);
+
+    const svg = container.querySelector("svg");
+    expect(svg).toBeInstanceOf(SVGSVGElement);
+    expect(svg.querySelector("script")).toBeNull();
+    expect(svg.querySelector("[onclick]")).toBeNull();
+    expect(container.dataset.diagviewInit).toBe("1");
+    expect(container.closest(".diagview-wrapper")).not.toBeNull();
+    expect(container.dataset.diagviewSrcState).toBe("loaded");
+    expect(window.fetch).not.toHaveBeenCalled();
+  });
+
+  test("fetches same-origin URLs with a loading state", async () => {
+    let finish;
+    window.fetch = jest.fn(() => new Promise((resolve) => (finish = () => resolve(respond(SVG)))));
+
+    const mounted = mountDiagram(container, "/diagrams/api.svg");
+    expect(window.fetch).toHaveBeenCalledWith(
+      "http://localhost/diagrams/api.svg",
+      expect.objectContaining({ credentials: "same-origin" }),
+    );
+    expect(container.getAttribute("aria-busy")).toBe("true");
+    expect(container.querySelector(".diagview-src-loading .diagview-spinner")).not.toBeNull();
+
+    finish();
+    await expect(mounted).resolves.toBe(true);
+    expect(container.querySelector(".diagview-src-loading")).toBeNull();
+    expect(container.hasAttribute("aria-busy")).toBe(false);
+    expect(container.querySelector("svg text").textContent).toBe("API");
+  });
+
+  test("other sites need security.allowRemoteResources", async () => {
+    await expect(mountDiagram(container, "https://cdn.example.com/a.svg")).resolves.toBe(false);
+    expect(window.fetch).not.toHaveBeenCalled();
+    expect(container.dataset.diagviewSrcState).toBe("error");
+    expect(errorText()).toContain("security.allowRemoteResources");
+
+    await expect(mountDiagram(container, "javascript:alert(1)")).resolves.toBe(false);
+    expect(errorText()).toContain("javascript:");
+
+    updateConfig({ security: { allowRemoteResources: true } });
+    await expect(mountDiagram(container, "https://cdn.example.com/a.svg")).resolves.toBe(true);
+    expect(window.fetch).toHaveBeenCalledWith("https://cdn.example.com/a.svg", expect.any(Object));
+    // The remount cleared the error
+    expect(container.querySelector(".diagview-error")).toBeNull();
+  });
+
+  test("same-origin addresses that redirect to another site need allowRemoteResources", async () => {
+    window.fetch = jest.fn(() =>
+      respond(SVG).then((response) => ({ ...response, url: "https://evil.example.com/a.svg" })),
+    );
+    await expect(mountDiagram(container, "/a.svg")).resolves.toBe(false);
+    expect(errorText()).toContain("redirected to another site");
+    expect(container.querySelector(":scope > svg")).toBeNull();
+
+    updateConfig({ security: { allowRemoteResources: true } });
+    await expect(mountDiagram(container, "/a.svg")).resolves.toBe(true);
+  });
+
+  test("loads leave no abort listeners behind", async () => {
+    const listening = new Set();
+    const add = jest
+      .spyOn(AbortSignal.prototype, "addEventListener")
+      .mockImplementation(function (type, fn) {
+        if (type === "abort") listening.add(fn);
+      });
+    const remove = jest
+      .spyOn(AbortSignal.prototype, "removeEventListener")
+      .mockImplementation(function (type, fn) {
+        if (type === "abort") listening.delete(fn);
+      });
+
+    await expect(mountDiagram(container, "/a.svg")).resolves.toBe(true);
+    await expect(mountDiagram(container, SVG)).resolves.toBe(true);
+    expect(listening.size).toBe(0);
+    add.mockRestore();
+    remove.mockRestore();
+  });
+
+  test("data-diagview-allow-remote applies only while security.allowOverrides is on", async () => {
+    container.setAttribute("data-diagview-allow-remote", "true");
+    await expect(mountDiagram(container, "https://cdn.example.com/a.svg")).resolves.toBe(true);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+
+    updateConfig({ security: { allowOverrides: false } });
+    await expect(mountDiagram(container, "https://cdn.example.com/a.svg")).resolves.toBe(false);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("download errors, size limits and non-SVG files show the error boundary", async () => {
+    const onError = jest.fn();
+    updateConfig({ onError });
+
+    window.fetch = jest.fn(() => respond("", 404, "Not Found"));
+    await expect(mountDiagram(container, "/missing.svg")).resolves.toBe(false);
+    expect(errorText()).toContain("Diagram Failed to Load");
+    expect(errorText()).toContain("The server answered 404 Not Found.");
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+
+    updateConfig({ performance: { criticalFileLimit: 50 } });
+    await expect(mountDiagram(container, SVG)).resolves.toBe(false);
+    expect(errorText()).toContain("larger than the 50 character limit");
+    expect(container.querySelectorAll(".diagview-error")).toHaveLength(1);
+
+    updateConfig({ performance: { criticalFileLimit: 50000000 } });
+    await expect(mountDiagram(container, "<div>not a diagram</div>")).resolves.toBe(false);
+    expect(errorText()).toContain("not a valid SVG");
+    expect(container.dataset.diagviewInit).toBeUndefined();
+  });
+
+  test("slow downloads time out; newer mounts and cancellation win", async () => {
+    window.fetch = jest.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => {
+            const error = new Error("Aborted");
+            error.name = "AbortError";
+            reject(error);
+          });
+        }),
+    );
+
+    jest.useFakeTimers();
+    const slow = mountDiagram(container, "/slow.svg");
+    jest.advanceTimersByTime(15000);
+    await expect(slow).resolves.toBe(false);
+    expect(errorText()).toContain("took too long");
+    jest.useRealTimers();
+
+    // A second mount supersedes the first without an error
+    const first = mountDiagram(container, "/slow.svg");
+    const second = mountDiagram(container, SVG);
+    await expect(first).resolves.toBe(false);
+    await expect(second).resolves.toBe(true);
+    expect(container.querySelectorAll("svg")).toHaveLength(1);
+    expect(container.querySelector(".diagview-error")).toBeNull();
+
+    const controller = new AbortController();
+    const cancelled = mountDiagram(container, "/slow.svg", { signal: controller.signal });
+    controller.abort();
+    await expect(cancelled).resolves.toBe(false);
+    expect(container.querySelector(".diagview-error")).toBeNull();
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    await expect(mountDiagram(null, SVG)).resolves.toBe(false);
+    expect(warn).toHaveBeenCalledWith(
+      "DiagView: mount() needs a container element and SVG markup or a URL",
+    );
+    warn.mockRestore();
+  });
+
+  test("data-diagview-src diagrams are fetched by the observer", async () => {
+    container.setAttribute("data-diagview-src", "/diagrams/api.svg");
+    updateConfig({ diagramSelector: ".diagram" });
+
+    processDiagrams(document.body);
+    await flush();
+    await flush();
+
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+    expect(container.querySelector("svg")).not.toBeNull();
+    expect(container.dataset.diagviewInit).toBe("1");
+
+    // Already loaded: not fetched again
+    processDiagrams(document.body);
+    expect(window.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * PDF Export Tests
+ * Page layout and tiling (core/pdf-layout), config validation, and the jsPDF
+ * calls exportToPDF makes for fitted, paper, tiled and vector documents.
+ */
+
+import { jest } from "@jest/globals";
+import "jest-canvas-mock";
+import { normalizePdfOptions, computePdfLayout } from "../src/core/pdf-layout.js";
+import { exportToPDF, exportDiagram } from "../src/features/export.js";
+import { state, updateConfig, resetConfig } from "../src/core/config.js";
+
+const layoutFor = (width, height, options) =>
+  computePdfLayout(width, height, normalizePdfOptions(options));
+
+describe("PDF layout", () => {
+  test("normalizePdfOptions falls back to fit/auto and clamps lengths and grids", () => {
+    expect(normalizePdfOptions({})).toEqual({
+      pageSize: "fit",
+      orientation: "auto",
+      margin: 10,
+      tiles: { columns: 1, rows: 1 },
+      overlap: 10,
+      title: true,
+      vector: false,
+      metadata: null,
+    });
+
+    const options = normalizePdfOptions({
+      pageSize: "A4",
+      orientation: "sideways",
+      margin: 500,
+      overlap: -3,
+      tiles: { columns: 40, rows: "2" },
+      title: "  Payments  ",
+      metadata: { author: "Ops", keywords: 42 },
+    });
+    expect(options).toMatchObject({
+      pageSize: "a4",
+      orientation: "auto",
+      margin: 50,
+      overlap: 0,
+      tiles: { columns: 10, rows: 2 },
+      title: "Payments",
+      metadata: { author: "Ops" },
+    });
+    expect(normalizePdfOptions({ pageSize: "a9" }).pageSize).toBe("fit");
+  });
+
+  test("fit keeps the diagram's pixel size on one page", () => {
+    const layout = layoutFor(800, 600, { pageSize: "fit", tiles: "auto" });
+    expect(layout).toMatchObject({
+      unit: "px",
+      format: [800, 600],
+      orientation: "landscape",
+      header: 0,
+      footer: 0,
+    });
+    expect(layout.pages).toEqual([{ row: 0, column: 0, x: 0, y: 0, marks: [] }]);
+  });
+
+  test("a single paper page fits and centres the diagram below the title band", () => {
+    const layout = layoutFor(800, 600, { pageSize: "a4" });
+    // Wider than tall: auto orientation turns the page
+    expect(layout.format).toEqual([297, 210]);
+    expect(layout.orientation).toBe("landscape");
+    expect(layout.content).toEqual({ x: 10, y: 22, width: 277, height: 178 });
+
+    const scale = 178 / 600;
+    expect(layout.image.width).toBeCloseTo(800 * scale);
+    expect(layout.image.height).toBeCloseTo(178);
+    expect(layout.pages[0].x).toBeCloseTo(10 + (277 - 800 * scale) / 2);
+    expect(layout.pages[0].y).toBeCloseTo(22);
+    expect(layout.footer).toBe(0);
+
+    expect(layoutFor(800, 600, { pageSize: "a4", orientation: "portrait" }).format).toEqual([
+      210, 297,
+    ]);
+    expect(layoutFor(800, 600, { pageSize: "a4", title: false }).content.y).toBe(10);
+  });
+
+  test("a tile grid scales the diagram across overlapping pages with marks in the margin", () => {
+    const layout = layoutFor(1000, 1000, {
+      pageSize: "a4",
+      orientation: "portrait",
+      tiles: { columns: 2, rows: 2 },
+      title: false,
+    });
+    // 190 x 269 mm content; two columns with 10 mm overlap span 370 mm
+    expect(layout.footer).toBe(8);
+    expect(layout.content).toEqual({ x: 10, y: 10, width: 190, height: 269 });
+    expect(layout.image.width).toBeCloseTo(370);
+    expect(layout.pages.map((p) => [p.row, p.column])).toEqual([
+      [0, 0],
+      [0, 1],
+      [1, 0],
+      [1, 1],
+    ]);
+
+    // Each further column/row shifts the diagram by one tile minus the overlap
+    const [first, right, below] = layout.pages;
+    expect(right.x).toBeCloseTo(first.x - 180);
+    expect(below.y).toBeCloseTo(first.y - 259);
+    // Vertically centred on the 528 mm tall sheet
+    expect(first.y).toBeCloseTo(10 + (528 - 370) / 2);
+
+    expect(first.marks).toEqual([
+      [190, 6, 190, 10],
+      [190, 279, 190, 283],
+      [6, 269, 10, 269],
+      [200, 269, 204, 269],
+    ]);
+    expect(layout.pages[3].marks).toEqual([
+      [20, 6, 20, 10],
+      [20, 279, 20, 283],
+      [6, 20, 10, 20],
+      [200, 20, 204, 20],
+    ]);
+  });
+
+  test('"auto" tiles print at natural size, capped per side', () => {
+    // 2000 x 1000 px is ~529 x 265 mm at 96 dpi
+    const layout = layoutFor(2000, 1000, { pageSize: "a4", tiles: "auto" });
+    expect(layout.image.width).toBeCloseTo((2000 * 25.4) / 96);
+    expect([layout.columns, layout.rows]).toEqual([2, 2]);
+
+    const small = layoutFor(200, 100, { pageSize: "a4", tiles: "auto" });
+    expect(small.pages).toHaveLength(1);
+    expect(small.overlap).toBe(10);
+
+    const huge = layoutFor(100000, 100, { pageSize: "a4", tiles: "auto" });
+    expect([huge.columns, huge.rows]).toEqual([10, 1]);
+  });
+
+  test("invalid pdf config is reported and reset", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({ pdf: { pageSize: "a9", margin: 80, tiles: { columns: 20, rows: 1 } } });
+    expect(state.config.pdf).toMatchObject({ pageSize: "fit", margin: 10, tiles: 1 });
+    expect(warn).toHaveBeenCalledTimes(3);
+
+    updateConfig({ pdf: { pageSize: "letter", tiles: "auto" } });
+    expect(state.config.pdf).toMatchObject({ pageSize: "letter", tiles: "auto" });
+    warn.mockRestore();
+    resetConfig();
+  });
+});
+
+describe("exportToPDF", () => {
+  let container;
+  let documents;
+
+  /** Minimal jsPDF stand-in that records every call */
+  class FakePDF {
+    static API = {};
+
+    constructor(options) {
+      this.options = options;
+      documents.push(this);
+      [
+        "addImage",
+        "addPage",
+        "setProperties",
+        "save",
+        "saveGraphicsState",
+        "restoreGraphicsState",
+        "rect",
+        "clip",
+        "discardPath",
+        "setFont",
+        "setFontSize",
+        "setTextColor",
+        "setDrawColor",
+        "setLineWidth",
+        "line",
+        "text",
+      ].forEach((name) => (this[name] = jest.fn()));
+      this.splitTextToSize = jest.fn((text) => [text]);
+      this.svg = jest.fn(async () => this);
+    }
+  }
+
+  beforeEach(() => {
+    documents = [];
+    FakePDF.API = {};
+    window.jspdf = { jsPDF: FakePDF };
+
+    container = document.createElement("div");
+    container.className = "diagview-wrapper";
+    container.dataset.title = "Payments";
+    container.innerHTML = `<svg width="800" height="600" viewBox="0 0 800 600"><rect width="800" height="600"/></svg>`;
+    document.body.appendChild(container);
+
+    global.Image = jest.fn(() => {
+      const img = document.createElement("img");
+      Object.defineProperty(img, "src", {
+        set() {
+          setTimeout(() => this.onload?.(), 0);
+        },
+      });
+      return img;
+    });
+  });
+
+  afterEach(() => {
+    container.remove();
+    document.querySelectorAll("script").forEach((s) => s.remove());
+    delete window.jspdf;
+    resetConfig();
+  });
+
+  test("by default makes one page sized to the diagram, as before", async () => {
+    expect(await exportToPDF(container, { filename: "out" })).toBe(true);
+
+    const [pdf] = documents;
+    expect(pdf.options.unit).toBe("px");
+    const [, , x, y, w, h, alias] = pdf.addImage.mock.calls[0];
+    expect([x, y]).toEqual([0, 0]);
+    expect(pdf.options.format).toEqual([w, h]);
+    expect(alias).toBe("diagram");
+    expect(pdf.addPage).not.toHaveBeenCalled();
+    expect(pdf.clip).not.toHaveBeenCalled();
+    expect(pdf.text).not.toHaveBeenCalled();
+    expect(pdf.setProperties).toHaveBeenCalledWith({ title: "PAYMENTS", creator: "DiagView" });
+    expect(pdf.save).toHaveBeenCalledWith("out.pdf");
+  });
+
+  test("paper sizes add the title band and metadata from config and options", async () => {
+    updateConfig({ pdf: { pageSize: "a3", metadata: { author: "Ops" } } });
+    await exportToPDF(container, { pdf: { orientation: "portrait", metadata: { subject: "Q3" } } });
+
+    const [pdf] = documents;
+    expect(pdf.options).toEqual({ orientation: "portrait", unit: "mm", format: [297, 420] });
+    expect(pdf.text).toHaveBeenCalledWith("PAYMENTS", 10, 16, { baseline: "middle" });
+    expect(pdf.setProperties).toHaveBeenCalledWith({
+      title: "PAYMENTS",
+      creator: "DiagView",
+      subject: "Q3",
+    });
+  });
+
+  test("tiled pages clip each slice and get footers and overlap marks", async () => {
+    await exportDiagram(container, "pdf", {
+      pdf: { pageSize: "letter", tiles: { columns: 2, rows: 1 }, title: "Custom" },
+    });
+
+    const [pdf] = documents;
+    expect(pdf.addPage).toHaveBeenCalledTimes(1);
+    expect(pdf.addImage).toHaveBeenCalledTimes(2);
+    expect(pdf.clip).toHaveBeenCalledTimes(2);
+    expect(pdf.restoreGraphicsState).toHaveBeenCalledTimes(2);
+    expect(pdf.rect).toHaveBeenCalledWith(10, 22, expect.any(Number), expect.any(Number), null);
+    expect(pdf.text).toHaveBeenCalledWith("Custom", 10, 16, expect.any(Object));
+    expect(pdf.text).toHaveBeenCalledWith(
+      "Page 2 of 2 · Row 1, Column 2",
+      expect.any(Number),
+      expect.any(Number),
+      expect.objectContaining({ align: "right" }),
+    );
+    expect(pdf.line).toHaveBeenCalled();
+  });
+
+  test("vector output draws the SVG with a background instead of a bitmap", async () => {
+    FakePDF.API = { svg() {} };
+    await exportToPDF(container, { pdf: { pageSize: "a4", vector: true } });
+
+    const [pdf] = documents;
+    expect(pdf.addImage).not.toHaveBeenCalled();
+    const [svg, box] = pdf.svg.mock.calls[0];
+    expect(svg.tagName.toLowerCase()).toBe("svg");
+    expect(svg.firstElementChild.tagName).toBe("rect");
+    expect(svg.firstElementChild.getAttribute("fill")).toBeTruthy();
+    expect(box).toEqual({
+      x: expect.any(Number),
+      y: expect.any(Number),
+      width: expect.any(Number),
+      height: expect.any(Number),
+    });
+  });
+
+  test("vector output falls back to an image when svg2pdf is unavailable", async () => {
+    // An already present script tag resolves loadScript without a network request
+    const script = document.createElement("script");
+    script.src = state.config.svg2pdfLibraryUrl;
+    document.head.appendChild(script);
+
+    await exportToPDF(container, { pdf: { vector: true } });
+    expect(documents[0].svg).not.toHaveBeenCalled();
+    expect(documents[0].addImage).toHaveBeenCalled();
+  });
+});
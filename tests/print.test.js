@@ -0,0 +1,224 @@
+/**
+ * Print Tests
+ * Sheet layout for the page, scale and poster fits (core/print-layout), config
+ * validation, and the hidden frame printDiagram writes and cleans up.
+ */
+
+import { jest } from "@jest/globals";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showWarningToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+const { normalizePrintOptions, computePrintLayout } = await import("../src/core/print-layout.js");
+const { printDiagram } = await import("../src/features/lazy/print.js");
+const { state, updateConfig, resetConfig } = await import("../src/core/config.js");
+const { clearThemeCache } = await import("../src/core/theme.js");
+const { showErrorToast, showInfoToast } = await import("../src/ui/toast.js");
+
+/** Blob contents as text (jsdom's Blob has no text()) */
+function readText(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+const layoutFor = (width, height, options) =>
+  computePrintLayout(width, height, normalizePrintOptions(options));
+
+describe("Print layout", () => {
+  test("normalizePrintOptions defaults to one A4 page and clamps the rest", () => {
+    expect(normalizePrintOptions({})).toEqual({
+      pageSize: "a4",
+      orientation: "auto",
+      margin: 10,
+      fit: "page",
+      scale: 1,
+      tiles: "auto",
+      overlap: 10,
+      title: true,
+      caption: "",
+      url: true,
+    });
+    expect(
+      normalizePrintOptions({
+        pageSize: "fit",
+        fit: "shrink",
+        scale: 50,
+        caption: "  Draft  ",
+        url: false,
+      }),
+    ).toMatchObject({ pageSize: "a4", fit: "page", scale: 10, caption: "Draft", url: false });
+  });
+
+  test('"page" fits the diagram on a single sheet with a footer for caption or URL', () => {
+    const layout = layoutFor(4000, 3000, { url: false });
+    expect(layout.pages).toHaveLength(1);
+    expect(layout.format).toEqual([297, 210]);
+    expect(layout.footer).toBe(0);
+    expect(layout.image.height).toBeCloseTo(layout.content.height);
+
+    const captioned = layoutFor(4000, 3000, { caption: "Q3", url: false });
+    expect(captioned.footer).toBe(8);
+    expect(captioned.content.height).toBe(layout.content.height - 8);
+  });
+
+  test('"scale" prints at a fixed size over as many sheets as it needs', () => {
+    const natural = layoutFor(200, 100, { fit: "scale" });
+    expect(natural.pages).toHaveLength(1);
+    expect(natural.image.width).toBeCloseTo((200 * 25.4) / 96);
+
+    const doubled = layoutFor(200, 100, { fit: "scale", scale: 2 });
+    expect(doubled.image.width).toBeCloseTo(2 * natural.image.width);
+
+    const large = layoutFor(2000, 1000, { fit: "scale", scale: 1 });
+    expect([large.columns, large.rows]).toEqual([2, 2]);
+  });
+
+  test('"poster" spreads the diagram across the requested grid of sheets', () => {
+    const layout = layoutFor(1000, 1000, {
+      fit: "poster",
+      tiles: { columns: 2, rows: 2 },
+      orientation: "portrait",
+      title: false,
+    });
+    expect(layout.pages).toHaveLength(4);
+    expect(layout.image.width).toBeCloseTo(370);
+    expect(layout.pages[0].marks.length).toBeGreaterThan(0);
+  });
+
+  test("invalid print config is reported and reset", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({ print: { pageSize: "fit", fit: "zoom", scale: 0, caption: 3 } });
+    expect(state.config.print).toMatchObject({
+      pageSize: "a4",
+      fit: "page",
+      scale: 1,
+      caption: null,
+    });
+    expect(warn).toHaveBeenCalledTimes(4);
+
+    updateConfig({ print: { fit: "poster", tiles: { columns: 3, rows: 2 } } });
+    expect(state.config.print).toMatchObject({ fit: "poster", tiles: { columns: 3, rows: 2 } });
+    warn.mockRestore();
+    resetConfig();
+  });
+});
+
+describe("printDiagram", () => {
+  let container;
+  let blobs;
+  let frames;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetConfig();
+    container = document.createElement("div");
+    container.setAttribute("data-title", "Payments <flow>");
+    container.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 200" width="400" height="200">
+      <rect width="80" height="40"/><text x="10" y="20">Alpha</text></svg>`;
+    document.body.appendChild(container);
+
+    blobs = [];
+    URL.createObjectURL = jest.fn((blob) => {
+      blobs.push(blob);
+      return `blob:${blobs.length}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+
+    // Catch the print frame as it is attached, before print() is called on it
+    frames = [];
+    const append = document.body.appendChild.bind(document.body);
+    jest.spyOn(document.body, "appendChild").mockImplementation((node) => {
+      const result = append(node);
+      if (node.tagName === "IFRAME") {
+        node.contentWindow.print = jest.fn();
+        node.contentWindow.focus = jest.fn();
+        // jsdom never loads images; treat the diagram as loaded
+        Object.defineProperty(node.contentWindow.HTMLImageElement.prototype, "complete", {
+          get: () => true,
+        });
+        frames.push(node);
+      }
+      return result;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.body.innerHTML = "";
+    document.documentElement.classList.remove("dark");
+    clearThemeCache();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  test("prints one sheet with the title, caption and URL, then removes the frame", async () => {
+    const ok = await printDiagram(container, { caption: "Draft", url: "https://example.test/doc" });
+    expect(ok).toBe(true);
+    expect(frames).toHaveLength(1);
+
+    const [frame] = frames;
+    const doc = frame.contentDocument;
+    expect(frame.getAttribute("aria-hidden")).toBe("true");
+    expect(frame.contentWindow.print).toHaveBeenCalledTimes(1);
+    expect(doc.querySelectorAll(".dv-print-sheet")).toHaveLength(1);
+    expect(doc.querySelector(".dv-print-title").textContent).toBe("PAYMENTS <FLOW>");
+    expect(doc.querySelector(".dv-print-caption").textContent).toBe("Draft");
+    expect(doc.querySelector(".dv-print-url").textContent).toBe("https://example.test/doc");
+    expect(doc.querySelector(".dv-print-page")).toBeNull();
+    expect(doc.querySelector(".dv-print-content img").getAttribute("src")).toBe("blob:1");
+    expect(doc.querySelector("style").textContent).toContain("@page{size:297mm 210mm;margin:0}");
+    expect(blobs[0].type).toBe("image/svg+xml;charset=utf-8");
+
+    frame.contentWindow.dispatchEvent(new Event("afterprint"));
+    expect(document.querySelector(".diagview-print-frame")).toBeNull();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:1");
+  });
+
+  test("poster fit prints a sheet per tile with page labels", async () => {
+    await printDiagram(container, {
+      fit: "poster",
+      tiles: { columns: 2, rows: 1 },
+      title: false,
+      url: false,
+    });
+    const doc = frames[0].contentDocument;
+    const sheets = doc.querySelectorAll(".dv-print-sheet");
+    expect(sheets).toHaveLength(2);
+    expect(sheets[1].querySelector(".dv-print-page").textContent).toBe(
+      "Page 2 of 2 · Row 1, Column 2",
+    );
+    expect(doc.querySelector(".dv-print-title")).toBeNull();
+    expect(sheets[0].querySelector(".dv-print-marks line")).not.toBeNull();
+    expect(showInfoToast).toHaveBeenCalledWith("Printing 2 pages");
+    frames[0].contentWindow.dispatchEvent(new Event("afterprint"));
+  });
+
+  test("uses light colours even when the page is dark", async () => {
+    document.documentElement.classList.add("dark");
+    clearThemeCache();
+    await printDiagram(container, { watermark: { text: "Internal" }, url: false });
+
+    const svg = new DOMParser().parseFromString(await readText(blobs[0]), "image/svg+xml");
+    // Dark text on the white sheet, not the dark theme's white
+    const watermark = Array.from(svg.querySelectorAll("text")).find(
+      (text) => text.textContent === "Internal",
+    );
+    expect(watermark.getAttribute("fill")).toBe("#000000");
+    frames[0].contentWindow.dispatchEvent(new Event("afterprint"));
+  });
+
+  test("reports a missing diagram without opening a frame", async () => {
+    expect(await printDiagram(document.createElement("div"))).toBe(false);
+    expect(showErrorToast).toHaveBeenCalledWith("Print Failed", "No diagram to print");
+    expect(frames).toHaveLength(0);
+  });
+});
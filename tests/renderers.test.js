@@ -0,0 +1,305 @@
+/**
+ * Source Renderer Tests
+ * The renderer registry (core/renderers), rendering source blocks found by
+ * the observer with registered and built-in renderers, failures, the combined
+ * diagram selector, config validation and the viewer's "View source" toggle.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+import { validateConfig } from "../src/core/config-validation.js";
+import { DEFAULT_CONFIG } from "../src/core/config-defaults.js";
+
+jest.unstable_mockModule("../src/ui/modal.js", () => ({
+  createModal: jest.fn(),
+  openFullscreen: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/export.js", () => ({
+  exportDiagram: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showInfoToast: jest.fn(),
+  showWarningToast: jest.fn(),
+}));
+
+const {
+  registerRenderer,
+  unregisterRenderer,
+  findRenderer,
+  getActiveRenderers,
+  getDiagramSelector,
+  getDiagramSource,
+} = await import("../src/core/renderers.js");
+const { processDiagrams } = await import("../src/core/observer.js");
+const { deinitializeDiagram } = await import("../src/features/diagram-init.js");
+const { syncViewSource, toggleViewSource, cleanupViewSource } =
+  await import("../src/features/lazy/view-source.js");
+const { showSuccessToast } = await import("../src/ui/toast.js");
+
+const SVG = '<svg viewBox="0 0 100 50"><g class="node"><text>A</text></g></svg>';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** Let the observer's dynamic import and the renderer settle */
+const settle = async () => {
+  for (let i = 0; i < 4; i++) await flush();
+};
+
+const plantuml = (render = jest.fn(async () => SVG)) => ({
+  name: "plantuml",
+  selector: "pre.language-plantuml",
+  render,
+});
+
+describe("Renderer registry", () => {
+  beforeEach(() => resetConfig());
+  afterEach(() => unregisterRenderer("plantuml"));
+
+  test("validates, replaces by name and is tried before the built-ins", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(registerRenderer(/** @type {any} */ ({ name: "x", selector: "pre" }))).toBe(false);
+    expect(registerRenderer({ name: "x", selector: "pre[", render: async () => SVG })).toBe(false);
+    expect(warn).toHaveBeenCalledWith("DiagView: Renderers need a name, a selector and render()");
+    expect(warn).toHaveBeenCalledWith('DiagView: Invalid renderer selector "pre["');
+    warn.mockRestore();
+
+    // Built-ins are off by default
+    expect(getActiveRenderers()).toEqual([]);
+    expect(getDiagramSelector()).toBe(DEFAULT_CONFIG.diagramSelector);
+
+    const first = plantuml();
+    const second = plantuml();
+    expect(registerRenderer(first)).toBe(true);
+    expect(registerRenderer(second)).toBe(true);
+    updateConfig({ renderers: { enabled: true } });
+    expect(getActiveRenderers().map((r) => r.name)).toEqual(["plantuml", "mermaid", "graphviz"]);
+    expect(getActiveRenderers()[0]).toBe(second);
+    expect(getDiagramSelector()).toBe(
+      `${DEFAULT_CONFIG.diagramSelector}, pre.language-plantuml, pre.mermaid, pre.language-mermaid, pre.language-dot, pre.language-graphviz`,
+    );
+
+    document.body.innerHTML = '<pre class="language-dot">a -> b</pre>';
+    expect(findRenderer(document.querySelector("pre")).name).toBe("graphviz");
+    unregisterRenderer("plantuml");
+    expect(getActiveRenderers().map((r) => r.name)).toEqual(["mermaid", "graphviz"]);
+  });
+
+  test("validates config.renderers", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const config = /** @type {any} */ ({
+      ...DEFAULT_CONFIG,
+      renderers: {
+        enabled: "yes",
+        viewSource: true,
+        mermaidLibraryUrl: "",
+        mermaidLibraryIntegrity: 42,
+        graphvizLibraryUrl: "/vendor/viz.js",
+        graphvizLibraryIntegrity: null,
+      },
+    });
+    validateConfig(config);
+    // The default Mermaid URL gets its pinned hash back; the custom Viz.js URL keeps none
+    expect(config.renderers).toEqual({
+      ...DEFAULT_CONFIG.renderers,
+      graphvizLibraryUrl: "/vendor/viz.js",
+      graphvizLibraryIntegrity: null,
+    });
+    expect(warn).toHaveBeenCalledWith(
+      "DiagView: renderers.enabled must be a boolean, using default",
+    );
+
+    // Through updateConfig, a changed URL drops the default hash unless one comes with it
+    updateConfig({ renderers: { mermaidLibraryUrl: "/vendor/mermaid.js" } });
+    expect(state.config.renderers.mermaidLibraryIntegrity).toBeNull();
+    updateConfig({
+      renderers: { mermaidLibraryUrl: "/vendor/mermaid.js", mermaidLibraryIntegrity: "sha384-x" },
+    });
+    expect(state.config.renderers.mermaidLibraryIntegrity).toBe("sha384-x");
+    updateConfig({ renderers: { mermaidLibraryUrl: DEFAULT_CONFIG.renderers.mermaidLibraryUrl } });
+    expect(state.config.renderers.mermaidLibraryIntegrity).toMatch(/^sha384-/);
+    expect(state.config.renderers.graphvizLibraryIntegrity).toMatch(/^sha384-/);
+
+    const broken = /** @type {any} */ ({ ...DEFAULT_CONFIG, renderers: null });
+    validateConfig(broken);
+    expect(broken.renderers).toEqual(DEFAULT_CONFIG.renderers);
+    warn.mockRestore();
+  });
+});
+
+describe("Rendering source blocks", () => {
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = "";
+  });
+
+  afterEach(() => {
+    document.querySelectorAll("pre").forEach((pre) => deinitializeDiagram(pre));
+    unregisterRenderer("plantuml");
+    delete window.mermaid;
+    delete window.Viz;
+    document.body.innerHTML = "";
+  });
+
+  test("the observer renders matching blocks, sanitizes and enhances them", async () => {
+    const render = jest.fn(async () => SVG.replace("<text>", '<text onclick="alert(1)">'));
+    registerRenderer(plantuml(render));
+    document.body.innerHTML = '<pre class="language-plantuml" id="block">\n  A -> B\n</pre>';
+    const block = document.getElementById("block");
+
+    processDiagrams(document.body);
+    await settle();
+
+    expect(render).toHaveBeenCalledWith("A -> B", block);
+    const svg = block.querySelector("svg");
+    expect(svg).toBeInstanceOf(SVGSVGElement);
+    expect(svg.querySelector("[onclick]")).toBeNull();
+    // The source text is replaced by the diagram, but kept for "View source"
+    expect(block.textContent).not.toContain("A -> B");
+    expect(getDiagramSource(block)).toEqual({ renderer: "plantuml", source: "A -> B" });
+    expect(block.dataset.diagviewInit).toBe("1");
+    expect(block.dataset.diagviewIndex).toBe("0");
+
+    // Rendered once
+    processDiagrams(document.body);
+    await settle();
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  test("built-in renderers use Mermaid and Viz.js once enabled", async () => {
+    window.mermaid = {
+      render: jest.fn(async (id, source) => ({ svg: SVG.replace("A", source) })),
+    };
+    window.Viz = {
+      instance: async () => ({ renderString: jest.fn(() => SVG.replace("A", "DOT")) }),
+    };
+    document.body.innerHTML =
+      '<pre class="mermaid">graph TD</pre><pre class="language-dot">digraph { a -> b }</pre>';
+    const [mermaidBlock, dotBlock] = document.querySelectorAll("pre");
+
+    processDiagrams(document.body);
+    await settle();
+    expect(window.mermaid.render).not.toHaveBeenCalled();
+
+    updateConfig({ renderers: { enabled: true } });
+    processDiagrams(document.body);
+    await settle();
+
+    expect(window.mermaid.render).toHaveBeenCalledWith(expect.any(String), "graph TD");
+    expect(mermaidBlock.querySelector("svg text").textContent).toBe("graph TD");
+    expect(dotBlock.querySelector("svg text").textContent).toBe("DOT");
+    expect(dotBlock.dataset.diagviewIndex).toBe("1");
+  });
+
+  test("renderer errors and empty output show the error boundary", async () => {
+    const onError = jest.fn();
+    updateConfig({ onError });
+    registerRenderer(
+      plantuml(async () => {
+        throw new Error("Syntax error on line 1");
+      }),
+    );
+    registerRenderer({ name: "empty", selector: "pre.language-empty", render: async () => null });
+    document.body.innerHTML =
+      '<pre class="language-plantuml">A -></pre><pre class="language-empty">x</pre>';
+    const [broken, empty] = document.querySelectorAll("pre");
+
+    processDiagrams(document.body);
+    await settle();
+
+    expect(broken.dataset.diagviewSrcState).toBe("error");
+    expect(broken.querySelector(".diagview-error").textContent).toContain(
+      "Diagram Failed to Render",
+    );
+    expect(broken.querySelector(".diagview-error").textContent).toContain("Syntax error on line 1");
+    expect(empty.textContent).toContain("The empty renderer returned no SVG.");
+    expect(onError).toHaveBeenCalledTimes(2);
+    unregisterRenderer("empty");
+  });
+});
+
+describe("View source", () => {
+  let block;
+  let button;
+  let panel;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <button id="dv-view-source-btn" hidden aria-pressed="false"></button>
+      <aside id="diagview-source">
+        <h2 id="diagview-source-title"></h2>
+        <button id="diagview-source-copy"></button>
+        <button id="diagview-source-close"></button>
+        <pre class="dv-source-code"><code></code></pre>
+      </aside>
+      <pre class="language-plantuml" id="block">A -> B</pre>
+      <div class="diagram" id="plain">${SVG}</div>`;
+    block = document.getElementById("block");
+    button = document.getElementById("dv-view-source-btn");
+    panel = document.getElementById("diagview-source");
+    state.isModalOpen = true;
+  });
+
+  afterEach(() => {
+    cleanupViewSource();
+    deinitializeDiagram(block);
+    unregisterRenderer("plantuml");
+    state.isModalOpen = false;
+    document.body.innerHTML = "";
+  });
+
+  const renderBlock = async () => {
+    registerRenderer(plantuml());
+    const { renderDiagram } = await import("../src/features/lazy/mount.js");
+    await renderDiagram(block, findRenderer(block));
+  };
+
+  test("offers the toggle only for rendered diagrams", async () => {
+    syncViewSource(document.getElementById("plain"));
+    expect(button.hidden).toBe(true);
+    expect(toggleViewSource(true)).toBe(false);
+
+    await renderBlock();
+    syncViewSource(block);
+    expect(button.hidden).toBe(false);
+
+    expect(toggleViewSource()).toBe(true);
+    expect(panel.classList.contains("show")).toBe(true);
+    expect(button.getAttribute("aria-pressed")).toBe("true");
+    expect(panel.querySelector("#diagview-source-title").textContent).toBe("Plantuml source");
+    expect(panel.querySelector("code").textContent).toBe("A -> B");
+
+    // Switching to a diagram without source hides the toggle and the panel
+    syncViewSource(document.getElementById("plain"));
+    expect(button.hidden).toBe(true);
+    expect(panel.classList.contains("show")).toBe(false);
+
+    updateConfig({ renderers: { viewSource: false } });
+    syncViewSource(block);
+    expect(button.hidden).toBe(true);
+  });
+
+  test("copies the source and closes from the panel", async () => {
+    const writeText = jest.fn(async () => {});
+    Object.defineProperty(navigator, "clipboard", { value: { writeText }, configurable: true });
+    await renderBlock();
+    syncViewSource(block);
+    toggleViewSource(true);
+
+    /** @type {HTMLElement} */ (panel.querySelector("#diagview-source-copy")).click();
+    await flush();
+    expect(writeText).toHaveBeenCalledWith("A -> B");
+    expect(showSuccessToast).toHaveBeenCalledWith("Source copied to clipboard");
+
+    /** @type {HTMLElement} */ (panel.querySelector("#diagview-source-close")).click();
+    expect(panel.classList.contains("show")).toBe(false);
+    expect(button.getAttribute("aria-pressed")).toBe("false");
+    delete navigator.clipboard;
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Search Query Tests
+ * Matching modes, ranking and share-link flag serialization.
+ */
+
+import {
+  createSearchMatcher,
+  normalizeSearchOptions,
+  encodeSearchOptions,
+  parseSearchOptions,
+} from "../src/core/search-query.js";
+import { SEARCH } from "../src/core/constants.js";
+
+describe("createSearchMatcher", () => {
+  test("default mode is a case-insensitive substring match", () => {
+    const { score } = createSearchMatcher("auth");
+    expect(score("User Authentication")).toBeGreaterThan(0);
+    expect(score("Database")).toBe(0);
+  });
+
+  test("empty query matches nothing", () => {
+    expect(createSearchMatcher("   ").score("anything")).toBe(0);
+  });
+
+  test("ranks exact > prefix > word start > substring", () => {
+    const { score } = createSearchMatcher("api");
+    expect(score("API")).toBe(SEARCH.SCORE_EXACT);
+    expect(score("API Gateway")).toBe(SEARCH.SCORE_PREFIX);
+    expect(score("Public API")).toBe(SEARCH.SCORE_WORD_START);
+    expect(score("Rapid")).toBe(SEARCH.SCORE_SUBSTRING);
+  });
+
+  test("case-sensitive mode respects letter case", () => {
+    const { score } = createSearchMatcher("API", { caseSensitive: true });
+    expect(score("API Gateway")).toBeGreaterThan(0);
+    expect(score("api gateway")).toBe(0);
+  });
+
+  test("whole-word mode ignores partial words, including non-ASCII", () => {
+    const { score } = createSearchMatcher("auth", { wholeWord: true });
+    expect(score("auth service")).toBeGreaterThan(0);
+    expect(score("authentication")).toBe(0);
+    expect(createSearchMatcher("café", { wholeWord: true }).score("cafés")).toBe(0);
+  });
+
+  test("query characters are literal outside regex mode", () => {
+    const { score } = createSearchMatcher("a.b");
+    expect(score("a.b")).toBe(SEARCH.SCORE_EXACT);
+    expect(score("axb")).toBe(0);
+  });
+
+  test("regex mode matches patterns and combines with whole word", () => {
+    expect(createSearchMatcher("svc-\\d+", { regex: true }).score("svc-42")).toBe(
+      SEARCH.SCORE_EXACT,
+    );
+    const word = createSearchMatcher("user|order", { regex: true, wholeWord: true });
+    expect(word.score("order api")).toBeGreaterThan(0);
+    expect(word.score("reorder")).toBe(0);
+  });
+
+  test("invalid regex reports an error and matches nothing", () => {
+    const matcher = createSearchMatcher("([", { regex: true });
+    expect(matcher.error).toBe("Invalid regular expression");
+    expect(matcher.score("([")).toBe(0);
+  });
+
+  test("zero-length regex matches are ignored", () => {
+    expect(createSearchMatcher("x*", { regex: true }).score("abc")).toBe(0);
+  });
+
+  test("fuzzy mode tolerates typos and transpositions", () => {
+    const { score } = createSearchMatcher("gatway", { fuzzy: true });
+    expect(score("API Gateway")).toBeGreaterThan(0);
+    expect(score("API Gateway")).toBeLessThan(SEARCH.SCORE_SUBSTRING);
+    expect(createSearchMatcher("databsae", { fuzzy: true }).score("Database")).toBeGreaterThan(0);
+    expect(score("Order Service")).toBe(0);
+  });
+
+  test("fuzzy mode still ranks exact matches above typo matches", () => {
+    const { score } = createSearchMatcher("gateway", { fuzzy: true });
+    expect(score("Gateway")).toBe(SEARCH.SCORE_EXACT);
+    expect(score("Gatewey")).toBeLessThan(SEARCH.SCORE_SUBSTRING);
+  });
+
+  test("short fuzzy queries only match exactly", () => {
+    expect(createSearchMatcher("db", { fuzzy: true }).score("da")).toBe(0);
+  });
+});
+
+describe("search option flags", () => {
+  test("regex and fuzzy are mutually exclusive", () => {
+    expect(normalizeSearchOptions({ regex: true, fuzzy: true })).toEqual({
+      caseSensitive: false,
+      wholeWord: false,
+      regex: true,
+      fuzzy: false,
+    });
+  });
+
+  test("encode and parse round-trip", () => {
+    const options = { caseSensitive: true, wholeWord: false, regex: false, fuzzy: true };
+    expect(encodeSearchOptions(options)).toBe("cf");
+    expect(parseSearchOptions("cf")).toEqual(options);
+    expect(encodeSearchOptions({})).toBe("");
+  });
+
+  test("parse ignores unknown letters and empty input", () => {
+    expect(parseSearchOptions("xyzw").wholeWord).toBe(true);
+    expect(parseSearchOptions(null)).toEqual(normalizeSearchOptions());
+  });
+});
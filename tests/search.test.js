@@ -1,10 +1,18 @@
 /**
  * Search Module Tests
- * Tests for search candidate caching, performSearch, and clearSearch.
+ * Tests for search candidate caching, performSearch, clearSearch and
+ * next/previous match navigation.
  */
 
 import { jest } from "@jest/globals";
-import { performSearch, clearSearch } from "../src/features/lazy/search.js";
+import {
+  performSearch,
+  clearSearch,
+  navigateSearch,
+  setupSearch,
+  resetSearch,
+  setSearchOptions,
+} from "../src/features/lazy/search.js";
 import { state, resetConfig } from "../src/core/config.js";
 
 // Mock SVG with searchable nodes
@@ -194,3 +202,225 @@ describe("Search: clearSearch", () => {
     expect(svg.classList.contains("dv-searching")).toBe(false);
   });
 });
+
+describe("Search: match navigation", () => {
+  let svg;
+  let panzoom;
+
+  // Place a node on screen; the <text> inside shares its box
+  function placeNode(node, left, top) {
+    const rect = { left, top, width: 100, height: 20, right: left + 100, bottom: top + 20 };
+    node.getBoundingClientRect = () => rect;
+    node.querySelector("text").getBoundingClientRect = () => rect;
+  }
+
+  beforeEach(() => {
+    resetConfig();
+    resetSearch();
+    document.body.innerHTML = `
+      <div class="diagview-search-wrapper">
+        <input id="diagview-search" />
+        <span id="diagview-search-count"></span>
+        <button id="diagview-search-prev"></button>
+        <button id="diagview-search-next"></button>
+        <button id="diagview-search-clear"></button>
+      </div>
+      <span id="diagview-search-status"></span>
+      <div id="diagview-modal-viewport"></div>
+    `;
+
+    svg = createMockSvg();
+    document.getElementById("diagview-modal-viewport").appendChild(svg);
+
+    // DOM order is Auth, Database, API — visually Database sits left of Auth
+    const [auth, db, api] = svg.querySelectorAll(".node");
+    placeNode(auth, 500, 10);
+    placeNode(db, 50, 15);
+    placeNode(api, 200, 300);
+
+    // Identity screen <-> SVG mapping
+    svg.createSVGPoint = () => ({
+      x: 0,
+      y: 0,
+      matrixTransform() {
+        return { x: this.x, y: this.y };
+      },
+    });
+    svg.getScreenCTM = () => ({ inverse: () => ({}) });
+
+    const viewport = document.getElementById("diagview-modal-viewport");
+    viewport.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+
+    panzoom = { getScale: () => 2, zoom: jest.fn(), pan: jest.fn() };
+    state.activePanzoom = panzoom;
+    state.isModalOpen = true;
+
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((cb) => {
+      cb();
+      return 1;
+    });
+    jest.spyOn(window, "cancelAnimationFrame").mockImplementation(() => {});
+
+    performSearch(svg, "e");
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+    state.searchMatches = [];
+    state.activePanzoom = null;
+    state.isModalOpen = false;
+    jest.restoreAllMocks();
+  });
+
+  const activeText = () => svg.querySelector(".dv-search-active text").textContent;
+  const counterText = () => document.getElementById("diagview-search-count").textContent;
+
+  test("counts each matching node once, not its nested text", () => {
+    expect(state.searchMatches.length).toBe(6);
+    expect(counterText()).toBe("3 matches");
+    expect(document.getElementById("diagview-search-status").textContent).toBe("3 matches found");
+  });
+
+  test("steps through matches in reading order and wraps around", () => {
+    expect(navigateSearch(1)).toBe(true);
+    expect(activeText()).toBe("Database Handler");
+    expect(counterText()).toBe("1 of 3");
+
+    navigateSearch(1);
+    expect(activeText()).toBe("Authentication Service");
+
+    navigateSearch(1);
+    navigateSearch(1);
+    expect(activeText()).toBe("Database Handler");
+
+    navigateSearch(-1);
+    expect(activeText()).toBe("API Gateway");
+    expect(counterText()).toBe("3 of 3");
+    expect(svg.querySelectorAll(".dv-search-active")).toHaveLength(1);
+  });
+
+  test("visits better-ranked matches first", () => {
+    // "a" starts Authentication and API but sits mid-word in Database
+    performSearch(svg, "a");
+    navigateSearch(1);
+    expect(activeText()).toBe("Authentication Service");
+    navigateSearch(1);
+    expect(activeText()).toBe("API Gateway");
+    navigateSearch(1);
+    expect(activeText()).toBe("Database Handler");
+  });
+
+  test("pans the active match into the viewport centre", () => {
+    navigateSearch(1);
+    // Database Handler centre is (100, 25); viewport centre is (400, 300); scale 2
+    expect(panzoom.zoom).not.toHaveBeenCalled();
+    expect(panzoom.pan).toHaveBeenCalledWith(150, 137.5, { relative: true, animate: true });
+  });
+
+  test("zooms in on small matches before centring", () => {
+    panzoom.getScale = () => 1;
+    navigateSearch(1);
+    expect(panzoom.zoom).toHaveBeenCalledWith(1.5, { animate: false });
+    expect(panzoom.pan).toHaveBeenCalled();
+  });
+
+  test("Enter and Shift+Enter in the search input navigate", () => {
+    const input = document.getElementById("diagview-search");
+    input.value = "e";
+    setupSearch(svg);
+    performSearch(svg, "e");
+
+    input.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    expect(counterText()).toBe("1 of 3");
+
+    input.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Enter", shiftKey: true, bubbles: true }),
+    );
+    expect(counterText()).toBe("3 of 3");
+  });
+
+  test("clearing the search resets the active match", () => {
+    navigateSearch(1);
+    clearSearch();
+    expect(state.searchActiveIndex).toBe(-1);
+    expect(svg.querySelector(".dv-search-active")).toBeNull();
+    expect(navigateSearch(1)).toBe(false);
+  });
+});
+
+describe("Search: modes", () => {
+  let svg;
+
+  beforeEach(() => {
+    resetConfig();
+    resetSearch();
+    document.body.innerHTML = `
+      <div class="diagview-search-wrapper">
+        <input id="diagview-search" />
+        <button id="diagview-search-case"></button>
+        <button id="diagview-search-word"></button>
+        <button id="diagview-search-regex"></button>
+        <button id="diagview-search-fuzzy"></button>
+        <span id="diagview-search-count"></span>
+      </div>
+      <span id="diagview-search-status"></span>
+      <div id="diagview-modal-viewport"></div>
+    `;
+    svg = createMockSvg();
+    document.getElementById("diagview-modal-viewport").appendChild(svg);
+
+    jest.spyOn(window, "requestAnimationFrame").mockImplementation((cb) => {
+      cb();
+      return 1;
+    });
+    jest.spyOn(window, "cancelAnimationFrame").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+    state.searchMatches = [];
+    jest.restoreAllMocks();
+  });
+
+  const counterText = () => document.getElementById("diagview-search-count").textContent;
+
+  test("toggling a mode re-runs the current query", () => {
+    const input = document.getElementById("diagview-search");
+    input.value = "api";
+    setupSearch(svg);
+    expect(counterText()).toBe("1 match");
+
+    document.getElementById("diagview-search-case").click();
+    expect(state.searchOptions.caseSensitive).toBe(true);
+    expect(document.getElementById("diagview-search-case").getAttribute("aria-pressed")).toBe(
+      "true",
+    );
+    expect(counterText()).toBe("No matches");
+  });
+
+  test("switching fuzzy on turns regex off and disables whole word", () => {
+    setSearchOptions({ regex: true });
+    setSearchOptions({ fuzzy: true });
+    expect(state.searchOptions.regex).toBe(false);
+    expect(state.searchOptions.fuzzy).toBe(true);
+    expect(document.getElementById("diagview-search-word").disabled).toBe(true);
+  });
+
+  test("setupSearch applies initial options (e.g. from a share link)", () => {
+    setupSearch(svg, "gatway", { fuzzy: true });
+    expect(state.searchOptions.fuzzy).toBe(true);
+    expect(document.getElementById("diagview-search").value).toBe("gatway");
+    expect(counterText()).toBe("1 match");
+  });
+
+  test("invalid regex flags the input and counter", () => {
+    state.searchOptions = { caseSensitive: false, wholeWord: false, regex: true, fuzzy: false };
+    performSearch(svg, "([");
+    expect(counterText()).toBe("Invalid pattern");
+    expect(document.getElementById("diagview-search").getAttribute("aria-invalid")).toBe("true");
+
+    performSearch(svg, "API|Data");
+    expect(counterText()).toBe("2 matches");
+    expect(document.getElementById("diagview-search").hasAttribute("aria-invalid")).toBe(false);
+  });
+});
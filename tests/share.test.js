@@ -91,6 +91,43 @@ describe("Share System", () => {
     document.getElementById("diagview-search").value = "test-query";
     const link = generateShareLink(0);
     expect(link).toContain("dv-q=test-query");
+    expect(link).not.toContain("dv-qm");
+  });
+
+  test("generateShareLink stores active search modes next to the query", () => {
+    document.getElementById("diagview-search").value = "auth";
+    state.searchOptions = { caseSensitive: true, wholeWord: true, regex: false, fuzzy: false };
+    const link = generateShareLink(0);
+    expect(new URL(link).searchParams.get("dv-qm")).toBe("cw");
+  });
+
+  test("generateShareLink leaves regex mode out of the link", () => {
+    document.getElementById("diagview-search").value = "a.+b";
+    state.searchOptions = { caseSensitive: true, wholeWord: false, regex: true, fuzzy: false };
+    expect(new URL(generateShareLink(0)).searchParams.get("dv-qm")).toBe("c");
+
+    state.searchOptions = { caseSensitive: false, wholeWord: false, regex: true, fuzzy: false };
+    expect(generateShareLink(0)).not.toContain("dv-qm");
+  });
+
+  test("restoreViewFromURL parses search modes but never enables regex", () => {
+    window.location = new URL("http://localhost/test?dv-idx=0&dv-q=auth&dv-qm=cf");
+    const diagram = { id: "diag1" };
+    restoreViewFromURL([diagram]);
+    expect(getPendingShareState(diagram).searchOptions).toEqual({
+      caseSensitive: true,
+      wholeWord: false,
+      regex: false,
+      fuzzy: true,
+    });
+
+    // A crafted pattern would run against every node label (ReDoS): search it literally
+    window.location = new URL("http://localhost/test?dv-idx=0&dv-q=(a%2B)%2B%24&dv-qm=rw");
+    restoreViewFromURL([diagram]);
+    expect(getPendingShareState(diagram)).toMatchObject({
+      query: "(a+)+$",
+      searchOptions: { caseSensitive: false, wholeWord: true, regex: false, fuzzy: false },
+    });
   });
 
   test("shareLink copies to clipboard", async () => {
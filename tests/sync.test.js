@@ -0,0 +1,336 @@
+/**
+ * Follow-the-Presenter Sync Tests
+ * Transports (core/sync-transport), presenter broadcasts and follower playback
+ * (features/lazy/sync) over an in-memory transport.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig } from "../src/core/config.js";
+
+jest.unstable_mockModule("../src/ui/modal.js", () => ({
+  openFullscreen: jest.fn(),
+  switchDiagram: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/ui/modal-controls.js", () => ({
+  closeModal: jest.fn(),
+}));
+
+jest.unstable_mockModule("../src/features/lazy/search.js", () => ({
+  performSearch: jest.fn(),
+  setSearchOptions: jest.fn(),
+}));
+
+// jsdom has no layout: the presenter sees its diagram at 3x with the viewport centre at
+// (50, 60); on followers, SVG and screen coordinates coincide
+jest.unstable_mockModule("../src/core/svg-geometry.js", () => ({
+  getViewportCenterInSVGCoords: () => ({ x: 50, y: 60 }),
+  getScreenPointInSVGCoords: (svg, x, y) => ({ x: x / 3, y: y / 3 }),
+  getSVGPointInScreenCoords: (svg, x, y) => ({ x, y }),
+  getCenteringPan: jest.fn(() => ({ x: -5, y: 7 })),
+  panSVGPointToCenter: jest.fn(),
+}));
+
+const { openFullscreen, switchDiagram } = await import("../src/ui/modal.js");
+const { closeModal } = await import("../src/ui/modal-controls.js");
+const { setSearchOptions, performSearch } = await import("../src/features/lazy/search.js");
+const { getCenteringPan } = await import("../src/core/svg-geometry.js");
+const { createBroadcastChannelTransport, isSyncTransport } =
+  await import("../src/core/sync-transport.js");
+const { startSync, stopSync } = await import("../src/features/lazy/sync.js");
+
+/** In-memory transport: records what this page sends, lets tests deliver messages */
+function createTestTransport() {
+  const handlers = new Set();
+  return {
+    sent: [],
+    send: jest.fn(function (message) {
+      this.sent.push(message);
+    }),
+    subscribe: jest.fn((handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    }),
+    deliver(message) {
+      handlers.forEach((h) => h({ v: 1, from: "peer", ...message }));
+    },
+    get listening() {
+      return handlers.size;
+    },
+  };
+}
+
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+function mountModal() {
+  document.body.insertAdjacentHTML(
+    "beforeend",
+    `<div id="diagview-modal-viewport">
+      <div id="diagview-rotator"><svg viewBox="0 0 100 100"><g></g></svg></div>
+    </div>
+    <input id="diagview-search" />
+    <div id="diagview-laser" style="display: none"></div>`,
+  );
+}
+
+describe("Sync transports", () => {
+  test("isSyncTransport checks for send() and subscribe()", () => {
+    expect(isSyncTransport(null)).toBe(false);
+    expect(isSyncTransport({ send() {} })).toBe(false);
+    expect(isSyncTransport(createTestTransport())).toBe(true);
+  });
+
+  test("BroadcastChannel transport posts, subscribes and closes", () => {
+    const original = globalThis.BroadcastChannel;
+    const instances = [];
+    globalThis.BroadcastChannel = class {
+      constructor(name) {
+        this.name = name;
+        this.postMessage = jest.fn();
+        this.close = jest.fn();
+        this.listeners = new Set();
+        instances.push(this);
+      }
+      addEventListener(type, fn) {
+        this.listeners.add(fn);
+      }
+      removeEventListener(type, fn) {
+        this.listeners.delete(fn);
+      }
+    };
+
+    const transport = createBroadcastChannelTransport();
+    const channel = instances[0];
+    expect(channel.name).toBe("diagview-sync");
+
+    transport.send({ type: "hello" });
+    expect(channel.postMessage).toHaveBeenCalledWith({ type: "hello" });
+
+    const handler = jest.fn();
+    const off = transport.subscribe(handler);
+    channel.listeners.forEach((fn) => fn({ data: { type: "view" } }));
+    expect(handler).toHaveBeenCalledWith({ type: "view" });
+    off();
+    expect(channel.listeners.size).toBe(0);
+
+    transport.close();
+    expect(channel.close).toHaveBeenCalled();
+
+    delete globalThis.BroadcastChannel;
+    expect(createBroadcastChannelTransport("x")).toBeNull();
+    globalThis.BroadcastChannel = original;
+  });
+});
+
+describe("Sync sessions", () => {
+  let transport;
+  let panzoom;
+
+  beforeEach(() => {
+    resetConfig();
+    jest.clearAllMocks();
+    document.body.innerHTML = "";
+    transport = createTestTransport();
+    panzoom = {
+      getScale: () => 2,
+      getPan: () => ({ x: 0, y: 0 }),
+      zoom: jest.fn(),
+      pan: jest.fn(),
+    };
+    state.rotationAngle = 0;
+  });
+
+  afterEach(() => {
+    stopSync();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+    state.activePanzoom = null;
+    state.meetingMode = false;
+    jest.useRealTimers();
+  });
+
+  test("rejects unknown roles and invalid transports", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(startSync({ role: "viewer", transport })).toBe(false);
+    expect(startSync({ role: "presenter", transport: { send() {} } })).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(state.syncRole).toBeNull();
+    warn.mockRestore();
+  });
+
+  describe("presenter", () => {
+    beforeEach(() => {
+      mountModal();
+      state.isModalOpen = true;
+      state.activePanzoom = /** @type {any} */ (panzoom);
+      state.currentDiagramIndex = 1;
+    });
+
+    test("broadcasts the share-link view on start, on changes and again once settled", () => {
+      jest.useFakeTimers();
+      /** @type {HTMLInputElement} */ (document.getElementById("diagview-search")).value = "db";
+      state.searchOptions = { caseSensitive: true, wholeWord: false, regex: false, fuzzy: false };
+
+      expect(startSync({ role: "presenter", transport })).toBe(true);
+      expect(state.syncRole).toBe("presenter");
+      expect(transport.sent[0]).toMatchObject({
+        v: 1,
+        type: "view",
+        view: {
+          "dv-idx": "1",
+          "dv-z": "2.000",
+          "dv-cx": "50",
+          "dv-cy": "60",
+          "dv-q": "db",
+          "dv-qm": "c",
+        },
+      });
+
+      state.events.emit("zoom", {});
+      state.events.emit("pan", {});
+      expect(transport.sent).toHaveLength(2);
+      jest.advanceTimersByTime(50);
+      expect(transport.sent).toHaveLength(3); // trailing throttle
+      jest.advanceTimersByTime(700);
+      expect(transport.sent).toHaveLength(4); // settled view
+      expect(transport.sent.every((m) => m.from === transport.sent[0].from)).toBe(true);
+    });
+
+    test("sends the laser in diagram coordinates only during meeting mode", () => {
+      startSync({ role: "presenter", transport });
+      const move = (x, y) =>
+        window.dispatchEvent(new MouseEvent("pointermove", { clientX: x, clientY: y }));
+
+      move(10, 20);
+      expect(transport.sent.filter((m) => m.type === "laser")).toHaveLength(0);
+
+      state.meetingMode = true;
+      move(10, 20);
+      expect(transport.sent.at(-1)).toMatchObject({ type: "laser", point: { x: 3.3, y: 6.7 } });
+
+      state.events.emit("meeting:toggle", { active: false });
+      expect(transport.sent.at(-1)).toMatchObject({ type: "laser", point: null });
+    });
+
+    test("answers hello, announces close and stops cleanly", () => {
+      startSync({ role: "presenter", transport });
+      transport.sent.length = 0;
+
+      transport.deliver({ type: "hello" });
+      expect(transport.sent[0].type).toBe("view");
+
+      // Presenters ignore views from others
+      transport.deliver({ type: "view", view: { "dv-idx": "0" } });
+      expect(openFullscreen).not.toHaveBeenCalled();
+
+      state.events.emit("close", {});
+      expect(transport.sent.at(-1).type).toBe("close");
+
+      expect(stopSync()).toBe(true);
+      expect(transport.listening).toBe(0);
+      expect(state.syncRole).toBeNull();
+      expect(transport.sent.at(-1)).toMatchObject({ type: "laser", point: null });
+      expect(stopSync()).toBe(false);
+    });
+  });
+
+  describe("follower", () => {
+    let diagrams;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="diagram"><svg></svg></div>
+        <div class="diagram"><svg></svg></div>
+      `;
+      diagrams = Array.from(document.querySelectorAll(".diagram"));
+      openFullscreen.mockImplementation(async (el) => {
+        mountModal();
+        state.isModalOpen = true;
+        state.activeSourceElement = el;
+        state.activePanzoom = /** @type {any} */ (panzoom);
+      });
+      switchDiagram.mockImplementation(async (el) => {
+        state.activeSourceElement = el;
+      });
+    });
+
+    test("asks for the current view, then opens the diagram and animates to it", async () => {
+      startSync({ role: "follower", transport });
+      expect(transport.sent[0].type).toBe("hello");
+
+      transport.deliver({
+        type: "view",
+        view: { "dv-idx": "1", "dv-z": "2.5", "dv-cx": "40", "dv-cy": "30", "dv-r": "90" },
+      });
+      await flush();
+
+      expect(openFullscreen).toHaveBeenCalledWith(diagrams[1]);
+      expect(state.rotationAngle).toBe(90);
+      const options = { animate: true, duration: 200, force: true };
+      expect(panzoom.zoom).toHaveBeenCalledWith(2.5, options);
+      expect(getCenteringPan).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.anything(),
+        panzoom,
+        40,
+        30,
+        2.5,
+      );
+      expect(panzoom.pan).toHaveBeenCalledWith(-5, 7, options);
+
+      transport.deliver({ type: "view", view: { "dv-idx": "0", "dv-z": "1" } });
+      await flush();
+      expect(switchDiagram).toHaveBeenCalledWith(diagrams[0]);
+      expect(panzoom.zoom).toHaveBeenLastCalledWith(1, options);
+    });
+
+    test("mirrors search query and modes", async () => {
+      startSync({ role: "follower", transport });
+      transport.deliver({ type: "view", view: { "dv-idx": "0", "dv-q": "db", "dv-qm": "w" } });
+      await flush();
+
+      const input = /** @type {HTMLInputElement} */ (document.getElementById("diagview-search"));
+      expect(input.value).toBe("db");
+      expect(setSearchOptions).toHaveBeenCalledWith(expect.objectContaining({ wholeWord: true }));
+
+      transport.deliver({ type: "view", view: { "dv-idx": "0" } });
+      await flush();
+      expect(input.value).toBe("");
+      expect(performSearch).toHaveBeenCalledWith(expect.anything(), "");
+    });
+
+    test("shows the presenter's laser and closes with the presenter", async () => {
+      startSync({ role: "follower", transport });
+      transport.deliver({ type: "view", view: { "dv-idx": "0" } });
+      await flush();
+
+      const laser = document.getElementById("diagview-laser");
+      transport.deliver({ type: "laser", point: { x: 15, y: 25 } });
+      expect(laser.style.display).toBe("block");
+      expect(laser.style.transform).toBe("translate3d(15px, 25px, 0)");
+
+      transport.deliver({ type: "laser", point: null });
+      expect(laser.style.display).toBe("none");
+
+      transport.deliver({ type: "close" });
+      expect(closeModal).toHaveBeenCalled();
+    });
+
+    test("ignores malformed, foreign-version and own messages", async () => {
+      startSync({ role: "follower", transport });
+      const handler = transport.subscribe.mock.calls[0][0];
+      const own = transport.sent[0].from;
+
+      handler(null);
+      handler("view");
+      handler({ v: 2, from: "peer", type: "view", view: { "dv-idx": "0" } });
+      handler({ v: 1, from: own, type: "view", view: { "dv-idx": "0" } });
+      transport.deliver({ type: "view", view: { "dv-idx": "-1" } });
+      transport.deliver({ type: "view", view: { "dv-idx": "7" } });
+      transport.deliver({ type: "view", view: "nope" });
+      await flush();
+
+      expect(openFullscreen).not.toHaveBeenCalled();
+    });
+  });
+});
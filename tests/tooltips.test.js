@@ -0,0 +1,222 @@
+/**
+ * Hover Tooltip Tests
+ * Content from titles, descriptions, link titles and data attributes, host HTML
+ * through tooltips.render (sanitized), pointer and long-press placement, and
+ * config validation.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig, updateConfig } from "../src/core/config.js";
+import { clearDiagramModelCache } from "../src/core/diagram-adapters.js";
+import { setupTooltips, hideTooltip, cleanupTooltips } from "../src/features/lazy/tooltips.js";
+
+const DIAGRAM = `
+  <svg aria-roledescription="flowchart-v2">
+    <path class="flowchart-link" id="L_a_b_0"></path>
+    <g class="node" id="flowchart-a-0" data-id="a" data-owner="payments" title="Public entry point">
+      <desc>Routes traffic</desc>
+      <rect width="80" height="40"></rect><text>API</text>
+    </g>
+    <g class="node" id="flowchart-b-1"><rect></rect><text>DB</text></g>
+  </svg>`;
+
+function pointer(type, target, options = {}) {
+  target.dispatchEvent(new MouseEvent(type, { bubbles: true, ...options }));
+}
+
+/** jsdom has no PointerEvent; add pointerType to a mouse event */
+function touch(type, target, options = {}) {
+  const event = new MouseEvent(type, { bubbles: true, ...options });
+  Object.defineProperty(event, "pointerType", { value: "touch" });
+  target.dispatchEvent(event);
+}
+
+describe("Hover tooltips", () => {
+  let viewport;
+  let svg;
+  let tip;
+  const node = (id) => svg.querySelector(`[id^="flowchart-${id}"]`);
+  const texts = () => Array.from(tip.children, (child) => child.textContent);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    resetConfig();
+    document.body.innerHTML = `
+      <div id="diagview-modal-viewport">${DIAGRAM}</div>
+      <div id="diagview-tooltip" class="diagview-tooltip"></div>
+    `;
+    viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+    tip = document.getElementById("diagview-tooltip");
+    state.isModalOpen = true;
+    state.activeSourceElement = viewport;
+  });
+
+  afterEach(() => {
+    cleanupTooltips();
+    clearDiagramModelCache();
+    resetConfig();
+    jest.useRealTimers();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+  });
+
+  test("hovering a node shows its title, description and data after the delay", () => {
+    setupTooltips(svg, viewport);
+    pointer("pointermove", node("a").querySelector("text"), { clientX: 100, clientY: 50 });
+    expect(tip.classList.contains("show")).toBe(false);
+
+    jest.advanceTimersByTime(300);
+    expect(tip.classList.contains("show")).toBe(true);
+    expect(texts()).toEqual(["API", "Public entry point", "Routes traffic", "ownerpayments"]);
+    expect(tip.style.transform).toBe("translate3d(114px, 64px, 0)");
+
+    // Follows the pointer over the same node
+    pointer("pointermove", node("a").querySelector("rect"), { clientX: 120, clientY: 60 });
+    expect(tip.style.transform).toBe("translate3d(134px, 74px, 0)");
+
+    // Nothing to say about b
+    pointer("pointermove", node("b"), { clientX: 10, clientY: 10 });
+    jest.advanceTimersByTime(1000);
+    expect(tip.classList.contains("show")).toBe(false);
+
+    pointer("pointermove", node("a"));
+    jest.advanceTimersByTime(300);
+    viewport.dispatchEvent(new MouseEvent("pointerleave"));
+    expect(tip.classList.contains("show")).toBe(false);
+  });
+
+  test("pans, wheel zoom, text-select mode and annotation mode hide it", () => {
+    setupTooltips(svg, viewport);
+    const show = () => {
+      pointer("pointermove", node("a"), { clientX: 5, clientY: 5 });
+      jest.advanceTimersByTime(300);
+    };
+
+    show();
+    pointer("pointermove", node("a"), { buttons: 1 });
+    expect(tip.classList.contains("show")).toBe(false);
+
+    show();
+    viewport.dispatchEvent(new Event("wheel"));
+    expect(tip.classList.contains("show")).toBe(false);
+
+    viewport.classList.add("dv-text-select");
+    show();
+    expect(tip.classList.contains("show")).toBe(false);
+    viewport.classList.remove("dv-text-select");
+
+    state.annotating = true;
+    show();
+    expect(tip.classList.contains("show")).toBe(false);
+    state.annotating = false;
+  });
+
+  test("Graphviz link titles are used; titles repeating the node name are not", () => {
+    viewport.innerHTML = `<svg><g class="graph">
+      <g class="node" id="node1"><title>auth</title>
+        <g id="a_node1"><a xlink:title="Issues tokens"><polygon></polygon><text>auth</text></a></g>
+      </g></g></svg>`;
+    svg = viewport.querySelector("svg");
+    setupTooltips(svg, viewport);
+
+    pointer("pointermove", svg.querySelector("polygon"));
+    jest.advanceTimersByTime(300);
+    expect(texts()).toEqual(["auth", "Issues tokens"]);
+  });
+
+  test("render supplies sanitized host HTML, or false for none", () => {
+    const render = jest.fn((details) =>
+      details.id === "a"
+        ? `<b>${details.text[0]}</b><img src="x" onerror="alert(1)"><a href="javascript:alert(1)">go</a><script>alert(1)</script>`
+        : false,
+    );
+    updateConfig({ tooltips: { render, delay: 0 } });
+    setupTooltips(svg, viewport);
+
+    pointer("pointermove", node("a"));
+    jest.advanceTimersByTime(0);
+    expect(render).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "a", label: "API", diagram: viewport, element: node("a") }),
+    );
+    expect(tip.querySelector("b").textContent).toBe("Public entry point");
+    expect(tip.querySelector("img").hasAttribute("onerror")).toBe(false);
+    expect(tip.querySelector("a").hasAttribute("href")).toBe(false);
+    expect(tip.querySelector("script")).toBeNull();
+
+    pointer("pointermove", node("b"));
+    jest.advanceTimersByTime(0);
+    expect(tip.classList.contains("show")).toBe(false);
+
+    // A callback that throws falls back to the built-in content
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    render.mockImplementationOnce(() => {
+      throw new Error("offline");
+    });
+    pointer("pointermove", node("a"));
+    jest.advanceTimersByTime(0);
+    expect(warn).toHaveBeenCalledWith("DiagView: tooltips.render failed", expect.any(Error));
+    expect(texts()[0]).toBe("API");
+    warn.mockRestore();
+  });
+
+  test("a long press pins the tooltip above the node and swallows the tap", () => {
+    setupTooltips(svg, viewport);
+    node("a").getBoundingClientRect = () => ({
+      left: 200,
+      top: 300,
+      right: 280,
+      bottom: 340,
+      width: 80,
+      height: 40,
+    });
+    const clicks = jest.fn();
+    svg.addEventListener("click", clicks);
+
+    // Moving turns the press into a pan
+    touch("pointerdown", node("a"), { clientX: 0, clientY: 0 });
+    touch("pointermove", node("a"), { clientX: 30, clientY: 0 });
+    jest.advanceTimersByTime(600);
+    expect(tip.classList.contains("show")).toBe(false);
+
+    touch("pointerdown", node("a"), { clientX: 0, clientY: 0 });
+    jest.advanceTimersByTime(500);
+    expect(tip.classList.contains("show")).toBe(true);
+    // Centred over the node's screen box (jsdom gives the tooltip no size)
+    expect(tip.style.transform).toBe("translate3d(240px, 286px, 0)");
+
+    pointer("click", node("a"));
+    expect(clicks).not.toHaveBeenCalled();
+    pointer("click", node("a"));
+    expect(clicks).toHaveBeenCalledTimes(1);
+
+    // Zoom and rotation keep it on the node
+    node("a").getBoundingClientRect = () => ({
+      left: 100,
+      top: 100,
+      right: 140,
+      bottom: 200,
+      width: 40,
+      height: 100,
+    });
+    svg.dispatchEvent(new CustomEvent("panzoomchange"));
+    expect(tip.style.transform).toBe("translate3d(120px, 86px, 0)");
+
+    hideTooltip();
+    expect(tip.children).toHaveLength(0);
+  });
+
+  test("disabled tooltips and invalid config", () => {
+    updateConfig({ tooltips: { enabled: false } });
+    setupTooltips(svg, viewport);
+    pointer("pointermove", node("a"));
+    jest.advanceTimersByTime(1000);
+    expect(tip.classList.contains("show")).toBe(false);
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    updateConfig({ tooltips: { enabled: 1, delay: -5, render: "<b>hi</b>" } });
+    expect(state.config.tooltips).toEqual({ enabled: true, delay: 300, render: null });
+    expect(warn).toHaveBeenCalledTimes(3);
+    warn.mockRestore();
+  });
+});
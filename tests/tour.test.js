@@ -0,0 +1,287 @@
+/**
+ * Guided Tour Tests
+ * Step parsing and storage (core/tour), camera moves, the tour bar, keyboard
+ * stepping and events during playback (features/lazy/tour).
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig } from "../src/core/config.js";
+
+jest.unstable_mockModule("../src/ui/toast.js", () => ({
+  showInfoToast: jest.fn(),
+  showSuccessToast: jest.fn(),
+  showErrorToast: jest.fn(),
+  showWarningToast: jest.fn(),
+  showToast: jest.fn(),
+  hideToast: jest.fn(),
+}));
+
+const { showInfoToast } = await import("../src/ui/toast.js");
+const { normalizeTourStep, parseTour, setTour, getTour, hasTour } =
+  await import("../src/core/tour.js");
+const { startTour, goToTourStep, nextTourStep, prevTourStep, endTour, cleanupTour } =
+  await import("../src/features/lazy/tour.js");
+const { setupKeyboardShortcuts, teardownKeyboardShortcuts } =
+  await import("../src/features/keyboard.js");
+
+const rect = (left, top, width, height) => () => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+  x: left,
+  y: top,
+});
+
+describe("Tour steps", () => {
+  test("normalizeTourStep snaps rotation, clamps zoom and accepts [x, y] centres", () => {
+    expect(normalizeTourStep(null)).toBeNull();
+    expect(normalizeTourStep([1, 2])).toBeNull();
+
+    expect(normalizeTourStep({})).toEqual({ rotation: 0, caption: "" });
+    expect(
+      normalizeTourStep({ zoom: 500, rotation: -90, center: [10, 20], caption: "  Hi  " }),
+    ).toEqual({ zoom: 50, rotation: 270, center: { x: 10, y: 20 }, caption: "Hi" });
+    expect(normalizeTourStep({ zoom: -1, rotation: 100, center: { x: "a", y: 1 } })).toEqual({
+      rotation: 90,
+      caption: "",
+    });
+    expect(normalizeTourStep({ target: "  #api " }).target).toBe("#api");
+  });
+
+  test("parseTour reads arrays, { steps } and JSON, and rejects malformed input", () => {
+    expect(parseTour([{ zoom: 2 }, "skip"])).toEqual([{ zoom: 2, rotation: 0, caption: "" }]);
+    expect(parseTour({ steps: [{ caption: "a" }] })).toHaveLength(1);
+    expect(parseTour('[{"target": "db"}]')[0].target).toBe("db");
+    expect(parseTour("{nope")).toBeNull();
+    expect(parseTour({ version: 1 })).toBeNull();
+  });
+
+  test("API steps take precedence over the data-diagview-tour attribute", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const el = document.createElement("div");
+    expect(hasTour(el)).toBe(false);
+
+    el.dataset.diagviewTour = '[{"caption": "From markup"}]';
+    expect(getTour(el)[0].caption).toBe("From markup");
+
+    setTour(el, [{ caption: "From JS" }, { caption: "Second" }]);
+    expect(getTour(el).map((s) => s.caption)).toEqual(["From JS", "Second"]);
+    // The menu and G key check this without loading core/tour
+    expect(state.touredDiagrams.has(el)).toBe(true);
+
+    setTour(el, []);
+    expect(getTour(el)).toHaveLength(1);
+    expect(state.touredDiagrams.has(el)).toBe(false);
+
+    el.dataset.diagviewTour = "not json";
+    expect(hasTour(el)).toBe(false);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test("the public API loads tour storage on demand", async () => {
+    const { default: DiagView } = await import("../src/index.js");
+    const el = document.createElement("div");
+
+    await expect(DiagView.setTour(el, [{ caption: "One" }, "skip"])).resolves.toHaveLength(1);
+    expect(hasTour(el)).toBe(true);
+    await expect(DiagView.getTour(el)).resolves.toEqual(getTour(el));
+    setTour(el, []);
+  });
+});
+
+describe("Tour playback", () => {
+  let source;
+  let svg;
+  let panzoom;
+  const bar = () => document.getElementById("diagview-tour");
+  const text = (id) => document.getElementById(id).textContent;
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <div id="diagview-modal-viewport">
+        <div id="diagview-rotator">
+          <svg viewBox="0 0 600 400"><g class="node" id="api"></g></svg>
+        </div>
+      </div>
+      <div id="diagview-tour">
+        <p id="diagview-tour-caption"></p>
+        <button id="diagview-tour-prev"></button>
+        <span id="diagview-tour-count"></span>
+        <button id="diagview-tour-next"></button>
+        <button id="diagview-tour-close"></button>
+      </div>
+    `;
+    const viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+
+    // 800x600 viewport with the diagram centred in it at 1x
+    viewport.getBoundingClientRect = rect(0, 0, 800, 600);
+    svg.getBoundingClientRect = rect(100, 100, 600, 400);
+    svg.querySelector("#api").getBoundingClientRect = rect(500, 150, 100, 50);
+
+    // jsdom has no SVG matrices: diagram coordinates are offset by the svg's position
+    svg.createSVGPoint = () => ({
+      x: 0,
+      y: 0,
+      matrixTransform(m) {
+        return { x: this.x + m.e, y: this.y + m.f };
+      },
+    });
+    svg.getScreenCTM = () => ({ e: 100, f: 100 });
+
+    panzoom = {
+      getScale: () => 1,
+      getPan: () => ({ x: 0, y: 0 }),
+      zoom: jest.fn(),
+      pan: jest.fn(),
+    };
+    source = document.createElement("div");
+    state.isModalOpen = true;
+    state.activeSourceElement = source;
+    state.activePanzoom = /** @type {any} */ (panzoom);
+    state.rotationAngle = 0;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanupTour();
+    setTour(source, []);
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+    state.activePanzoom = null;
+  });
+
+  test("targets are centred and fitted with one animated zoom + pan", () => {
+    setTour(source, [{ target: "api", caption: "The API" }]);
+    expect(startTour()).toBe(true);
+
+    // Fit: 0.5 * min(800 / 100, 600 / 50) = 4; the node centre (550, 175) is
+    // (150, -125) from the diagram centre, so the pan at 4x is (-150, 125)
+    const options = { animate: true, duration: 600, force: true };
+    expect(panzoom.zoom).toHaveBeenCalledWith(4, options);
+    expect(panzoom.pan).toHaveBeenCalledWith(-150, 125, options);
+    expect(text("diagview-tour-caption")).toBe("The API");
+    expect(text("diagview-tour-count")).toBe("1 / 1");
+    expect(bar().classList.contains("show")).toBe(true);
+    // The bar's styles come with the lazy module
+    expect(document.getElementById("diagview-tour-styles")).not.toBeNull();
+  });
+
+  test("centre points use diagram coordinates and explicit zoom; CSS selectors work too", () => {
+    startTour([
+      { zoom: 2, center: { x: 10, y: 20 } },
+      { zoom: 3, target: "g.node" },
+    ]);
+    // (10, 20) is at screen (110, 120): (-290, -180) from the diagram centre
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(2, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(290, 180, expect.any(Object));
+    expect(bar().classList.contains("dv-tour-no-caption")).toBe(true);
+
+    nextTourStep();
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(3, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(-150, 125, expect.any(Object));
+  });
+
+  test("steps without a focus centre the diagram; unknown targets fall back with a warning", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    startTour([{}, { target: "#missing", zoom: 100 }]);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(1, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(0, 0, expect.any(Object));
+
+    nextTourStep();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("#missing"));
+    // Clamped to config.maxZoomScale
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(25, expect.any(Object));
+    warn.mockRestore();
+  });
+
+  test("applies each step's rotation", () => {
+    startTour([{ rotation: 90 }, { rotation: 0 }]);
+    expect(state.rotationAngle).toBe(90);
+    expect(svg.querySelector("g.dv-rot-g").getAttribute("transform")).toMatch(/^rotate\(90/);
+    nextTourStep();
+    expect(state.rotationAngle).toBe(0);
+  });
+
+  test("buttons step through the tour, emit events and finish after the last stop", () => {
+    const onStep = jest.fn();
+    const onEnd = jest.fn();
+    const offStep = state.events.on("tour:step", onStep);
+    const offEnd = state.events.on("tour:end", onEnd);
+    setTour(source, [{ caption: "One" }, { caption: "Two" }]);
+    startTour();
+
+    const prev = /** @type {HTMLButtonElement} */ (document.getElementById("diagview-tour-prev"));
+    const next = document.getElementById("diagview-tour-next");
+    expect(prev.disabled).toBe(true);
+
+    next.click();
+    expect(state.tour.index).toBe(1);
+    expect(text("diagview-tour-count")).toBe("2 / 2");
+    expect(next.textContent).toBe("Finish");
+    expect(onStep).toHaveBeenLastCalledWith(
+      expect.objectContaining({ element: source, step: 1, total: 2, caption: "Two" }),
+    );
+
+    prev.click();
+    expect(text("diagview-tour-caption")).toBe("One");
+
+    next.click();
+    next.click();
+    expect(state.tour).toBeNull();
+    expect(bar().classList.contains("show")).toBe(false);
+    expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ step: 1, total: 2 }));
+    expect(onStep).toHaveBeenCalledTimes(4);
+    offStep();
+    offEnd();
+  });
+
+  test("goToTourStep clamps; prev stays on the first stop; calls are no-ops without a tour", () => {
+    expect(goToTourStep(1)).toBe(false);
+    expect(nextTourStep()).toBe(false);
+    expect(endTour()).toBe(false);
+
+    startTour([{ caption: "a" }, { caption: "b" }], { step: 1 });
+    expect(state.tour.index).toBe(1);
+    goToTourStep(99);
+    expect(state.tour.index).toBe(1);
+    prevTourStep();
+    prevTourStep();
+    expect(state.tour.index).toBe(0);
+  });
+
+  test("starting without steps shows a toast", () => {
+    expect(startTour()).toBe(false);
+    expect(showInfoToast).toHaveBeenCalledWith("This diagram has no tour");
+    expect(state.tour).toBeNull();
+  });
+
+  test("arrow keys step and Esc ends the tour instead of panning or closing", async () => {
+    setupKeyboardShortcuts();
+    const key = (k) => window.dispatchEvent(new KeyboardEvent("keydown", { key: k }));
+    const flush = () => new Promise((r) => setTimeout(r, 0));
+
+    startTour([{ caption: "a" }, { caption: "b" }]);
+    panzoom.pan.mockClear();
+
+    key("ArrowRight");
+    await flush();
+    expect(state.tour.index).toBe(1);
+    key("ArrowLeft");
+    await flush();
+    expect(state.tour.index).toBe(0);
+    // Only the tour's own absolute pans, no relative keyboard pans
+    expect(panzoom.pan.mock.calls.every(([, , opts]) => !opts.relative)).toBe(true);
+
+    key("Escape");
+    await flush();
+    expect(state.tour).toBeNull();
+    expect(state.isModalOpen).toBe(true);
+    teardownKeyboardShortcuts();
+  });
+});
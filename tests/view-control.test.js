@@ -0,0 +1,205 @@
+/**
+ * View Control Tests
+ * Reading and restoring the modal view, zoom, centring diagram points,
+ * fitting nodes and selections, rotation, and promises that settle when the
+ * animation ends.
+ */
+
+import { jest } from "@jest/globals";
+import { state, resetConfig } from "../src/core/config.js";
+import { clearDiagramModelCache } from "../src/core/diagram-adapters.js";
+import {
+  getViewState,
+  setViewState,
+  zoomTo,
+  panToPoint,
+  focusNode,
+  fitToSelection,
+  rotateTo,
+} from "../src/features/lazy/view-control.js";
+
+const rect = (left, top, width, height) => () => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+  x: left,
+  y: top,
+});
+
+describe("View control", () => {
+  let svg;
+  let panzoom;
+  const options = { animate: true, duration: 400, force: true };
+
+  beforeEach(() => {
+    resetConfig();
+    document.body.innerHTML = `
+      <div id="diagview-modal-viewport">
+        <div id="diagview-rotator">
+          <svg viewBox="0 0 600 400"><g class="dv-rot-g">
+            <g class="node" id="api"></g>
+            <g class="node" id="db"></g>
+          </g></svg>
+        </div>
+      </div>
+    `;
+    const viewport = document.getElementById("diagview-modal-viewport");
+    svg = viewport.querySelector("svg");
+
+    // 800x600 viewport with the diagram centred in it at 1x
+    viewport.getBoundingClientRect = rect(0, 0, 800, 600);
+    svg.getBoundingClientRect = rect(100, 100, 600, 400);
+    svg.querySelector("#api").getBoundingClientRect = rect(500, 150, 100, 50);
+    svg.querySelector("#db").getBoundingClientRect = rect(100, 100, 100, 50);
+
+    // jsdom has no SVG matrices: diagram coordinates are offset by the svg's position
+    svg.createSVGPoint = () => ({
+      x: 0,
+      y: 0,
+      matrixTransform(m) {
+        return { x: this.x + m.e, y: this.y + m.f };
+      },
+    });
+    const ctm = () => ({ e: 100, f: 100, inverse: () => ({ e: -100, f: -100 }) });
+    svg.getScreenCTM = ctm;
+    svg.querySelector("g.dv-rot-g").getScreenCTM = ctm;
+
+    panzoom = {
+      elem: svg,
+      getScale: () => 1,
+      getPan: () => ({ x: 0, y: 0 }),
+      zoom: jest.fn(),
+      pan: jest.fn(),
+    };
+    state.isModalOpen = true;
+    state.activeSourceElement = document.createElement("div");
+    state.activePanzoom = /** @type {any} */ (panzoom);
+    state.rotationAngle = 0;
+  });
+
+  afterEach(() => {
+    clearDiagramModelCache();
+    jest.useRealTimers();
+    state.isModalOpen = false;
+    state.activeSourceElement = null;
+    state.activePanzoom = null;
+    state.rotationAngle = 0;
+  });
+
+  test("getViewState reports the zoom, the diagram point in the centre and the rotation", () => {
+    expect(getViewState()).toEqual({ scale: 1, center: { x: 300, y: 200 }, rotation: 0 });
+
+    state.isModalOpen = false;
+    expect(getViewState()).toBeNull();
+  });
+
+  test("zoomTo zooms around the centre and resolves when the animation ends", async () => {
+    jest.useFakeTimers();
+    let done = false;
+    const moved = zoomTo(2).then((result) => (done = result));
+
+    expect(panzoom.zoom).toHaveBeenCalledWith(2, options);
+    expect(panzoom.pan).toHaveBeenCalledWith(0, 0, options);
+    await Promise.resolve();
+    expect(done).toBe(false);
+
+    jest.advanceTimersByTime(400);
+    await moved;
+    expect(done).toBe(true);
+
+    // Clamped to config.maxZoomScale; no animation resolves at once
+    await expect(zoomTo(500, { animate: false })).resolves.toBe(true);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(25, {
+      animate: false,
+      duration: 400,
+      force: true,
+    });
+    await expect(zoomTo(0)).resolves.toBe(false);
+  });
+
+  test("panToPoint centres a diagram point at the current zoom", async () => {
+    // (10, 20) is at screen (110, 120): (-290, -180) from the diagram centre
+    await expect(panToPoint(10, 20, { duration: 0 })).resolves.toBe(true);
+    expect(panzoom.zoom).toHaveBeenCalledWith(1, { animate: true, duration: 0, force: true });
+    expect(panzoom.pan).toHaveBeenCalledWith(290, 180, { animate: true, duration: 0, force: true });
+
+    await expect(panToPoint(NaN, 0)).resolves.toBe(false);
+  });
+
+  test("focusNode fits a node by ID or selector with padding", async () => {
+    const instant = { animate: false };
+
+    // 1 * min(800 / 100, 600 / 50) = 8; the node centre (550, 175) is
+    // (150, -125) from the diagram centre
+    await expect(focusNode("api", { ...instant, padding: 0 })).resolves.toBe(true);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(8, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(-150, 125, expect.any(Object));
+
+    // Default padding of 40px: min(720 / 100, 520 / 50) = 7.2
+    await focusNode("g.node:first-child", instant);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(7.2, expect.any(Object));
+
+    await focusNode(svg.querySelector("#db"), { ...instant, padding: 100 });
+    // min(600 / 100, 400 / 50) = 6
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(6, expect.any(Object));
+
+    panzoom.zoom.mockClear();
+    await expect(focusNode("#missing")).resolves.toBe(false);
+    await expect(focusNode("[[invalid")).resolves.toBe(false);
+    await expect(focusNode(document.body)).resolves.toBe(false);
+    expect(panzoom.zoom).not.toHaveBeenCalled();
+  });
+
+  test("fitToSelection fits the union of several nodes", async () => {
+    // Union (100, 100)-(600, 200): min(800 / 500, 600 / 100) = 1.6 around (350, 150)
+    await expect(
+      fitToSelection(["api", svg.querySelector("#db")], { padding: 0, animate: false }),
+    ).resolves.toBe(true);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(1.6, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(50, 150, expect.any(Object));
+
+    // A single selector takes every match
+    await fitToSelection("g.node", { padding: 0, animate: false });
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(1.6, expect.any(Object));
+
+    await expect(fitToSelection(["#missing"])).resolves.toBe(false);
+    await expect(fitToSelection(null)).resolves.toBe(false);
+  });
+
+  test("rotateTo snaps the angle, notifies listeners and keeps the centre", async () => {
+    const onRotate = jest.fn();
+    const off = state.events.on("rotate", onRotate);
+    const onChange = jest.fn();
+    svg.addEventListener("panzoomchange", onChange);
+
+    await expect(rotateTo(-80, { animate: false })).resolves.toBe(true);
+    expect(state.rotationAngle).toBe(270);
+    expect(svg.querySelector("g.dv-rot-g").getAttribute("transform")).toMatch(/^rotate\(270/);
+    expect(onRotate).toHaveBeenCalledWith(expect.objectContaining({ angle: 270 }));
+    expect(onChange.mock.calls[0][0].detail.isRotation).toBe(true);
+    expect(panzoom.pan).toHaveBeenLastCalledWith(0, 0, expect.any(Object));
+    off();
+  });
+
+  test("setViewState restores rotation, centre and zoom; closed modal does nothing", async () => {
+    await expect(
+      setViewState({ rotation: 90, center: { x: 10, y: 20 }, scale: 2 }, { animate: false }),
+    ).resolves.toBe(true);
+    expect(state.rotationAngle).toBe(90);
+    expect(panzoom.zoom).toHaveBeenLastCalledWith(2, expect.any(Object));
+    expect(panzoom.pan).toHaveBeenLastCalledWith(290, 180, expect.any(Object));
+
+    await expect(setViewState("nope")).resolves.toBe(false);
+
+    state.isModalOpen = false;
+    panzoom.zoom.mockClear();
+    await expect(zoomTo(2)).resolves.toBe(false);
+    await expect(panToPoint(0, 0)).resolves.toBe(false);
+    await expect(focusNode("api")).resolves.toBe(false);
+    await expect(rotateTo(90)).resolves.toBe(false);
+    expect(panzoom.zoom).not.toHaveBeenCalled();
+  });
+});